@@ -1,4 +1,5 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { useAccount } from 'wagmi';
 import AboutUs from './components/aboutUs.js';
 import SwapBox from './components/swapBox.js';
 import MobileSwapBox from './components/MobileSwapBox.js';
@@ -9,15 +10,21 @@ import Header from './components/header.js';
 import Tokenomics from './components/tokenomics.js';
 import ReferralHistory from './components/ReferralHistory.js';
 import RewardDashboard from './components/RewardDashboard.js';
-import SwapHistory from './components/SwapHistory.js';
+import SwapActivity from './components/SwapActivity.js';
 import ChainStatusDashboard from './components/ChainStatusDashboard.js';
 import CrossChainSwap from './components/CrossChainSwap.js';
 import MobileSettingsBox from './components/MobileSettingsBox.js';
+import { usePortfolioSnapshots } from './hooks/usePortfolioSnapshots';
 //import mangoMiniLogo from "./imgs/mangoMiniLogo.png"
 import 'bootstrap/dist/css/bootstrap.min.css';
 import './App.css';
 
 function App() {
+    const account = useAccount();
+
+    // Keep portfolio history current while the app is open
+    usePortfolioSnapshots(account?.address);
+
     // Use mobile design by default - can be toggled via environment variable
     const useMobileDesign = process.env.REACT_APP_USE_MOBILE_DESIGN !== 'false';
     
@@ -35,7 +42,7 @@ function App() {
                         <Route path="/tokenomics" element={<Tokenomics />} />
                         <Route path="/referrals" element={<ReferralHistory />} />
                         <Route path="/rewards" element={<RewardDashboard />} />
-                        <Route path="/swaps" element={<SwapHistory />} />
+                        <Route path="/swaps" element={<SwapActivity />} />
                         <Route path="/cross-chain" element={<CrossChainSwap />} />
                         <Route path="/chains" element={<ChainStatusDashboard />} />
                         <Route path="/settings" element={<MobileSettingsBox />} />
@@ -60,7 +67,7 @@ function App() {
                                 <Route path="/tokenomics" element={<Tokenomics />} />
                                 <Route path="/referrals" element={<ReferralHistory />} />
                                 <Route path="/rewards" element={<RewardDashboard />} />
-                                <Route path="/swaps" element={<SwapHistory />} />
+                                <Route path="/swaps" element={<SwapActivity />} />
                                 <Route path="/cross-chain" element={<CrossChainSwap />} />
                         <Route path="/chains" element={<ChainStatusDashboard />} />
                         <Route path="/liquidity" element={<MobileLiquidityBox />} />
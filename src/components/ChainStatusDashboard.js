@@ -7,11 +7,12 @@
 
 import React, { useMemo, useState, useEffect, useCallback, useRef } from 'react';
 import { Card, Table, Badge, Spinner, Button, Form, Toast, ToastContainer, Modal } from 'react-bootstrap';
-import { CheckCircle, ExclamationTriangle, XCircle, Clock, ArrowClockwise, Bell, Activity, TrendingUp } from 'react-bootstrap-icons';
+import { CheckCircle, ExclamationTriangle, XCircle, Clock, ArrowClockwise, Bell, Activity, TrendingUp, Database } from 'react-bootstrap-icons';
 import { useSupportedChains, useChainStatus } from '../hooks/useChainStatus';
 import { chainApi } from '../services/mangoApi';
 import chainStatusWebSocket from '../services/chainStatusWebSocket';
 import chainConfig from '../services/chainConfig';
+import rpcProvider from '../services/rpcProvider';
 import ChainStatusBadge from './ChainStatusBadge';
 import './css/ChainStatusDashboard.css';
 
@@ -38,6 +39,9 @@ const STATUS_CONFIG = {
     },
 };
 
+// Cache counters shown until the first read
+const EMPTY_CACHE_STATS = { hits: 0, misses: 0, hitRate: 0, entries: 0 };
+
 const ChainStatusDashboard = ({ className = '' }) => {
     const { chains: apiChains, loading, error, refetch } = useSupportedChains();
     const [chains, setChains] = useState([]);
@@ -49,6 +53,7 @@ const ChainStatusDashboard = ({ className = '' }) => {
     const [notificationData, setNotificationData] = useState(null);
     const [selectedChain, setSelectedChain] = useState(null);
     const [showHealthModal, setShowHealthModal] = useState(false);
+    const [rpcCacheStats, setRpcCacheStats] = useState({});
     const refreshIntervalRef = useRef(null);
     const wsUnsubscribeRef = useRef(null);
     
@@ -209,6 +214,15 @@ const ChainStatusDashboard = ({ className = '' }) => {
         };
     }, []);
 
+    // Read the local RPC response cache counters, refreshed along with the health metrics
+    const refreshCacheStats = useCallback(() => {
+        setRpcCacheStats(chains.reduce((stats, chain) => {
+            const chainId = parseInt(chain.chainId);
+            stats[chainId] = rpcProvider.getCacheStats(chainId);
+            return stats;
+        }, {}));
+    }, [chains]);
+
     // Setup auto-refresh
     useEffect(() => {
         if (!autoRefresh) {
@@ -222,11 +236,13 @@ const ChainStatusDashboard = ({ className = '' }) => {
         // Initial fetch
         refetch();
         fetchHealthMetrics();
+        refreshCacheStats();
 
         // Setup interval
         refreshIntervalRef.current = setInterval(() => {
             refetch();
             fetchHealthMetrics();
+            refreshCacheStats();
         }, refreshInterval * 1000);
 
         return () => {
@@ -234,14 +250,15 @@ const ChainStatusDashboard = ({ className = '' }) => {
                 clearInterval(refreshIntervalRef.current);
             }
         };
-    }, [autoRefresh, refreshInterval, refetch, fetchHealthMetrics]);
+    }, [autoRefresh, refreshInterval, refetch, fetchHealthMetrics, refreshCacheStats]);
 
     // Initial health metrics fetch
     useEffect(() => {
         if (chains.length > 0) {
             fetchHealthMetrics();
+            refreshCacheStats();
         }
-    }, [chains.length, fetchHealthMetrics]);
+    }, [chains.length, fetchHealthMetrics, refreshCacheStats]);
 
     const formatDate = (dateString) => {
         if (!dateString) return 'N/A';
@@ -318,6 +335,11 @@ const ChainStatusDashboard = ({ className = '' }) => {
         return `${(errorRate * 100).toFixed(2)}%`;
     };
 
+    const formatCacheHitRate = (cacheStats) => {
+        if (cacheStats.hits + cacheStats.misses === 0) return 'N/A';
+        return `${(cacheStats.hitRate * 100).toFixed(0)}% hits`;
+    };
+
     return (
         <Card className={`chain-status-dashboard ${className}`}>
             <Card.Header>
@@ -394,6 +416,7 @@ const ChainStatusDashboard = ({ className = '' }) => {
                             const status = chain.status?.toLowerCase() || 'unknown';
                             const statusConfig = STATUS_CONFIG[status] || STATUS_CONFIG.unknown;
                             const healthMetrics = getHealthMetrics(chain.chainId);
+                            const cacheStats = rpcCacheStats[parseInt(chain.chainId)] || EMPTY_CACHE_STATS;
                             
                             return (
                                 <tr key={chain.chainId}>
@@ -426,6 +449,10 @@ const ChainStatusDashboard = ({ className = '' }) => {
                                         ) : (
                                             <span className="text-muted">Loading...</span>
                                         )}
+                                        <div className="metric-item">
+                                            <Database size={12} className="me-1" />
+                                            <small>RPC Cache: {formatCacheHitRate(cacheStats)}</small>
+                                        </div>
                                     </td>
                                     <td>
                                         {chain.lastSync ? (
@@ -485,6 +512,7 @@ const ChainStatusDashboard = ({ className = '' }) => {
                     {selectedChain && (() => {
                         const healthMetrics = getHealthMetrics(selectedChain.chainId);
                         const statusHistory = getStatusHistory(selectedChain.chainId);
+                        const cacheStats = rpcCacheStats[parseInt(selectedChain.chainId)] || EMPTY_CACHE_STATS;
                         
                         return (
                             <div>
@@ -532,6 +560,38 @@ const ChainStatusDashboard = ({ className = '' }) => {
                                     )}
                                 </div>
 
+                                <div className="health-metrics-detail mb-4">
+                                    <h6>RPC Response Cache (This Session)</h6>
+                                    <div className="row g-3">
+                                        <div className="col-md-3">
+                                            <div className="metric-card">
+                                                <div className="metric-label">Hit Rate</div>
+                                                <div className="metric-value">
+                                                    {formatCacheHitRate(cacheStats)}
+                                                </div>
+                                            </div>
+                                        </div>
+                                        <div className="col-md-3">
+                                            <div className="metric-card">
+                                                <div className="metric-label">Hits</div>
+                                                <div className="metric-value">{cacheStats.hits}</div>
+                                            </div>
+                                        </div>
+                                        <div className="col-md-3">
+                                            <div className="metric-card">
+                                                <div className="metric-label">Misses</div>
+                                                <div className="metric-value">{cacheStats.misses}</div>
+                                            </div>
+                                        </div>
+                                        <div className="col-md-3">
+                                            <div className="metric-card">
+                                                <div className="metric-label">Cached Responses</div>
+                                                <div className="metric-value">{cacheStats.entries}</div>
+                                            </div>
+                                        </div>
+                                    </div>
+                                </div>
+
                                 {statusHistory.length > 0 && (
                                     <div className="status-history">
                                         <h6>Status History (Last 7 Days)</h6>
@@ -0,0 +1,150 @@
+/**
+ * DcaPlanner Component
+ *
+ * DCA mode of the mobile swap: creates recurring buy plans from the selected
+ * pair and lists existing plans with progress and average entry price.
+ */
+
+import React, { useState } from 'react';
+import {
+    createDcaPlan,
+    pauseDcaPlan,
+    resumeDcaPlan,
+    cancelDcaPlan,
+    getDcaAverageEntryPrice,
+    DCA_PLAN_STATUS,
+    DCA_INTERVAL_OPTIONS,
+} from '../services/dcaScheduler';
+import './css/SwapMobile.css';
+
+const DcaPlanner = ({ token0, token1, amount, address, chainId, plans = [], defaultSlippage = 0.5, onPlansChange, onError }) => {
+    const [intervalMs, setIntervalMs] = useState(DCA_INTERVAL_OPTIONS[1].value);
+    const [executions, setExecutions] = useState('10');
+    const [maxSlippage, setMaxSlippage] = useState(String(defaultSlippage));
+
+    const hasTokens = token0?.address && token1?.address && !token0.empty && !token1.empty;
+    const canSubmit = hasTokens && address && chainId && parseFloat(amount) > 0 &&
+        parseInt(executions, 10) > 0 && parseFloat(maxSlippage) > 0;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+
+        const plan = createDcaPlan({
+            userAddress: address,
+            chainId,
+            tokenIn: token0,
+            tokenOut: token1,
+            amountPerExecution: amount,
+            interval: intervalMs,
+            totalExecutions: executions,
+            maxSlippage,
+        });
+
+        if (!plan) {
+            if (onError) onError({ message: 'Failed to create DCA plan', severity: 'error' });
+            return;
+        }
+
+        if (onPlansChange) onPlansChange();
+    };
+
+    const getIntervalLabel = (value) => {
+        return DCA_INTERVAL_OPTIONS.find(option => option.value === value)?.label || `${Math.round(value / 60000)} min`;
+    };
+
+    const formatPrice = (price) => {
+        if (price === null) return '—';
+        return price < 0.0001 ? price.toExponential(4) : price.toLocaleString('en-US', { maximumFractionDigits: 6 });
+    };
+
+    return (
+        <div className="mobile-dca-planner">
+            <form className="mobile-limit-order-form" onSubmit={handleSubmit}>
+                <div className="mobile-limit-order-hint">
+                    Buy {token1?.symbol || '—'} with {amount || '0'} {token0?.symbol || ''} per execution
+                </div>
+
+                <label className="mobile-limit-order-label" htmlFor="dca-interval">Every</label>
+                <select
+                    id="dca-interval"
+                    className="mobile-limit-order-input"
+                    value={intervalMs}
+                    onChange={(e) => setIntervalMs(Number(e.target.value))}
+                >
+                    {DCA_INTERVAL_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+
+                <label className="mobile-limit-order-label" htmlFor="dca-executions">Number of executions</label>
+                <input
+                    id="dca-executions"
+                    type="text"
+                    inputMode="numeric"
+                    className="mobile-limit-order-input"
+                    value={executions}
+                    onChange={(e) => {
+                        if (/^\d*$/.test(e.target.value)) setExecutions(e.target.value);
+                    }}
+                />
+
+                <label className="mobile-limit-order-label" htmlFor="dca-slippage">Max slippage (%)</label>
+                <input
+                    id="dca-slippage"
+                    type="text"
+                    inputMode="decimal"
+                    className="mobile-limit-order-input"
+                    value={maxSlippage}
+                    onChange={(e) => {
+                        if (/^\d*\.?\d*$/.test(e.target.value)) setMaxSlippage(e.target.value);
+                    }}
+                />
+
+                <button type="submit" className="mobile-limit-order-submit" disabled={!canSubmit}>
+                    Start DCA Plan
+                </button>
+            </form>
+
+            {plans.length > 0 && (
+                <div className="mobile-dca-plans">
+                    {plans.map(plan => {
+                        const { averagePrice, fills } = getDcaAverageEntryPrice(plan);
+                        return (
+                            <div key={plan.id} className="mobile-dca-plan">
+                                <div className="mobile-dca-plan-header">
+                                    <span>
+                                        {plan.amountPerExecution} {plan.tokenIn.symbol} → {plan.tokenOut.symbol} · {getIntervalLabel(plan.interval)}
+                                    </span>
+                                    <span className={`mobile-dca-plan-status ${plan.status}`}>{plan.status}</span>
+                                </div>
+                                <div className="mobile-dca-plan-details">
+                                    <span>{plan.executionsDone}/{plan.totalExecutions} executions</span>
+                                    <span>
+                                        Avg. entry: {formatPrice(averagePrice)} {plan.tokenIn.symbol}/{plan.tokenOut.symbol}
+                                        {fills > 0 ? ` (${fills} fills)` : ''}
+                                    </span>
+                                    {plan.nextExecutionAt && plan.status === DCA_PLAN_STATUS.ACTIVE && (
+                                        <span>Next: {new Date(plan.nextExecutionAt).toLocaleString()}</span>
+                                    )}
+                                </div>
+                                {(plan.status === DCA_PLAN_STATUS.ACTIVE || plan.status === DCA_PLAN_STATUS.PAUSED) && (
+                                    <div className="mobile-limit-order-prompt-actions">
+                                        {plan.status === DCA_PLAN_STATUS.ACTIVE ? (
+                                            <button type="button" onClick={() => { pauseDcaPlan(plan.id); onPlansChange?.(); }}>Pause</button>
+                                        ) : (
+                                            <button type="button" onClick={() => { resumeDcaPlan(plan.id); onPlansChange?.(); }}>Resume</button>
+                                        )}
+                                        <button type="button" onClick={() => { cancelDcaPlan(plan.id); onPlansChange?.(); }}>Cancel</button>
+                                    </div>
+                                )}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DcaPlanner;
@@ -0,0 +1,61 @@
+/**
+ * DepegBanner Component
+ *
+ * Warns when a stablecoin trades outside its peg band (see depegMonitor).
+ * Pass symbols to limit the check to the tokens on screen, e.g. a swap pair.
+ * onDepegChange receives every check's results so the screen can react (the
+ * swap widens its slippage), and slippage shows the widened value it applied.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { getDepeggedStablecoins, STABLECOINS } from '../services/depegMonitor';
+import './css/DepegBanner.css';
+
+const REFRESH_INTERVAL = 60000; // 1 minute
+
+const DepegBanner = ({ chainId, symbols = STABLECOINS, onDepegChange = null, slippage = null }) => {
+    const [depegged, setDepegged] = useState([]);
+    const symbolsKey = symbols.filter(Boolean).join(',');
+
+    useEffect(() => {
+        let cancelled = false;
+        const checkPegs = async () => {
+            const results = await getDepeggedStablecoins(symbolsKey ? symbolsKey.split(',') : [], { chainId });
+            if (!cancelled) {
+                setDepegged(results);
+                if (onDepegChange) {
+                    onDepegChange(results);
+                }
+            }
+        };
+
+        checkPegs();
+        const interval = setInterval(checkPegs, REFRESH_INTERVAL);
+        return () => {
+            cancelled = true;
+            clearInterval(interval);
+        };
+    }, [chainId, symbolsKey, onDepegChange]);
+
+    if (depegged.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="depeg-banner" role="alert">
+            <div className="depeg-banner-title">Stablecoin off peg</div>
+            {depegged.map(item => (
+                <div key={item.symbol} className="depeg-banner-item">
+                    {item.symbol} is trading at ${item.price.toFixed(4)} ({item.deviation > 0 ? '+' : ''}{item.deviation.toFixed(2)}%)
+                </div>
+            ))}
+            {slippage !== null && (
+                <div className="depeg-banner-suggestion">
+                    Swap slippage widened to {slippage.toFixed(2)}%
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default DepegBanner;
@@ -0,0 +1,117 @@
+/**
+ * LimitOrderForm Component
+ *
+ * Limit-order mode of the mobile swap: the user picks a target price and an
+ * expiry for selling the "You Pay" amount. Orders are stored locally and the
+ * limit order watcher prompts execution once the target is reached.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { createLimitOrder, LIMIT_ORDER_EXPIRY_OPTIONS } from '../services/limitOrders';
+import './css/SwapMobile.css';
+
+const LimitOrderForm = ({ token0, token1, amount, marketRate, address, chainId, onOrderCreated, onError }) => {
+    const [targetPrice, setTargetPrice] = useState('');
+    const [expiry, setExpiry] = useState(LIMIT_ORDER_EXPIRY_OPTIONS[1].value);
+
+    const pairKey = `${token0?.address}-${token1?.address}`;
+    const seededPair = useRef(null);
+    const pairChange = useRef({ pairKey, staleRate: null });
+
+    // Start from the market rate once it first arrives for the pair. The rate
+    // shown as the pair changes still belongs to the previous pair, so it is skipped
+    useEffect(() => {
+        if (pairChange.current.pairKey !== pairKey) {
+            pairChange.current = { pairKey, staleRate: marketRate };
+            seededPair.current = null;
+            setTargetPrice('');
+            return;
+        }
+        if (!marketRate) {
+            pairChange.current.staleRate = null;
+            return;
+        }
+        if (seededPair.current === pairKey || marketRate === pairChange.current.staleRate) return;
+
+        seededPair.current = pairKey;
+        setTargetPrice(current => current || String(marketRate));
+    }, [pairKey, marketRate]);
+
+    const hasTokens = token0?.address && token1?.address && !token0.empty && !token1.empty;
+    const canSubmit = hasTokens && address && chainId && parseFloat(amount) > 0 && parseFloat(targetPrice) > 0;
+
+    const priceDiff = marketRate && parseFloat(targetPrice) > 0
+        ? ((parseFloat(targetPrice) - parseFloat(marketRate)) / parseFloat(marketRate)) * 100
+        : null;
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        if (!canSubmit) return;
+
+        const order = createLimitOrder({
+            userAddress: address,
+            chainId,
+            tokenIn: token0,
+            tokenOut: token1,
+            amountIn: amount,
+            targetPrice,
+            expiresAt: Date.now() + expiry,
+        });
+
+        if (!order) {
+            if (onError) onError({ message: 'Failed to place limit order', severity: 'error' });
+            return;
+        }
+
+        if (onOrderCreated) onOrderCreated(order);
+    };
+
+    return (
+        <form className="mobile-limit-order-form" onSubmit={handleSubmit}>
+            <label className="mobile-limit-order-label" htmlFor="limit-order-target">
+                Sell when 1 {token0?.symbol || '—'} ≥
+            </label>
+            <div className="mobile-limit-order-row">
+                <input
+                    id="limit-order-target"
+                    type="text"
+                    inputMode="decimal"
+                    className="mobile-limit-order-input"
+                    value={targetPrice}
+                    onChange={(e) => {
+                        if (/^\d*\.?\d*$/.test(e.target.value)) {
+                            setTargetPrice(e.target.value);
+                        }
+                    }}
+                    placeholder="0.0"
+                />
+                <span className="mobile-limit-order-unit">{token1?.symbol || ''}</span>
+            </div>
+            {priceDiff !== null && (
+                <div className="mobile-limit-order-hint">
+                    {priceDiff >= 0 ? '+' : ''}{priceDiff.toFixed(2)}% vs market ({marketRate} {token1?.symbol})
+                </div>
+            )}
+
+            <label className="mobile-limit-order-label" htmlFor="limit-order-expiry">
+                Expires in
+            </label>
+            <select
+                id="limit-order-expiry"
+                className="mobile-limit-order-input"
+                value={expiry}
+                onChange={(e) => setExpiry(Number(e.target.value))}
+            >
+                {LIMIT_ORDER_EXPIRY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+            </select>
+
+            <button type="submit" className="mobile-limit-order-submit" disabled={!canSubmit}>
+                Place Limit Order
+            </button>
+        </form>
+    );
+};
+
+export default LimitOrderForm;
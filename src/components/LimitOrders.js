@@ -0,0 +1,181 @@
+/**
+ * LimitOrders Component
+ *
+ * Lists the user's limit orders on the current chain with cancel and edit actions.
+ */
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Table, Form, Button, Badge } from 'react-bootstrap';
+import { ArrowClockwise } from 'react-bootstrap-icons';
+import { useNavigate } from 'react-router-dom';
+import { useAccount, useChainId } from 'wagmi';
+import {
+    getLimitOrders,
+    editLimitOrder,
+    cancelLimitOrder,
+    LIMIT_ORDER_STATUS,
+    LIMIT_ORDER_EXPIRY_OPTIONS,
+} from '../services/limitOrders';
+
+const EDITABLE_STATUSES = [LIMIT_ORDER_STATUS.OPEN, LIMIT_ORDER_STATUS.TRIGGERED];
+
+const LimitOrders = ({ className = '' }) => {
+    const { address } = useAccount() || {};
+    const chainId = useChainId();
+    const navigate = useNavigate();
+    const [orders, setOrders] = useState([]);
+    const [editingId, setEditingId] = useState(null);
+    const [editValues, setEditValues] = useState({ targetPrice: '', expiry: LIMIT_ORDER_EXPIRY_OPTIONS[1].value });
+
+    const loadOrders = useCallback(() => {
+        setOrders(address ? getLimitOrders(address, chainId) : []);
+    }, [address, chainId]);
+
+    useEffect(() => {
+        loadOrders();
+    }, [loadOrders]);
+
+    const startEdit = (order) => {
+        setEditingId(order.id);
+        setEditValues({ targetPrice: String(order.targetPrice), expiry: LIMIT_ORDER_EXPIRY_OPTIONS[1].value });
+    };
+
+    const saveEdit = (order) => {
+        const updated = editLimitOrder(order.id, {
+            targetPrice: editValues.targetPrice,
+            expiresAt: Date.now() + Number(editValues.expiry),
+        });
+        if (updated) {
+            setEditingId(null);
+            loadOrders();
+        }
+    };
+
+    const handleCancel = (order) => {
+        if (window.confirm(`Cancel limit order to sell ${order.amountIn} ${order.tokenIn.symbol}?`)) {
+            cancelLimitOrder(order.id);
+            loadOrders();
+        }
+    };
+
+    const getStatusBadge = (status) => {
+        const badges = {
+            [LIMIT_ORDER_STATUS.OPEN]: { bg: 'primary', label: 'Open' },
+            [LIMIT_ORDER_STATUS.TRIGGERED]: { bg: 'success', label: 'Target Hit' },
+            [LIMIT_ORDER_STATUS.EXECUTED]: { bg: 'secondary', label: 'Executed' },
+            [LIMIT_ORDER_STATUS.CANCELLED]: { bg: 'warning', label: 'Cancelled' },
+            [LIMIT_ORDER_STATUS.EXPIRED]: { bg: 'dark', label: 'Expired' },
+        };
+        const config = badges[status] || { bg: 'secondary', label: status };
+        return <Badge bg={config.bg}>{config.label}</Badge>;
+    };
+
+    const formatDate = (timestamp) => {
+        if (!timestamp) return 'N/A';
+        return new Date(timestamp).toLocaleString();
+    };
+
+    if (!address) {
+        return (
+            <Card className={`limit-orders ${className}`}>
+                <Card.Body>
+                    <p className="text-muted text-center mb-0">Connect your wallet to view limit orders</p>
+                </Card.Body>
+            </Card>
+        );
+    }
+
+    return (
+        <Card className={`limit-orders ${className}`}>
+            <Card.Header>
+                <div className="d-flex justify-content-between align-items-center">
+                    <h5 className="mb-0">Limit Orders</h5>
+                    <Button variant="outline-primary" size="sm" onClick={loadOrders}>
+                        <ArrowClockwise size={14} className="me-1" />
+                        Refresh
+                    </Button>
+                </div>
+            </Card.Header>
+            <Card.Body>
+                {orders.length === 0 ? (
+                    <p className="text-muted text-center mb-0">No limit orders yet. Switch the swap to Limit mode to place one.</p>
+                ) : (
+                    <Table responsive hover size="sm">
+                        <thead>
+                            <tr>
+                                <th>Pair</th>
+                                <th>Amount</th>
+                                <th>Target Price</th>
+                                <th>Expires</th>
+                                <th>Status</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {orders.map(order => (
+                                <tr key={order.id}>
+                                    <td>{order.tokenIn.symbol}/{order.tokenOut.symbol}</td>
+                                    <td>{order.amountIn} {order.tokenIn.symbol}</td>
+                                    <td>
+                                        {editingId === order.id ? (
+                                            <Form.Control
+                                                size="sm"
+                                                type="text"
+                                                aria-label="Target price"
+                                                value={editValues.targetPrice}
+                                                onChange={(e) => {
+                                                    if (/^\d*\.?\d*$/.test(e.target.value)) {
+                                                        setEditValues({ ...editValues, targetPrice: e.target.value });
+                                                    }
+                                                }}
+                                            />
+                                        ) : (
+                                            `${order.targetPrice} ${order.tokenOut.symbol}`
+                                        )}
+                                    </td>
+                                    <td>
+                                        {editingId === order.id ? (
+                                            <Form.Select
+                                                size="sm"
+                                                aria-label="Expiry"
+                                                value={editValues.expiry}
+                                                onChange={(e) => setEditValues({ ...editValues, expiry: Number(e.target.value) })}
+                                            >
+                                                {LIMIT_ORDER_EXPIRY_OPTIONS.map(option => (
+                                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                                ))}
+                                            </Form.Select>
+                                        ) : (
+                                            formatDate(order.expiresAt)
+                                        )}
+                                    </td>
+                                    <td>{getStatusBadge(order.status)}</td>
+                                    <td>
+                                        {editingId === order.id ? (
+                                            <div className="d-flex gap-1">
+                                                <Button size="sm" variant="primary" onClick={() => saveEdit(order)}>Save</Button>
+                                                <Button size="sm" variant="outline-secondary" onClick={() => setEditingId(null)}>Close</Button>
+                                            </div>
+                                        ) : EDITABLE_STATUSES.includes(order.status) && (
+                                            <div className="d-flex gap-1">
+                                                {order.status === LIMIT_ORDER_STATUS.TRIGGERED && (
+                                                    <Button size="sm" variant="success" onClick={() => navigate(`/?limitOrder=${order.id}`)}>
+                                                        Execute
+                                                    </Button>
+                                                )}
+                                                <Button size="sm" variant="outline-primary" onClick={() => startEdit(order)}>Edit</Button>
+                                                <Button size="sm" variant="outline-danger" onClick={() => handleCancel(order)}>Cancel</Button>
+                                            </div>
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </Table>
+                )}
+            </Card.Body>
+        </Card>
+    );
+};
+
+export default LimitOrders;
@@ -8,6 +8,9 @@ import RemoveLiquidityCard from './liquidity/RemoveLiquidityCard';
 import LiquidityPositionsList from './liquidity/LiquidityPositionsList';
 import PoolList from './liquidity/PoolList';
 import LiquidityHistory from './liquidity/LiquidityHistory';
+import DepegBanner from './DepegBanner';
+import WalletSelector from './portfolio/WalletSelector';
+import { useWalletSelection } from '../hooks/useWalletSelection';
 import './css/LiquidityMobile.css';
 
 const MobileLiquidityBox = () => {
@@ -18,6 +21,15 @@ const MobileLiquidityBox = () => {
     const chainId = useChainId();
     const navigate = useNavigate();
     const [activeTab, setActiveTab] = useState('add'); // 'add', 'remove', 'positions', 'pools', 'history'
+    // Positions can be shown for watched wallets too
+    const {
+        wallets,
+        addWallet,
+        removeWallet,
+        selectedWallet,
+        setSelectedWallet,
+        selectedAddresses,
+    } = useWalletSelection(address);
 
     const handleMenuClick = () => {
         navigate(-1);
@@ -31,6 +43,8 @@ const MobileLiquidityBox = () => {
             />
             
             <div className="mobile-liquidity-content">
+                <DepegBanner chainId={chainId} />
+
                 {/* Tab Navigation */}
                 <div className="liquidity-tabs">
                     <button 
@@ -85,11 +99,22 @@ const MobileLiquidityBox = () => {
                 )}
 
                 {activeTab === 'positions' && (
-                    <LiquidityPositionsList 
-                        address={address}
-                        isConnected={isConnected}
-                        chainId={chainId}
-                    />
+                    <>
+                        <WalletSelector
+                            connectedAddress={address}
+                            wallets={wallets}
+                            selected={selectedWallet}
+                            onSelect={setSelectedWallet}
+                            onAdd={addWallet}
+                            onRemove={removeWallet}
+                        />
+                        <LiquidityPositionsList 
+                            address={address}
+                            addresses={selectedAddresses}
+                            isConnected={isConnected}
+                            chainId={chainId}
+                        />
+                    </>
                 )}
 
                 {activeTab === 'pools' && (
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useAccount, useChainId } from 'wagmi';
 import { useNavigate } from 'react-router-dom';
 import MobileSwapHeader from './MobileSwapHeader';
@@ -8,6 +8,11 @@ import AssetList from './portfolio/AssetList';
 import ChainTabs from './portfolio/ChainTabs';
 import PortfolioChart from './portfolio/PortfolioChart';
 import TransactionHistoryList from './portfolio/TransactionHistoryList';
+import WalletSelector from './portfolio/WalletSelector';
+import DepegBanner from './DepegBanner';
+import { recordPortfolioSnapshot } from '../services/portfolioSnapshots';
+import { getEvmAddresses } from '../services/watchedAddresses';
+import { useWalletSelection } from '../hooks/useWalletSelection';
 import './css/PortfolioMobile.css';
 
 const MobilePortfolioBox = () => {
@@ -19,6 +24,26 @@ const MobilePortfolioBox = () => {
     const navigate = useNavigate();
     const [activeTab, setActiveTab] = useState('overview'); // 'overview', 'assets', 'history', 'analytics'
     const [selectedChain, setSelectedChain] = useState(null); // null = all chains
+    // Addresses shown by every portfolio component
+    const {
+        wallets,
+        addWallet,
+        removeWallet,
+        selectedWallet,
+        setSelectedWallet,
+        selectedAddresses,
+    } = useWalletSelection(address);
+
+    const hasWallets = selectedAddresses.length > 0;
+
+    // Snapshot the portfolio each time it is opened
+    useEffect(() => {
+        getEvmAddresses(selectedAddresses).forEach(wallet => {
+            recordPortfolioSnapshot(wallet).catch(error => {
+                console.warn('Failed to record portfolio snapshot:', error);
+            });
+        });
+    }, [selectedAddresses]);
 
     const handleMenuClick = () => {
         navigate(-1);
@@ -32,6 +57,18 @@ const MobilePortfolioBox = () => {
             />
             
             <div className="mobile-portfolio-content">
+                <DepegBanner chainId={selectedChain || chainId} />
+
+                {/* Wallet Selector */}
+                <WalletSelector
+                    connectedAddress={address}
+                    wallets={wallets}
+                    selected={selectedWallet}
+                    onSelect={setSelectedWallet}
+                    onAdd={addWallet}
+                    onRemove={removeWallet}
+                />
+
                 {/* Chain Tabs */}
                 <ChainTabs 
                     selectedChain={selectedChain}
@@ -69,32 +106,32 @@ const MobilePortfolioBox = () => {
                 {/* Tab Content */}
                 {activeTab === 'overview' && (
                     <PortfolioOverview 
-                        address={address}
-                        isConnected={isConnected}
+                        addresses={selectedAddresses}
+                        isConnected={isConnected || hasWallets}
                         selectedChain={selectedChain}
                     />
                 )}
 
                 {activeTab === 'assets' && (
                     <AssetList 
-                        address={address}
-                        isConnected={isConnected}
+                        addresses={selectedAddresses}
+                        isConnected={isConnected || hasWallets}
                         selectedChain={selectedChain}
                     />
                 )}
 
                 {activeTab === 'history' && (
                     <TransactionHistoryList 
-                        address={address}
-                        isConnected={isConnected}
+                        addresses={selectedAddresses}
+                        isConnected={isConnected || hasWallets}
                         selectedChain={selectedChain}
                     />
                 )}
 
                 {activeTab === 'analytics' && (
                     <PortfolioChart 
-                        address={address}
-                        isConnected={isConnected}
+                        addresses={selectedAddresses}
+                        isConnected={isConnected || hasWallets}
                         selectedChain={selectedChain}
                     />
                 )}
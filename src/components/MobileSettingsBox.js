@@ -7,6 +7,7 @@ import PreferencesSettings from './settings/PreferencesSettings';
 import SecuritySettings from './settings/SecuritySettings';
 import ReferralSettings from './settings/ReferralSettings';
 import ChainManagement from './settings/ChainManagement';
+import AllowanceSettings from './settings/AllowanceSettings';
 import './css/SettingsMobile.css';
 
 const MobileSettingsBox = () => {
@@ -30,6 +31,10 @@ const MobileSettingsBox = () => {
 
                 <SecuritySettings />
 
+                {isConnected && (
+                    <AllowanceSettings chainId={chainId} />
+                )}
+
                 {isConnected && (
                     <ReferralSettings address={address} chainId={chainId} />
                 )}
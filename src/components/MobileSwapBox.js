@@ -1,6 +1,6 @@
 import React, { useCallback, useEffect, useState, useMemo } from 'react';
-import { useAccount, useChainId } from 'wagmi';
-import { parseAbi } from 'viem';
+import { useAccount, useChainId, usePublicClient } from 'wagmi';
+import { parseAbi, parseUnits, formatUnits } from 'viem';
 import { base, bsc, arbitrum } from '@reown/appkit/networks';
 import axios from 'axios';
 import dotenv from 'dotenv';
@@ -16,6 +16,10 @@ import ErrorToast from './ErrorToast';
 import SuccessToast from './SuccessToast';
 import ReferralInput from './ReferralInput';
 import WhitelistBenefits from './WhitelistBenefits';
+import LimitOrderForm from './LimitOrderForm';
+import DcaPlanner from './DcaPlanner';
+import DepegBanner from './DepegBanner';
+import PairPriceChart from './PairPriceChart';
 
 import chainConfig from '../services/chainConfig';
 import { checkMinimumAmount } from '../utils/chainValidation';
@@ -27,6 +31,15 @@ import mangoSwapLogo from '../imgs/mangoSwapLogo.png';
 import { getTokenPrice, calculatePriceImpact } from '../services/priceOracle';
 import { getFeeBreakdown, formatFeeForDisplay } from '../services/feeService';
 import { saveSwapTransaction } from '../services/transactionHistory';
+import quoteAggregator, { toBigIntAmount } from '../services/quoteAggregator';
+import { getOnChainReverseQuote } from '../services/onChainQuote';
+import { getLimitOrders, getLimitOrderMinAmountOut, markLimitOrderExecuted, LIMIT_ORDER_STATUS } from '../services/limitOrders';
+import { skipDcaExecution } from '../services/dcaScheduler';
+import { findTokenBySymbol, findTokenByAddress } from '../config/tokenLists';
+import { useQuoteExpiry } from '../hooks/useQuoteExpiry';
+import { useLimitOrderWatcher } from '../hooks/useLimitOrderWatcher';
+import { useDcaSchedule } from '../hooks/useDcaSchedule';
+import { useCurrency } from '../hooks/useCurrency';
 import { validateSlippage, validatePriceImpact, getRecommendedSlippage } from '../utils/slippageValidation';
 import { getSlippageToleranceInBasisPoints } from '../utils/slippageUtils';
 
@@ -79,12 +92,29 @@ const MobileSwapBox = () => {
     const [minimumAmountError, setMinimumAmountError] = useState(null);
     const [feeBreakdown, setFeeBreakdown] = useState(null);
     const [priceImpact, setPriceImpact] = useState(0);
+    const [depeggedStablecoins, setDepeggedStablecoins] = useState([]); // Depegged stablecoins of the pair (DepegBanner)
     const [slippageWarning, setSlippageWarning] = useState(null);
     const [realToken1Price, setRealToken1Price] = useState(0);
+    const [quoteSource, setQuoteSource] = useState(null);
+    const [quoteIsEstimate, setQuoteIsEstimate] = useState(false);
+    const [quotedAt, setQuotedAt] = useState(null);
+    // Price the user saw or accepted; the re-quote before submit is compared
+    // against it and does not move it
+    const [quotedAmountOut, setQuotedAmountOut] = useState(null);
+    const [quotedAmountIn, setQuotedAmountIn] = useState(null);
+    // Exact output: the user typed in "You Receive" and the input is derived
+    const [exactOutput, setExactOutput] = useState(false);
+    const [isQuoting, setIsQuoting] = useState(false);
+    const [tradeMode, setTradeMode] = useState('market'); // 'market', 'limit' or 'dca'
+    const [activeDcaPlan, setActiveDcaPlan] = useState(null); // DCA execution loaded into the form
+    const [activeLimitOrder, setActiveLimitOrder] = useState(null); // Triggered limit order loaded into the form
+    const [autoQuote, setAutoQuote] = useState(false);
 
     // Hooks must be called unconditionally at the top level
     const account = useAccount();
     const chainId = useChainId();
+    const publicClient = usePublicClient();
+    const { formatFiat } = useCurrency();
     
     // Safely get address from account
     const address = account?.address || null;
@@ -218,6 +248,16 @@ const MobileSwapBox = () => {
 
     // Referral code validation is handled by ReferralInput component
 
+    // Native tokens are routed through their wrapped version (WETH, WBNB, ...)
+    const getRoutableAddress = useCallback((token) => {
+        if (!token || token.empty) return null;
+        if (token.address !== 'ETH' && token.symbol !== 'ETH' && token.symbol !== 'BNB') {
+            return token.address;
+        }
+        const wrapped = chainInfo?.weth?.address || findTokenBySymbol(chainId, `W${token.symbol}`)?.address;
+        return wrapped || token.address;
+    }, [chainInfo, chainId]);
+
     const tokenParams = useMemo(() => {
         if (!chainInfo || !chainId) return null;
         
@@ -235,73 +275,71 @@ const MobileSwapBox = () => {
     }, [chainId, selectedToken1, selectedToken2, amount1, chainInfo]);
 
     const fetchAmountOut = useCallback(async (params) => {
+        // Quotes come from every registered source (Mango API, on-chain router, ...)
+        // and the best one is returned in the legacy { buyAmount } shape.
+        // When every source fails, an on-chain reserve estimate is used instead.
         try {
-            const resp = await axios.get(`https://38654yedpe.execute-api.ca-central-1.amazonaws.com/amountOut`, { params });
-            return resp.data;
+            const { best } = await quoteAggregator.getQuotes({
+                ...params,
+                buyTokenDecimals: selectedToken2.decimals || 18,
+            }, { publicClient });
+            if (!best) return null;
+            return {
+                buyAmount: best.amountOut,
+                source: best.source,
+                sourceLabel: best.sourceLabel,
+                isEstimate: best.isEstimate,
+                priceImpact: best.priceImpact,
+                quote: best,
+            };
         } catch (e) {
-            // Note: Browser console will still show CORS errors (browser security feature)
-            // but we handle them gracefully by returning null
-            // These errors are expected when API is unavailable or CORS is not configured
-            if (e.code === 'ERR_NETWORK' || 
-                e.message?.includes('CORS') || 
-                e.response?.status === 404 ||
-                e.message?.includes('Network Error')) {
-                // Silently handle CORS/network errors - they're expected in development
-                return null;
-            }
-            // Only log unexpected errors
             console.error('Unexpected error fetching amount out:', e);
             return null;
         }
-    }, []);
+    }, [selectedToken2, publicClient]);
 
     const settingToken1Price = useCallback(async () => {
-        if (selectedToken1.symbol === "BUSDT" || selectedToken1.symbol === 'USDC' || selectedToken1.symbol === 'USDT') {
-            setToken1Price(1);
-            setRealToken1Price(1);
-        } else {
-            // Try to get price from CoinGecko first
-            try {
-                const coingeckoPrice = await getTokenPrice(selectedToken1.symbol);
-                if (coingeckoPrice) {
-                    setRealToken1Price(coingeckoPrice);
-                    setToken1Price(coingeckoPrice);
-                    return;
-                }
-            } catch (error) {
-                console.warn('Failed to fetch price from CoinGecko, falling back to DEX:', error);
+        // Stablecoins are priced like any other token so a depeg shows up in USD values
+        try {
+            const oraclePrice = await getTokenPrice(selectedToken1.symbol, { chainId });
+            if (oraclePrice) {
+                setRealToken1Price(oraclePrice);
+                setToken1Price(oraclePrice);
+                return;
             }
+        } catch (error) {
+            console.warn('Failed to fetch price from the price oracle, falling back to DEX:', error);
+        }
 
-            // Fallback to DEX price calculation
-            if (!chainInfo || !tokenParams) return;
+        // Fallback to DEX price calculation
+        if (!chainInfo || !tokenParams) return;
 
-            const wethAddress = chainId !== 56 && chainInfo.weth?.address;
-            tokenParams.sellTokenAddress = selectedToken1.symbol === "ETH" && wethAddress
-                ? wethAddress
-                : selectedToken1.address;
-            
-            const usdcAddress = chainInfo.usdc?.address;
-            if (!usdcAddress) return;
-            
-            tokenParams.buyTokenAddress = usdcAddress;
-            tokenParams.amountToSell = 1 * 10 ** 18;
+        const wethAddress = chainId !== 56 && chainInfo.weth?.address;
+        tokenParams.sellTokenAddress = selectedToken1.symbol === "ETH" && wethAddress
+            ? wethAddress
+            : selectedToken1.address;
+        
+        const usdcAddress = chainInfo.usdc?.address;
+        if (!usdcAddress) return;
+        
+        tokenParams.buyTokenAddress = usdcAddress;
+        tokenParams.amountToSell = 1 * 10 ** 18;
 
-            let resp = await fetchAmountOut(tokenParams);
-            
-            if (!resp || !resp.buyAmount) {
-                setToken1Price(0);
-                setRealToken1Price(0);
-                return;
-            }
-            
-            const usdcDecimals = chainInfo.usdc?.decimals || 6;
-            const amountBack = resp.buyAmount / 10 ** usdcDecimals;
-            const stringAmount = amountBack.toString();
-            const index = stringAmount.indexOf('.');
-            const amount = stringAmount.slice(0, index + 3);
-            setToken1Price(amount);
-            setRealToken1Price(parseFloat(amount));
+        let resp = await fetchAmountOut(tokenParams);
+        
+        if (!resp || !resp.buyAmount) {
+            setToken1Price(0);
+            setRealToken1Price(0);
+            return;
         }
+        
+        const usdcDecimals = chainInfo.usdc?.decimals || 6;
+        const amountBack = resp.buyAmount / 10 ** usdcDecimals;
+        const stringAmount = amountBack.toString();
+        const index = stringAmount.indexOf('.');
+        const amount = stringAmount.slice(0, index + 3);
+        setToken1Price(amount);
+        setRealToken1Price(parseFloat(amount));
     }, [selectedToken1, chainInfo, tokenParams, chainId, fetchAmountOut]);
 
     useEffect(() => {
@@ -314,6 +352,9 @@ const MobileSwapBox = () => {
         const value = e.target.value;
         if (/^\d*\.?\d*$/.test(value)) {
             setAmount1(value);
+            setExactOutput(false);
+            setActiveDcaPlan(null);
+            setActiveLimitOrder(null);
             setUsdAmount(value * token1Price);
             
             if (value && chainId) {
@@ -329,6 +370,16 @@ const MobileSwapBox = () => {
         }
     }, [token1Price, chainId]);
 
+    const handleAmount2Change = useCallback((e) => {
+        const value = e.target.value;
+        if (/^\d*\.?\d*$/.test(value)) {
+            setOutputAmount(value);
+            setExactOutput(true);
+            setActiveDcaPlan(null);
+            setActiveLimitOrder(null);
+        }
+    }, []);
+
     useEffect(() => {
         if (amount1 && token1Price) {
             const usdValue = amount1 * token1Price;
@@ -336,11 +387,164 @@ const MobileSwapBox = () => {
         }
     }, [amount1, token1Price]);
 
+    const clearQuote = useCallback(() => {
+        setPriceImpact(0);
+        setFeeBreakdown(null);
+        setQuoteSource(null);
+        setQuoteIsEstimate(false);
+        setQuotedAt(null);
+        setQuotedAmountOut(null);
+        setQuotedAmountIn(null);
+    }, []);
+
+    // Exact-output quote: derive the required input (Mango fee included) for the
+    // typed output from a reverse quote.
+    // A re-quote before submit leaves "You Pay" and the accepted price alone.
+    const requestReverseQuote = useCallback(async ({ requote = false } = {}) => {
+        if (!outputAmount || !tokenParams || !selectedToken1.address || !selectedToken2.address) return null;
+
+        setIsQuoting(true);
+        try {
+            const amountOut = parseUnits(outputAmount, selectedToken2.decimals || 18);
+            if (amountOut <= 0n) return null;
+
+            const tokenIn = getRoutableAddress(selectedToken1);
+            const tokenOut = getRoutableAddress(selectedToken2);
+
+            // Reserve math only seeds the input: that input is then priced like any
+            // forward swap (Mango API, router, ...) and raised once if it falls short
+            const estimate = await getOnChainReverseQuote({
+                publicClient,
+                chainId,
+                tokenIn,
+                tokenOut,
+                amountOut,
+            });
+            let amountIn = estimate?.amountIn ? BigInt(estimate.amountIn) : null;
+            let forward = null;
+            if (amountIn) {
+                const priceInput = (input) => fetchAmountOut({
+                    ...tokenParams,
+                    amountToSell: input.toString(),
+                });
+                forward = await priceInput(amountIn);
+                const forwardOut = toBigIntAmount(forward?.buyAmount);
+                if (forwardOut && forwardOut < amountOut) {
+                    amountIn = (amountIn * amountOut + forwardOut - 1n) / forwardOut;
+                    forward = await priceInput(amountIn);
+                }
+            }
+            const resp = forward?.buyAmount
+                ? {
+                    amountIn: amountIn.toString(),
+                    amountOut: toBigIntAmount(forward.buyAmount).toString(),
+                    priceImpact: forward.priceImpact ?? estimate.priceImpact,
+                }
+                : null;
+            setQuoteSource(forward?.sourceLabel || null);
+            setQuoteIsEstimate(!!forward?.isEstimate);
+            if (!resp) {
+                setQuotedAt(null);
+                if (!requote) {
+                    setQuotedAmountOut(null);
+                    setQuotedAmountIn(null);
+                }
+                return null;
+            }
+
+            const requiredAmount = formatUnits(BigInt(resp.amountIn), selectedToken1.decimals || 18);
+            if (!requote) {
+                setAmount1(requiredAmount);
+                setQuotedAmountIn(resp.amountIn);
+                setQuotedAmountOut(resp.amountOut);
+            }
+            setQuotedAt(Date.now());
+
+            const inputPrice = realToken1Price || token1Price;
+            const outputPrice = await getTokenPrice(selectedToken2.symbol, { chainId });
+            // Without both prices there is no price impact to show
+            const impact = resp.priceImpact ?? (inputPrice && outputPrice
+                ? calculatePriceImpact(parseFloat(requiredAmount), parseFloat(outputAmount), inputPrice, outputPrice)
+                : null);
+            setPriceImpact(impact);
+
+            return {
+                amountIn: resp.amountIn,
+                amountOut: resp.amountOut,
+                priceImpact: impact,
+            };
+        } finally {
+            setIsQuoting(false);
+        }
+    }, [outputAmount, tokenParams, selectedToken1, selectedToken2, chainId, publicClient, getRoutableAddress, fetchAmountOut, realToken1Price, token1Price]);
+
+    // Fetch a fresh quote and restart its expiry countdown.
+    // Returns { amountOut, priceImpact } so callers (blur, auto-refresh,
+    // SwapButton's re-quote before submit) can act on the new price.
+    const requestQuote = useCallback(async ({ requote = false } = {}) => {
+        if (exactOutput) return requestReverseQuote({ requote });
+        if (!amount1 || !tokenParams || !selectedToken1.address || !selectedToken2.address) return null;
+
+        setIsQuoting(true);
+        try {
+            const resp = await fetchAmountOut(tokenParams);
+            setQuoteSource(resp?.sourceLabel || null);
+            setQuoteIsEstimate(!!resp?.isEstimate);
+            if (!resp?.buyAmount) {
+                setQuotedAt(null);
+                if (!requote) {
+                    setQuotedAmountOut(null);
+                }
+                return null;
+            }
+
+            const amountBack = resp.buyAmount / 10 ** (!selectedToken2.decimals ? 18 : selectedToken2.decimals);
+            const stringAmount = amountBack.toString();
+            const index = stringAmount.indexOf('.');
+            setOutputAmount(stringAmount.slice(0, index + 3));
+            if (!requote) {
+                setQuotedAmountOut(String(resp.buyAmount));
+            }
+            setQuotedAt(Date.now());
+
+            // Calculate price impact
+            const token1Price = realToken1Price || token1Price;
+            const token2Price = await getTokenPrice(selectedToken2.symbol, { chainId });
+            // Reserve-based quotes carry their own price impact; without both prices there is none to show
+            const impact = resp.priceImpact ?? (token1Price && token2Price
+                ? calculatePriceImpact(parseFloat(amount1), parseFloat(amountBack), token1Price, token2Price)
+                : null);
+            setPriceImpact(impact);
+
+            return {
+                amountOut: String(resp.buyAmount),
+                priceImpact: impact,
+            };
+        } finally {
+            setIsQuoting(false);
+        }
+    }, [exactOutput, requestReverseQuote, amount1, selectedToken1, selectedToken2, chainId, fetchAmountOut, tokenParams, realToken1Price, token1Price]);
+
+    // Validate price impact
+    const reportPriceImpact = useCallback((impact) => {
+        const impactValidation = validatePriceImpact(impact);
+        if (impactValidation.severity === 'danger') {
+            setError({
+                message: impactValidation.message,
+                severity: 'error',
+            });
+        } else if (impactValidation.severity === 'warning') {
+            setError({
+                message: impactValidation.message,
+                severity: 'warning',
+            });
+        }
+    }, []);
+
     const handleBlur = useCallback(async () => {
         if (!amount1) {
             setMinimumAmountError(null);
-            setPriceImpact(0);
-            setFeeBreakdown(null);
+            clearQuote();
             return;
         }
         
@@ -357,37 +561,9 @@ const MobileSwapBox = () => {
         
         if (selectedToken1.address && selectedToken2.address) {
             try {
-                const resp = await fetchAmountOut(tokenParams);
-                if (resp?.buyAmount) {
-                    const amountBack = resp.buyAmount / 10 ** (!selectedToken2.decimals ? 18 : selectedToken2.decimals);
-                    const stringAmount = amountBack.toString();
-                    const index = stringAmount.indexOf('.');
-                    setOutputAmount(stringAmount.slice(0, index + 3));
-                    
-                    // Calculate price impact
-                    const token1Price = realToken1Price || token1Price;
-                    const token2Price = await getTokenPrice(selectedToken2.symbol) || 1;
-                    const impact = calculatePriceImpact(
-                        parseFloat(amount1),
-                        parseFloat(amountBack),
-                        token1Price,
-                        token2Price
-                    );
-                    setPriceImpact(impact);
-                    
-                    // Validate price impact
-                    const impactValidation = validatePriceImpact(impact);
-                    if (impactValidation.severity === 'danger') {
-                        setError({
-                            message: impactValidation.message,
-                            severity: 'error',
-                        });
-                    } else if (impactValidation.severity === 'warning') {
-                        setError({
-                            message: impactValidation.message,
-                            severity: 'warning',
-                        });
-                    }
+                const quote = await requestQuote();
+                if (quote) {
+                    reportPriceImpact(quote.priceImpact);
                     
                     // Calculate fee breakdown
                     if (address && amount1) {
@@ -406,11 +582,193 @@ const MobileSwapBox = () => {
                 });
             }
         }
-    }, [amount1, selectedToken1, selectedToken2, fetchAmountOut, tokenParams, chainId, address, realToken1Price, token1Price]);
+    }, [amount1, selectedToken1, selectedToken2, chainId, address, requestQuote, clearQuote, reportPriceImpact]);
+
+    // Typing in "You Receive" quotes in reverse and fills in "You Pay"
+    const handleOutputBlur = useCallback(async () => {
+        if (!outputAmount) {
+            setMinimumAmountError(null);
+            clearQuote();
+            return;
+        }
+        if (!selectedToken1.address || !selectedToken2.address) return;
+
+        try {
+            const quote = await requestReverseQuote();
+            if (!quote) {
+                setError({ message: `Not enough liquidity to receive ${outputAmount} ${selectedToken2.symbol}`, severity: 'warning' });
+                return;
+            }
+
+            const requiredAmount = formatUnits(BigInt(quote.amountIn), selectedToken1.decimals || 18);
+            if (chainId) {
+                const validation = checkMinimumAmount(chainId, requiredAmount, 'swap');
+                if (!validation.isValid) {
+                    setMinimumAmountError(validation.message);
+                    setError({ message: validation.message, severity: 'warning' });
+                    return;
+                }
+                setMinimumAmountError(null);
+            }
+
+            reportPriceImpact(quote.priceImpact);
+
+            if (address) {
+                const feeData = await getFeeBreakdown(parseFloat(requiredAmount), address, chainId);
+                setFeeBreakdown(feeData);
+            }
+        } catch (e) {
+            console.error('Error in handleOutputBlur:', e);
+            const formattedError = formatErrorForDisplay(e, chainId);
+            setError({
+                message: formattedError.message,
+                title: formattedError.title || 'Error Fetching Quote',
+                suggestion: formattedError.suggestion,
+                severity: 'warning',
+            });
+        }
+    }, [outputAmount, selectedToken1, selectedToken2, chainId, address, requestReverseQuote, clearQuote, reportPriceImpact]);
+
+    // Quotes expire after a configurable number of seconds/blocks and refresh
+    // in the background; a failed refresh clears the quote and stops the countdown
+    const refreshQuote = useCallback(async () => {
+        try {
+            await requestQuote();
+        } catch (e) {
+            console.warn('Failed to refresh quote:', e);
+        }
+    }, [requestQuote]);
+
+    const { secondsLeft: quoteSecondsLeft } = useQuoteExpiry({
+        chainId,
+        quotedAt,
+        onExpire: refreshQuote,
+        enabled: (exactOutput ? !!outputAmount : !!amount1) && !isQuoting,
+    });
+
+    // Prompt the user when one of their limit orders reaches its target price
+    const {
+        triggeredOrders,
+        dismiss: dismissLimitOrder,
+        check: checkLimitOrders,
+    } = useLimitOrderWatcher(address, chainId, { publicClient });
+
+    // Load a triggered limit order into the market swap form
+    const executeLimitOrder = useCallback((order) => {
+        const tokenIn = findTokenByAddress(order.chainId, order.tokenIn.address) || order.tokenIn;
+        const tokenOut = findTokenByAddress(order.chainId, order.tokenOut.address) || order.tokenOut;
+        setTradeMode('market');
+        setSelectedToken1(tokenIn);
+        setSelectedToken2(tokenOut);
+        setAmount1(order.amountIn);
+        setExactOutput(false);
+        setActiveDcaPlan(null);
+        setActiveLimitOrder({ id: order.id, targetPrice: order.targetPrice, tokenIn: order.tokenIn, tokenOut: order.tokenOut });
+        setAutoQuote(true);
+    }, []);
+
+    // Orders can be executed from the Limit Orders tab via ?limitOrder=<id>
+    useEffect(() => {
+        if (!address || !chainId) return;
+        const orderId = new URLSearchParams(window.location.search).get('limitOrder');
+        if (!orderId) return;
+
+        const order = getLimitOrders(address, chainId).find(item => item.id === orderId);
+        if (order && order.status === LIMIT_ORDER_STATUS.TRIGGERED) {
+            executeLimitOrder(order);
+        }
+    }, [address, chainId, executeLimitOrder]);
+
+    // Due DCA executions show up as pending actions
+    const {
+        plans: dcaPlans,
+        dueExecutions: dueDcaExecutions,
+        refresh: refreshDcaPlans,
+    } = useDcaSchedule(address, chainId, { publicClient });
+
+    // Load a due DCA execution into the market swap form; SwapButton records
+    // the fill with the plan's dcaPlanId and swaps with its max slippage
+    const executeDcaPlan = useCallback((plan) => {
+        const tokenIn = findTokenByAddress(plan.chainId, plan.tokenIn.address) || plan.tokenIn;
+        const tokenOut = findTokenByAddress(plan.chainId, plan.tokenOut.address) || plan.tokenOut;
+        setTradeMode('market');
+        setSelectedToken1(tokenIn);
+        setSelectedToken2(tokenOut);
+        setAmount1(plan.amountPerExecution);
+        setExactOutput(false);
+        setActiveLimitOrder(null);
+        setActiveDcaPlan({ id: plan.id, maxSlippage: plan.maxSlippage });
+        setAutoQuote(true);
+    }, []);
+
+    // The swap loaded from a limit order was confirmed: only now is the order executed
+    const handleSwapSuccess = useCallback(() => {
+        if (activeLimitOrder) {
+            markLimitOrderExecuted(activeLimitOrder.id);
+            setActiveLimitOrder(null);
+            checkLimitOrders();
+        }
+        // SwapButton has recorded the fill, the plan's next execution is not due yet
+        if (activeDcaPlan) {
+            setActiveDcaPlan(null);
+            refreshDcaPlans();
+        }
+    }, [activeLimitOrder, checkLimitOrders, activeDcaPlan, refreshDcaPlans]);
+
+    const skipDuePlan = useCallback((plan) => {
+        skipDcaExecution(plan.id);
+        setActiveDcaPlan(null);
+        refreshDcaPlans();
+    }, [refreshDcaPlans]);
+
+    useEffect(() => {
+        if (autoQuote && amount1 && tokenParams) {
+            setAutoQuote(false);
+            handleBlur();
+        }
+    }, [autoQuote, amount1, tokenParams, handleBlur]);
+
+    // The user accepted a re-quote that moved beyond slippage; it becomes the new baseline
+    const acceptQuote = useCallback((update) => {
+        setQuotedAmountOut(update.amountOut);
+        if (exactOutput && update.amountIn) {
+            setQuotedAmountIn(update.amountIn);
+            setAmount1(formatUnits(BigInt(update.amountIn), selectedToken1.decimals || 18));
+        }
+    }, [exactOutput, selectedToken1]);
+
+    // A depegged stablecoin in the pair swaps with the widened slippage (DCA plans keep their own cap)
+    const depegSlippage = useMemo(() => {
+        if (depeggedStablecoins.length === 0) return null;
+        return getRecommendedSlippage(chainId, priceImpact, depeggedStablecoins);
+    }, [chainId, priceImpact, depeggedStablecoins]);
+
+    const swapQuote = useMemo(() => {
+        if (!quotedAmountOut) return null;
+        return {
+            amountOut: quotedAmountOut,
+            // Exact-output swaps bound the input instead of the output
+            amountIn: exactOutput ? quotedAmountIn : null,
+            exactOutput,
+            // A limit order only fills at its target price or better
+            minAmountOut: activeLimitOrder ? getLimitOrderMinAmountOut(activeLimitOrder, amount1)?.toString() || null : null,
+            requote: () => requestQuote({ requote: true }),
+            accept: acceptQuote,
+        };
+    }, [quotedAmountOut, quotedAmountIn, exactOutput, requestQuote, acceptQuote, activeLimitOrder, amount1]);
+
+    // A new pair needs a new quote
+    useEffect(() => {
+        setQuotedAt(null);
+        setQuotedAmountOut(null);
+        setQuotedAmountIn(null);
+    }, [selectedToken1, selectedToken2]);
 
     const handleTokenSelect = useCallback((token) => {
         const setter = isSelectingToken1 ? setSelectedToken1 : setSelectedToken2;
         setter(token);
+        setActiveDcaPlan(null);
+        setActiveLimitOrder(null);
         setShowModal(false);
     }, [isSelectingToken1]);
 
@@ -427,6 +785,7 @@ const MobileSwapBox = () => {
     const handleMaxClick = useCallback(() => {
         if (token1Balance) {
             setAmount1(token1Balance);
+            setExactOutput(false);
             setUsdAmount(token1Balance * token1Price);
         }
     }, [token1Balance, token1Price]);
@@ -465,6 +824,13 @@ const MobileSwapBox = () => {
         return (token1Price * parseFloat(rate)).toFixed(2);
     }, [token1Price, rate]);
 
+    // The Mango fee is taken from the input amount
+    const feeValueFormatter = useMemo(() => {
+        const feeTokenPrice = realToken1Price || token1Price;
+        if (!feeTokenPrice) return null;
+        return (amount) => formatFiat(amount * feeTokenPrice, { maximumFractionDigits: 4 });
+    }, [realToken1Price, token1Price, formatFiat]);
+
     return (
         <div className="mobile-swap-container">
             <MobileSwapHeader onMenuClick={() => {
@@ -473,6 +839,63 @@ const MobileSwapBox = () => {
             }} />
             
             <div style={{ paddingBottom: '0', marginBottom: '0', width: '100%', maxWidth: '604px', margin: '0 auto', paddingTop: '0', marginTop: '0' }}>
+                {triggeredOrders.length > 0 && activeLimitOrder?.id !== triggeredOrders[0].id && (
+                    <div className="mobile-limit-order-prompt" role="alert">
+                        <span>
+                            Limit order hit: sell {triggeredOrders[0].amountIn} {triggeredOrders[0].tokenIn.symbol} at
+                            {' '}{Number(triggeredOrders[0].triggeredPrice).toPrecision(6)} {triggeredOrders[0].tokenOut.symbol}
+                        </span>
+                        <div className="mobile-limit-order-prompt-actions">
+                            <button type="button" onClick={() => executeLimitOrder(triggeredOrders[0])}>Execute</button>
+                            <button type="button" onClick={() => dismissLimitOrder(triggeredOrders[0])}>Later</button>
+                        </div>
+                    </div>
+                )}
+
+                {dueDcaExecutions.length > 0 && activeDcaPlan?.id !== dueDcaExecutions[0].id && (
+                    <div className="mobile-limit-order-prompt" role="alert">
+                        <span>
+                            DCA buy due: {dueDcaExecutions[0].amountPerExecution} {dueDcaExecutions[0].tokenIn.symbol} → {dueDcaExecutions[0].tokenOut.symbol}
+                            {' '}({dueDcaExecutions[0].executionsDone + 1} of {dueDcaExecutions[0].totalExecutions})
+                        </span>
+                        <div className="mobile-limit-order-prompt-actions">
+                            <button type="button" onClick={() => executeDcaPlan(dueDcaExecutions[0])}>Execute</button>
+                            <button type="button" onClick={() => skipDuePlan(dueDcaExecutions[0])}>Skip</button>
+                        </div>
+                    </div>
+                )}
+
+                <DepegBanner
+                    chainId={chainId}
+                    symbols={[selectedToken1?.symbol, selectedToken2?.symbol]}
+                    onDepegChange={setDepeggedStablecoins}
+                    slippage={depegSlippage}
+                />
+
+                <div className="mobile-swap-mode-toggle">
+                    <button
+                        type="button"
+                        className={`mobile-swap-mode ${tradeMode === 'market' ? 'active' : ''}`}
+                        onClick={() => setTradeMode('market')}
+                    >
+                        Market
+                    </button>
+                    <button
+                        type="button"
+                        className={`mobile-swap-mode ${tradeMode === 'limit' ? 'active' : ''}`}
+                        onClick={() => setTradeMode('limit')}
+                    >
+                        Limit
+                    </button>
+                    <button
+                        type="button"
+                        className={`mobile-swap-mode ${tradeMode === 'dca' ? 'active' : ''}`}
+                        onClick={() => setTradeMode('dca')}
+                    >
+                        DCA
+                    </button>
+                </div>
+
                 <div className="mobile-swap-unified-card">
                     <MobileSwapCard
                         label="You Pay"
@@ -502,6 +925,7 @@ const MobileSwapBox = () => {
                                 setSelectedToken2(temp);
                                 const tempAmount = amount1;
                                 setAmount1(amount2);
+                                setExactOutput(false);
                                 setAmount2(tempAmount);
                             }}
                         >
@@ -522,30 +946,78 @@ const MobileSwapBox = () => {
                         usdValue={outputAmount * (token1Price * (rate || 1))}
                         balance={token2Bal}
                         onTokenClick={handleToken2Click}
-                        readOnly={true}
+                        onAmountChange={handleAmount2Change}
+                        onAmountBlur={handleOutputBlur}
+                        readOnly={tradeMode !== 'market'}
                         placeholder={outputAmount || '0'}
                         chainInfo={chainInfo}
                         userAddress={address}
                         isUnified={true}
+                        quoteSecondsLeft={quoteSecondsLeft}
+                        isQuoteRefreshing={isQuoting}
+                        onRefreshQuote={refreshQuote}
                     />
                 </div>
 
+                <PairPriceChart
+                    chainId={chainId}
+                    address={address}
+                    baseToken={selectedToken1}
+                    quoteToken={selectedToken2}
+                    executionPrice={rate}
+                />
+
                 <div className="mobile-swap-transaction-details-wrapper">
                     <MobileTransactionDetails
                         fee={fee}
                         feeToken={selectedToken2?.symbol}
                         rate={rate}
                         rateToken={selectedToken1?.symbol}
-                        rateUSD={rateUSD}
-                        feeBreakdown={feeBreakdown ? formatFeeForDisplay(feeBreakdown, selectedToken2?.symbol) : null}
+                        rateFiat={rateUSD ? formatFiat(rateUSD, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : null}
+                        feeBreakdown={feeBreakdown ? formatFeeForDisplay(feeBreakdown, selectedToken2?.symbol, feeValueFormatter) : null}
                         priceImpact={priceImpact}
                         slippageWarning={slippageWarning}
+                        quoteSource={quoteSource}
+                        quoteIsEstimate={quoteIsEstimate}
                     />
                 </div>
 
                 {/* Swap Button - Always visible */}
                 <div style={{ position: 'static', marginTop: '0', marginBottom: '0', paddingTop: '0', paddingBottom: '0' }}>
-                    {address && (
+                    {address && tradeMode === 'limit' && (
+                        <LimitOrderForm
+                            token0={selectedToken1}
+                            token1={selectedToken2}
+                            amount={amount1}
+                            marketRate={rate}
+                            address={address}
+                            chainId={chainId}
+                            onOrderCreated={(order) => {
+                                setSuccessMessage(`Limit order placed: sell ${order.amountIn} ${order.tokenIn.symbol} at ${order.targetPrice} ${order.tokenOut.symbol}`);
+                                checkLimitOrders();
+                            }}
+                            onError={setError}
+                        />
+                    )}
+                    {address && tradeMode === 'dca' && (
+                        <DcaPlanner
+                            token0={selectedToken1}
+                            token1={selectedToken2}
+                            amount={amount1}
+                            address={address}
+                            chainId={chainId}
+                            plans={dcaPlans}
+                            defaultSlippage={chainInfo?.slippageSettings?.default || 0.5}
+                            onPlansChange={refreshDcaPlans}
+                            onError={setError}
+                        />
+                    )}
+                    {address && tradeMode === 'market' && activeDcaPlan && (
+                        <div className="mobile-limit-order-hint mobile-dca-active">
+                            DCA execution · max slippage {activeDcaPlan.maxSlippage}%
+                        </div>
+                    )}
+                    {address && tradeMode === 'market' && (
                         <div 
                             className="mobile-swap-pick-button-wrapper"
                             ref={(el) => {
@@ -568,6 +1040,10 @@ const MobileSwapBox = () => {
                                 chatId={chatId} 
                                 referrer={referrerCode} 
                                 chainInfo={chainInfo} 
+                                quote={swapQuote}
+                                dcaPlan={activeDcaPlan}
+                                slippage={depegSlippage}
+                                onSwapSuccess={handleSwapSuccess}
                             />
                         </div>
                     )}
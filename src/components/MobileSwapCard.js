@@ -1,5 +1,6 @@
 import React from 'react';
 import MobileTokenSelector from './MobileTokenSelector';
+import { useCurrency } from '../hooks/useCurrency';
 import './css/SwapMobile.css';
 
 const MobileSwapCard = ({
@@ -17,8 +18,13 @@ const MobileSwapCard = ({
     onMaxClick,
     chainInfo,
     userAddress,
-    isUnified = false
+    isUnified = false,
+    quoteSecondsLeft = null,
+    isQuoteRefreshing = false,
+    onRefreshQuote
 }) => {
+    const { formatFiat } = useCurrency();
+
     const formatBalance = (bal) => {
         if (!bal || parseFloat(bal) === 0) return '0.00e+0';
         const num = parseFloat(bal);
@@ -50,6 +56,25 @@ const MobileSwapCard = ({
         <div className="mobile-swap-card">
             <div className="mobile-swap-card-label">
                 <span>{label}</span>
+                {quoteSecondsLeft !== null && quoteSecondsLeft !== undefined && (
+                    <button
+                        type="button"
+                        className={`mobile-swap-quote-countdown${quoteSecondsLeft === 0 ? ' expired' : ''}`}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            e.preventDefault();
+                            if (onRefreshQuote && !isQuoteRefreshing) onRefreshQuote();
+                        }}
+                        disabled={isQuoteRefreshing}
+                        title="Refresh quote"
+                    >
+                        {isQuoteRefreshing
+                            ? 'Refreshing quote…'
+                            : quoteSecondsLeft === 0
+                                ? 'Quote expired ↻'
+                                : `Quote refreshes in ${quoteSecondsLeft}s ↻`}
+                    </button>
+                )}
                 {balance && (
                     <div className="mobile-swap-meta-right">
                         <span className="mobile-swap-mini-wallet">👜</span>
@@ -101,12 +126,7 @@ const MobileSwapCard = ({
                     )}
                     {usdValue !== undefined && usdValue !== null && usdValue > 0 && (
                         <div className="mobile-swap-usd-value">
-                            ≈ {usdValue.toLocaleString('en-US', { 
-                                style: 'currency', 
-                                currency: 'USD',
-                                minimumFractionDigits: 2,
-                                maximumFractionDigits: 2
-                            })}
+                            ≈ {formatFiat(usdValue, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                         </div>
                     )}
                 </div>
@@ -6,10 +6,12 @@ const MobileTransactionDetails = ({
     feeToken, 
     rate, 
     rateToken, 
-    rateUSD,
+    rateFiat,
     feeBreakdown,
     priceImpact,
-    slippageWarning
+    slippageWarning,
+    quoteSource,
+    quoteIsEstimate
 }) => {
     const [showFeeBreakdown, setShowFeeBreakdown] = useState(false);
     
@@ -18,6 +20,11 @@ const MobileTransactionDetails = ({
             {fee !== undefined && fee !== null && parseFloat(fee) > 0 && (
                 <div className="mobile-swap-fee">
                     Fee: <span>{fee}</span> <span>{feeToken || ''}</span>
+                    {feeBreakdown?.fiat && (
+                        <span className="mobile-swap-fee-fiat" style={{ color: '#7A7A7A', marginLeft: '4px' }}>
+                            (≈ {feeBreakdown.fiat.total})
+                        </span>
+                    )}
                     {feeBreakdown && feeBreakdown.discount && (
                         <span className="mobile-swap-fee-discount" style={{ color: '#4CAF50', fontSize: '12px', marginLeft: '8px' }}>
                             (Save {feeBreakdown.discount})
@@ -58,9 +65,15 @@ const MobileTransactionDetails = ({
                             </span>
                         )}
                     </div>
-                    <div style={{ marginBottom: '2px' }}>Graphics: {feeBreakdown.graphics}</div>
-                    <div style={{ marginBottom: '2px' }}>Corporation: {feeBreakdown.corporation}</div>
-                    <div>Referral: {feeBreakdown.referral}</div>
+                    <div style={{ marginBottom: '2px' }}>
+                        Graphics: {feeBreakdown.graphics}{feeBreakdown.fiat ? ` (≈ ${feeBreakdown.fiat.graphics})` : ''}
+                    </div>
+                    <div style={{ marginBottom: '2px' }}>
+                        Corporation: {feeBreakdown.corporation}{feeBreakdown.fiat ? ` (≈ ${feeBreakdown.fiat.corporation})` : ''}
+                    </div>
+                    <div>
+                        Referral: {feeBreakdown.referral}{feeBreakdown.fiat ? ` (≈ ${feeBreakdown.fiat.referral})` : ''}
+                    </div>
                 </div>
             )}
             
@@ -99,7 +112,19 @@ const MobileTransactionDetails = ({
             
             {rate !== undefined && rate !== null && parseFloat(rate) > 0 && (
                 <div className="mobile-swap-rate">
-                    1 {rateToken || ''} = {rate} {rateUSD ? `(${rateUSD} USD)` : ''}
+                    1 {rateToken || ''} = {rate} {rateFiat ? `(${rateFiat})` : ''}
+                </div>
+            )}
+            
+            {quoteSource && !quoteIsEstimate && (
+                <div className="mobile-swap-quote-source" style={{ marginTop: '4px', fontSize: '11px', color: '#888888' }}>
+                    Best quote via {quoteSource}
+                </div>
+            )}
+            
+            {quoteIsEstimate && (
+                <div className="mobile-swap-quote-estimate" style={{ marginTop: '4px', fontSize: '11px', color: '#FF9800' }}>
+                    On-chain estimate — final amount may differ
                 </div>
             )}
         </div>
@@ -0,0 +1,219 @@
+/**
+ * PairPriceChart Component
+ *
+ * Collapsible price chart for the swap pair: the price of the pay token in the
+ * receive token, built from the price history service. Marks the user's past
+ * swaps of the pair and compares the current quote with the market price.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { getPairPriceHistory } from '../services/priceHistory';
+import { getTokenPrices } from '../services/priceOracle';
+import { getPairSwaps } from '../services/transactionHistory';
+
+// Button label -> price history range
+const CHART_RANGES = [
+    { label: '1H', range: '1h' },
+    { label: '1D', range: '1d' },
+    { label: '1W', range: '7d' },
+    { label: '1M', range: '30d' },
+];
+
+const CHART_WIDTH = 300;
+const CHART_HEIGHT = 120;
+const CHART_PADDING = 6;
+
+const formatPrice = (price) => Number(price).toPrecision(6);
+
+const PairPriceChart = ({ chainId, address, baseToken, quoteToken, executionPrice }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [range, setRange] = useState('1d');
+    const [candles, setCandles] = useState([]);
+    const [marketPrice, setMarketPrice] = useState(null);
+    const [isLoading, setIsLoading] = useState(false);
+
+    const baseSymbol = baseToken?.symbol;
+    const quoteSymbol = quoteToken?.symbol;
+    const hasPair = Boolean(baseSymbol && quoteSymbol && baseSymbol !== quoteSymbol);
+
+    useEffect(() => {
+        if (!isOpen || !hasPair) return undefined;
+
+        let cancelled = false;
+        const loadHistory = async () => {
+            setIsLoading(true);
+            try {
+                const history = await getPairPriceHistory(baseSymbol, quoteSymbol, range);
+                if (!cancelled) setCandles(history);
+            } catch (error) {
+                console.warn('Failed to load pair price history:', error.message);
+                if (!cancelled) setCandles([]);
+            } finally {
+                if (!cancelled) setIsLoading(false);
+            }
+        };
+
+        loadHistory();
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, hasPair, baseSymbol, quoteSymbol, range]);
+
+    useEffect(() => {
+        if (!isOpen || !hasPair) return undefined;
+
+        let cancelled = false;
+        const loadMarketPrice = async () => {
+            const prices = await getTokenPrices([baseSymbol, quoteSymbol], { chainId });
+            if (!cancelled) {
+                setMarketPrice(prices[baseSymbol] && prices[quoteSymbol] ? prices[baseSymbol] / prices[quoteSymbol] : null);
+            }
+        };
+
+        loadMarketPrice();
+        return () => {
+            cancelled = true;
+        };
+    }, [isOpen, hasPair, baseSymbol, quoteSymbol, chainId]);
+
+    const swaps = useMemo(() => {
+        if (!isOpen || !hasPair || candles.length === 0) return [];
+        return getPairSwaps(address, chainId, baseSymbol, quoteSymbol)
+            .filter(swap => swap.timestamp >= candles[0].timestamp);
+    }, [isOpen, hasPair, candles, address, chainId, baseSymbol, quoteSymbol]);
+
+    const quotePrice = parseFloat(executionPrice) > 0 ? parseFloat(executionPrice) : null;
+
+    const chart = useMemo(() => {
+        if (candles.length < 2) return null;
+
+        const startTime = candles[0].timestamp;
+        const endTime = Math.max(Date.now(), candles[candles.length - 1].timestamp);
+        const prices = [
+            ...candles.map(candle => candle.close),
+            ...swaps.map(swap => swap.price),
+            ...(quotePrice ? [quotePrice] : []),
+        ];
+        const minPrice = Math.min(...prices);
+        const maxPrice = Math.max(...prices);
+        const priceSpan = maxPrice - minPrice || maxPrice || 1;
+
+        const x = (timestamp) => CHART_PADDING
+            + ((timestamp - startTime) / (endTime - startTime || 1)) * (CHART_WIDTH - 2 * CHART_PADDING);
+        const y = (price) => CHART_HEIGHT - CHART_PADDING
+            - ((price - minPrice) / priceSpan) * (CHART_HEIGHT - 2 * CHART_PADDING);
+
+        return {
+            line: candles.map(candle => `${x(candle.timestamp).toFixed(1)},${y(candle.close).toFixed(1)}`).join(' '),
+            markers: swaps.map(swap => ({ ...swap, cx: x(swap.timestamp), cy: y(swap.price) })),
+            quoteY: quotePrice ? y(quotePrice) : null,
+            minPrice,
+            maxPrice,
+        };
+    }, [candles, swaps, quotePrice]);
+
+    if (!hasPair) return null;
+
+    const quoteVsMarket = quotePrice && marketPrice ? ((quotePrice - marketPrice) / marketPrice) * 100 : null;
+
+    return (
+        <div className="mobile-pair-chart">
+            <button
+                type="button"
+                className="mobile-pair-chart-toggle"
+                aria-expanded={isOpen}
+                onClick={() => setIsOpen(open => !open)}
+            >
+                <span>{baseSymbol}/{quoteSymbol} price</span>
+                <span>{isOpen ? 'Hide' : 'Show'}</span>
+            </button>
+
+            {isOpen && (
+                <div className="mobile-pair-chart-body">
+                    <div className="mobile-pair-chart-ranges">
+                        {CHART_RANGES.map(option => (
+                            <button
+                                key={option.range}
+                                type="button"
+                                className={`mobile-pair-chart-range ${range === option.range ? 'active' : ''}`}
+                                onClick={() => setRange(option.range)}
+                            >
+                                {option.label}
+                            </button>
+                        ))}
+                    </div>
+
+                    {chart ? (
+                        <svg
+                            className="mobile-pair-chart-svg"
+                            viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+                            role="img"
+                            aria-label={`${baseSymbol} price in ${quoteSymbol}`}
+                        >
+                            <polyline className="mobile-pair-chart-line" points={chart.line} fill="none" />
+                            {chart.quoteY !== null && (
+                                <line
+                                    className="mobile-pair-chart-quote-line"
+                                    x1={0}
+                                    x2={CHART_WIDTH}
+                                    y1={chart.quoteY}
+                                    y2={chart.quoteY}
+                                />
+                            )}
+                            {chart.markers.map(marker => {
+                                const label = `${marker.side === 'sell' ? 'Sold' : 'Bought'} ${baseSymbol} at ${formatPrice(marker.price)} ${quoteSymbol}`;
+                                return (
+                                    <circle
+                                        key={marker.txHash}
+                                        className={`mobile-pair-chart-swap ${marker.side}`}
+                                        cx={marker.cx}
+                                        cy={marker.cy}
+                                        r={4}
+                                        aria-label={label}
+                                    >
+                                        <title>{label}</title>
+                                    </circle>
+                                );
+                            })}
+                        </svg>
+                    ) : (
+                        <div className="mobile-pair-chart-empty">
+                            {isLoading ? 'Loading price history...' : 'No price history for this pair'}
+                        </div>
+                    )}
+
+                    {chart && (
+                        <div className="mobile-pair-chart-scale">
+                            <span>Low {formatPrice(chart.minPrice)}</span>
+                            <span>High {formatPrice(chart.maxPrice)}</span>
+                        </div>
+                    )}
+
+                    <div className="mobile-pair-chart-prices">
+                        <div>
+                            Market: {marketPrice ? `1 ${baseSymbol} = ${formatPrice(marketPrice)} ${quoteSymbol}` : '—'}
+                        </div>
+                        {quotePrice && (
+                            <div className="mobile-pair-chart-quote">
+                                Your quote: 1 {baseSymbol} = {formatPrice(quotePrice)} {quoteSymbol}
+                                {quoteVsMarket !== null && (
+                                    <span className={quoteVsMarket < 0 ? 'negative' : 'positive'}>
+                                        {' '}({quoteVsMarket > 0 ? '+' : ''}{quoteVsMarket.toFixed(2)}% vs market)
+                                    </span>
+                                )}
+                            </div>
+                        )}
+                        {swaps.length > 0 && (
+                            <div className="mobile-pair-chart-legend">
+                                <span className="mobile-pair-chart-dot buy" /> Bought
+                                {' '}<span className="mobile-pair-chart-dot sell" /> Sold
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default PairPriceChart;
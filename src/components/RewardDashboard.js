@@ -11,6 +11,8 @@ import { CashCoin, Trophy, Clock, CheckCircle, Download, ArrowClockwise, Wallet
 import { useAccount, useWriteContract, useWaitForTransactionReceipt, useChainId } from 'wagmi';
 import { parseAbi, parseUnits, formatUnits } from 'viem';
 import chainConfig from '../services/chainConfig';
+import { getTokenPrice } from '../services/priceOracle';
+import { useCurrency } from '../hooks/useCurrency';
 import { rewardApi } from '../services/mangoApi';
 import referralWebSocket from '../services/referralWebSocket';
 import ChainStatusBadge from './ChainStatusBadge';
@@ -33,6 +35,8 @@ const RewardDashboard = ({ className = '' }) => {
     const [filterStatus, setFilterStatus] = useState('all');
     const [dateRange, setDateRange] = useState({ start: '', end: '' });
     const [showHistory, setShowHistory] = useState(false);
+    const [mangoPrice, setMangoPrice] = useState(null);
+    const { formatFiat } = useCurrency();
 
     // Transaction receipt
     const { isLoading: isConfirming, isSuccess: isConfirmed } = useWaitForTransactionReceipt({
@@ -42,6 +46,23 @@ const RewardDashboard = ({ className = '' }) => {
         },
     });
 
+    // Fetch MANGO price to show reward totals in the display currency
+    useEffect(() => {
+        let cancelled = false;
+        getTokenPrice('MANGO', { chainId })
+            .then((price) => {
+                if (!cancelled) setMangoPrice(price);
+            })
+            .catch(() => {
+                if (!cancelled) setMangoPrice(null);
+            });
+        return () => {
+            cancelled = true;
+        };
+    }, [chainId]);
+
+    const formatRewardValue = (amount) => formatFiat(amount * mangoPrice, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
     // Fetch rewards
     const fetchRewards = useCallback(async () => {
         if (!address) {
@@ -428,6 +449,7 @@ const RewardDashboard = ({ className = '' }) => {
                             <div>
                                 <Wallet size={16} className="me-2" />
                                 <strong>Claimable Rewards:</strong> {totalClaimable.toFixed(4)} MANGO
+                                {mangoPrice && <span className="ms-1">(≈ {formatRewardValue(totalClaimable)})</span>}
                             </div>
                             <div className="d-flex gap-2">
                                 {Object.keys(claimableRewards).length === 1 ? (
@@ -470,11 +492,13 @@ const RewardDashboard = ({ className = '' }) => {
                         <CashCoin size={24} className="mb-2" />
                         <div className="summary-label">Total Rewards</div>
                         <div className="summary-value">{totalRewards.toFixed(4)} MANGO</div>
+                        {mangoPrice && <div className="summary-fiat">≈ {formatRewardValue(totalRewards)}</div>}
                     </div>
                     <div className="summary-card pending">
                         <Clock size={24} className="mb-2" />
                         <div className="summary-label">Claimable</div>
                         <div className="summary-value">{totalClaimable.toFixed(4)} MANGO</div>
+                        {mangoPrice && <div className="summary-fiat">≈ {formatRewardValue(totalClaimable)}</div>}
                     </div>
                     <div className="summary-card completed">
                         <CheckCircle size={24} className="mb-2" />
@@ -0,0 +1,32 @@
+/**
+ * SwapActivity Component
+ *
+ * Groups the swap history and limit orders under tabs on the /swaps page.
+ */
+
+import React, { useState } from 'react';
+import { Tab, Tabs } from 'react-bootstrap';
+import SwapHistory from './SwapHistory';
+import LimitOrders from './LimitOrders';
+
+const SwapActivity = () => {
+    const [activeTab, setActiveTab] = useState('history');
+
+    return (
+        <Tabs
+            activeKey={activeTab}
+            onSelect={(k) => setActiveTab(k)}
+            className="mb-3"
+            mountOnEnter
+        >
+            <Tab eventKey="history" title="Swap History">
+                <SwapHistory />
+            </Tab>
+            <Tab eventKey="limit-orders" title="Limit Orders">
+                <LimitOrders />
+            </Tab>
+        </Tabs>
+    );
+};
+
+export default SwapActivity;
@@ -0,0 +1,62 @@
+/**
+ * SwapPreview Component
+ *
+ * Shows the result of simulating a swap before it is sent: balance changes,
+ * the Mango fee split and gas cost, or the reason the swap would revert.
+ */
+
+import React from 'react';
+import { Button } from 'react-bootstrap';
+import { formatFeeForDisplay } from '../services/feeService';
+
+const SwapPreview = ({ simulation, tokenIn, onConfirm, onCancel, isSubmitting = false }) => {
+    if (!simulation) return null;
+
+    const fee = simulation.fee ? formatFeeForDisplay(simulation.fee, tokenIn?.symbol || '') : null;
+    const revertMessage = simulation.error?.revertReason || simulation.error?.errorMessage;
+
+    return (
+        <div className="swap-preview" role="dialog" aria-label="Swap preview" style={{ marginBottom: '0.75rem', padding: '0.75rem', borderRadius: '12px', backgroundColor: '#F7F7F7', fontSize: '0.9rem' }}>
+            <div style={{ fontWeight: 600, marginBottom: '0.5rem' }}>
+                Transaction preview{simulation.blockNumber ? ` · block ${simulation.blockNumber.toString()}` : ''}
+            </div>
+
+            {simulation.success ? (
+                <>
+                    {simulation.balanceDeltas.map(delta => (
+                        <div key={delta.token?.address || delta.token?.symbol} className={`swap-preview-delta ${delta.amount < 0n ? 'negative' : 'positive'}`}>
+                            {delta.formatted}
+                        </div>
+                    ))}
+                    {fee && (
+                        <div className="swap-preview-fee" style={{ marginTop: '0.5rem', color: '#7A7A7A' }}>
+                            Fee: {fee.total} (graphics {fee.graphics}, corporation {fee.corporation}, referral {fee.referral})
+                        </div>
+                    )}
+                    <div className="swap-preview-gas" style={{ color: '#7A7A7A' }}>
+                        Network cost: {simulation.gas?.gasCost != null
+                            ? `${simulation.gas.gasCostFormatted} ${simulation.gas.nativeCurrency}`
+                            : 'Unknown'}
+                    </div>
+                </>
+            ) : (
+                <div className="swap-preview-error" style={{ color: '#B00020' }}>
+                    This swap would fail: {revertMessage}
+                </div>
+            )}
+
+            <div style={{ display: 'flex', gap: '0.5rem', marginTop: '0.75rem' }}>
+                {simulation.success && (
+                    <Button variant="dark" size="sm" disabled={isSubmitting} onClick={onConfirm}>
+                        Confirm swap
+                    </Button>
+                )}
+                <Button variant="outline-dark" size="sm" disabled={isSubmitting} onClick={onCancel}>
+                    Cancel
+                </Button>
+            </div>
+        </div>
+    );
+};
+
+export default SwapPreview;
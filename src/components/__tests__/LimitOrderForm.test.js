@@ -0,0 +1,57 @@
+/**
+ * Tests for LimitOrderForm Component
+ *
+ * Tests seeding the target price from the market rate per pair
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import LimitOrderForm from '../LimitOrderForm';
+
+describe('LimitOrderForm Component', () => {
+  const MANGO = { address: '0xMango', decimals: 18, symbol: 'MANGO' };
+  const USDC = { address: '0xUsdc', decimals: 6, symbol: 'USDC' };
+  const WETH = { address: '0xWeth', decimals: 18, symbol: 'WETH' };
+
+  const mockProps = {
+    token0: MANGO,
+    token1: USDC,
+    amount: '100',
+    marketRate: null,
+    address: '0x1234567890123456789012345678901234567890',
+    chainId: 8453,
+  };
+
+  const targetInput = () => screen.getByLabelText(/sell when/i);
+
+  it('should seed the target once the market rate arrives for the pair', () => {
+    const { rerender } = render(<LimitOrderForm {...mockProps} />);
+    expect(targetInput()).toHaveValue('');
+
+    rerender(<LimitOrderForm {...mockProps} marketRate="0.50000" />);
+    expect(targetInput()).toHaveValue('0.50000');
+
+    // Later rates do not overwrite the target
+    rerender(<LimitOrderForm {...mockProps} marketRate="0.60000" />);
+    expect(targetInput()).toHaveValue('0.50000');
+  });
+
+  it('should not seed the new pair with the previous pair\'s rate', () => {
+    const { rerender } = render(<LimitOrderForm {...mockProps} marketRate="0.50000" />);
+    expect(targetInput()).toHaveValue('0.50000');
+
+    rerender(<LimitOrderForm {...mockProps} token1={WETH} marketRate="0.50000" />);
+    expect(targetInput()).toHaveValue('');
+
+    rerender(<LimitOrderForm {...mockProps} token1={WETH} marketRate="0.00020" />);
+    expect(targetInput()).toHaveValue('0.00020');
+  });
+
+  it('should keep a target typed before the market rate arrives', () => {
+    const { rerender } = render(<LimitOrderForm {...mockProps} />);
+    fireEvent.change(targetInput(), { target: { value: '0.7' } });
+
+    rerender(<LimitOrderForm {...mockProps} marketRate="0.50000" />);
+    expect(targetInput()).toHaveValue('0.7');
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for PairPriceChart Component
+ *
+ * Tests collapsing, range selection, past swap markers and the quote
+ * compared with the market price.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PairPriceChart from '../PairPriceChart';
+import { getPairPriceHistory } from '../../services/priceHistory';
+import { getTokenPrices } from '../../services/priceOracle';
+
+jest.mock('../../services/priceHistory');
+jest.mock('../../services/priceOracle');
+
+describe('PairPriceChart Component', () => {
+    const ADDRESS = '0x1234567890123456789012345678901234567890';
+    const HOUR = 60 * 60 * 1000;
+    const NOW = Date.now();
+
+    const candles = [
+        { timestamp: NOW - 3 * HOUR, open: 2000, high: 2000, low: 2000, close: 2000 },
+        { timestamp: NOW - 2 * HOUR, open: 2000, high: 2100, low: 2000, close: 2100 },
+        { timestamp: NOW - HOUR, open: 2100, high: 2100, low: 1900, close: 1900 },
+    ];
+
+    const renderChart = (props = {}) => render(
+        <PairPriceChart
+            chainId={8453}
+            address={ADDRESS}
+            baseToken={{ symbol: 'ETH' }}
+            quoteToken={{ symbol: 'USDC' }}
+            executionPrice="1980.00000"
+            {...props}
+        />
+    );
+
+    beforeEach(() => {
+        localStorage.clear();
+        getPairPriceHistory.mockResolvedValue(candles);
+        getTokenPrices.mockResolvedValue({ ETH: 2000, USDC: 1 });
+    });
+
+    test('should stay collapsed until opened', async () => {
+        renderChart();
+
+        expect(screen.getByText('ETH/USDC price')).toBeInTheDocument();
+        expect(getPairPriceHistory).not.toHaveBeenCalled();
+
+        fireEvent.click(screen.getByRole('button', { name: /ETH\/USDC price/ }));
+
+        expect(await screen.findByRole('img', { name: 'ETH price in USDC' })).toBeInTheDocument();
+        expect(getPairPriceHistory).toHaveBeenCalledWith('ETH', 'USDC', '1d');
+    });
+
+    test('should load the selected range', async () => {
+        renderChart();
+        fireEvent.click(screen.getByRole('button', { name: /ETH\/USDC price/ }));
+        fireEvent.click(screen.getByRole('button', { name: '1W' }));
+
+        await waitFor(() => expect(getPairPriceHistory).toHaveBeenLastCalledWith('ETH', 'USDC', '7d'));
+    });
+
+    test('should compare the quote with the market price', async () => {
+        renderChart();
+        fireEvent.click(screen.getByRole('button', { name: /ETH\/USDC price/ }));
+
+        expect(await screen.findByText('(-1.00% vs market)')).toBeInTheDocument();
+        expect(screen.getByText('Market: 1 ETH = 2000.00 USDC')).toBeInTheDocument();
+        expect(getTokenPrices).toHaveBeenCalledWith(['ETH', 'USDC'], { chainId: 8453 });
+    });
+
+    test('should mark past swaps of the pair in either direction', async () => {
+        localStorage.setItem('swapHistory', JSON.stringify([
+            { txHash: '0xa', userAddress: ADDRESS, chainId: 8453, tokenIn: 'ETH', tokenOut: 'USDC', amountIn: '1', amountOut: '2050', status: 'completed', timestamp: NOW - 2 * HOUR },
+            { txHash: '0xb', userAddress: ADDRESS, chainId: 8453, tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '3800', amountOut: null, expectedAmountOut: '2', status: 'pending', timestamp: NOW - HOUR },
+            { txHash: '0xc', userAddress: ADDRESS, chainId: 8453, tokenIn: 'ETH', tokenOut: 'USDC', amountIn: '1', amountOut: '1000', status: 'failed', timestamp: NOW - HOUR },
+            { txHash: '0xd', userAddress: ADDRESS, chainId: 8453, tokenIn: 'ETH', tokenOut: 'MANGO', amountIn: '1', amountOut: '1000', status: 'completed', timestamp: NOW - HOUR },
+        ]));
+
+        renderChart();
+        fireEvent.click(screen.getByRole('button', { name: /ETH\/USDC price/ }));
+        await screen.findByRole('img', { name: 'ETH price in USDC' });
+
+        expect(screen.getAllByLabelText(/^(Sold|Bought) ETH at/)).toHaveLength(2);
+        expect(screen.getByLabelText('Sold ETH at 2050.00 USDC')).toHaveClass('sell');
+        expect(screen.getByLabelText('Bought ETH at 1900.00 USDC')).toHaveClass('buy');
+    });
+
+    test('should show a notice without history', async () => {
+        getPairPriceHistory.mockResolvedValue([]);
+        renderChart();
+        fireEvent.click(screen.getByRole('button', { name: /ETH\/USDC price/ }));
+
+        expect(await screen.findByText('No price history for this pair')).toBeInTheDocument();
+    });
+
+    test('should render nothing without a pair', () => {
+        const { container } = renderChart({ quoteToken: { empty: true } });
+
+        expect(container).toBeEmptyDOMElement();
+    });
+});
@@ -7,11 +7,14 @@
 import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import SwapButton from '../swapButton';
-import { useWriteContract, useWaitForTransactionReceipt } from 'wagmi';
+import { useWriteContract, useWaitForTransactionReceipt, useAccount, usePublicClient } from 'wagmi';
 import axios from 'axios';
+import { invalidateBalances } from '../../services/balanceService';
+import { createDcaPlan, getDcaPlan } from '../../services/dcaScheduler';
 
 jest.mock('wagmi');
 jest.mock('axios');
+jest.mock('../../services/balanceService', () => ({ invalidateBalances: jest.fn() }));
 
 describe('SwapButton Component', () => {
   const mockWriteContract = jest.fn();
@@ -32,6 +35,13 @@ describe('SwapButton Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     
+    useAccount.mockReturnValue({
+      address: '0x1234567890123456789012345678901234567890',
+      isConnected: true,
+    });
+
+    usePublicClient.mockReturnValue(null);
+
     useWriteContract.mockReturnValue({
       writeContract: mockWriteContract,
       error: null,
@@ -104,6 +114,60 @@ describe('SwapButton Component', () => {
       // a full swap execution flow to test properly.
       expect(screen.getByText(/swap/i)).toBeInTheDocument();
     });
+
+    it('should report the swap only once its transaction is confirmed', async () => {
+      const alertSpy = jest.spyOn(window, 'alert').mockImplementation();
+      const onSwapSuccess = jest.fn();
+      let confirmed = false;
+      useWaitForTransactionReceipt.mockImplementation(({ hash }) => ({
+        isSuccess: !!hash && confirmed,
+        data: confirmed ? { logs: [] } : undefined,
+      }));
+      mockWriteContract.mockImplementation((config, callbacks) => callbacks.onSuccess('0xhash'));
+
+      const { rerender } = render(<SwapButton {...mockProps} onSwapSuccess={onSwapSuccess} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      expect(onSwapSuccess).not.toHaveBeenCalled();
+
+      confirmed = true;
+      rerender(<SwapButton {...mockProps} onSwapSuccess={onSwapSuccess} />);
+
+      await waitFor(() => {
+        expect(onSwapSuccess).toHaveBeenCalledWith(expect.objectContaining({ txHash: '0xhash' }));
+      });
+      expect(JSON.parse(localStorage.getItem('swapHistory'))[0]).toEqual(expect.objectContaining({
+        txHash: '0xhash',
+        status: 'completed',
+      }));
+      expect(invalidateBalances).toHaveBeenCalledWith(8453, '0x1234567890123456789012345678901234567890');
+      alertSpy.mockRestore();
+    });
+
+    it('should keep a submitted DCA execution on its plan until the receipt', async () => {
+      const plan = createDcaPlan({
+        userAddress: '0x1234567890123456789012345678901234567890',
+        chainId: 8453,
+        tokenIn: mockProps.token0,
+        tokenOut: mockProps.token1,
+        amountPerExecution: '1.5',
+        interval: 60 * 60 * 1000,
+        totalExecutions: 2,
+        maxSlippage: 1,
+      });
+      mockWriteContract.mockImplementation((config, callbacks) => callbacks.onSuccess('0xhash'));
+
+      render(<SwapButton {...mockProps} dcaPlan={{ id: plan.id, maxSlippage: 1 }} />);
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(getDcaPlan(plan.id).pendingTxHash).toBe('0xhash');
+      });
+      expect(getDcaPlan(plan.id).executionsDone).toBe(0);
+    });
   });
 
   describe('Disabled States', () => {
@@ -135,6 +199,231 @@ describe('SwapButton Component', () => {
     });
   });
 
+  describe('Token to Token Swaps', () => {
+    it('should send token to token swaps through the router swap with the referrer', async () => {
+      render(
+        <SwapButton
+          {...mockProps}
+          token0={{ address: '0xToken0', decimals: 18, symbol: 'MANGO' }}
+        />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      const [request] = mockWriteContract.mock.calls[0];
+      expect(request.functionName).toBe('swap');
+      expect(request.args).toEqual(['0xToken0', '0xToken1', 1500000000000000000n, '0xReferrer', expect.any(BigInt)]);
+    });
+  });
+
+  describe('Re-quote Before Submit', () => {
+    it('should swap when the re-quote stays within slippage', async () => {
+      const requote = jest.fn().mockResolvedValue({ amountOut: '999000' });
+      render(<SwapButton {...mockProps} quote={{ amountOut: '1000000', requote }} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      expect(requote).toHaveBeenCalledTimes(1);
+      expect(screen.queryByText(/price updated/i)).not.toBeInTheDocument();
+    });
+
+    it('should require accepting a price that moved beyond slippage', async () => {
+      const requote = jest.fn().mockResolvedValue({ amountOut: '900000' });
+      render(<SwapButton {...mockProps} quote={{ amountOut: '1000000', requote }} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(screen.getByText(/price updated/i)).toBeInTheDocument();
+      });
+      expect(mockWriteContract).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByRole('button', { name: /accept new price/i }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      expect(requote).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report the accepted price and keep comparing against the accepted one', async () => {
+      const requote = jest.fn().mockResolvedValue({ amountOut: '900000' });
+      const accept = jest.fn();
+      render(<SwapButton {...mockProps} quote={{ amountOut: '1000000', requote, accept }} />);
+
+      // Swapping again without accepting still needs the new price accepted
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+      await screen.findByText(/price updated/i);
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: 'Swap' })).toBeEnabled();
+      });
+      expect(requote).toHaveBeenCalledTimes(2);
+      expect(screen.getByText(/price updated/i)).toBeInTheDocument();
+      expect(mockWriteContract).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByRole('button', { name: /accept new price/i }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      expect(accept).toHaveBeenCalledWith(expect.objectContaining({ amountOut: '900000' }));
+    });
+  });
+
+  describe('Slippage', () => {
+    it('should swap with the slippage passed in, such as the widened depeg slippage', async () => {
+      render(<SwapButton {...mockProps} slippage={2.5} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      expect(mockWriteContract.mock.calls[0][0].args[4]).toBe(250n);
+    });
+
+    it('should keep a DCA plan\'s max slippage over the slippage passed in', async () => {
+      render(<SwapButton {...mockProps} slippage={2.5} dcaPlan={{ id: 'dca_1', maxSlippage: 1 }} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      expect(mockWriteContract.mock.calls[0][0].args[4]).toBe(100n);
+    });
+  });
+
+  describe('Limit Orders', () => {
+    it('should not swap when the fresh quote is below the limit order target', async () => {
+      const alertSpy = jest.spyOn(window, 'alert').mockImplementation();
+      const requote = jest.fn().mockResolvedValue({ amountOut: '999000' });
+      render(<SwapButton {...mockProps} quote={{ amountOut: '1000000', minAmountOut: '999500', requote }} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(alertSpy).toHaveBeenCalledWith(expect.stringMatching(/below your limit order target/));
+      });
+      expect(mockWriteContract).not.toHaveBeenCalled();
+
+      alertSpy.mockRestore();
+    });
+
+    it('should cap the slippage at the headroom above the target', async () => {
+      const requote = jest.fn().mockResolvedValue({ amountOut: '1000000' });
+      render(<SwapButton {...mockProps} quote={{ amountOut: '1000000', minAmountOut: '998000', requote }} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      expect(mockWriteContract.mock.calls[0][0].args[4]).toBe(20n);
+    });
+  });
+
+  describe('Exact Output', () => {
+    it('should swap the re-quoted input through swap() when it stays within the max-input bound', async () => {
+      const requote = jest.fn().mockResolvedValue({ amountIn: '1000500', amountOut: '5000' });
+      render(<SwapButton {...mockProps} quote={{ exactOutput: true, amountIn: '1000000', amountOut: '5000', requote }} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalled();
+      });
+      const [request] = mockWriteContract.mock.calls[0];
+      expect(request.functionName).toBe('swap');
+      expect(request.args).toEqual([mockProps.chainInfo.zeroAdd, '0xToken1', 0n, '0xReferrer', expect.any(BigInt)]);
+      // The fresh input within the bound is sent, not the stale quote or the typed amount
+      expect(request.value).toBe(1000500n);
+    });
+
+    it('should require accepting a higher required input', async () => {
+      const requote = jest.fn().mockResolvedValue({ amountIn: '1200000', amountOut: '5000' });
+      render(<SwapButton {...mockProps} quote={{ exactOutput: true, amountIn: '1000000', amountOut: '5000', requote }} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(screen.getByText(/you now pay/i)).toBeInTheDocument();
+      });
+      expect(mockWriteContract).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Simulation Preview', () => {
+    const mockPublicClient = () => ({
+      getBlockNumber: jest.fn().mockResolvedValue(100n),
+      simulateContract: jest.fn().mockResolvedValue({ result: 2000000000000000000n }),
+      estimateContractGas: jest.fn().mockResolvedValue(150000n),
+      estimateFeesPerGas: jest.fn().mockResolvedValue({ maxFeePerGas: 1000000000n }),
+      estimateGas: jest.fn().mockResolvedValue(150000n),
+    });
+
+    it('should only send the swap after confirming a successful simulation', async () => {
+      usePublicClient.mockReturnValue(mockPublicClient());
+      render(<SwapButton {...mockProps} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('dialog', { name: /swap preview/i })).toBeInTheDocument();
+      });
+      expect(screen.getByText('-1.5 ETH')).toBeInTheDocument();
+      expect(screen.getByText('+2 USDC')).toBeInTheDocument();
+      expect(mockWriteContract).not.toHaveBeenCalled();
+
+      fireEvent.click(screen.getByRole('button', { name: /confirm swap/i }));
+      await waitFor(() => {
+        expect(mockWriteContract).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should simulate again on confirm and not send a swap that now reverts', async () => {
+      const publicClient = mockPublicClient();
+      usePublicClient.mockReturnValue(publicClient);
+      render(<SwapButton {...mockProps} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('button', { name: /confirm swap/i })).toBeInTheDocument();
+      });
+      publicClient.simulateContract.mockRejectedValue({ shortMessage: 'Execution reverted', reason: 'INSUFFICIENT_OUTPUT_AMOUNT' });
+      fireEvent.click(screen.getByRole('button', { name: /confirm swap/i }));
+
+      await waitFor(() => {
+        expect(screen.getByText(/this swap would fail: INSUFFICIENT_OUTPUT_AMOUNT/i)).toBeInTheDocument();
+      });
+      expect(publicClient.simulateContract).toHaveBeenCalledTimes(2);
+      expect(mockWriteContract).not.toHaveBeenCalled();
+    });
+
+    it('should block swaps that revert in simulation', async () => {
+      const publicClient = mockPublicClient();
+      publicClient.simulateContract.mockRejectedValue({ shortMessage: 'Execution reverted', reason: 'TRANSFER_FROM_FAILED' });
+      usePublicClient.mockReturnValue(publicClient);
+      render(<SwapButton {...mockProps} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Swap' }));
+
+      await waitFor(() => {
+        expect(screen.getByText(/this swap would fail: TRANSFER_FROM_FAILED/i)).toBeInTheDocument();
+      });
+      expect(screen.queryByRole('button', { name: /confirm swap/i })).not.toBeInTheDocument();
+      expect(mockWriteContract).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Edge Cases', () => {
     it('should handle missing token0', () => {
       const { container } = render(<SwapButton token1={mockProps.token1} amount={mockProps.amount} chainInfo={mockProps.chainInfo} />);
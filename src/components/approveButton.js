@@ -3,10 +3,13 @@ import { parseUnits, formatUnits, parseAbi } from 'viem';
 import SwapButton from './swapButton.js';
 import { useEffect, useState } from 'react';
 import { formatErrorForDisplay } from '../utils/chainErrors';
+import { getApprovalAmount } from '../services/allowanceService';
+import chainConfig from '../services/chainConfig';
+import { getSlippageToleranceInBasisPoints, calculateMaxAmountIn } from '../utils/slippageUtils';
 import dotenv from 'dotenv';
 dotenv.config();
 
-const ApproveButton = ({ token0, token1, amount, chatId, referrer,chainInfo }) => {
+const ApproveButton = ({ token0, token1, amount, chatId, referrer,chainInfo, quote, dcaPlan, slippage, onSwapSuccess }) => {
     // ALL HOOKS MUST BE CALLED BEFORE ANY CONDITIONAL RETURNS
     // This is required by React's Rules of Hooks
     
@@ -46,6 +49,8 @@ const ApproveButton = ({ token0, token1, amount, chatId, referrer,chainInfo }) =
 
     // Write contract hook for approval
     const { writeContract, error } = useWriteContract();
+    // Exact-output swaps spend the quoted input, re-quoted within a max-input bound
+    const isExactOutput = !!(quote?.exactOutput && quote.amountIn);
 
     // Wait for transaction receipt
     const { isLoading: isConfirming, isSuccess: isConfirmed } = useWaitForTransactionReceipt({
@@ -130,7 +135,13 @@ const ApproveButton = ({ token0, token1, amount, chatId, referrer,chainInfo }) =
             const formatUserBalance = formatUnits(userBalance, token0.decimals);
             console.log('format user balance', formatUserBalance,'this is amount',amount);
 
-            const approveAmount = parseUnits(amount, token0.decimals);
+            // Exact output: approve up to the max-input bound SwapButton holds re-quotes to
+            const approveAmount = isExactOutput
+                ? calculateMaxAmountIn(
+                    BigInt(quote.amountIn),
+                    getSlippageToleranceInBasisPoints(chainInfo?.chainId, chainConfig, dcaPlan?.maxSlippage ?? slippage ?? null)
+                )
+                : parseUnits(amount, token0.decimals);
             if (approveAmount <= userBalance) {
                 // Check if spender is available
                 if (!spender) {
@@ -138,13 +149,13 @@ const ApproveButton = ({ token0, token1, amount, chatId, referrer,chainInfo }) =
                     return;
                 }
 
-                // Call the approve function using wagmi
+                // Call the approve function using wagmi, sized by the user's approval policy
                 writeContract(
                     {
                         address: token0.address,
                         abi: erc20Abi,
                         functionName: 'approve',
-                        args: [spender, approveAmount],
+                        args: [spender, getApprovalAmount(approveAmount)],
                     },
                     {
                         onSuccess: (hash) => {
@@ -175,7 +186,7 @@ const ApproveButton = ({ token0, token1, amount, chatId, referrer,chainInfo }) =
 
     if (status === true) {
         console.log('rrreferrer',referrer)
-        return <SwapButton token0={token0} token1={token1} amount={amount} /*chain={chain}*/chatId={chatId} referrer={referrer} chainInfo={chainInfo}/>;
+        return <SwapButton token0={token0} token1={token1} amount={amount} /*chain={chain}*/chatId={chatId} referrer={referrer} chainInfo={chainInfo} quote={quote} dcaPlan={dcaPlan} slippage={slippage} onSwapSuccess={onSwapSuccess}/>;
     } else {
         return (
             <button
@@ -10,6 +10,8 @@ import chainConfig from '../../services/chainConfig';
 import { getTokenPrice } from '../../services/priceOracle';
 import { getPoolInfo, calculateLPTokens, calculatePoolShare } from '../../services/liquidityPool';
 import { saveSwapTransaction, updateSwapTransaction } from '../../services/transactionHistory';
+import { invalidateBalances } from '../../services/balanceService';
+import { getApprovalAmount } from '../../services/allowanceService';
 import '../css/LiquidityMobile.css';
 
 const AddLiquidityCard = ({ address, isConnected, chainId }) => {
@@ -127,48 +129,24 @@ const AddLiquidityCard = ({ address, isConnected, chainId }) => {
 
     // Calculate USD values using price oracle
     useEffect(() => {
-        const fetchPrices = async () => {
-            if (tokenA && amountA && parseFloat(amountA) > 0) {
-                try {
-                    const priceA = await getTokenPrice(tokenA.symbol);
-                    if (priceA) {
-                        setUsdValueA(parseFloat(amountA) * priceA);
-                    } else {
-                        // Fallback to mock price if oracle fails
-                        const mockPriceA = tokenA.symbol === 'ETH' ? 3000 : tokenA.symbol === 'BNB' ? 500 : tokenA.symbol === 'USDC' ? 1 : 5;
-                        setUsdValueA(parseFloat(amountA) * mockPriceA);
-                    }
-                } catch (error) {
-                    console.warn('Failed to fetch price for tokenA:', error);
-                    const mockPriceA = tokenA.symbol === 'ETH' ? 3000 : tokenA.symbol === 'BNB' ? 500 : tokenA.symbol === 'USDC' ? 1 : 5;
-                    setUsdValueA(parseFloat(amountA) * mockPriceA);
-                }
-            } else {
-                setUsdValueA(null);
+        const fetchUsdValue = async (token, amount) => {
+            if (!token || !amount || parseFloat(amount) <= 0) return null;
+            try {
+                const price = await getTokenPrice(token.symbol, { chainId });
+                return price ? parseFloat(amount) * price : null;
+            } catch (error) {
+                console.warn(`Failed to fetch price for ${token.symbol}:`, error);
+                return null;
             }
+        };
 
-            if (tokenB && amountB && parseFloat(amountB) > 0) {
-                try {
-                    const priceB = await getTokenPrice(tokenB.symbol);
-                    if (priceB) {
-                        setUsdValueB(parseFloat(amountB) * priceB);
-                    } else {
-                        // Fallback to mock price if oracle fails
-                        const mockPriceB = tokenB.symbol === 'ETH' ? 3000 : tokenB.symbol === 'BNB' ? 500 : tokenB.symbol === 'USDC' ? 1 : 5;
-                        setUsdValueB(parseFloat(amountB) * mockPriceB);
-                    }
-                } catch (error) {
-                    console.warn('Failed to fetch price for tokenB:', error);
-                    const mockPriceB = tokenB.symbol === 'ETH' ? 3000 : tokenB.symbol === 'BNB' ? 500 : tokenB.symbol === 'USDC' ? 1 : 5;
-                    setUsdValueB(parseFloat(amountB) * mockPriceB);
-                }
-            } else {
-                setUsdValueB(null);
-            }
+        const fetchPrices = async () => {
+            setUsdValueA(await fetchUsdValue(tokenA, amountA));
+            setUsdValueB(await fetchUsdValue(tokenB, amountB));
         };
 
         fetchPrices();
-    }, [tokenA, tokenB, amountA, amountB]);
+    }, [tokenA, tokenB, amountA, amountB, chainId]);
 
     // Fetch pool info and calculate price ratio, LP tokens, and pool share
     useEffect(() => {
@@ -228,8 +206,8 @@ const AddLiquidityCard = ({ address, isConnected, chainId }) => {
                     } else {
                         // Try to get prices from oracle
                         const [priceA, priceB] = await Promise.all([
-                            getTokenPrice(tokenA.symbol),
-                            getTokenPrice(tokenB.symbol),
+                            getTokenPrice(tokenA.symbol, { chainId }),
+                            getTokenPrice(tokenB.symbol, { chainId }),
                         ]);
                         if (priceA && priceB) {
                             setPriceRatio(priceA / priceB);
@@ -284,8 +262,8 @@ const AddLiquidityCard = ({ address, isConnected, chainId }) => {
                     } else {
                         // Try to get prices from oracle
                         const [priceA, priceB] = await Promise.all([
-                            getTokenPrice(tokenA.symbol),
-                            getTokenPrice(tokenB.symbol),
+                            getTokenPrice(tokenA.symbol, { chainId }),
+                            getTokenPrice(tokenB.symbol, { chainId }),
                         ]);
                         if (priceA && priceB) {
                             setPriceRatio(priceA / priceB);
@@ -324,6 +302,7 @@ const AddLiquidityCard = ({ address, isConnected, chainId }) => {
                 } catch (error) {
                     console.error('Failed to update transaction status:', error);
                 }
+                invalidateBalances(chainId, finalAddress);
             }
             
             alert('Liquidity added successfully!');
@@ -436,14 +415,14 @@ const AddLiquidityCard = ({ address, isConnected, chainId }) => {
         try {
             const decimals = token.decimals || 18;
             const amountInWei = parseUnits(amount, decimals);
-            const maxApproval = parseUnits('1000000000', decimals); // Approve a large amount
+            const approvalAmount = getApprovalAmount(amountInWei); // Sized by the user's approval policy
 
             writeContract(
                 {
                     address: token.address,
                     abi: erc20Abi,
                     functionName: 'approve',
-                    args: [routerAddress, maxApproval],
+                    args: [routerAddress, approvalAmount],
                     gas: gasSettings?.gasLimit ? BigInt(gasSettings.gasLimit) : undefined,
                 },
                 {
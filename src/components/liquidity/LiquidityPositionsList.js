@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAccount, usePublicClient, useWriteContract, useWaitForTransactionReceipt } from 'wagmi';
 import { parseAbi, formatUnits, parseUnits } from 'viem';
 import chainConfig from '../../services/chainConfig';
@@ -6,12 +6,19 @@ import { getTokenPrice, getTokenPrices } from '../../services/priceOracle';
 import { getPoolReserves, getPoolTotalSupply, getPairAddress, calculatePoolShare } from '../../services/liquidityPool';
 import { getAllTokens } from '../../config/tokenLists';
 import { saveSwapTransaction, updateSwapTransaction } from '../../services/transactionHistory';
+import { invalidateBalances } from '../../services/balanceService';
+import { getEvmAddresses, isSameAddress } from '../../services/watchedAddresses';
 import '../css/LiquidityMobile.css';
 
-const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
+const LiquidityPositionsList = ({ address, addresses, isConnected, chainId }) => {
     const { address: accountAddress, isConnected: accountConnected } = useAccount();
     const finalAddress = address || accountAddress;
-    const finalIsConnected = isConnected || accountConnected;
+    // Wallets whose positions are listed; only the connected wallet's can be claimed or managed
+    const owners = useMemo(
+        () => getEvmAddresses(addresses?.length ? addresses : [finalAddress].filter(Boolean)),
+        [addresses, finalAddress]
+    );
+    const finalIsConnected = isConnected || accountConnected || Boolean(addresses?.length);
     const publicClient = usePublicClient();
     const { writeContract } = useWriteContract();
     
@@ -57,6 +64,7 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
                 } catch (error) {
                     console.error('Failed to update transaction status:', error);
                 }
+                invalidateBalances(chainId, finalAddress);
             }
             
             alert('Fees claimed successfully!');
@@ -200,7 +208,7 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
     };
 
     const fetchPositions = useCallback(async () => {
-        if (!finalIsConnected || !finalAddress || !publicClient || !chainId) {
+        if (!finalIsConnected || owners.length === 0 || !publicClient || !chainId) {
             setPositions([]);
             setLoading(false);
             return;
@@ -252,14 +260,14 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
                         return null;
                     }
 
-                    // Check user balance
-                    const [balance, totalSupply, reserves, token0Address, token1Address] = await Promise.all([
-                        publicClient.readContract({
+                    // Check each wallet's balance
+                    const [balances, totalSupply, reserves, token0Address, token1Address] = await Promise.all([
+                        Promise.all(owners.map(owner => publicClient.readContract({
                             address: pairAddress,
                             abi: lpTokenAbi,
                             functionName: 'balanceOf',
-                            args: [finalAddress],
-                        }).catch(() => 0n),
+                            args: [owner],
+                        }).catch(() => 0n))),
                         publicClient.readContract({
                             address: pairAddress,
                             abi: lpTokenAbi,
@@ -282,7 +290,7 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
                         }).catch(() => null),
                     ]);
 
-                    if (!balance || balance === 0n || !totalSupply || !reserves) {
+                    if (balances.every(balance => !balance) || !totalSupply || !reserves) {
                         return null;
                     }
 
@@ -298,42 +306,51 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
                     const decimals1 = token1Info.decimals || 18;
                     const lpDecimals = 18; // LP tokens typically have 18 decimals
 
-                    // Format LP balance
-                    const lpBalance = formatUnits(balance, lpDecimals);
-                    
-                    // Calculate share percentage
-                    const sharePercent = calculatePoolShare(balance, totalSupply);
-
-                    // Calculate token amounts
-                    const amount0 = (balance * reserve0) / totalSupply;
-                    const amount1 = (balance * reserve1) / totalSupply;
-                    const token0Amount = formatUnits(amount0, decimals0);
-                    const token1Amount = formatUnits(amount1, decimals1);
-
-                    // Calculate USD value
                     const [price0, price1] = await Promise.all([
-                        getTokenPrice(token0Info.symbol),
-                        getTokenPrice(token1Info.symbol),
+                        getTokenPrice(token0Info.symbol, { chainId }),
+                        getTokenPrice(token1Info.symbol, { chainId }),
                     ]);
-                    const usdValue = (parseFloat(token0Amount) * (price0 || 0)) + (parseFloat(token1Amount) * (price1 || 0));
-
-                    // Calculate unclaimed fees (simplified - in Uniswap V2, fees are in reserves)
-                    // This is an approximation - actual fees would require tracking reserves over time
-                    // For now, we'll show a placeholder or calculate based on pool activity
-                    const unclaimedFees = '0'; // Placeholder - would need historical data to calculate accurately
-
-                    return {
-                        id: pairAddress.toLowerCase(),
-                        lpTokenAddress: pairAddress,
-                        tokenPair: `${token0Info.symbol}/${token1Info.symbol}`,
-                        lpAmount: parseFloat(lpBalance).toFixed(6),
-                        usdValue: usdValue.toFixed(2),
-                        sharePercent: sharePercent.toFixed(4),
-                        apr: '0', // Would need to calculate from pool fees over time
-                        unclaimedFees: unclaimedFees,
-                        tokenA: { symbol: token0Info.symbol, amount: parseFloat(token0Amount).toFixed(6), address: token0Address },
-                        tokenB: { symbol: token1Info.symbol, amount: parseFloat(token1Amount).toFixed(6), address: token1Address },
-                    };
+
+                    return owners.reduce((ownerPositions, owner, index) => {
+                        const balance = balances[index];
+                        if (!balance) return ownerPositions;
+
+                        // Format LP balance
+                        const lpBalance = formatUnits(balance, lpDecimals);
+
+                        // Calculate share percentage
+                        const sharePercent = calculatePoolShare(balance, totalSupply);
+
+                        // Calculate token amounts
+                        const amount0 = (balance * reserve0) / totalSupply;
+                        const amount1 = (balance * reserve1) / totalSupply;
+                        const token0Amount = formatUnits(amount0, decimals0);
+                        const token1Amount = formatUnits(amount1, decimals1);
+
+                        // Calculate USD value
+                        const usdValue = (parseFloat(token0Amount) * (price0 || 0)) + (parseFloat(token1Amount) * (price1 || 0));
+
+                        // Calculate unclaimed fees (simplified - in Uniswap V2, fees are in reserves)
+                        // This is an approximation - actual fees would require tracking reserves over time
+                        // For now, we'll show a placeholder or calculate based on pool activity
+                        const unclaimedFees = '0'; // Placeholder - would need historical data to calculate accurately
+
+                        ownerPositions.push({
+                            id: owners.length > 1 ? `${pairAddress.toLowerCase()}-${owner.toLowerCase()}` : pairAddress.toLowerCase(),
+                            owner,
+                            isWatchOnly: !isSameAddress(owner, accountAddress),
+                            lpTokenAddress: pairAddress,
+                            tokenPair: `${token0Info.symbol}/${token1Info.symbol}`,
+                            lpAmount: parseFloat(lpBalance).toFixed(6),
+                            usdValue: usdValue.toFixed(2),
+                            sharePercent: sharePercent.toFixed(4),
+                            apr: '0', // Would need to calculate from pool fees over time
+                            unclaimedFees: unclaimedFees,
+                            tokenA: { symbol: token0Info.symbol, amount: parseFloat(token0Amount).toFixed(6), address: token0Address },
+                            tokenB: { symbol: token1Info.symbol, amount: parseFloat(token1Amount).toFixed(6), address: token1Address },
+                        });
+                        return ownerPositions;
+                    }, []);
                 } catch (error) {
                     console.warn(`Error fetching position for ${tokenA.symbol}/${tokenB.symbol}:`, error);
                     return null;
@@ -341,7 +358,7 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
             });
 
             const fetchedPositions = await Promise.all(positionPromises);
-            const validPositions = fetchedPositions.filter(p => p !== null);
+            const validPositions = fetchedPositions.filter(p => p !== null).flat();
             
             setPositions(validPositions);
         } catch (error) {
@@ -350,7 +367,7 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
         } finally {
             setLoading(false);
         }
-    }, [finalIsConnected, finalAddress, publicClient, chainId, lpTokenAbi]);
+    }, [finalIsConnected, owners, accountAddress, publicClient, chainId, lpTokenAbi]);
 
     useEffect(() => {
         fetchPositions();
@@ -410,28 +427,40 @@ const LiquidityPositionsList = ({ address, isConnected, chainId }) => {
                             <span className="liquidity-position-label">Unclaimed Fees:</span>
                             <span className="liquidity-position-value">{position.unclaimedFees}</span>
                         </div>
-                    </div>
-
-                    <div className="liquidity-position-actions">
-                        <button 
-                            className="liquidity-position-button liquidity-position-button-secondary"
-                            onClick={() => handleClaimFees(position.id)}
-                            disabled={parseFloat(position.unclaimedFees || '0') <= 0 || claimingId === position.id || isConfirming}
-                        >
-                            {claimingId === position.id ? (isConfirming ? 'Confirming...' : 'Claiming...') : 'Claim Fees'}
-                        </button>
-                        {txHash && claimingId === position.id && (
-                            <div style={{ marginTop: '8px', fontSize: '11px', color: '#7A7A7A', textAlign: 'center' }}>
-                                TX: {txHash.substring(0, 10)}...{txHash.substring(txHash.length - 8)}
+                        {owners.length > 1 && (
+                            <div className="liquidity-position-detail-item">
+                                <span className="liquidity-position-label">Wallet:</span>
+                                <span className="liquidity-position-value">
+                                    {position.owner.slice(0, 6)}...{position.owner.slice(-4)}
+                                </span>
                             </div>
                         )}
-                        <button 
-                            className="liquidity-position-button liquidity-position-button-primary"
-                            onClick={() => handleManagePosition(position.id)}
-                        >
-                            Manage
-                        </button>
                     </div>
+
+                    {position.isWatchOnly ? (
+                        <div className="liquidity-position-watch-only">Watch-only wallet</div>
+                    ) : (
+                        <div className="liquidity-position-actions">
+                            <button 
+                                className="liquidity-position-button liquidity-position-button-secondary"
+                                onClick={() => handleClaimFees(position.id)}
+                                disabled={parseFloat(position.unclaimedFees || '0') <= 0 || claimingId === position.id || isConfirming}
+                            >
+                                {claimingId === position.id ? (isConfirming ? 'Confirming...' : 'Claiming...') : 'Claim Fees'}
+                            </button>
+                            {txHash && claimingId === position.id && (
+                                <div style={{ marginTop: '8px', fontSize: '11px', color: '#7A7A7A', textAlign: 'center' }}>
+                                    TX: {txHash.substring(0, 10)}...{txHash.substring(txHash.length - 8)}
+                                </div>
+                            )}
+                            <button 
+                                className="liquidity-position-button liquidity-position-button-primary"
+                                onClick={() => handleManagePosition(position.id)}
+                            >
+                                Manage
+                            </button>
+                        </div>
+                    )}
                 </div>
             ))}
         </div>
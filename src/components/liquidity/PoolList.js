@@ -125,8 +125,8 @@ const PoolList = ({ chainId }) => {
 
                     // Calculate TVL (Total Value Locked)
                     const [price0, price1] = await Promise.all([
-                        getTokenPrice(token0Info.symbol),
-                        getTokenPrice(token1Info.symbol),
+                        getTokenPrice(token0Info.symbol, { chainId }),
+                        getTokenPrice(token1Info.symbol, { chainId }),
                     ]);
 
                     const reserve0Formatted = parseFloat(formatUnits(reserve0, decimals0));
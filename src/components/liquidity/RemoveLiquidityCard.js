@@ -5,6 +5,9 @@ import chainConfig from '../../services/chainConfig';
 import { getTokenPrice, getTokenPrices, calculatePriceImpact } from '../../services/priceOracle';
 import { getPoolReserves, getPoolTotalSupply } from '../../services/liquidityPool';
 import { saveSwapTransaction, updateSwapTransaction } from '../../services/transactionHistory';
+import { invalidateBalances } from '../../services/balanceService';
+import { createQuorumClient } from '../../services/rpcTransport';
+import { isRpcMismatchError, formatErrorForDisplay } from '../../utils/chainErrors';
 import '../css/LiquidityMobile.css';
 
 const RemoveLiquidityCard = ({ address, isConnected, chainId }) => {
@@ -63,6 +66,7 @@ const RemoveLiquidityCard = ({ address, isConnected, chainId }) => {
                 } catch (error) {
                     console.error('Failed to update transaction status:', error);
                 }
+                invalidateBalances(chainId, finalAddress);
             }
             
             alert('Liquidity removed successfully!');
@@ -213,8 +217,8 @@ const RemoveLiquidityCard = ({ address, isConnected, chainId }) => {
                 // Calculate USD value using price oracle
                 try {
                     const [priceA, priceB] = await Promise.all([
-                        getTokenPrice(tokenPair.tokenA.symbol),
-                        getTokenPrice(tokenPair.tokenB.symbol),
+                        getTokenPrice(tokenPair.tokenA.symbol, { chainId }),
+                        getTokenPrice(tokenPair.tokenB.symbol, { chainId }),
                     ]);
                     
                     const usdA = parseFloat(tokenAValue) * (priceA || 0);
@@ -247,7 +251,7 @@ const RemoveLiquidityCard = ({ address, isConnected, chainId }) => {
             setTokensToReceive({ tokenA: tokenAValue, tokenB: tokenBValue });
             setPriceImpact(percentage > 50 ? 10 : percentage > 25 ? 5 : 1);
         }
-    }, [lpTokenBalance, poolReserves, poolTotalSupply, tokenPair]);
+    }, [lpTokenBalance, poolReserves, poolTotalSupply, tokenPair, chainId]);
 
     const handleAmountChange = useCallback(async (value) => {
         if (/^\d*\.?\d*$/.test(value)) {
@@ -325,17 +329,40 @@ const RemoveLiquidityCard = ({ address, isConnected, chainId }) => {
                 return;
             }
 
-            // Calculate minimum amounts with slippage
-            const slippagePercent = parseFloat(slippage) / 100;
-            const minTokenA = parseFloat(tokensToReceive.tokenA) * (1 - slippagePercent);
-            const minTokenB = parseFloat(tokensToReceive.tokenB) * (1 - slippagePercent);
+            // Minimum amounts come from the pool reserves and LP supply, so RPC endpoints must agree on them
+            let quorumReserves;
+            let quorumTotalSupply;
+            try {
+                const quorumClient = createQuorumClient(chainId);
+                [quorumReserves, quorumTotalSupply] = await Promise.all([
+                    getPoolReserves(quorumClient, lpTokenAddress),
+                    getPoolTotalSupply(quorumClient, lpTokenAddress),
+                ]);
+            } catch (error) {
+                if (isRpcMismatchError(error)) {
+                    const display = formatErrorForDisplay(error, chainId);
+                    alert(`${display.title}: ${display.message} ${display.suggestion}`);
+                    setLoading(false);
+                    return;
+                }
+                throw error;
+            }
+            if (!quorumReserves || !quorumTotalSupply) {
+                alert('Could not read the pool reserves. Please try again.');
+                setLoading(false);
+                return;
+            }
 
-            // Prepare amounts in wei
+            // Minimum amounts: the LP share of the agreed reserves, less the slippage tolerance
+            const lpAmountWei = parseUnits(lpAmount.toFixed(18), 18);
+            const isTokenAFirst = quorumReserves.token0?.toLowerCase() === tokenPair.tokenA.address?.toLowerCase();
+            const reserveA = isTokenAFirst ? quorumReserves.reserve0 : quorumReserves.reserve1;
+            const reserveB = isTokenAFirst ? quorumReserves.reserve1 : quorumReserves.reserve0;
+            const slippageBps = BigInt(Math.round((parseFloat(slippage) || 0) * 100));
+            const minTokenAWei = (lpAmountWei * reserveA / quorumTotalSupply) * (10000n - slippageBps) / 10000n;
+            const minTokenBWei = (lpAmountWei * reserveB / quorumTotalSupply) * (10000n - slippageBps) / 10000n;
             const decimalsA = tokenPair.tokenA.decimals || 18;
             const decimalsB = tokenPair.tokenB.decimals || 18;
-            const lpAmountWei = parseUnits(lpAmount.toFixed(18), 18);
-            const minTokenAWei = parseUnits(minTokenA.toFixed(decimalsA), decimalsA);
-            const minTokenBWei = parseUnits(minTokenB.toFixed(decimalsB), decimalsB);
 
             // Prepare token addresses
             const tokenAAddress = tokenPair.tokenA.address;
@@ -363,8 +390,8 @@ const RemoveLiquidityCard = ({ address, isConnected, chainId }) => {
                 lpAmount: lpAmount.toFixed(6),
                 percentage: removePercentage,
                 tokensToReceive,
-                minTokenA: minTokenA.toFixed(6),
-                minTokenB: minTokenB.toFixed(6),
+                minTokenA: formatUnits(minTokenAWei, decimalsA),
+                minTokenB: formatUnits(minTokenBWei, decimalsB),
                 isNativeA,
                 isNativeB,
             });
@@ -7,7 +7,7 @@ import { useAccount, useChainId } from 'wagmi';
 import { useEffect } from 'react';
 import { checkMinimumAmount } from '../utils/chainValidation';
 
-const PickButton = ({ token0, token1, amount, chain, chatId, referrer,chainInfo }) => {
+const PickButton = ({ token0, token1, amount, chain, chatId, referrer,chainInfo, quote, dcaPlan, slippage, onSwapSuccess }) => {
     const { address: activeAccount, isConnected } = useAccount();
 
     //let status = activeAccount || null;
@@ -62,9 +62,9 @@ const PickButton = ({ token0, token1, amount, chain, chatId, referrer,chainInfo
         if( appChainId && token0?.address && token1?.address && amount !== ''){
              // Add null check for token0.symbol
              if(token0?.symbol ==='ETH' || token0?.symbol === 'BNB'){
-                return <SwapButton token0={token0} token1={token1} amount={amount}  chatId={chatId} referrer={referrer} chainInfo={chainInfo}/>
+                return <SwapButton token0={token0} token1={token1} amount={amount}  chatId={chatId} referrer={referrer} chainInfo={chainInfo} quote={quote} dcaPlan={dcaPlan} slippage={slippage} onSwapSuccess={onSwapSuccess}/>
              }else{
-                 return <ApproveButton token0={token0} token1={token1} amount={amount}  chatId={chatId} referrer={referrer} chainInfo={chainInfo} />;
+                 return <ApproveButton token0={token0} token1={token1} amount={amount}  chatId={chatId} referrer={referrer} chainInfo={chainInfo} quote={quote} dcaPlan={dcaPlan} slippage={slippage} onSwapSuccess={onSwapSuccess} />;
              }
         }
         // else if (userChainId != null && appChainId != null && userChainId !== appChainId) {
@@ -1,16 +1,20 @@
-import React from 'react';
+import React, { useState } from 'react';
 import '../css/PortfolioMobile.css';
 import chainConfig from '../../services/chainConfig';
+import { useCurrency } from '../../hooks/useCurrency';
 
 const AssetCard = ({ asset }) => {
-    const formatCurrency = (value) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(value);
-    };
+    const { formatFiat } = useCurrency();
+    const [showPnl, setShowPnl] = useState(false);
+
+    const formatCurrency = (value) => formatFiat(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatSignedCurrency = (value) => `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`;
+    const pnlClass = (value) => (value >= 0 ? 'positive' : 'negative');
+
+    // PnL is only shown once some of the asset has a known cost basis
+    const pnl = asset.pnl;
+    const hasPnl = pnl && (pnl.costBasis > 0 || pnl.realizedPnl !== 0 || pnl.income !== 0);
+    const unrealizedPercent = pnl?.costBasis > 0 ? (pnl.unrealizedPnl / pnl.costBasis) * 100 : null;
 
     const formatBalance = (balance) => {
         const num = parseFloat(balance);
@@ -84,10 +88,72 @@ const AssetCard = ({ asset }) => {
                 <div className="portfolio-asset-chain">{asset.chainName}</div>
             </div>
 
-            <div className="portfolio-asset-footer">
-                <div className={`portfolio-asset-change ${asset.change24h >= 0 ? 'positive' : 'negative'}`}>
-                    {asset.change24h >= 0 ? '+' : ''}{asset.change24h.toFixed(2)}% (24h)
+            {hasPnl && (
+                <div className="portfolio-asset-pnl">
+                    <button
+                        type="button"
+                        className="portfolio-asset-pnl-toggle"
+                        aria-expanded={showPnl}
+                        onClick={() => setShowPnl(!showPnl)}
+                    >
+                        <span>PnL</span>
+                        <span className={pnlClass(pnl.unrealizedPnl)}>
+                            {formatSignedCurrency(pnl.unrealizedPnl)}
+                            {unrealizedPercent !== null && ` (${unrealizedPercent >= 0 ? '+' : ''}${unrealizedPercent.toFixed(2)}%)`}
+                        </span>
+                    </button>
+                    {showPnl && (
+                        <div className="portfolio-asset-pnl-details">
+                            <div className="portfolio-asset-pnl-row">
+                                <span>Cost basis</span>
+                                <span>{formatCurrency(pnl.costBasis)}</span>
+                            </div>
+                            {asset.type !== 'lp' && pnl.averageCost > 0 && (
+                                <div className="portfolio-asset-pnl-row">
+                                    <span>Average cost</span>
+                                    <span>{formatCurrency(pnl.averageCost)}</span>
+                                </div>
+                            )}
+                            <div className="portfolio-asset-pnl-row">
+                                <span>Unrealized</span>
+                                <span className={pnlClass(pnl.unrealizedPnl)}>{formatSignedCurrency(pnl.unrealizedPnl)}</span>
+                            </div>
+                            <div className="portfolio-asset-pnl-row">
+                                <span>Realized</span>
+                                <span className={pnlClass(pnl.realizedPnl)}>{formatSignedCurrency(pnl.realizedPnl)}</span>
+                            </div>
+                            {pnl.income > 0 && (
+                                <div className="portfolio-asset-pnl-row">
+                                    <span>Rewards income</span>
+                                    <span className="positive">{formatSignedCurrency(pnl.income)}</span>
+                                </div>
+                            )}
+                            {pnl.untrackedAmount > 0 && (
+                                <div className="portfolio-asset-pnl-note">
+                                    {formatBalance(pnl.untrackedAmount)} {asset.symbol} has no recorded cost and is left out of PnL
+                                </div>
+                            )}
+                        </div>
+                    )}
                 </div>
+            )}
+
+            <div className="portfolio-asset-footer">
+                {asset.change24h == null ? (
+                    <div className="portfolio-asset-change">— (24h)</div>
+                ) : (
+                    <div className={`portfolio-asset-change ${asset.change24h >= 0 ? 'positive' : 'negative'}`}>
+                        {asset.change24h >= 0 ? '+' : ''}{asset.change24h.toFixed(2)}% (24h)
+                    </div>
+                )}
+                {asset.priceSource && (
+                    <div
+                        className={`portfolio-asset-price-source ${asset.priceConfidence < 0.5 ? 'low-confidence' : ''}`}
+                        title="Price source and confidence"
+                    >
+                        {asset.priceSource} · {Math.round(asset.priceConfidence * 100)}%
+                    </div>
+                )}
             </div>
         </div>
     );
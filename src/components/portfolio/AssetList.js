@@ -1,42 +1,32 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { useAccount, usePublicClient } from 'wagmi';
-import { createPublicClient, http, formatUnits as viemFormatUnits, parseAbi } from 'viem';
+import { useAccount } from 'wagmi';
+import { formatUnits } from 'viem';
 import chainConfig from '../../services/chainConfig';
-import { getTokenPrice, getTokenPrices } from '../../services/priceOracle';
-import { getPairAddress, getPoolReserves, getPoolTotalSupply } from '../../services/liquidityPool';
+import { getTokenPrice, getTokenPrices, getTokenPriceDetails } from '../../services/priceOracle';
+import { get24hChange } from '../../services/priceHistory';
+import { getCombinedWalletBalances, getCombinedLiquidityPositions } from '../../services/balanceService';
+import { getEvmAddresses } from '../../services/watchedAddresses';
+import { getAssetKey, getPortfolioPnl } from '../../services/costBasis';
 import { getAllTokens } from '../../config/tokenLists';
 import AssetCard from './AssetCard';
 import '../css/PortfolioMobile.css';
 
-const AssetList = ({ address, isConnected, selectedChain }) => {
+const AssetList = ({ address, addresses, isConnected, selectedChain }) => {
     const { address: accountAddress, isConnected: accountConnected } = useAccount();
-    const finalAddress = address || accountAddress;
-    const finalIsConnected = isConnected || accountConnected;
-    const publicClient = usePublicClient();
-    
+    // Selected wallets, the connected one when none are given
+    const finalAddresses = useMemo(
+        () => (addresses?.length ? addresses : [address || accountAddress].filter(Boolean)),
+        [addresses, address, accountAddress]
+    );
+    const finalIsConnected = isConnected || accountConnected || Boolean(addresses?.length);
+
     const [assets, setAssets] = useState([]);
     const [loading, setLoading] = useState(true);
     const [sortBy, setSortBy] = useState('value'); // 'value', 'name', 'change24h'
     const [searchQuery, setSearchQuery] = useState('');
     
-    // ERC20 ABI
-    const erc20Abi = parseAbi([
-        'function balanceOf(address account) external view returns (uint256)',
-        'function decimals() external view returns (uint8)',
-        'function symbol() external view returns (string)',
-    ]);
-    
-    // LP Token ABI
-    const lpTokenAbi = parseAbi([
-        'function balanceOf(address account) external view returns (uint256)',
-        'function totalSupply() external view returns (uint256)',
-        'function token0() external view returns (address)',
-        'function token1() external view returns (address)',
-        'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-    ]);
-
     const fetchAssets = useCallback(async () => {
-        if (!finalIsConnected || !finalAddress) {
+        if (!finalIsConnected || finalAddresses.length === 0) {
             setAssets([]);
             setLoading(false);
             return;
@@ -57,36 +47,21 @@ const AssetList = ({ address, isConnected, selectedChain }) => {
                 const chainName = chain.chainName;
 
                 try {
-                    // Create public client for this chain
-                    let chainPublicClient = publicClient;
-                    
-                    if (!chainPublicClient || chainPublicClient.chain?.id !== chainId) {
-                        const rpcUrl = chain.rpcUrls?.[0];
-                        if (!rpcUrl) {
-                            console.warn(`No RPC URL for chain ${chainName}`);
-                            continue;
-                        }
-                        
-                        try {
-                            chainPublicClient = createPublicClient({
-                                transport: http(rpcUrl),
-                            });
-                        } catch (error) {
-                            console.warn(`Failed to create public client for ${chainName}:`, error);
-                            continue;
-                        }
-                    }
-
-                    // Get native token balance
-                    try {
-                        const nativeBalance = await chainPublicClient.getBalance({
-                            address: finalAddress,
-                        });
-                        const nativeDecimals = chain.nativeCurrency?.decimals || 18;
-                        const nativeBalanceFormatted = parseFloat(viemFormatUnits(nativeBalance, nativeDecimals));
+                    // Balances and LP positions come from batched Multicall3 reads,
+                    // added up across the selected wallets
+                    const tokens = getAllTokens(chainId);
+                    const evmAddresses = getEvmAddresses(finalAddresses);
+                    const [walletBalances, lpPositions] = await Promise.all([
+                        getCombinedWalletBalances(chainId, evmAddresses, tokens.slice(0, 30)), // Limit to 30 tokens per chain
+                        getCombinedLiquidityPositions(chainId, evmAddresses, tokens.slice(0, 10)), // Limit pairs
+                    ]);
+
+                    // Native token balance
+                    if (walletBalances.native) {
+                        const nativeBalanceFormatted = walletBalances.native.formatted;
                         const nativeSymbol = chain.nativeCurrency?.symbol || 'ETH';
-                        const nativePrice = await getTokenPrice(nativeSymbol);
-                        
+                        const nativePrice = await getTokenPrice(nativeSymbol, { chainId });
+
                         if (nativeBalanceFormatted > 0 && nativePrice) {
                             const nativeValue = nativeBalanceFormatted * nativePrice;
                             allAssets.push({
@@ -95,7 +70,7 @@ const AssetList = ({ address, isConnected, selectedChain }) => {
                                 name: chain.nativeCurrency?.name || nativeSymbol,
                                 balance: nativeBalanceFormatted.toFixed(6),
                                 usdValue: nativeValue,
-                                change24h: 0, // Would need historical price data
+                                change24h: await get24hChange(nativeSymbol),
                                 chainId: chainId,
                                 chainName: chainName,
                                 icon: nativeSymbol,
@@ -103,168 +78,67 @@ const AssetList = ({ address, isConnected, selectedChain }) => {
                                 address: 'native',
                             });
                         }
-                    } catch (error) {
-                        console.warn(`Error fetching native balance for ${chainName}:`, error);
                     }
 
-                    // Get token balances
-                    const tokens = getAllTokens(chainId);
-                    const tokenPromises = tokens.slice(0, 30).map(async (token) => { // Limit to 30 tokens per chain
+                    // Token balances
+                    const tokenResults = await Promise.all(walletBalances.tokens.map(async ({ token, formatted }) => {
                         try {
-                            if (token.address === 'native' || !token.address) return null;
-
-                            const balance = await chainPublicClient.readContract({
+                            const priceDetails = await getTokenPriceDetails(token.symbol, { chainId });
+                            if (!priceDetails?.price) return null;
+
+                            return {
+                                id: `${chainId}-${token.symbol}-${token.address}`,
+                                symbol: token.symbol,
+                                name: token.name || token.symbol,
+                                balance: formatted.toFixed(6),
+                                usdValue: formatted * priceDetails.price,
+                                change24h: await get24hChange(token.symbol),
+                                chainId: chainId,
+                                chainName: chainName,
+                                icon: token.symbol,
+                                type: 'token',
                                 address: token.address,
-                                abi: erc20Abi,
-                                functionName: 'balanceOf',
-                                args: [finalAddress],
-                            });
-
-                            const decimals = token.decimals || 18;
-                            const balanceFormatted = parseFloat(viemFormatUnits(balance, decimals));
-                            
-                            if (balanceFormatted > 0) {
-                                const price = await getTokenPrice(token.symbol);
-                                if (price) {
-                                    const value = balanceFormatted * price;
-                                    return {
-                                        id: `${chainId}-${token.symbol}-${token.address}`,
-                                        symbol: token.symbol,
-                                        name: token.name || token.symbol,
-                                        balance: balanceFormatted.toFixed(6),
-                                        usdValue: value,
-                                        change24h: 0, // Would need historical price data
-                                        chainId: chainId,
-                                        chainName: chainName,
-                                        icon: token.symbol,
-                                        type: 'token',
-                                        address: token.address,
-                                    };
-                                }
-                            }
-                            return null;
+                                priceSource: priceDetails.source,
+                                priceConfidence: priceDetails.confidence,
+                            };
                         } catch (error) {
                             return null;
                         }
-                    });
-
-                    const tokenResults = await Promise.all(tokenPromises);
+                    }));
                     tokenResults.forEach(result => {
                         if (result) {
                             allAssets.push(result);
                         }
                     });
 
-                    // Get LP token positions
-                    const factoryAddress = chainConfig.getContractAddress(chainId, 'factory');
-                    if (factoryAddress) {
-                        const lpTokens = tokens.slice(0, 10); // Limit pairs
-                        const lpPromises = [];
-                        
-                        for (let i = 0; i < lpTokens.length; i++) {
-                            for (let j = i + 1; j < lpTokens.length; j++) {
-                                lpPromises.push(
-                                    (async () => {
-                                        try {
-                                            const pairAddress = await getPairAddress(
-                                                chainPublicClient,
-                                                factoryAddress,
-                                                lpTokens[i].address,
-                                                lpTokens[j].address
-                                            );
-
-                                            if (!pairAddress || pairAddress === '0x0000000000000000000000000000000000000000') {
-                                                return null;
-                                            }
-
-                                            const [balance, totalSupply, reserves] = await Promise.all([
-                                                chainPublicClient.readContract({
-                                                    address: pairAddress,
-                                                    abi: lpTokenAbi,
-                                                    functionName: 'balanceOf',
-                                                    args: [finalAddress],
-                                                }).catch(() => 0n),
-                                                chainPublicClient.readContract({
-                                                    address: pairAddress,
-                                                    abi: lpTokenAbi,
-                                                    functionName: 'totalSupply',
-                                                }).catch(() => null),
-                                                chainPublicClient.readContract({
-                                                    address: pairAddress,
-                                                    abi: lpTokenAbi,
-                                                    functionName: 'getReserves',
-                                                }).catch(() => null),
-                                            ]);
-
-                                            if (!balance || balance === 0n || !totalSupply || !reserves) {
-                                                return null;
-                                            }
-
-                                            const lpDecimals = 18;
-                                            const lpBalance = parseFloat(viemFormatUnits(balance, lpDecimals));
-                                            const share = Number(balance) / Number(totalSupply);
-                                            
-                                            const token0Address = await chainPublicClient.readContract({
-                                                address: pairAddress,
-                                                abi: lpTokenAbi,
-                                                functionName: 'token0',
-                                            }).catch(() => null);
-                                            const token1Address = await chainPublicClient.readContract({
-                                                address: pairAddress,
-                                                abi: lpTokenAbi,
-                                                functionName: 'token1',
-                                            }).catch(() => null);
-
-                                            if (!token0Address || !token1Address) return null;
-
-                                            const token0Info = lpTokens.find(t => t.address?.toLowerCase() === token0Address.toLowerCase()) || { symbol: 'Token0', decimals: 18 };
-                                            const token1Info = lpTokens.find(t => t.address?.toLowerCase() === token1Address.toLowerCase()) || { symbol: 'Token1', decimals: 18 };
-
-                                            const reserve0 = reserves[0];
-                                            const reserve1 = reserves[1];
-                                            const decimals0 = token0Info.decimals || 18;
-                                            const decimals1 = token1Info.decimals || 18;
-
-                                            const amount0 = parseFloat(viemFormatUnits(reserve0 * BigInt(Math.floor(share * 1e18)) / 1000000000000000000n, decimals0));
-                                            const amount1 = parseFloat(viemFormatUnits(reserve1 * BigInt(Math.floor(share * 1e18)) / 1000000000000000000n, decimals1));
-
-                                            const [price0, price1] = await Promise.all([
-                                                getTokenPrice(token0Info.symbol),
-                                                getTokenPrice(token1Info.symbol),
-                                            ]);
-
-                                            if (price0 && price1) {
-                                                const lpValue = (amount0 * price0) + (amount1 * price1);
-                                                return {
-                                                    id: `${chainId}-LP-${pairAddress}`,
-                                                    symbol: `${token0Info.symbol}/${token1Info.symbol}`,
-                                                    name: `${token0Info.symbol}/${token1Info.symbol} LP`,
-                                                    balance: lpBalance.toFixed(6),
-                                                    usdValue: lpValue,
-                                                    change24h: 0,
-                                                    chainId: chainId,
-                                                    chainName: chainName,
-                                                    icon: 'LP',
-                                                    type: 'lp',
-                                                    address: pairAddress,
-                                                };
-                                            }
-                                            return null;
-                                        } catch (error) {
-                                            return null;
-                                        }
-                                    })()
-                                );
-                            }
+                    // LP token positions
+                    const lpResults = await Promise.all(lpPositions.map(async (position) => {
+                        const { pairAddress, token0, token1, amount0, amount1 } = position;
+                        const [price0, price1] = await Promise.all([
+                            getTokenPrice(token0.symbol, { chainId }),
+                            getTokenPrice(token1.symbol, { chainId }),
+                        ]);
+                        if (!price0 || !price1) return null;
+
+                        return {
+                            id: `${chainId}-LP-${pairAddress}`,
+                            symbol: `${token0.symbol}/${token1.symbol}`,
+                            name: `${token0.symbol}/${token1.symbol} LP`,
+                            balance: parseFloat(formatUnits(position.balance, 18)).toFixed(6),
+                            usdValue: (amount0 * price0) + (amount1 * price1),
+                            change24h: null,
+                            chainId: chainId,
+                            chainName: chainName,
+                            icon: 'LP',
+                            type: 'lp',
+                            address: pairAddress,
+                        };
+                    }));
+                    lpResults.forEach(result => {
+                        if (result) {
+                            allAssets.push(result);
                         }
-
-                        const lpResults = await Promise.all(lpPromises);
-                        lpResults.forEach(result => {
-                            if (result) {
-                                allAssets.push(result);
-                            }
-                        });
-                    }
+                    });
 
                     // TODO: Fetch staked positions
                     // This would require staking contract addresses and ABI
@@ -275,6 +149,23 @@ const AssetList = ({ address, isConnected, selectedChain }) => {
                 }
             }
 
+            // Cost basis and PnL from the wallet's transaction history
+            try {
+                const holdings = {};
+                allAssets.forEach(asset => {
+                    const amount = parseFloat(asset.balance);
+                    holdings[getAssetKey(asset.chainId, asset.symbol, asset.type)] = asset.type === 'lp'
+                        ? { value: asset.usdValue }
+                        : { amount, price: amount > 0 ? asset.usdValue / amount : 0 };
+                });
+                const pnl = await getPortfolioPnl(finalAddresses, { holdings });
+                allAssets.forEach(asset => {
+                    asset.pnl = pnl.assets[getAssetKey(asset.chainId, asset.symbol, asset.type)] || null;
+                });
+            } catch (error) {
+                console.warn('Error computing cost basis:', error);
+            }
+
             setAssets(allAssets);
         } catch (error) {
             console.error('Error fetching assets:', error);
@@ -282,7 +173,7 @@ const AssetList = ({ address, isConnected, selectedChain }) => {
         } finally {
             setLoading(false);
         }
-    }, [finalIsConnected, finalAddress, selectedChain, publicClient, erc20Abi, lpTokenAbi]);
+    }, [finalIsConnected, finalAddresses, selectedChain]);
 
     useEffect(() => {
         fetchAssets();
@@ -310,7 +201,8 @@ const AssetList = ({ address, isConnected, selectedChain }) => {
             case 'name':
                 return a.symbol.localeCompare(b.symbol);
             case 'change24h':
-                return b.change24h - a.change24h;
+                // Assets without price history sort last
+                return ((b.change24h ?? -Infinity) - (a.change24h ?? -Infinity)) || 0;
             default:
                 return 0;
         }
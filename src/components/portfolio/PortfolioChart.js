@@ -1,18 +1,32 @@
-import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { useAccount, usePublicClient } from 'wagmi';
-import { createPublicClient, http, formatUnits as viemFormatUnits, parseAbi } from 'viem';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useAccount } from 'wagmi';
 import chainConfig from '../../services/chainConfig';
 import { getTokenPrice, getTokenPrices } from '../../services/priceOracle';
-import { getPairAddress, getPoolReserves, getPoolTotalSupply } from '../../services/liquidityPool';
+import { getPriceChange } from '../../services/priceHistory';
+import { getCombinedWalletBalances } from '../../services/balanceService';
+import { getEvmAddresses } from '../../services/watchedAddresses';
+import { recordPortfolioSnapshot, getPortfolioHistory } from '../../services/portfolioSnapshots';
 import { getAllTokens } from '../../config/tokenLists';
 import { getSwapHistory } from '../../services/transactionHistory';
+import { useCurrency } from '../../hooks/useCurrency';
 import '../css/PortfolioMobile.css';
 
-const PortfolioChart = ({ address, isConnected, selectedChain }) => {
+// Chart time range -> price history range
+const HISTORY_RANGES = {
+    '7d': '7d',
+    '30d': '30d',
+    'all': '90d',
+};
+
+const PortfolioChart = ({ address, addresses, isConnected, selectedChain }) => {
     const { address: accountAddress, isConnected: accountConnected } = useAccount();
-    const finalAddress = address || accountAddress;
-    const finalIsConnected = isConnected || accountConnected;
-    const publicClient = usePublicClient();
+    // Selected wallets, the connected one when none are given
+    const finalAddresses = useMemo(
+        () => (addresses?.length ? addresses : [address || accountAddress].filter(Boolean)),
+        [addresses, address, accountAddress]
+    );
+    const finalIsConnected = isConnected || accountConnected || Boolean(addresses?.length);
+    const { formatFiat } = useCurrency();
     
     const [chartData, setChartData] = useState([]);
     const [timeRange, setTimeRange] = useState('7d'); // '7d', '30d', 'all'
@@ -21,24 +35,12 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
     const [recentActivity, setRecentActivity] = useState([]);
     const [assetAllocation, setAssetAllocation] = useState([]);
     const [currentPortfolioValue, setCurrentPortfolioValue] = useState(0);
-    
-    // ERC20 ABI
-    const erc20Abi = parseAbi([
-        'function balanceOf(address account) external view returns (uint256)',
-        'function decimals() external view returns (uint8)',
-    ]);
-    
-    // LP Token ABI
-    const lpTokenAbi = parseAbi([
-        'function balanceOf(address account) external view returns (uint256)',
-        'function totalSupply() external view returns (uint256)',
-        'function token0() external view returns (address)',
-        'function token1() external view returns (address)',
-        'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-    ]);
+    // Latest fetch, so a snapshot finishing late does not overwrite newer history
+    const fetchIdRef = useRef(0);
 
     const fetchChartData = useCallback(async () => {
-        if (!finalIsConnected || !finalAddress) {
+        const fetchId = ++fetchIdRef.current;
+        if (!finalIsConnected || finalAddresses.length === 0) {
             setChartData([]);
             setTopAssets([]);
             setRecentActivity([]);
@@ -56,9 +58,10 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
                 ? [chainConfig.getChain(selectedChain)].filter(Boolean)
                 : allChains.filter(c => c.type === 'EVM');
 
+            const evmAddresses = getEvmAddresses(finalAddresses);
             const assetMap = new Map(); // Track assets for allocation
             let totalValue = 0;
-            const assetValues = [];
+            const heldSymbols = new Set();
 
             // Fetch assets for portfolio value calculation
             for (const chain of chainsToCheck) {
@@ -66,75 +69,39 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
                 const chainName = chain.chainName;
 
                 try {
-                    let chainPublicClient = publicClient;
-                    
-                    if (!chainPublicClient || chainPublicClient.chain?.id !== chainId) {
-                        const rpcUrl = chain.rpcUrls?.[0];
-                        if (!rpcUrl) continue;
-                        
-                        try {
-                            chainPublicClient = createPublicClient({
-                                transport: http(rpcUrl),
-                            });
-                        } catch (error) {
-                            continue;
-                        }
-                    }
+                    // Balances come from one batched Multicall3 read per chain, added up across wallets
+                    const tokens = getAllTokens(chainId);
+                    const walletBalances = await getCombinedWalletBalances(chainId, evmAddresses, tokens.slice(0, 20));
 
-                    // Get native token
-                    try {
-                        const nativeBalance = await chainPublicClient.getBalance({
-                            address: finalAddress,
-                        });
-                        const nativeDecimals = chain.nativeCurrency?.decimals || 18;
-                        const nativeBalanceFormatted = parseFloat(viemFormatUnits(nativeBalance, nativeDecimals));
+                    // Native token
+                    if (walletBalances.native) {
+                        const nativeBalanceFormatted = walletBalances.native.formatted;
                         const nativeSymbol = chain.nativeCurrency?.symbol || 'ETH';
-                        const nativePrice = await getTokenPrice(nativeSymbol);
-                        
+                        const nativePrice = await getTokenPrice(nativeSymbol, { chainId });
+
                         if (nativeBalanceFormatted > 0 && nativePrice) {
                             const value = nativeBalanceFormatted * nativePrice;
                             totalValue += value;
                             const key = `${nativeSymbol}-${chainId}`;
                             assetMap.set(key, (assetMap.get(key) || 0) + value);
-                            assetValues.push({ symbol: nativeSymbol, value, change: 0 });
+                            heldSymbols.add(nativeSymbol);
                         }
-                    } catch (error) {
-                        // Skip
                     }
 
-                    // Get token balances
-                    const tokens = getAllTokens(chainId);
-                    const tokenPromises = tokens.slice(0, 20).map(async (token) => {
-                        try {
-                            if (token.address === 'native' || !token.address) return null;
-
-                            const balance = await chainPublicClient.readContract({
-                                address: token.address,
-                                abi: erc20Abi,
-                                functionName: 'balanceOf',
-                                args: [finalAddress],
-                            });
-
-                            const decimals = token.decimals || 18;
-                            const balanceFormatted = parseFloat(viemFormatUnits(balance, decimals));
-                            
-                            if (balanceFormatted > 0) {
-                                const price = await getTokenPrice(token.symbol);
-                                if (price) {
-                                    const value = balanceFormatted * price;
-                                    totalValue += value;
-                                    const key = `${token.symbol}-${chainId}`;
-                                    assetMap.set(key, (assetMap.get(key) || 0) + value);
-                                    assetValues.push({ symbol: token.symbol, value, change: 0 });
-                                }
-                            }
-                            return null;
-                        } catch (error) {
-                            return null;
-                        }
-                    });
+                    // Token balances
+                    const tokenPrices = await Promise.all(walletBalances.tokens.map(({ token }) => (
+                        getTokenPrice(token.symbol, { chainId }).catch(() => null)
+                    )));
+                    walletBalances.tokens.forEach(({ token, formatted }, index) => {
+                        const price = tokenPrices[index];
+                        if (!price) return;
 
-                    await Promise.all(tokenPromises);
+                        const value = formatted * price;
+                        totalValue += value;
+                        const key = `${token.symbol}-${chainId}`;
+                        assetMap.set(key, (assetMap.get(key) || 0) + value);
+                        heldSymbols.add(token.symbol);
+                    });
                 } catch (error) {
                     console.warn(`Error fetching assets for ${chainName}:`, error);
                 }
@@ -152,39 +119,35 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
                 .slice(0, 5);
             setAssetAllocation(sortedAssets);
 
-            // Calculate top performing assets (simplified - would need historical data)
-            const topAssetsData = assetValues
-                .sort((a, b) => b.value - a.value)
-                .slice(0, 3)
-                .map(asset => ({
-                    symbol: asset.symbol,
-                    change: (Math.random() * 10 - 5).toFixed(2), // Placeholder
-                }));
+            // Price change of every held token over the selected range
+            const historyRange = HISTORY_RANGES[timeRange] || '7d';
+            const changes = await Promise.all(Array.from(heldSymbols).map(async (symbol) => ({
+                symbol,
+                change: await getPriceChange(symbol, historyRange),
+            })));
+
+            // Top performing assets over the range
+            const topAssetsData = changes
+                .filter(asset => asset.change !== null)
+                .sort((a, b) => b.change - a.change)
+                .slice(0, 3);
             setTopAssets(topAssetsData);
 
-            // Generate historical chart data
-            // For now, we'll generate based on current value with some variation
-            // In production, this would fetch historical portfolio snapshots
-            const days = timeRange === '7d' ? 7 : timeRange === '30d' ? 30 : 90;
-            const chartDataPoints = [];
-            const now = Date.now();
-            
-            for (let i = days - 1; i >= 0; i--) {
-                const date = new Date(now - i * 24 * 60 * 60 * 1000);
-                // Simulate portfolio value over time (trending upward with variation)
-                const variation = (Math.random() - 0.5) * 0.1; // ±5% variation
-                const trend = (days - i) / days * 0.1; // 10% growth over period
-                const value = totalValue * (1 + trend + variation);
-                
-                chartDataPoints.push({
-                    date: date.toISOString().split('T')[0],
-                    value: Math.max(0, value),
-                });
+            // Recorded portfolio value over the range, days without a snapshot left as gaps.
+            // The stored history is drawn right away and again once the new snapshot is in.
+            const loadHistory = () => getPortfolioHistory(evmAddresses, timeRange, { chainId: selectedChain });
+            setChartData(evmAddresses.length > 0 ? await loadHistory() : []);
+            if (evmAddresses.length > 0) {
+                Promise.all(evmAddresses.map(wallet => recordPortfolioSnapshot(wallet)))
+                    .then(loadHistory)
+                    .then((history) => {
+                        if (fetchIdRef.current === fetchId) setChartData(history);
+                    })
+                    .catch(error => console.warn('Failed to record portfolio snapshot:', error));
             }
-            setChartData(chartDataPoints);
 
             // Get recent activity from transaction history
-            const transactionHistory = getSwapHistory(finalAddress, selectedChain);
+            const transactionHistory = getSwapHistory(finalAddresses, selectedChain);
             const recent = transactionHistory
                 .slice(0, 5)
                 .map(tx => {
@@ -231,20 +194,13 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
         } finally {
             setLoading(false);
         }
-    }, [finalIsConnected, finalAddress, selectedChain, timeRange, publicClient, erc20Abi, lpTokenAbi]);
+    }, [finalIsConnected, finalAddresses, selectedChain, timeRange]);
 
     useEffect(() => {
         fetchChartData();
     }, [fetchChartData]);
 
-    const formatCurrency = (value) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 0,
-            maximumFractionDigits: 0
-        }).format(value);
-    };
+    const formatCurrency = (value) => formatFiat(value, { minimumFractionDigits: 0, maximumFractionDigits: 0 });
 
     if (!finalIsConnected) {
         return (
@@ -264,9 +220,10 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
         );
     }
 
-    // Simple chart visualization
-    const maxValue = Math.max(...chartData.map(d => d.value));
-    const minValue = Math.min(...chartData.map(d => d.value));
+    // Simple chart visualization, scaled to the recorded points only
+    const recordedValues = chartData.filter(d => d.value !== null).map(d => d.value);
+    const maxValue = Math.max(...recordedValues);
+    const minValue = Math.min(...recordedValues);
     const range = maxValue - minValue;
 
     return (
@@ -331,28 +288,43 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
             {/* Portfolio Value Chart */}
             <div className="portfolio-card">
                 <div className="portfolio-card-title">Portfolio Value Over Time</div>
-                <div className="portfolio-chart-container">
-                    <div className="portfolio-chart">
-                        {chartData.map((point, index) => {
-                            const height = range > 0 ? ((point.value - minValue) / range) * 100 : 50;
-                            return (
-                                <div key={index} className="portfolio-chart-bar-container">
-                                    <div 
-                                        className="portfolio-chart-bar"
-                                        style={{ height: `${height}%` }}
-                                    />
-                                    <div className="portfolio-chart-label">
-                                        {new Date(point.date).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
-                                    </div>
-                                </div>
-                            );
-                        })}
+                {recordedValues.length === 0 ? (
+                    <div className="portfolio-empty-state">
+                        <p>No portfolio history yet. Snapshots are recorded while the app is open.</p>
                     </div>
-                    <div className="portfolio-chart-values">
-                        <div className="portfolio-chart-min">{formatCurrency(minValue)}</div>
-                        <div className="portfolio-chart-max">{formatCurrency(maxValue)}</div>
+                ) : (
+                    <div className="portfolio-chart-container">
+                        <div className="portfolio-chart">
+                            {chartData.map((point) => {
+                                const label = new Date(point.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+                                if (point.value === null) {
+                                    return (
+                                        <div key={point.timestamp} className="portfolio-chart-bar-container">
+                                            <div className="portfolio-chart-bar-gap" aria-label={`No snapshot on ${label}`} />
+                                            <div className="portfolio-chart-label">{label}</div>
+                                        </div>
+                                    );
+                                }
+
+                                const height = range > 0 ? ((point.value - minValue) / range) * 100 : 50;
+                                return (
+                                    <div key={point.timestamp} className="portfolio-chart-bar-container">
+                                        <div
+                                            className={`portfolio-chart-bar ${point.partial ? 'portfolio-chart-bar-partial' : ''}`}
+                                            style={{ height: `${height}%` }}
+                                            aria-label={`${formatCurrency(point.value)} on ${label}${point.partial ? ' (some chains or wallets missing)' : ''}`}
+                                        />
+                                        <div className="portfolio-chart-label">{label}</div>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                        <div className="portfolio-chart-values">
+                            <div className="portfolio-chart-min">{formatCurrency(minValue)}</div>
+                            <div className="portfolio-chart-max">{formatCurrency(maxValue)}</div>
+                        </div>
                     </div>
-                </div>
+                )}
             </div>
 
             {/* Top Performing Assets */}
@@ -364,8 +336,8 @@ const PortfolioChart = ({ address, isConnected, selectedChain }) => {
                             <div key={index} className="portfolio-top-asset">
                                 <div className="portfolio-top-asset-rank">{index + 1}</div>
                                 <div className="portfolio-top-asset-symbol">{asset.symbol}</div>
-                                <div className={`portfolio-top-asset-change positive`}>
-                                    +{asset.change.toFixed(2)}%
+                                <div className={`portfolio-top-asset-change ${asset.change >= 0 ? 'positive' : 'negative'}`}>
+                                    {asset.change >= 0 ? '+' : ''}{asset.change.toFixed(2)}%
                                 </div>
                             </div>
                         ))}
@@ -1,17 +1,24 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { useAccount, usePublicClient } from 'wagmi';
-import { createPublicClient, http, formatUnits as viemFormatUnits, parseAbi } from 'viem';
+import { useAccount } from 'wagmi';
 import chainConfig from '../../services/chainConfig';
 import { getTokenPrice, getTokenPrices } from '../../services/priceOracle';
-import { getPairAddress, getPoolReserves, getPoolTotalSupply } from '../../services/liquidityPool';
+import { get24hChange } from '../../services/priceHistory';
+import { getCombinedWalletBalances, getCombinedLiquidityPositions } from '../../services/balanceService';
+import { getEvmAddresses } from '../../services/watchedAddresses';
+import { COST_BASIS_METHODS, getAssetKey, getCostBasisMethod, setCostBasisMethod, getPortfolioPnl } from '../../services/costBasis';
 import { getAllTokens } from '../../config/tokenLists';
+import { useCurrency } from '../../hooks/useCurrency';
 import '../css/PortfolioMobile.css';
 
-const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
+const PortfolioOverview = ({ address, addresses, isConnected, selectedChain }) => {
     const { address: accountAddress, isConnected: accountConnected } = useAccount();
-    const finalAddress = address || accountAddress;
-    const finalIsConnected = isConnected || accountConnected;
-    const publicClient = usePublicClient();
+    // Selected wallets, the connected one when none are given
+    const finalAddresses = useMemo(
+        () => (addresses?.length ? addresses : [address || accountAddress].filter(Boolean)),
+        [addresses, address, accountAddress]
+    );
+    const finalIsConnected = isConnected || accountConnected || Boolean(addresses?.length);
+    const { formatFiat } = useCurrency();
     
     const [portfolioData, setPortfolioData] = useState({
         totalValue: 0,
@@ -19,36 +26,20 @@ const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
         change24h: 0,
         breakdownByChain: {},
         breakdownByType: {},
-        previousValue: 0, // For 24h change calculation
+        pnl: null,
     });
+    const [costBasisMethod, setCostBasisMethodState] = useState(getCostBasisMethod);
     const [loading, setLoading] = useState(true);
     const [lastUpdate, setLastUpdate] = useState(null);
-    
-    // ERC20 ABI
-    const erc20Abi = parseAbi([
-        'function balanceOf(address account) external view returns (uint256)',
-        'function decimals() external view returns (uint8)',
-        'function symbol() external view returns (string)',
-    ]);
-    
-    // LP Token ABI
-    const lpTokenAbi = parseAbi([
-        'function balanceOf(address account) external view returns (uint256)',
-        'function totalSupply() external view returns (uint256)',
-        'function token0() external view returns (address)',
-        'function token1() external view returns (address)',
-        'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
-    ]);
 
     const fetchPortfolioData = useCallback(async () => {
-        if (!finalIsConnected || !finalAddress) {
+        if (!finalIsConnected || finalAddresses.length === 0) {
             setPortfolioData({
                 totalValue: 0,
                 totalAssets: 0,
                 change24h: 0,
                 breakdownByChain: {},
                 breakdownByType: {},
-                previousValue: 0,
             });
             setLoading(false);
             return;
@@ -69,7 +60,10 @@ const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
             };
             let totalValue = 0;
             let totalAssets = 0;
-            const previousValue = portfolioData.totalValue || 0;
+            // Token holdings { chainId, symbol, amount, value } for the 24h change and PnL
+            const tokenHoldings = [];
+            // Current holdings by asset key for the cost basis engine
+            const pnlHoldings = {};
 
             // Fetch data for each chain
             for (const chain of chainsToCheck) {
@@ -79,185 +73,61 @@ const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
                 let chainAssets = 0;
 
                 try {
-                    // Create public client for this chain
-                    let chainPublicClient = publicClient;
-                    
-                    // If not the current chain, create a new client for this chain
-                    if (!chainPublicClient || chainPublicClient.chain?.id !== chainId) {
-                        const rpcUrl = chain.rpcUrls?.[0];
-                        if (!rpcUrl) {
-                            console.warn(`No RPC URL for chain ${chainName}`);
-                            continue;
-                        }
-                        
-                        try {
-                            chainPublicClient = createPublicClient({
-                                transport: http(rpcUrl),
-                            });
-                        } catch (error) {
-                            console.warn(`Failed to create public client for ${chainName}:`, error);
-                            continue;
-                        }
-                    }
-
-                    // Get native token balance
-                    try {
-                        const nativeBalance = await chainPublicClient.getBalance({
-                            address: finalAddress,
-                        });
-                        const nativeDecimals = chain.nativeCurrency?.decimals || 18;
-                        const nativeBalanceFormatted = parseFloat(viemFormatUnits(nativeBalance, nativeDecimals));
+                    // Balances and LP positions come from batched Multicall3 reads,
+                    // added up across the selected wallets
+                    const tokens = getAllTokens(chainId);
+                    const evmAddresses = getEvmAddresses(finalAddresses);
+                    const [walletBalances, lpPositions] = await Promise.all([
+                        getCombinedWalletBalances(chainId, evmAddresses, tokens.slice(0, 20)), // Limit to 20 tokens per chain
+                        getCombinedLiquidityPositions(chainId, evmAddresses, tokens.slice(0, 10)), // Limit pairs
+                    ]);
+
+                    // Native token balance
+                    if (walletBalances.native) {
                         const nativeSymbol = chain.nativeCurrency?.symbol || 'ETH';
-                        const nativePrice = await getTokenPrice(nativeSymbol);
-                        
-                        if (nativeBalanceFormatted > 0 && nativePrice) {
-                            const nativeValue = nativeBalanceFormatted * nativePrice;
+                        const nativePrice = await getTokenPrice(nativeSymbol, { chainId });
+
+                        if (walletBalances.native.formatted > 0 && nativePrice) {
+                            const nativeValue = walletBalances.native.formatted * nativePrice;
                             chainValue += nativeValue;
                             breakdownByType['Tokens'] += nativeValue;
+                            tokenHoldings.push({ chainId, symbol: nativeSymbol, amount: walletBalances.native.formatted, value: nativeValue });
                             chainAssets++;
                         }
-                    } catch (error) {
-                        console.warn(`Error fetching native balance for ${chainName}:`, error);
                     }
 
-                    // Get token balances
-                    const tokens = getAllTokens(chainId);
-                    const tokenPromises = tokens.slice(0, 20).map(async (token) => { // Limit to 20 tokens per chain
-                        try {
-                            if (token.address === 'native' || !token.address) return null;
-
-                            const balance = await chainPublicClient.readContract({
-                                address: token.address,
-                                abi: erc20Abi,
-                                functionName: 'balanceOf',
-                                args: [finalAddress],
-                            });
-
-                            const decimals = token.decimals || 18;
-                            const balanceFormatted = parseFloat(viemFormatUnits(balance, decimals));
-                            
-                            if (balanceFormatted > 0) {
-                                const price = await getTokenPrice(token.symbol);
-                                if (price) {
-                                    const value = balanceFormatted * price;
-                                    return { value, symbol: token.symbol, type: 'Tokens' };
-                                }
-                            }
-                            return null;
-                        } catch (error) {
-                            return null;
-                        }
-                    });
-
-                    const tokenResults = await Promise.all(tokenPromises);
+                    // Token balances
+                    const tokenResults = await Promise.all(walletBalances.tokens.map(async ({ token, formatted }) => {
+                        const price = await getTokenPrice(token.symbol, { chainId });
+                        return price ? { value: formatted * price, symbol: token.symbol, amount: formatted, type: 'Tokens' } : null;
+                    }));
                     tokenResults.forEach(result => {
                         if (result) {
                             chainValue += result.value;
                             breakdownByType[result.type] += result.value;
+                            tokenHoldings.push({ chainId, symbol: result.symbol, amount: result.amount, value: result.value });
                             chainAssets++;
                         }
                     });
 
-                    // Get LP token positions
-                    const factoryAddress = chainConfig.getContractAddress(chainId, 'factory');
-                    if (factoryAddress) {
-                        const lpTokens = tokens.slice(0, 10); // Limit pairs
-                        const lpPromises = [];
-                        
-                        for (let i = 0; i < lpTokens.length; i++) {
-                            for (let j = i + 1; j < lpTokens.length; j++) {
-                                lpPromises.push(
-                                    (async () => {
-                                        try {
-                                            const pairAddress = await getPairAddress(
-                                                chainPublicClient,
-                                                factoryAddress,
-                                                lpTokens[i].address,
-                                                lpTokens[j].address
-                                            );
-
-                                            if (!pairAddress || pairAddress === '0x0000000000000000000000000000000000000000') {
-                                                return null;
-                                            }
-
-                                            const [balance, totalSupply, reserves] = await Promise.all([
-                                                chainPublicClient.readContract({
-                                                    address: pairAddress,
-                                                    abi: lpTokenAbi,
-                                                    functionName: 'balanceOf',
-                                                    args: [finalAddress],
-                                                }).catch(() => 0n),
-                                                chainPublicClient.readContract({
-                                                    address: pairAddress,
-                                                    abi: lpTokenAbi,
-                                                    functionName: 'totalSupply',
-                                                }).catch(() => null),
-                                                chainPublicClient.readContract({
-                                                    address: pairAddress,
-                                                    abi: lpTokenAbi,
-                                                    functionName: 'getReserves',
-                                                }).catch(() => null),
-                                            ]);
-
-                                            if (!balance || balance === 0n || !totalSupply || !reserves) {
-                                                return null;
-                                            }
-
-                                            const lpDecimals = 18;
-                                            const lpBalance = parseFloat(viemFormatUnits(balance, lpDecimals));
-                                            const share = Number(balance) / Number(totalSupply);
-                                            
-                                            const token0Address = await chainPublicClient.readContract({
-                                                address: pairAddress,
-                                                abi: lpTokenAbi,
-                                                functionName: 'token0',
-                                            }).catch(() => null);
-                                            const token1Address = await chainPublicClient.readContract({
-                                                address: pairAddress,
-                                                abi: lpTokenAbi,
-                                                functionName: 'token1',
-                                            }).catch(() => null);
-
-                                            if (!token0Address || !token1Address) return null;
-
-                                            const token0Info = lpTokens.find(t => t.address?.toLowerCase() === token0Address.toLowerCase()) || { symbol: 'Token0', decimals: 18 };
-                                            const token1Info = lpTokens.find(t => t.address?.toLowerCase() === token1Address.toLowerCase()) || { symbol: 'Token1', decimals: 18 };
-
-                                            const reserve0 = reserves[0];
-                                            const reserve1 = reserves[1];
-                                            const decimals0 = token0Info.decimals || 18;
-                                            const decimals1 = token1Info.decimals || 18;
-
-                                            const amount0 = parseFloat(viemFormatUnits(reserve0 * BigInt(Math.floor(share * 1e18)) / 1000000000000000000n, decimals0));
-                                            const amount1 = parseFloat(viemFormatUnits(reserve1 * BigInt(Math.floor(share * 1e18)) / 1000000000000000000n, decimals1));
-
-                                            const [price0, price1] = await Promise.all([
-                                                getTokenPrice(token0Info.symbol),
-                                                getTokenPrice(token1Info.symbol),
-                                            ]);
-
-                                            if (price0 && price1) {
-                                                const lpValue = (amount0 * price0) + (amount1 * price1);
-                                                return { value: lpValue, type: 'LP Tokens' };
-                                            }
-                                            return null;
-                                        } catch (error) {
-                                            return null;
-                                        }
-                                    })()
-                                );
-                            }
+                    // LP token positions
+                    const lpResults = await Promise.all(lpPositions.map(async ({ token0, token1, amount0, amount1 }) => {
+                        const [price0, price1] = await Promise.all([
+                            getTokenPrice(token0.symbol, { chainId }),
+                            getTokenPrice(token1.symbol, { chainId }),
+                        ]);
+                        return price0 && price1
+                            ? { value: (amount0 * price0) + (amount1 * price1), symbol: `${token0.symbol}/${token1.symbol}`, type: 'LP Tokens' }
+                            : null;
+                    }));
+                    lpResults.forEach(result => {
+                        if (result) {
+                            chainValue += result.value;
+                            breakdownByType[result.type] += result.value;
+                            pnlHoldings[getAssetKey(chainId, result.symbol, 'lp')] = { value: result.value };
+                            chainAssets++;
                         }
-
-                        const lpResults = await Promise.all(lpPromises);
-                        lpResults.forEach(result => {
-                            if (result) {
-                                chainValue += result.value;
-                                breakdownByType[result.type] += result.value;
-                                chainAssets++;
-                            }
-                        });
-                    }
+                    });
 
                     // TODO: Fetch staked positions
                     // This would require staking contract addresses and ABI
@@ -273,24 +143,45 @@ const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
                 }
             }
 
-            // Calculate 24h change
-            // Note: For accurate 24h change, we'd need historical price data
-            // For now, we'll use a simple calculation based on previous value
-            let change24h = 0;
-            if (previousValue > 0) {
-                change24h = ((totalValue - previousValue) / previousValue) * 100;
-            } else {
-                // Placeholder: simulate small change
-                change24h = (Math.random() * 6 - 3).toFixed(2); // -3% to +3%
+            // Calculate 24h change from each holding's price change
+            // Holdings without price history are left out
+            const holdingChanges = await Promise.all(tokenHoldings.map(async (holding) => ({
+                ...holding,
+                change: await get24hChange(holding.symbol),
+            })));
+            let currentHoldingsValue = 0;
+            let previousHoldingsValue = 0;
+            holdingChanges.forEach(({ value, change }) => {
+                if (change === null) return;
+                currentHoldingsValue += value;
+                previousHoldingsValue += value / (1 + change / 100);
+            });
+            const change24h = previousHoldingsValue > 0
+                ? ((currentHoldingsValue - previousHoldingsValue) / previousHoldingsValue) * 100
+                : 0;
+
+            // Profit and loss against the cost basis of the recorded transactions
+            let pnl = null;
+            try {
+                tokenHoldings.forEach(({ chainId, symbol, amount, value }) => {
+                    pnlHoldings[getAssetKey(chainId, symbol)] = { amount, price: amount > 0 ? value / amount : 0 };
+                });
+                pnl = await getPortfolioPnl(finalAddresses, {
+                    method: costBasisMethod,
+                    holdings: pnlHoldings,
+                    chainId: selectedChain ? parseInt(selectedChain) : null,
+                });
+            } catch (error) {
+                console.warn('Error computing profit and loss:', error);
             }
 
             const portfolioDataResult = {
                 totalValue,
                 totalAssets,
-                change24h: parseFloat(change24h),
+                change24h,
                 breakdownByChain,
                 breakdownByType,
-                previousValue: totalValue, // Store for next calculation
+                pnl,
             };
 
             // Filter by selected chain if specified
@@ -314,12 +205,12 @@ const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
                 change24h: 0,
                 breakdownByChain: {},
                 breakdownByType: {},
-                previousValue: portfolioData.previousValue || 0,
+                pnl: null,
             });
         } finally {
             setLoading(false);
         }
-    }, [finalIsConnected, finalAddress, selectedChain, publicClient, erc20Abi, lpTokenAbi, portfolioData.previousValue]);
+    }, [finalIsConnected, finalAddresses, selectedChain, costBasisMethod]);
 
     useEffect(() => {
         fetchPortfolioData();
@@ -332,15 +223,17 @@ const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
         return () => clearInterval(interval);
     }, [fetchPortfolioData]);
 
-    const formatCurrency = (value) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD',
-            minimumFractionDigits: 2,
-            maximumFractionDigits: 2
-        }).format(value);
+    const formatCurrency = (value) => formatFiat(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    const formatSignedCurrency = (value) => `${value >= 0 ? '+' : '-'}${formatCurrency(Math.abs(value))}`;
+
+    const handleCostBasisMethodChange = (method) => {
+        if (setCostBasisMethod(method)) {
+            setCostBasisMethodState(method);
+        }
     };
 
+    const getChainName = (chainId) => chainConfig.getChain(chainId)?.chainName || `Chain ${chainId}`;
+
     const renderChainIcon = (chainName) => {
         const chains = chainConfig.getAllChains() || [];
         const chain = chains.find((c) => c.chainName === chainName);
@@ -421,6 +314,58 @@ const PortfolioOverview = ({ address, isConnected, selectedChain }) => {
                 </div>
             </div>
 
+            {/* Profit & Loss */}
+            {portfolioData.pnl && (
+                <div className="portfolio-card">
+                    <div className="portfolio-pnl-header">
+                        <div className="portfolio-card-title">Profit &amp; Loss</div>
+                        <div className="portfolio-pnl-methods" role="group" aria-label="Cost basis method">
+                            {[[COST_BASIS_METHODS.FIFO, 'FIFO'], [COST_BASIS_METHODS.AVERAGE, 'Average']].map(([method, label]) => (
+                                <button
+                                    key={method}
+                                    type="button"
+                                    className={`portfolio-pnl-method ${costBasisMethod === method ? 'active' : ''}`}
+                                    aria-pressed={costBasisMethod === method}
+                                    onClick={() => handleCostBasisMethodChange(method)}
+                                >
+                                    {label}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                    <div className="portfolio-breakdown">
+                        {[
+                            ['Unrealized', portfolioData.pnl.totals.unrealizedPnl],
+                            ['Realized', portfolioData.pnl.totals.realizedPnl],
+                            ['Rewards income', portfolioData.pnl.totals.income],
+                        ].map(([label, value]) => (
+                            <div key={label} className="portfolio-breakdown-item">
+                                <div className="portfolio-breakdown-label">
+                                    <span>{label}</span>
+                                </div>
+                                <div className={`portfolio-breakdown-value ${value >= 0 ? 'positive' : 'negative'}`}>
+                                    {formatSignedCurrency(value)}
+                                </div>
+                            </div>
+                        ))}
+                        {Object.entries(portfolioData.pnl.byChain).map(([chainId, chainPnl]) => {
+                            const chainTotal = chainPnl.unrealizedPnl + chainPnl.realizedPnl + chainPnl.income;
+                            return (
+                                <div key={chainId} className="portfolio-breakdown-item">
+                                    <div className="portfolio-breakdown-label">
+                                        {renderChainIcon(getChainName(chainId))}
+                                        <span>{getChainName(chainId)}</span>
+                                    </div>
+                                    <div className={`portfolio-breakdown-value ${chainTotal >= 0 ? 'positive' : 'negative'}`}>
+                                        {formatSignedCurrency(chainTotal)}
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                </div>
+            )}
+
             {/* Breakdown by Chain */}
             {Object.keys(portfolioData.breakdownByChain).length > 0 && (
                 <div className="portfolio-card">
@@ -2,12 +2,17 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { useAccount } from 'wagmi';
 import chainConfig from '../../services/chainConfig';
 import { getSwapHistory } from '../../services/transactionHistory';
+import { isSameAddress } from '../../services/watchedAddresses';
 import '../css/PortfolioMobile.css';
 
-const TransactionHistoryList = ({ address, isConnected, selectedChain }) => {
+const TransactionHistoryList = ({ address, addresses, isConnected, selectedChain }) => {
     const { address: accountAddress, isConnected: accountConnected } = useAccount();
-    const finalAddress = address || accountAddress;
-    const finalIsConnected = isConnected || accountConnected;
+    // Selected wallets, the connected one when none are given
+    const finalAddresses = useMemo(
+        () => (addresses?.length ? addresses : [address || accountAddress].filter(Boolean)),
+        [addresses, address, accountAddress]
+    );
+    const finalIsConnected = isConnected || accountConnected || Boolean(addresses?.length);
     
     const [transactions, setTransactions] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -15,7 +20,7 @@ const TransactionHistoryList = ({ address, isConnected, selectedChain }) => {
     const [searchQuery, setSearchQuery] = useState('');
 
     const fetchTransactions = useCallback(async () => {
-        if (!finalIsConnected || !finalAddress) {
+        if (!finalIsConnected || finalAddresses.length === 0) {
             setTransactions([]);
             setLoading(false);
             return;
@@ -24,7 +29,7 @@ const TransactionHistoryList = ({ address, isConnected, selectedChain }) => {
         setLoading(true);
         try {
             // Fetch from transaction history service (localStorage)
-            const swapHistory = getSwapHistory(finalAddress, selectedChain);
+            const swapHistory = getSwapHistory(finalAddresses, selectedChain);
             
             // Also check for liquidity history
             let liquidityHistory = [];
@@ -32,11 +37,9 @@ const TransactionHistoryList = ({ address, isConnected, selectedChain }) => {
                 const liquidityHistoryJson = localStorage.getItem('liquidityHistory');
                 if (liquidityHistoryJson) {
                     liquidityHistory = JSON.parse(liquidityHistoryJson);
-                    if (finalAddress) {
-                        liquidityHistory = liquidityHistory.filter(tx => 
-                            tx.userAddress?.toLowerCase() === finalAddress.toLowerCase()
-                        );
-                    }
+                    liquidityHistory = liquidityHistory.filter(tx => 
+                        finalAddresses.some(wallet => isSameAddress(wallet, tx.userAddress))
+                    );
                     if (selectedChain) {
                         liquidityHistory = liquidityHistory.filter(tx => tx.chainId === selectedChain);
                     }
@@ -51,11 +54,9 @@ const TransactionHistoryList = ({ address, isConnected, selectedChain }) => {
                 const stakingHistoryJson = localStorage.getItem('stakingHistory');
                 if (stakingHistoryJson) {
                     stakingHistory = JSON.parse(stakingHistoryJson);
-                    if (finalAddress) {
-                        stakingHistory = stakingHistory.filter(tx => 
-                            tx.userAddress?.toLowerCase() === finalAddress.toLowerCase()
-                        );
-                    }
+                    stakingHistory = stakingHistory.filter(tx => 
+                        finalAddresses.some(wallet => isSameAddress(wallet, tx.userAddress))
+                    );
                     if (selectedChain) {
                         stakingHistory = stakingHistory.filter(tx => tx.chainId === selectedChain);
                     }
@@ -134,7 +135,7 @@ const TransactionHistoryList = ({ address, isConnected, selectedChain }) => {
         } finally {
             setLoading(false);
         }
-    }, [finalIsConnected, finalAddress, selectedChain]);
+    }, [finalIsConnected, finalAddresses, selectedChain]);
 
     useEffect(() => {
         fetchTransactions();
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import '../css/PortfolioMobile.css';
+
+// Selection values besides a watched address
+export const ALL_WALLETS = 'all';
+export const CONNECTED_WALLET = 'connected';
+
+const WalletSelector = ({ connectedAddress, wallets, selected, onSelect, onAdd, onRemove }) => {
+    const [showForm, setShowForm] = useState(false);
+    const [newAddress, setNewAddress] = useState('');
+    const [newLabel, setNewLabel] = useState('');
+    const [error, setError] = useState(null);
+
+    const selectedWallet = wallets.find(wallet => wallet.address === selected);
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const result = onAdd(newAddress, newLabel);
+        if (!result.success) {
+            setError(result.message);
+            return;
+        }
+        setNewAddress('');
+        setNewLabel('');
+        setError(null);
+        setShowForm(false);
+        onSelect(result.wallet.address);
+    };
+
+    const handleRemove = () => {
+        if (!selectedWallet) return;
+        if (window.confirm(`Stop watching ${selectedWallet.label}?`)) {
+            onRemove(selectedWallet.address);
+            onSelect(connectedAddress ? CONNECTED_WALLET : ALL_WALLETS);
+        }
+    };
+
+    const renderTab = (value, label, title) => (
+        <button
+            key={value}
+            className={`portfolio-wallet-tab ${selected === value ? 'active' : ''}`}
+            aria-pressed={selected === value}
+            title={title}
+            onClick={() => onSelect(value)}
+        >
+            {label}
+        </button>
+    );
+
+    return (
+        <div className="portfolio-wallet-selector">
+            <div className="portfolio-wallet-tabs">
+                {(wallets.length > 0 || !connectedAddress) && renderTab(ALL_WALLETS, 'All Wallets')}
+                {connectedAddress && renderTab(CONNECTED_WALLET, 'My Wallet', connectedAddress)}
+                {wallets.map(wallet => renderTab(wallet.address, wallet.label, wallet.address))}
+                <button
+                    className="portfolio-wallet-tab portfolio-wallet-add"
+                    aria-expanded={showForm}
+                    onClick={() => setShowForm(!showForm)}
+                >
+                    + Watch
+                </button>
+            </div>
+
+            {selectedWallet && (
+                <div className="portfolio-wallet-info">
+                    <span className="portfolio-wallet-address">
+                        Watch-only · {selectedWallet.address.slice(0, 8)}...{selectedWallet.address.slice(-6)}
+                        {selectedWallet.type === 'tron' && ' · history only'}
+                    </span>
+                    <button className="portfolio-wallet-remove" onClick={handleRemove}>
+                        Remove
+                    </button>
+                </div>
+            )}
+
+            {showForm && (
+                <form className="portfolio-wallet-form" onSubmit={handleSubmit}>
+                    <input
+                        type="text"
+                        className="portfolio-search-input"
+                        aria-label="Wallet address"
+                        placeholder="EVM (0x...) or Tron (T...) address"
+                        value={newAddress}
+                        onChange={(e) => setNewAddress(e.target.value)}
+                    />
+                    <input
+                        type="text"
+                        className="portfolio-search-input"
+                        aria-label="Wallet label"
+                        placeholder="Label (optional)"
+                        value={newLabel}
+                        onChange={(e) => setNewLabel(e.target.value)}
+                    />
+                    {error && <div className="portfolio-wallet-error">{error}</div>}
+                    <button type="submit" className="portfolio-wallet-submit" disabled={!newAddress.trim()}>
+                        Add Wallet
+                    </button>
+                </form>
+            )}
+        </div>
+    );
+};
+
+export default WalletSelector;
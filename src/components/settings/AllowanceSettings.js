@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAccount, usePublicClient, useWriteContract } from 'wagmi';
+import { formatUnits } from 'viem';
+import SettingsSection from './SettingsSection';
+import { getAllowances, buildRevokeRequest } from '../../services/allowanceService';
+import { formatErrorForDisplay } from '../../utils/chainErrors';
+import '../css/SettingsMobile.css';
+
+const getAllowanceKey = (item) => `${item.token.address.toLowerCase()}:${item.spender.toLowerCase()}`;
+
+const AllowanceSettings = ({ chainId }) => {
+    const { address } = useAccount();
+    const publicClient = usePublicClient({ chainId });
+    const { writeContractAsync } = useWriteContract();
+    const [allowances, setAllowances] = useState([]);
+    const [selected, setSelected] = useState(new Set());
+    const [isLoading, setIsLoading] = useState(false);
+    const [isRevoking, setIsRevoking] = useState(false);
+    const [error, setError] = useState(null);
+
+    const loadAllowances = useCallback(async () => {
+        if (!address || !publicClient || !chainId) {
+            setAllowances([]);
+            return;
+        }
+
+        setIsLoading(true);
+        setError(null);
+        try {
+            const results = await getAllowances({ publicClient, chainId, owner: address });
+            setAllowances(results);
+            setSelected(new Set());
+        } catch (err) {
+            console.error('Failed to load allowances:', err);
+            setError('Failed to load allowances');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [address, publicClient, chainId]);
+
+    useEffect(() => {
+        loadAllowances();
+    }, [loadAllowances]);
+
+    const toggleSelected = (key) => {
+        setSelected(prev => {
+            const next = new Set(prev);
+            if (next.has(key)) {
+                next.delete(key);
+            } else {
+                next.add(key);
+            }
+            return next;
+        });
+    };
+
+    const toggleAll = () => {
+        setSelected(prev => prev.size === allowances.length
+            ? new Set()
+            : new Set(allowances.map(getAllowanceKey)));
+    };
+
+    const handleRevoke = async () => {
+        const toRevoke = allowances.filter(item => selected.has(getAllowanceKey(item)));
+        if (toRevoke.length === 0) return;
+
+        const confirmed = window.confirm(
+            `Revoke ${toRevoke.length} approval(s)? Each revoke is a separate transaction in your wallet.`
+        );
+        if (!confirmed) return;
+
+        setIsRevoking(true);
+        setError(null);
+        const hashes = [];
+        try {
+            // One approve(spender, 0) per allowance, submitted in order
+            for (const item of toRevoke) {
+                const hash = await writeContractAsync(buildRevokeRequest(item.token.address, item.spender));
+                hashes.push(hash);
+            }
+            await Promise.all(hashes.map(hash => publicClient.waitForTransactionReceipt({ hash })));
+        } catch (err) {
+            console.error('Revoke failed:', err);
+            const formattedError = formatErrorForDisplay(err, chainId);
+            setError(`${formattedError.title}: ${formattedError.message}`);
+        } finally {
+            setIsRevoking(false);
+            if (hashes.length > 0) {
+                await loadAllowances();
+            }
+        }
+    };
+
+    const formatAllowance = (item) => {
+        if (item.isUnlimited) return 'Unlimited';
+        const value = parseFloat(formatUnits(item.allowance, item.token.decimals || 18));
+        return value.toLocaleString('en-US', { maximumFractionDigits: 6 });
+    };
+
+    if (!address) {
+        return null;
+    }
+
+    return (
+        <SettingsSection title="Allowances">
+            <div className="settings-item">
+                <div className="settings-item-description" style={{ marginBottom: '8px', fontSize: '12px', color: '#7A7A7A' }}>
+                    Token approvals granted to Mango contracts on this network
+                </div>
+
+                {isLoading && <div className="settings-item-value">Loading allowances...</div>}
+
+                {!isLoading && allowances.length === 0 && !error && (
+                    <div className="settings-item-value">No active approvals</div>
+                )}
+
+                {!isLoading && allowances.length > 0 && (
+                    <div className="settings-allowances-list">
+                        <label className="settings-allowance-item">
+                            <input
+                                type="checkbox"
+                                checked={selected.size === allowances.length}
+                                onChange={toggleAll}
+                                disabled={isRevoking}
+                            />
+                            <span className="settings-item-label">Select all</span>
+                        </label>
+                        {allowances.map(item => {
+                            const key = getAllowanceKey(item);
+                            return (
+                                <label key={key} className="settings-allowance-item">
+                                    <input
+                                        type="checkbox"
+                                        checked={selected.has(key)}
+                                        onChange={() => toggleSelected(key)}
+                                        disabled={isRevoking}
+                                    />
+                                    <span className="settings-allowance-token">{item.token.symbol}</span>
+                                    <span className="settings-allowance-spender">{item.labels.join(' / ')}</span>
+                                    <span className={`settings-allowance-amount ${item.isUnlimited ? 'unlimited' : ''}`}>
+                                        {formatAllowance(item)}
+                                    </span>
+                                </label>
+                            );
+                        })}
+                    </div>
+                )}
+
+                {error && (
+                    <div className="settings-error" style={{ fontSize: '11px', color: '#FF3B30', marginTop: '4px' }}>
+                        {error}
+                    </div>
+                )}
+
+                <div className="settings-actions">
+                    <button
+                        className="settings-button settings-button-secondary"
+                        onClick={loadAllowances}
+                        disabled={isLoading || isRevoking}
+                    >
+                        Refresh
+                    </button>
+                    <button
+                        className="settings-button settings-button-destructive"
+                        onClick={handleRevoke}
+                        disabled={selected.size === 0 || isLoading || isRevoking}
+                    >
+                        {isRevoking ? 'Revoking...' : `Revoke${selected.size > 0 ? ` (${selected.size})` : ''}`}
+                    </button>
+                </div>
+            </div>
+        </SettingsSection>
+    );
+};
+
+export default AllowanceSettings;
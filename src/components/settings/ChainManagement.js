@@ -3,6 +3,7 @@ import { useSwitchChain, useChainId, useWaitForTransactionReceipt } from 'wagmi'
 import chainConfig from '../../services/chainConfig';
 import SettingsSection from './SettingsSection';
 import ChainStatusBadge from '../ChainStatusBadge';
+import CustomRpcList from './CustomRpcList';
 import '../css/SettingsMobile.css';
 
 const ChainManagement = ({ chainId: propChainId }) => {
@@ -15,6 +16,7 @@ const ChainManagement = ({ chainId: propChainId }) => {
     const [switchError, setSwitchError] = useState(null);
     const [switchSuccess, setSwitchSuccess] = useState(null);
     const [switchProgress, setSwitchProgress] = useState(0);
+    const [rpcChainId, setRpcChainId] = useState(null);
 
     // Track transaction status if switchChain returns a transaction hash
     const { isLoading: isConfirming, isSuccess: isConfirmed, isError: isTxError } = useWaitForTransactionReceipt({
@@ -154,92 +156,114 @@ const ChainManagement = ({ chainId: propChainId }) => {
                     const showSuccess = switchSuccess === chain.chainId;
                     const showProgress = isSwitching && (isPending || isConfirming);
                     const progressValue = isSwitching ? switchProgress : 0;
+                    const isEVM = chain.type === 'EVM' || !chain.type;
+                    const showRpcs = rpcChainId === chain.chainId;
                     
                     return (
-                        <div 
-                            key={chain.chainId} 
-                            className={`settings-chain-item ${isActive ? 'settings-chain-active' : ''} ${isSwitching ? 'settings-chain-switching' : ''} ${showSuccess ? 'settings-chain-success' : ''} ${showError ? 'settings-chain-error' : ''}`}
-                            onClick={() => !isActive && !isSwitching && handleSwitchChain(chain.chainId)}
-                            style={{ cursor: isActive || isSwitching ? 'default' : 'pointer' }}
-                        >
-                            <div className="settings-chain-info">
-                                {!showPlaceholder ? (
-                                    <img 
-                                        src={chain.img} 
-                                        alt={chain.chainName} 
-                                        className="settings-chain-icon"
-                                        onError={() => handleImageError(chain.chainId)}
-                                    />
-                                ) : (
-                                    <div className="settings-chain-icon settings-chain-icon-placeholder">
-                                        {chain.chainName.charAt(0)}
-                                    </div>
-                                )}
-                                <div>
-                                    <div className="settings-chain-name">
-                                        {chain.chainName}
-                                        {isSwitching && (
-                                            <span className="settings-chain-switching-indicator">
-                                                <span className="settings-chain-spinner"></span>
-                                                {isConfirming ? 'Confirming...' : isPending ? 'Switching...' : 'Processing...'}
-                                            </span>
-                                        )}
-                                        {showSuccess && (
-                                            <span className="settings-chain-success-indicator">✓ Switched</span>
+                        <React.Fragment key={chain.chainId}>
+                            <div 
+                                className={`settings-chain-item ${isActive ? 'settings-chain-active' : ''} ${isSwitching ? 'settings-chain-switching' : ''} ${showSuccess ? 'settings-chain-success' : ''} ${showError ? 'settings-chain-error' : ''}`}
+                                onClick={() => !isActive && !isSwitching && handleSwitchChain(chain.chainId)}
+                                style={{ cursor: isActive || isSwitching ? 'default' : 'pointer' }}
+                            >
+                                <div className="settings-chain-info">
+                                    {!showPlaceholder ? (
+                                        <img 
+                                            src={chain.img} 
+                                            alt={chain.chainName} 
+                                            className="settings-chain-icon"
+                                            onError={() => handleImageError(chain.chainId)}
+                                        />
+                                    ) : (
+                                        <div className="settings-chain-icon settings-chain-icon-placeholder">
+                                            {chain.chainName.charAt(0)}
+                                        </div>
+                                    )}
+                                    <div>
+                                        <div className="settings-chain-name">
+                                            {chain.chainName}
+                                            {isSwitching && (
+                                                <span className="settings-chain-switching-indicator">
+                                                    <span className="settings-chain-spinner"></span>
+                                                    {isConfirming ? 'Confirming...' : isPending ? 'Switching...' : 'Processing...'}
+                                                </span>
+                                            )}
+                                            {showSuccess && (
+                                                <span className="settings-chain-success-indicator">✓ Switched</span>
+                                            )}
+                                            {showError && (
+                                                <span className="settings-chain-error-indicator">✗ Failed</span>
+                                            )}
+                                            {showProgress && (
+                                                <div className="settings-chain-progress-bar">
+                                                    <div 
+                                                        className="settings-chain-progress-fill"
+                                                        style={{ width: `${progressValue}%` }}
+                                                    />
+                                                </div>
+                                            )}
+                                        </div>
+                                        <div className="settings-chain-id">Chain ID: {chain.chainId}</div>
+                                        {chain.status && (
+                                            <div className="settings-chain-status" style={{ fontSize: '11px', color: chain.status === 'active' ? '#34C759' : '#FF3B30', marginTop: '2px' }}>
+                                                {chain.status}
+                                            </div>
                                         )}
                                         {showError && (
-                                            <span className="settings-chain-error-indicator">✗ Failed</span>
-                                        )}
-                                        {showProgress && (
-                                            <div className="settings-chain-progress-bar">
-                                                <div 
-                                                    className="settings-chain-progress-fill"
-                                                    style={{ width: `${progressValue}%` }}
-                                                />
+                                            <div className="settings-chain-error-message" style={{ fontSize: '11px', color: '#FF3B30', marginTop: '4px' }}>
+                                                {switchError}
                                             </div>
                                         )}
                                     </div>
-                                    <div className="settings-chain-id">Chain ID: {chain.chainId}</div>
-                                    {chain.status && (
-                                        <div className="settings-chain-status" style={{ fontSize: '11px', color: chain.status === 'active' ? '#34C759' : '#FF3B30', marginTop: '2px' }}>
-                                            {chain.status}
-                                        </div>
+                                </div>
+                                <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '4px' }}>
+                                    <ChainStatusBadge chainId={parseInt(chain.chainId)} />
+                                    {!isActive && (
+                                        <button
+                                            className="settings-button settings-button-secondary"
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                handleSwitchChain(chain.chainId);
+                                            }}
+                                            disabled={isSwitching || isPending || isConfirming}
+                                            style={{ 
+                                                fontSize: '11px', 
+                                                padding: '4px 8px',
+                                                height: 'auto',
+                                                minWidth: 'auto',
+                                                opacity: (isSwitching || isPending || isConfirming) ? 0.6 : 1
+                                            }}
+                                        >
+                                            {isSwitching ? (
+                                                <>
+                                                    <span className="settings-chain-spinner-small"></span>
+                                                    {isConfirming ? 'Confirming...' : isPending ? 'Switching...' : 'Processing...'}
+                                                </>
+                                            ) : 'Switch'}
+                                        </button>
                                     )}
-                                    {showError && (
-                                        <div className="settings-chain-error-message" style={{ fontSize: '11px', color: '#FF3B30', marginTop: '4px' }}>
-                                            {switchError}
-                                        </div>
+                                    {isEVM && (
+                                        <button
+                                            className="settings-button settings-button-secondary"
+                                            aria-expanded={showRpcs}
+                                            onClick={(e) => {
+                                                e.stopPropagation();
+                                                setRpcChainId(showRpcs ? null : chain.chainId);
+                                            }}
+                                            style={{ 
+                                                fontSize: '11px', 
+                                                padding: '4px 8px',
+                                                height: 'auto',
+                                                minWidth: 'auto'
+                                            }}
+                                        >
+                                            RPCs
+                                        </button>
                                     )}
                                 </div>
                             </div>
-                            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '4px' }}>
-                                <ChainStatusBadge chainId={parseInt(chain.chainId)} />
-                                {!isActive && (
-                                    <button
-                                        className="settings-button settings-button-secondary"
-                                        onClick={(e) => {
-                                            e.stopPropagation();
-                                            handleSwitchChain(chain.chainId);
-                                        }}
-                                        disabled={isSwitching || isPending || isConfirming}
-                                        style={{ 
-                                            fontSize: '11px', 
-                                            padding: '4px 8px',
-                                            height: 'auto',
-                                            minWidth: 'auto',
-                                            opacity: (isSwitching || isPending || isConfirming) ? 0.6 : 1
-                                        }}
-                                    >
-                                        {isSwitching ? (
-                                            <>
-                                                <span className="settings-chain-spinner-small"></span>
-                                                {isConfirming ? 'Confirming...' : isPending ? 'Switching...' : 'Processing...'}
-                                            </>
-                                        ) : 'Switch'}
-                                    </button>
-                                )}
-                            </div>
-                        </div>
+                            {showRpcs && <CustomRpcList chainId={parseInt(chain.chainId)} />}
+                        </React.Fragment>
                     );
                 })}
             </div>
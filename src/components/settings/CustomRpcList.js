@@ -0,0 +1,166 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import rpcProvider from '../../services/rpcProvider';
+import {
+    getCustomRpcUrls,
+    addCustomRpcUrl,
+    moveCustomRpcUrl,
+    removeCustomRpcUrl,
+    CUSTOM_RPCS_CHANGE_EVENT,
+} from '../../services/customRpcs';
+import '../css/SettingsMobile.css';
+
+const STATUS_COLORS = {
+    healthy: '#34C759',
+    degraded: '#FFC107',
+    unhealthy: '#FF3B30',
+    unknown: '#8E8E93',
+};
+
+const formatHealth = (health) => {
+    if (!health) return 'Not tested';
+    if (health.rateLimited) return 'Rate limited';
+    const latency = health.responseTime !== null && health.responseTime !== undefined
+        ? ` · ${health.responseTime}ms`
+        : '';
+    return `${health.status}${latency}`;
+};
+
+const CustomRpcList = ({ chainId }) => {
+    const [urls, setUrls] = useState(() => getCustomRpcUrls(chainId));
+    const [health, setHealth] = useState({});
+    const [newUrl, setNewUrl] = useState('');
+    const [error, setError] = useState(null);
+    const [isAdding, setIsAdding] = useState(false);
+    const [testingUrl, setTestingUrl] = useState(null);
+
+    const refreshHealth = useCallback(() => {
+        setHealth(rpcProvider.getRpcHealthStatus(chainId));
+    }, [chainId]);
+
+    // Follow changes from this tab and from others
+    useEffect(() => {
+        const handleChange = () => {
+            setUrls(getCustomRpcUrls(chainId));
+            refreshHealth();
+        };
+        handleChange();
+        window.addEventListener(CUSTOM_RPCS_CHANGE_EVENT, handleChange);
+        window.addEventListener('storage', handleChange);
+        return () => {
+            window.removeEventListener(CUSTOM_RPCS_CHANGE_EVENT, handleChange);
+            window.removeEventListener('storage', handleChange);
+        };
+    }, [chainId, refreshHealth]);
+
+    const handleTest = async (url) => {
+        setTestingUrl(url);
+        try {
+            await rpcProvider.checkRpcHealth(url, chainId);
+        } finally {
+            setTestingUrl(null);
+            refreshHealth();
+        }
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setIsAdding(true);
+        setError(null);
+        const result = await addCustomRpcUrl(chainId, newUrl);
+        setIsAdding(false);
+        if (!result.success) {
+            setError(result.message);
+            return;
+        }
+        setNewUrl('');
+        handleTest(result.url);
+    };
+
+    const handleRemove = (url) => {
+        if (window.confirm(`Remove ${url}?`)) {
+            removeCustomRpcUrl(chainId, url);
+        }
+    };
+
+    return (
+        <div className="settings-custom-rpcs">
+            {urls.length === 0 ? (
+                <div className="settings-custom-rpc-note">No custom RPCs for this chain.</div>
+            ) : (
+                urls.map((url, index) => {
+                    const urlHealth = health[url];
+                    const isTesting = testingUrl === url;
+                    return (
+                        <div key={url} className="settings-custom-rpc-item">
+                            <div className="settings-custom-rpc-info">
+                                <div className="settings-custom-rpc-url" title={url}>{url}</div>
+                                <div
+                                    className="settings-custom-rpc-health"
+                                    style={{ color: STATUS_COLORS[urlHealth?.status] || STATUS_COLORS.unknown }}
+                                >
+                                    {isTesting ? 'Testing...' : formatHealth(urlHealth)}
+                                </div>
+                            </div>
+                            <div className="settings-custom-rpc-actions">
+                                <button
+                                    className="settings-button settings-button-secondary"
+                                    aria-label={`Move ${url} up`}
+                                    onClick={() => moveCustomRpcUrl(chainId, url, -1)}
+                                    disabled={index === 0}
+                                >
+                                    ↑
+                                </button>
+                                <button
+                                    className="settings-button settings-button-secondary"
+                                    aria-label={`Move ${url} down`}
+                                    onClick={() => moveCustomRpcUrl(chainId, url, 1)}
+                                    disabled={index === urls.length - 1}
+                                >
+                                    ↓
+                                </button>
+                                <button
+                                    className="settings-button settings-button-secondary"
+                                    onClick={() => handleTest(url)}
+                                    disabled={isTesting}
+                                >
+                                    Test
+                                </button>
+                                <button
+                                    className="settings-button settings-button-destructive"
+                                    onClick={() => handleRemove(url)}
+                                >
+                                    Remove
+                                </button>
+                            </div>
+                        </div>
+                    );
+                })
+            )}
+
+            <form className="settings-custom-rpc-form" onSubmit={handleSubmit}>
+                <input
+                    type="text"
+                    className="settings-input"
+                    aria-label="Custom RPC URL"
+                    placeholder="https://..."
+                    value={newUrl}
+                    onChange={(e) => setNewUrl(e.target.value)}
+                    disabled={isAdding}
+                />
+                <button
+                    type="submit"
+                    className="settings-button"
+                    disabled={isAdding || !newUrl.trim()}
+                >
+                    {isAdding ? 'Checking...' : 'Add RPC'}
+                </button>
+            </form>
+            {error && <div className="settings-error">{error}</div>}
+            <div className="settings-custom-rpc-note">
+                Custom RPCs are tried first, in this order; the built-in RPCs are used after them.
+            </div>
+        </div>
+    );
+};
+
+export default CustomRpcList;
@@ -4,6 +4,8 @@ import SettingsSection from './SettingsSection';
 import SettingsToggle from './SettingsToggle';
 import SettingsInput from './SettingsInput';
 import chainConfig from '../../services/chainConfig';
+import { SUPPORTED_CURRENCIES, getPreferredCurrency, setPreferredCurrency } from '../../services/fxRates';
+import { getDepegBand, setDepegBand, isValidDepegBand, DEFAULT_DEPEG_BAND_PERCENT, MIN_DEPEG_BAND_PERCENT, MAX_DEPEG_BAND_PERCENT } from '../../services/depegMonitor';
 import '../css/SettingsMobile.css';
 
 const PreferencesSettings = () => {
@@ -23,12 +25,13 @@ const PreferencesSettings = () => {
         return localStorage.getItem('showZeroBalances') !== 'false';
     });
 
-    const [currency, setCurrency] = useState(() => {
-        return localStorage.getItem('currency') || 'USD';
-    });
+    const [currency, setCurrency] = useState(getPreferredCurrency);
+
+    const [depegBand, setDepegBandValue] = useState(() => getDepegBand().toString());
 
     const [slippageError, setSlippageError] = useState(null);
     const [deadlineError, setDeadlineError] = useState(null);
+    const [depegBandError, setDepegBandError] = useState(null);
 
     // Validate slippage tolerance
     useEffect(() => {
@@ -60,12 +63,28 @@ const PreferencesSettings = () => {
         }
     }, [transactionDeadline]);
 
+    // Validate depeg alert band (saved from its input's change handler)
+    useEffect(() => {
+        if (isValidDepegBand(depegBand)) {
+            setDepegBandError(null);
+        } else {
+            setDepegBandError(`Band must be between ${MIN_DEPEG_BAND_PERCENT}% and ${MAX_DEPEG_BAND_PERCENT}%`);
+        }
+    }, [depegBand]);
+
+    const handleDepegBandChange = (value) => {
+        setDepegBandValue(value);
+        if (isValidDepegBand(value)) {
+            setDepegBand(value);
+        }
+    };
+
     useEffect(() => {
         localStorage.setItem('showZeroBalances', showZeroBalances);
     }, [showZeroBalances]);
 
     useEffect(() => {
-        localStorage.setItem('currency', currency);
+        setPreferredCurrency(currency);
     }, [currency]);
 
     const handleSlippagePreset = (preset) => {
@@ -146,12 +165,32 @@ const PreferencesSettings = () => {
                         value={currency}
                         onChange={(e) => setCurrency(e.target.value)}
                     >
-                        <option value="USD">USD</option>
-                        <option value="EUR">EUR</option>
-                        <option value="GBP">GBP</option>
-                        <option value="JPY">JPY</option>
+                        {Object.keys(SUPPORTED_CURRENCIES).map(code => (
+                            <option key={code} value={code}>{code}</option>
+                        ))}
                     </select>
                 </div>
+
+                <div className="settings-item settings-item-compact">
+                    <div className="settings-item-label">Depeg Alert Band</div>
+                    <SettingsInput
+                        type="text"
+                        value={depegBand}
+                        onChange={(e) => {
+                            const value = e.target.value;
+                            if (/^\d*\.?\d*$/.test(value)) {
+                                handleDepegBandChange(value);
+                            }
+                        }}
+                        suffix="%"
+                        placeholder={DEFAULT_DEPEG_BAND_PERCENT.toString()}
+                    />
+                    {depegBandError && (
+                        <div className="settings-error" style={{ fontSize: '11px', color: '#FF3B30', marginTop: '4px' }}>
+                            {depegBandError}
+                        </div>
+                    )}
+                </div>
             </div>
 
             <div className="settings-item">
@@ -2,16 +2,40 @@ import React, { useState } from 'react';
 import { useAccount } from 'wagmi';
 import SettingsSection from './SettingsSection';
 import SettingsToggle from './SettingsToggle';
+import SettingsInput from './SettingsInput';
+import { getApprovalPolicy, setApprovalPolicy, APPROVAL_POLICIES, MAX_BUFFER_PERCENT } from '../../services/allowanceService';
 import { exportSwapHistoryCSV, importSwapHistoryCSV, clearSwapHistory, getSwapHistory } from '../../services/transactionHistory';
+import { generateTaxReport, TAX_REPORT_FORMATS, DEFAULT_TAX_REPORT_FORMAT } from '../../services/taxReport';
 import '../css/SettingsMobile.css';
 
+// Save a CSV string as a file, with a BOM for Excel compatibility
+const downloadCSV = (csvData, filename) => {
+    const BOM = '\uFEFF';
+    const blob = new Blob([BOM + csvData], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+};
+
 const SecuritySettings = () => {
     const { address } = useAccount();
     const [autoApprove, setAutoApprove] = useState(() => {
         return localStorage.getItem('autoApproveTokens') === 'true';
     });
+    const [approvalPolicy, setApprovalPolicyState] = useState(() => getApprovalPolicy().policy);
+    const [bufferPercent, setBufferPercent] = useState(() => String(getApprovalPolicy().bufferPercent));
+    const [bufferError, setBufferError] = useState(null);
     const [isExporting, setIsExporting] = useState(false);
     const [isImporting, setIsImporting] = useState(false);
+    const [taxFormat, setTaxFormat] = useState(DEFAULT_TAX_REPORT_FORMAT);
+    const [taxFrom, setTaxFrom] = useState(() => `${new Date().getUTCFullYear()}-01-01`);
+    const [taxTo, setTaxTo] = useState(() => new Date().toISOString().split('T')[0]);
+    const [isExportingTax, setIsExportingTax] = useState(false);
 
     const handleAutoApproveChange = (value) => {
         if (value) {
@@ -29,6 +53,32 @@ const SecuritySettings = () => {
         }
     };
 
+    const handleApprovalPolicyChange = (policy) => {
+        if (policy === APPROVAL_POLICIES.UNLIMITED) {
+            const confirmed = window.confirm(
+                'Warning: Unlimited approvals let the approved contract spend all of that token at any time. ' +
+                'You can revoke them later in Allowances. Continue?'
+            );
+            if (!confirmed) return;
+        }
+        if (setApprovalPolicy(policy, bufferPercent)) {
+            setApprovalPolicyState(policy);
+        }
+    };
+
+    const handleBufferChange = (value) => {
+        if (!/^\d*\.?\d*$/.test(value)) return;
+        setBufferPercent(value);
+
+        const buffer = parseFloat(value);
+        if (!(buffer > 0) || buffer > MAX_BUFFER_PERCENT) {
+            setBufferError(`Buffer must be between 0 and ${MAX_BUFFER_PERCENT}%`);
+            return;
+        }
+        setBufferError(null);
+        setApprovalPolicy(approvalPolicy, buffer);
+    };
+
     const handleClearHistory = () => {
         const historyCount = getSwapHistory(address).length;
         if (historyCount === 0) {
@@ -61,21 +111,11 @@ const SecuritySettings = () => {
                 return;
             }
 
-            // Add BOM for Excel compatibility
-            const BOM = '\uFEFF';
-            const blob = new Blob([BOM + csvData], { type: 'text/csv;charset=utf-8;' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
             const dateStr = new Date().toISOString().split('T')[0];
             const filename = address 
                 ? `mango-defi-history-${address.slice(0, 8)}-${dateStr}.csv`
                 : `mango-defi-history-${dateStr}.csv`;
-            a.download = filename;
-            document.body.appendChild(a);
-            a.click();
-            document.body.removeChild(a);
-            URL.revokeObjectURL(url);
+            downloadCSV(csvData, filename);
             
             const historyCount = getSwapHistory(address).length;
             alert(`Exported ${historyCount} transaction(s) to ${filename}`);
@@ -87,6 +127,50 @@ const SecuritySettings = () => {
         }
     };
 
+    const handleExportTaxReport = async () => {
+        if (!address) {
+            alert('Connect your wallet to export a tax report');
+            return;
+        }
+
+        // Dates are whole UTC days, both ends inclusive
+        const from = taxFrom ? Date.parse(`${taxFrom}T00:00:00Z`) : null;
+        const to = taxTo ? Date.parse(`${taxTo}T23:59:59.999Z`) : null;
+        if (from !== null && to !== null && from > to) {
+            alert('The start date must be before the end date');
+            return;
+        }
+
+        setIsExportingTax(true);
+        try {
+            const report = await generateTaxReport(address, { format: taxFormat, from, to });
+            if (report.count === 0) {
+                alert('No taxable transactions in this date range');
+                return;
+            }
+
+            const filename = `mango-defi-tax-${taxFormat}-${address.slice(0, 8)}-${taxFrom || 'start'}-${taxTo || 'now'}.csv`;
+            downloadCSV(report.csv, filename);
+
+            const notes = [];
+            if (report.skipped > 0) {
+                notes.push(`${report.skipped} claim(s) without a token amount were left out.`);
+            }
+            if (report.unsupported > 0) {
+                notes.push(`${report.unsupported} transaction(s) have no matching type in ${TAX_REPORT_FORMATS[taxFormat].label} and were left out.`);
+            }
+            if (!report.referralRewardsIncluded) {
+                notes.push('Referral rewards could not be loaded and are not included.');
+            }
+            alert([`Exported ${report.count} transaction(s) to ${filename}`, ...notes].join('\n'));
+        } catch (error) {
+            console.error('Tax report error:', error);
+            alert('Failed to export tax report: ' + (error.message || 'Unknown error'));
+        } finally {
+            setIsExportingTax(false);
+        }
+    };
+
     const handleImportHistory = () => {
         setIsImporting(true);
         const input = document.createElement('input');
@@ -177,6 +261,38 @@ const SecuritySettings = () => {
                 </div>
             </div>
 
+            <div className="settings-item">
+                <div className="settings-item-label">Token Approval Amount</div>
+                <div className="settings-item-description" style={{ marginBottom: '8px', fontSize: '12px', color: '#7A7A7A' }}>
+                    How much to approve when swapping, staking or adding liquidity
+                </div>
+                <select
+                    className="settings-select"
+                    value={approvalPolicy}
+                    onChange={(e) => handleApprovalPolicyChange(e.target.value)}
+                >
+                    <option value={APPROVAL_POLICIES.EXACT}>Exact amount</option>
+                    <option value={APPROVAL_POLICIES.BUFFER}>Amount + buffer</option>
+                    <option value={APPROVAL_POLICIES.UNLIMITED}>Unlimited</option>
+                </select>
+                {approvalPolicy === APPROVAL_POLICIES.BUFFER && (
+                    <div style={{ marginTop: '8px' }}>
+                        <SettingsInput
+                            type="text"
+                            value={bufferPercent}
+                            onChange={(e) => handleBufferChange(e.target.value)}
+                            suffix="%"
+                            placeholder="10"
+                        />
+                        {bufferError && (
+                            <div className="settings-error" style={{ fontSize: '11px', color: '#FF3B30', marginTop: '4px' }}>
+                                {bufferError}
+                            </div>
+                        )}
+                    </div>
+                )}
+            </div>
+
             <div className="settings-item">
                 <div className="settings-item-label">Transaction History</div>
                 <div className="settings-item-description" style={{ marginBottom: '8px', fontSize: '12px', color: '#7A7A7A' }}>
@@ -206,6 +322,48 @@ const SecuritySettings = () => {
                     </button>
                 </div>
             </div>
+
+            <div className="settings-item">
+                <div className="settings-item-label">Tax Report</div>
+                <div className="settings-item-description" style={{ marginBottom: '8px', fontSize: '12px', color: '#7A7A7A' }}>
+                    Swaps, liquidity, staking and referral rewards with USD values at transaction time
+                </div>
+                <select
+                    className="settings-select"
+                    aria-label="Tax report format"
+                    value={taxFormat}
+                    onChange={(e) => setTaxFormat(e.target.value)}
+                >
+                    {Object.entries(TAX_REPORT_FORMATS).map(([format, profile]) => (
+                        <option key={format} value={format}>{profile.label}</option>
+                    ))}
+                </select>
+                <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+                    <SettingsInput
+                        type="date"
+                        aria-label="Tax report start date"
+                        value={taxFrom}
+                        max={taxTo || undefined}
+                        onChange={(e) => setTaxFrom(e.target.value)}
+                    />
+                    <SettingsInput
+                        type="date"
+                        aria-label="Tax report end date"
+                        value={taxTo}
+                        min={taxFrom || undefined}
+                        onChange={(e) => setTaxTo(e.target.value)}
+                    />
+                </div>
+                <div className="settings-actions" style={{ marginTop: '8px' }}>
+                    <button
+                        className="settings-button settings-button-secondary"
+                        onClick={handleExportTaxReport}
+                        disabled={isExportingTax}
+                    >
+                        {isExportingTax ? 'Exporting...' : 'Export Tax Report'}
+                    </button>
+                </div>
+            </div>
         </SettingsSection>
     );
 };
@@ -4,6 +4,9 @@ import { parseUnits } from 'viem';
 import chainConfig from '../../services/chainConfig';
 import { getUserStakes, calculateUnlockProgress, getEarlyUnstakePenalty, STAKING_ABI } from '../../services/stakingService';
 import { saveSwapTransaction, updateSwapTransaction } from '../../services/transactionHistory';
+import { invalidateBalances } from '../../services/balanceService';
+import { createQuorumClient } from '../../services/rpcTransport';
+import { isRpcMismatchError, formatErrorForDisplay } from '../../utils/chainErrors';
 import '../css/StakeMobile.css';
 
 const ActiveStakesList = ({ address, chainId }) => {
@@ -40,6 +43,7 @@ const ActiveStakesList = ({ address, chainId }) => {
             } catch (error) {
                 console.error('Failed to update transaction status:', error);
             }
+            invalidateBalances(chainId, finalAddress);
 
             if (unstakingId) {
                 alert('Tokens unstaked successfully!');
@@ -95,8 +99,14 @@ const ActiveStakesList = ({ address, chainId }) => {
         let penaltyPercent = 0;
         if (isBeforeUnlock && publicClient) {
             try {
-                penaltyPercent = await getEarlyUnstakePenalty(publicClient, stakingAddress, stakeId);
+                // The penalty decides what the user loses, so RPC endpoints must agree on it
+                penaltyPercent = await getEarlyUnstakePenalty(createQuorumClient(chainId), stakingAddress, stakeId);
             } catch (error) {
+                if (isRpcMismatchError(error)) {
+                    const display = formatErrorForDisplay(error, chainId);
+                    alert(`${display.title}: ${display.message} ${display.suggestion}`);
+                    return;
+                }
                 console.warn('Failed to fetch penalty:', error);
                 penaltyPercent = 2.5; // Default penalty
             }
@@ -8,6 +8,9 @@ import chainConfig from '../../services/chainConfig';
 import { getTokenPrice } from '../../services/priceOracle';
 import { getAPY, getLockPeriodsFromContract, LOCK_PERIODS, LOCK_PERIOD_LABELS, STAKING_ABI } from '../../services/stakingService';
 import { saveSwapTransaction, updateSwapTransaction } from '../../services/transactionHistory';
+import { invalidateBalances } from '../../services/balanceService';
+import { getApprovalAmount } from '../../services/allowanceService';
+import { useCurrency } from '../../hooks/useCurrency';
 import '../css/StakeMobile.css';
 
 const MobileStakeCard = ({ address, isConnected, chainId }) => {
@@ -26,6 +29,7 @@ const MobileStakeCard = ({ address, isConnected, chainId }) => {
     const [approvalNeeded, setApprovalNeeded] = useState(false);
     const [approving, setApproving] = useState(false);
     const [usdValue, setUsdValue] = useState(null);
+    const { formatFiat } = useCurrency();
 
     const chainInfo = chainConfig.getChain(chainId);
     const tokenList = chainInfo?.tokens || [];
@@ -93,24 +97,18 @@ const MobileStakeCard = ({ address, isConnected, chainId }) => {
         }
 
         try {
-            const tokenSymbol = selectedToken.symbol;
-            const price = await getTokenPrice(tokenSymbol);
-            
+            const price = await getTokenPrice(selectedToken.symbol, { chainId });
+
             if (price && price > 0) {
-                const usdValue = parseFloat(amount) * price;
-                setUsdValue(usdValue);
+                setUsdValue(parseFloat(amount) * price);
             } else {
-                // Fallback to mock price if API fails
-                const mockPrice = tokenSymbol === 'ETH' ? 3000 : tokenSymbol === 'BNB' ? 500 : tokenSymbol === 'MANGO' ? 5 : 1;
-                setUsdValue(parseFloat(amount) * mockPrice);
+                setUsdValue(null);
             }
         } catch (error) {
             console.warn('Error fetching token price:', error);
-            // Fallback to mock price on error
-            const mockPrice = selectedToken.symbol === 'ETH' ? 3000 : selectedToken.symbol === 'BNB' ? 500 : selectedToken.symbol === 'MANGO' ? 5 : 1;
-            setUsdValue(parseFloat(amount) * mockPrice);
+            setUsdValue(null);
         }
-    }, [selectedToken, amount]);
+    }, [selectedToken, amount, chainId]);
 
     useEffect(() => {
         fetchTokenPrice();
@@ -204,6 +202,7 @@ const MobileStakeCard = ({ address, isConnected, chainId }) => {
             } catch (error) {
                 console.error('Failed to update transaction status:', error);
             }
+            invalidateBalances(chainId, finalAddress);
             
             alert('Tokens staked successfully!');
             setAmount('');
@@ -250,14 +249,14 @@ const MobileStakeCard = ({ address, isConnected, chainId }) => {
         setApproving(true);
         try {
             const decimals = selectedToken.decimals || 18;
-            const maxApproval = parseUnits('1000000000', decimals); // Approve a large amount
+            const approvalAmount = getApprovalAmount(parseUnits(amount, decimals)); // Sized by the user's approval policy
 
             writeContract(
                 {
                     address: selectedToken.address,
                     abi: erc20Abi,
                     functionName: 'approve',
-                    args: [stakingAddress, maxApproval],
+                    args: [stakingAddress, approvalAmount],
                     gas: gasSettings?.gasLimit ? BigInt(gasSettings.gasLimit) : undefined,
                 },
                 {
@@ -415,7 +414,7 @@ const MobileStakeCard = ({ address, isConnected, chainId }) => {
                             )} {selectedToken.symbol}
                             {usdValue && (
                                 <span style={{ marginLeft: '8px', color: '#7A7A7A' }}>
-                                    ≈ ${usdValue.toFixed(2)}
+                                    ≈ {formatFiat(usdValue, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}
                                 </span>
                             )}
                         </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { usePublicClient } from 'wagmi';
 import chainConfig from '../../services/chainConfig';
 import { getStakingPools } from '../../services/stakingService';
+import { useCurrency } from '../../hooks/useCurrency';
 import '../css/StakeMobile.css';
 
 const StakePoolList = ({ chainId }) => {
@@ -11,6 +12,7 @@ const StakePoolList = ({ chainId }) => {
     const [searchQuery, setSearchQuery] = useState('');
     const [filterStatus, setFilterStatus] = useState('all'); // 'all', 'active', 'inactive'
     const publicClient = usePublicClient();
+    const { formatFiat } = useCurrency();
 
     const stakingAddress = chainConfig.getContractAddress(chainId, 'manager');
 
@@ -37,9 +39,9 @@ const StakePoolList = ({ chainId }) => {
 
     const formatNumber = (num) => {
         const n = parseFloat(num);
-        if (n >= 1000000) return `$${(n / 1000000).toFixed(2)}M`;
-        if (n >= 1000) return `$${(n / 1000).toFixed(2)}K`;
-        return `$${n.toFixed(2)}`;
+        if (n >= 1000000) return `${(n / 1000000).toFixed(2)}M`;
+        if (n >= 1000) return `${(n / 1000).toFixed(2)}K`;
+        return n.toFixed(2);
     };
 
     const filteredAndSortedPools = useMemo(() => {
@@ -132,11 +134,11 @@ const StakePoolList = ({ chainId }) => {
                     <div className="stake-pool-details">
                         <div className="stake-pool-detail-item">
                             <span className="stake-pool-label">Total Value Locked:</span>
-                            <span className="stake-pool-value">{formatNumber(pool.tvl)}</span>
+                            <span className="stake-pool-value">{formatFiat(pool.tvl, { compact: true, maximumFractionDigits: 2 })}</span>
                         </div>
                         <div className="stake-pool-detail-item">
                             <span className="stake-pool-label">Total Staked:</span>
-                            <span className="stake-pool-value">{formatNumber(pool.totalStaked)}</span>
+                            <span className="stake-pool-value">{formatNumber(pool.totalStaked)} {pool.token}</span>
                         </div>
                         <div className="stake-pool-detail-item">
                             <span className="stake-pool-label">Min Stake:</span>
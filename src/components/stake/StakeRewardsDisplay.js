@@ -3,6 +3,7 @@ import { useAccount, useWriteContract, useWaitForTransactionReceipt, usePublicCl
 import chainConfig from '../../services/chainConfig';
 import { getUserRewards, calculateReferralRewards, fetchClaimableRewardsFromContract, STAKING_ABI } from '../../services/stakingService';
 import { saveSwapTransaction, updateSwapTransaction } from '../../services/transactionHistory';
+import { invalidateBalances } from '../../services/balanceService';
 import '../css/StakeMobile.css';
 
 const StakeRewardsDisplay = ({ address, chainId }) => {
@@ -42,6 +43,7 @@ const StakeRewardsDisplay = ({ address, chainId }) => {
             } catch (error) {
                 console.error('Failed to update transaction status:', error);
             }
+            invalidateBalances(chainId, finalAddress);
 
             alert('All rewards claimed successfully!');
             setClaiming(false);
@@ -11,7 +11,6 @@ import { isEmpty } from './utils/utils.js';
 import CallTokenList from './getTokenList.js';
 import InputBoxes from './inputBox.js'
 import SwapComponent from './inputBox.js';
-import axios from 'axios';
 import PickButton from './pickButton';
 import ReferralDisplay from './ReferralDisplay';
 import ReferralInput from './ReferralInput';
@@ -23,6 +22,7 @@ import '../App.css';
 import { useAccount, useChainId, usePublicClient } from 'wagmi';
 import { getContract, isAddress, parseAbi} from 'viem';
 import chainConfig from '../services/chainConfig';
+import quoteAggregator from '../services/quoteAggregator';
 import { checkMinimumAmount } from '../utils/chainValidation';
 import { supportsReferralSystem, supportsWhitelist, hasTokenTax, getFeatureMessage, FEATURE_FLAGS } from '../utils/featureFlags';
 import { formatErrorForDisplay } from '../utils/chainErrors';
@@ -408,13 +408,13 @@ const SwapBox = () => {
     //{REFACTORIZAR MIKE
     const fetchAmountOut = useCallback(async (params) => {
         try {
-            const resp = await axios.get(`https://38654yedpe.execute-api.ca-central-1.amazonaws.com/amountOut`, { params });
-            return resp.data;
+            const best = await quoteAggregator.getBestQuote(params, { publicClient });
+            return best ? { buyAmount: best.amountOut, source: best.source, quote: best } : null;
         } catch (e) {
             console.error('Error fetching amount out:', e);
             return null;
         }
-    }, []);
+    }, [publicClient]);
     //}
 
     /**THIS MODEULE HANDLES WHEN USER INPUTS A AMOUNT ON BOX 1
@@ -2,22 +2,31 @@ import { useEffect, useState } from 'react';
 import { Button } from 'react-bootstrap';
 import axios from 'axios';
 import dotenv from 'dotenv';
-import { parseAbi, parseUnits, parseEther } from 'viem';
+import { parseAbi, parseUnits, parseEther, formatUnits } from 'viem';
 import { useWaitForTransactionReceipt, useWriteContract } from 'wagmi';
 import chainConfig from '../services/chainConfig';
 import { estimateGas, TRANSACTION_TYPES, handleGasEstimationError } from '../utils/gasEstimation';
 import { formatErrorForDisplay } from '../utils/chainErrors';
-import { getSlippageToleranceInBasisPoints } from '../utils/slippageUtils';
-import { usePublicClient, useAccount, useChainId } from 'wagmi';
+import { getSlippageToleranceInBasisPoints, calculateMaxAmountIn, hasPriceMovedBeyondSlippage } from '../utils/slippageUtils';
+import { usePublicClient, useAccount } from 'wagmi';
 import { saveSwapTransaction } from '../services/transactionHistory';
+import { invalidateBalances } from '../services/balanceService';
+import { recordDcaExecution, recordPendingDcaExecution } from '../services/dcaScheduler';
+import { simulateSwap, getReceivedAmount } from '../services/swapSimulation';
+import SwapPreview from './SwapPreview';
 dotenv.config();
 
-const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) => {
+const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo, quote, dcaPlan, slippage, onSwapSuccess }) => {
     const { address } = useAccount();
-    const chainId = useChainId();
     const [showAlert, setShowAlert] = useState(false);
     const [txHash, setTxHash] = useState(null);
     const [isSwapping, setIsSwapping] = useState(false);
+    // Re-quote that moved beyond slippage and waits for the user to accept it
+    const [priceUpdate, setPriceUpdate] = useState(null);
+    // Output amount quoted when the swap was submitted (raw units)
+    const [submittedAmountOut, setSubmittedAmountOut] = useState(null);
+    // Simulated swap waiting for the user to confirm it
+    const [swapPreview, setSwapPreview] = useState(null);
 
     // const [txStatus,setTxStatus] = useState('')
     // const [alertMessage, setAlertMessage] = useState('');
@@ -33,7 +42,8 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
     // };
     // Wagmi hooks
     const { writeContract, error } = useWriteContract(); // isPending,
-    const { isLoading: isSuccess } = useWaitForTransactionReceipt({
+    // Only a confirmed swap counts: limit orders and DCA fills are completed on it
+    const { isSuccess, data: receipt } = useWaitForTransactionReceipt({
         // isConfirming,
         hash: txHash,
     });
@@ -46,9 +56,20 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
     // Get slippage settings from ChainConfigService
     const slippageSettings = chainId ? chainConfig.getSlippageTolerance(chainId) : null;
 
+    // DCA executions swap with the plan's max slippage, a depeg with the widened
+    // slippage passed in, anything else with the chain default. A limit order's swap
+    // may not slip below its target, so it gets at most the headroom above quote.minAmountOut
+    const getSwapSlippage = (expectedAmountOut = null) => {
+        const tolerance = getSlippageToleranceInBasisPoints(chainId, chainConfig, dcaPlan?.maxSlippage ?? slippage ?? null);
+        if (!quote?.minAmountOut || !expectedAmountOut) return tolerance;
+
+        const headroom = (BigInt(expectedAmountOut) - BigInt(quote.minAmountOut)) * 10000n / BigInt(expectedAmountOut);
+        return headroom < tolerance ? headroom : tolerance;
+    };
+
     // Environment variables (you'll need to set these up in your build process)
-    const spender = chainInfo[chainInfo.chainId].mangoRouterAdd;//'0x157278d12dC2b5bd0cFbF860A64d092d486BfC99'; //process.env.REACT_APP_MANGO_ROUTER;
-    const zeroAddress = chainInfo.zeroAdd;
+    const spender = chainInfo?.[chainInfo?.chainId]?.mangoRouterAdd || chainInfo?.mangoRouterAdd;//'0x157278d12dC2b5bd0cFbF860A64d092d486BfC99'; //process.env.REACT_APP_MANGO_ROUTER;
+    const zeroAddress = chainInfo?.zeroAdd;
 
     useEffect(() => {
         if (showAlert) {
@@ -60,24 +81,48 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
         }
     }, [showAlert]);
 
+    // Save the confirmed swap with the amount that actually arrived
+    const recordConfirmedSwap = async (hash) => {
+        try {
+            const isNativeOut = token1.symbol === 'ETH' || token1.symbol === 'BNB';
+            const received = await getReceivedAmount({
+                publicClient,
+                receipt,
+                account: address,
+                tokenOut: token1,
+                isNative: isNativeOut,
+            });
+            saveSwapTransaction({
+                txHash: hash,
+                userAddress: address,
+                chainId: chainId,
+                tokenIn: token0.symbol,
+                tokenOut: token1.symbol,
+                amountIn: amount,
+                amountOut: received !== null ? formatUnits(received, token1.decimals || 18) : null,
+                expectedAmountOut: submittedAmountOut
+                    ? formatUnits(BigInt(submittedAmountOut), token1.decimals || 18)
+                    : null,
+                dcaPlanId: dcaPlan?.id || null,
+                status: 'completed',
+                timestamp: Date.now(),
+            });
+            if (dcaPlan?.id) {
+                recordDcaExecution(dcaPlan.id, hash);
+            }
+        } catch (error) {
+            console.error('Failed to save swap transaction:', error);
+        }
+        invalidateBalances(chainId, address);
+
+        if (onSwapSuccess) {
+            onSwapSuccess({ txHash: hash });
+        }
+    };
+
     useEffect(() => {
         if (isSuccess && txHash) {
-            // Save transaction to history
-            try {
-                saveSwapTransaction({
-                    txHash: txHash,
-                    userAddress: address,
-                    chainId: chainId,
-                    tokenIn: token0.symbol,
-                    tokenOut: token1.symbol,
-                    amountIn: amount,
-                    amountOut: null, // Will be updated when transaction is confirmed
-                    status: 'pending',
-                    timestamp: Date.now(),
-                });
-            } catch (error) {
-                console.error('Failed to save swap transaction:', error);
-            }
+            recordConfirmedSwap(txHash);
             
             if (token0.symbol === 'ETH') {
                 // Send receipt after successful transaction
@@ -105,6 +150,14 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
         }
     }, [error]);
 
+    // A price update only applies to the swap it was quoted for. Exact-output
+    // swaps are keyed by their output: accepting a new price moves the input.
+    const swapKey = quote?.exactOutput ? `out:${quote.amountOut}` : `in:${amount}`;
+    useEffect(() => {
+        setPriceUpdate(null);
+        setSwapPreview(null);
+    }, [swapKey, token0, token1]);
+
     const sendReceipt = async (params) => {
         console.log('we im send receipt');
         if (chatId) {
@@ -128,13 +181,141 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
 
     const mangoRouterAbi = parseAbi(['function swap(address token0, address token1, uint256 amount, address referrer, uint256 slippageTolerance) external payable returns(uint256 amountOut)']);
 
+    const runSimulation = (request, amounts) => simulateSwap({
+        publicClient,
+        chainId,
+        account: address,
+        request,
+        tokenIn: token0,
+        tokenOut: token1,
+        ...amounts,
+    });
+
+    /**
+     * Simulate a swap against the current block and show the preview
+     * The transaction is only sent once the user confirms a successful simulation.
+     * Without a public client there is nothing to simulate with, so it is sent directly.
+     */
+    const submitSwap = async (request, callbacks, amounts = {}) => {
+        if (!publicClient || !address) {
+            writeContract(request, callbacks);
+            return;
+        }
+
+        const simulation = await runSimulation(request, amounts);
+        setSwapPreview({ request, callbacks, amounts, simulation });
+        setIsSwapping(false);
+    };
+
+    /**
+     * Send the previewed swap
+     * The preview may be several blocks old by now, so the swap is simulated again
+     * and only sent if it still succeeds; otherwise the fresh result is shown.
+     */
+    const confirmSwapPreview = async () => {
+        if (!swapPreview?.simulation?.success) return;
+        const { request, callbacks, amounts } = swapPreview;
+        setIsSwapping(true);
+
+        const simulation = await runSimulation(request, amounts);
+        if (!simulation.success) {
+            setSwapPreview({ request, callbacks, amounts, simulation });
+            setIsSwapping(false);
+            return;
+        }
+
+        setSwapPreview(null);
+        writeContract(request, callbacks);
+    };
+
+    /**
+     * Re-quote an exact-output swap right before submitting
+     * The fresh input is swapped unless it moved beyond the max-input bound of
+     * the quoted one, in which case the user has to accept it first.
+     */
+    const requoteExactOutputBeforeSwap = async () => {
+        const current = { amountOut: quote.amountOut, amountIn: quote.amountIn };
+        if (!quote.requote) return current;
+
+        const fresh = await quote.requote();
+        if (!fresh?.amountIn) return current;
+
+        const slippageTolerance = getSwapSlippage();
+        if (BigInt(fresh.amountIn) > calculateMaxAmountIn(BigInt(quote.amountIn), slippageTolerance)) {
+            setPriceUpdate({
+                previousAmountIn: quote.amountIn,
+                amountIn: fresh.amountIn,
+                amountOut: fresh.amountOut,
+            });
+            return null;
+        }
+
+        return { amountOut: fresh.amountOut || quote.amountOut, amountIn: fresh.amountIn };
+    };
+
+    /**
+     * Re-quote right before submitting
+     * Returns { amountOut } expected from the swap, or null when the price moved beyond
+     * the slippage tolerance and the user has to accept the new price first.
+     */
+    const requoteBeforeSwap = async () => {
+        if (quote?.exactOutput && quote.amountIn) return requoteExactOutputBeforeSwap();
+        if (!quote?.requote || !quote.amountOut) return { amountOut: quote?.amountOut || null };
+
+        const fresh = await quote.requote();
+        if (!fresh?.amountOut) return { amountOut: quote.amountOut };
+
+        const slippageTolerance = getSwapSlippage();
+        if (hasPriceMovedBeyondSlippage(BigInt(quote.amountOut), BigInt(fresh.amountOut), slippageTolerance)) {
+            setPriceUpdate({
+                previousAmountOut: quote.amountOut,
+                amountOut: fresh.amountOut,
+            });
+            return null;
+        }
+
+        return { amountOut: fresh.amountOut };
+    };
+
+    const formatQuoteAmount = (rawAmount, token = token1) => {
+        const formatted = parseFloat(formatUnits(BigInt(rawAmount), token.decimals || 18));
+        return formatted.toLocaleString('en-US', { maximumFractionDigits: 6 });
+    };
+
     // Function to handle the approval process
-    const handleSwap = async (e) => {
+    const handleSwap = async (e, acceptedUpdate = null) => {
         try {
             e.preventDefault();
             console.log('Starting Swap process...');
 
             setIsSwapping(true);
+
+            let swapAmountOut;
+            let swapAmountIn = null;
+            if (acceptedUpdate) {
+                // User accepted the re-quoted price, swap at it without quoting again
+                swapAmountOut = acceptedUpdate.amountOut;
+                swapAmountIn = acceptedUpdate.amountIn || null;
+                setPriceUpdate(null);
+                if (quote?.accept) {
+                    quote.accept(acceptedUpdate);
+                }
+            } else {
+                const requoted = await requoteBeforeSwap();
+                if (!requoted) {
+                    setIsSwapping(false);
+                    return;
+                }
+                swapAmountOut = requoted.amountOut;
+                swapAmountIn = requoted.amountIn || null;
+            }
+            // A triggered limit order executes only while the fresh quote still meets its target
+            if (quote?.minAmountOut && !(swapAmountOut && BigInt(swapAmountOut) >= BigInt(quote.minAmountOut))) {
+                alert('The price dropped below your limit order target, so the swap was not sent. The order waits until the target is reached again.');
+                setIsSwapping(false);
+                return;
+            }
+            setSubmittedAmountOut(swapAmountOut);
         
             // Estimate gas for the swap
             let gasConfig = { gas: 3000000n }; // Default fallback
@@ -166,18 +347,22 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
                 // Use chain config gas limit if available
                 gasConfig = { gas: BigInt(gasSettings.gasLimit) };
             }
+
+            // Exact output swaps the re-quoted input through the same swap() call; the
+            // re-quote above already held it to the max-input bound
+            const exactAmountIn = quote?.exactOutput && swapAmountIn ? BigInt(swapAmountIn) : null;
         
             if (token0.symbol === 'ETH' || token0.symbol === 'BNB') {
                 // Swap ETH to token
                 console.log('this is amount',amount)
-                const ethValue = parseEther(amount);
+                const ethValue = exactAmountIn ?? parseEther(amount);
                 console.log('this is value',ethValue);
                 console.log('this is spender',spender)
 
                 // Get slippage tolerance in basis points from ChainConfigService
-                const slippageTolerance = getSlippageToleranceInBasisPoints(chainId, chainConfig);
+                const slippageTolerance = getSwapSlippage(swapAmountOut);
                 
-                writeContract(
+                await submitSwap(
                     {
                         address: spender,
                         abi: mangoRouterAbi,
@@ -190,6 +375,10 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
                         onSuccess: (hash) => {
                             setTxHash(hash);
                             console.log('ETH to token swap transaction submitted:', hash);
+                            // Kept on the plan until its receipt, so the fill counts even if this page is left
+                            if (dcaPlan?.id) {
+                                recordPendingDcaExecution(dcaPlan.id, hash);
+                            }
                             setIsSwapping(false);
                         },
                         onError: (error) => {
@@ -214,28 +403,35 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
                             
                             setIsSwapping(false);
                         },
-                    }
+                    },
+                    { amountIn: ethValue }
                 );
-            } else if (token1.symbol === 'ETH' || token1.symbol === "BNB") {
-                // Swap token to ETH
-                const formattedAmount = parseUnits(amount, token0.decimals);
-                console.log('token to eth swap', token0.address, zeroAddress, referrer);
+            } else {
+                // Swap token to ETH, or token to token
+                const isNativeOut = token1.symbol === 'ETH' || token1.symbol === 'BNB';
+                const tokenOutAddress = isNativeOut ? zeroAddress : token1.address;
+                const formattedAmount = exactAmountIn ?? parseUnits(amount, token0.decimals);
+                console.log('token swap', token0.address, tokenOutAddress, referrer);
 
                 // Get slippage tolerance in basis points from ChainConfigService
-                const slippageTolerance = getSlippageToleranceInBasisPoints(chainId, chainConfig);
+                const slippageTolerance = getSwapSlippage(swapAmountOut);
                 
-                writeContract(
+                await submitSwap(
                     {
                         address: spender,
                         abi: mangoRouterAbi,
                         functionName: 'swap',
-                        args: [token0.address, zeroAddress, formattedAmount, referrer, slippageTolerance],
+                        args: [token0.address, tokenOutAddress, formattedAmount, referrer, slippageTolerance],
                         ...gasConfig,
                     },
                     {
                         onSuccess: (hash) => {
                             setTxHash(hash);
                             console.log('Token to ETH swap transaction submitted:', hash);
+                            // Kept on the plan until its receipt, so the fill counts even if this page is left
+                            if (dcaPlan?.id) {
+                                recordPendingDcaExecution(dcaPlan.id, hash);
+                            }
                         },
                         onError: (error) => {
                             console.error('Token to ETH swap failed:', error);
@@ -259,12 +455,9 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
                             
                             setIsSwapping(false);
                         },
-                    }
+                    },
+                    { amountIn: formattedAmount }
                 );
-            }else {
-                //WORK ON
-                //TOKEJ TO TOKEN SWAP
-
             }
         } catch (error) {
             console.error('Error during swap process:', error);
@@ -276,23 +469,54 @@ const SwapButton = ({ token0, token1, amount, chatId, referrer, chainInfo }) =>
     };
 
     return (
-        <Button
-            onClick={handleSwap}
-            type="submit"
-            className="w-100"
-            disabled={isSwapping}
-            style={{
-                padding: '1rem',
-                fontSize: '1.5rem',
-                backgroundColor: isSwapping ? '#cccccc' : '#F26E01',
-                borderColor: isSwapping ? '#999999' : '#FFA500',
-                color: '#FFFFFF',
-                cursor: isSwapping ? 'not-allowed' : 'pointer',
-                opacity: isSwapping ? 0.7 : 1,
-            }}
-        >
-            {'Swap'}
-        </Button>
+        <>
+            {swapPreview && (
+                <SwapPreview
+                    simulation={swapPreview.simulation}
+                    tokenIn={token0}
+                    isSubmitting={isSwapping}
+                    onConfirm={confirmSwapPreview}
+                    onCancel={() => setSwapPreview(null)}
+                />
+            )}
+            {priceUpdate && (
+                <div className="swap-price-update" role="alert" style={{ marginBottom: '0.75rem', padding: '0.75rem', borderRadius: '12px', backgroundColor: '#FFF4E5', color: '#663C00', fontSize: '0.9rem' }}>
+                    <div>
+                        {priceUpdate.amountIn ? (
+                            <>Price updated: you now pay {formatQuoteAmount(priceUpdate.amountIn, token0)} {token0.symbol} (was {formatQuoteAmount(priceUpdate.previousAmountIn, token0)}), beyond your slippage tolerance.</>
+                        ) : (
+                            <>Price updated: you now receive {formatQuoteAmount(priceUpdate.amountOut)} {token1.symbol} (was {formatQuoteAmount(priceUpdate.previousAmountOut)}), beyond your slippage tolerance.</>
+                        )}
+                    </div>
+                    <Button
+                        variant="outline-dark"
+                        size="sm"
+                        className="mt-2"
+                        disabled={isSwapping}
+                        onClick={(e) => handleSwap(e, priceUpdate)}
+                    >
+                        Accept new price
+                    </Button>
+                </div>
+            )}
+            <Button
+                onClick={(e) => handleSwap(e)}
+                type="submit"
+                className="w-100"
+                disabled={isSwapping}
+                style={{
+                    padding: '1rem',
+                    fontSize: '1.5rem',
+                    backgroundColor: isSwapping ? '#cccccc' : '#F26E01',
+                    borderColor: isSwapping ? '#999999' : '#FFA500',
+                    color: '#FFFFFF',
+                    cursor: isSwapping ? 'not-allowed' : 'pointer',
+                    opacity: isSwapping ? 0.7 : 1,
+                }}
+            >
+                {'Swap'}
+            </Button>
+        </>
     );
 };
 export default SwapButton;
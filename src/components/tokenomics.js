@@ -12,8 +12,9 @@ import {
   Gift,
   Briefcase
 } from 'react-bootstrap-icons';
-import { priceOracle } from '../services/priceOracle';
+import { getTokenPrice } from '../services/priceOracle';
 import chainConfig from '../services/chainConfig';
+import { useCurrency } from '../hooks/useCurrency';
 import { useAccount, useChainId } from 'wagmi';
 import { formatUnits } from 'viem';
 import { useReadContract } from 'wagmi';
@@ -23,6 +24,7 @@ import './css/Tokenomics.css';
 const Tokenomics = () => {
   const { address } = useAccount();
   const chainId = useChainId();
+  const { formatFiat } = useCurrency();
   const [tokenPrice, setTokenPrice] = useState(null);
   const [loadingPrice, setLoadingPrice] = useState(true);
   const [selectedChart, setSelectedChart] = useState('distribution'); // 'distribution' or 'vesting'
@@ -97,14 +99,10 @@ const Tokenomics = () => {
     const fetchPrice = async () => {
       setLoadingPrice(true);
       try {
-        // Try to get MANGO token price from CoinGecko or contract
-        const mangoTokenAddress = chainConfig.getContractAddress(chainId || 8453, 'token');
-        if (mangoTokenAddress && chainId) {
-          const platformId = chainConfig.getChain(chainId)?.coingeckoId;
-          if (platformId) {
-            const price = await priceOracle.getTokenPrice(platformId, mangoTokenAddress);
-            setTokenPrice(price);
-          }
+        // MANGO is priced from its on-chain pairs
+        if (chainId) {
+          const price = await getTokenPrice('MANGO', { chainId });
+          setTokenPrice(price);
         }
       } catch (error) {
         console.warn('Failed to fetch token price:', error);
@@ -187,7 +185,7 @@ const Tokenomics = () => {
                 {loadingPrice ? (
                   <Spinner size="sm" />
                 ) : tokenPrice ? (
-                  `$${tokenPrice.toFixed(6)}`
+                  formatFiat(tokenPrice, { maximumFractionDigits: 6 })
                 ) : (
                   'N/A'
                 )}
@@ -203,7 +201,7 @@ const Tokenomics = () => {
               </div>
               <div className="metric-label">Market Cap</div>
               <div className="metric-value">
-                {marketCap ? `$${formatNumber(marketCap)}` : 'N/A'}
+                {marketCap ? formatFiat(marketCap, { compact: true, maximumFractionDigits: 2 }) : 'N/A'}
               </div>
             </Card.Body>
           </Card>
@@ -244,7 +242,7 @@ const Tokenomics = () => {
                     <div className="balance-value">{formatNumber(userBalanceFormatted)} MANGO</div>
                     {tokenPrice && (
                       <div className="balance-usd">
-                        ≈ ${formatNumber(userBalanceFormatted * tokenPrice)}
+                        ≈ {formatFiat(userBalanceFormatted * tokenPrice, { compact: true, maximumFractionDigits: 2 })}
                       </div>
                     )}
                   </div>
@@ -12,6 +12,7 @@ import {
 } from '@reown/appkit/networks';
 import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { WagmiAdapter } from '@reown/appkit-adapter-wagmi';
+import { createRpcTransports } from '../../services/rpcTransport';
 //import { bsc } from 'viem/chains';
 
 const queryClient = new QueryClient();
@@ -61,10 +62,12 @@ const networks = [
 ];
 
 // 4. Create Wagmi Adapter
+// Reads go through rpcProvider for failover, rate limit cooldowns and health scoring
 const wagmiAdapter = new WagmiAdapter({
     networks,
     projectId,
     ssr: true,
+    transports: createRpcTransports(networks),
 });
 
 // 5. Create modal with error handling for subscription restore
@@ -0,0 +1,36 @@
+/**
+ * Pair Factories Configuration
+ *
+ * Uniswap V2 style factories used to look up pairs for pricing, reserve quotes
+ * and route search. The Mango factory is used when chains.json configures one,
+ * otherwise the factory of the chain's public DEX listed below.
+ */
+
+import chainConfig from '../services/chainConfig';
+
+/**
+ * Public DEX factories per chain, for the DEXes listed per chain in chains.json
+ * Structure: { [chainId]: factoryAddress }
+ */
+export const PUBLIC_PAIR_FACTORIES = {
+    1: '0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f', // Uniswap V2
+    56: '0xcA143Ce32Fe78f1f7019d7d551a6402fC5350c73', // PancakeSwap V2
+    137: '0x5757371414417b8C6CAad45bAeF941aBc7d3Ab32', // QuickSwap
+    8453: '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', // Uniswap V2
+    42161: '0xf1D7CC64Fb4452F05c498126312eBE29f30Fbcf9', // Uniswap V2
+    43114: '0x9Ad6C38BE94206cA50bb0d90783181662f0Cfa10', // Trader Joe
+};
+
+/**
+ * Get the factory to look up pairs in for a chain
+ * @param {number} chainId - Chain ID
+ * @returns {string|null} Mango factory when configured, otherwise the public DEX factory
+ */
+export const getPairFactoryAddress = (chainId) => {
+    return chainConfig.getContractAddress(chainId, 'factory') || PUBLIC_PAIR_FACTORIES[chainId] || null;
+};
+
+export default {
+    PUBLIC_PAIR_FACTORIES,
+    getPairFactoryAddress,
+};
@@ -0,0 +1,45 @@
+/**
+ * Tests for useCurrency Hook
+ *
+ * Tests formatting before and after the rate loads and following
+ * currency changes from settings.
+ */
+
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { useCurrency } from '../useCurrency';
+import { setPreferredCurrency, setFxRateProvider, clearFxRateCache } from '../../services/fxRates';
+
+describe('useCurrency Hook', () => {
+    let provider;
+
+    beforeEach(() => {
+        localStorage.clear();
+        provider = { name: 'test', fetchRates: jest.fn(() => Promise.resolve({ EUR: 0.5 })) };
+        setFxRateProvider(provider);
+        clearFxRateCache();
+    });
+
+    afterEach(() => {
+        setFxRateProvider(null);
+    });
+
+    test('should format USD without fetching rates', () => {
+        const { result } = renderHook(() => useCurrency());
+
+        expect(result.current.currency).toBe('USD');
+        expect(result.current.formatFiat(10, { minimumFractionDigits: 2 })).toBe('$10.00');
+        expect(provider.fetchRates).not.toHaveBeenCalled();
+    });
+
+    test('should switch currency when the preference changes', async () => {
+        const { result } = renderHook(() => useCurrency());
+
+        act(() => {
+            setPreferredCurrency('EUR');
+        });
+
+        expect(result.current.currency).toBe('EUR');
+        await waitFor(() => expect(result.current.rate).toBe(0.5));
+        expect(result.current.formatFiat(10, { minimumFractionDigits: 2 }).replace(/\s/g, ' ')).toBe('5,00 €');
+    });
+});
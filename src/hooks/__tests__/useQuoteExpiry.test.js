@@ -0,0 +1,112 @@
+/**
+ * Tests for useQuoteExpiry Hook
+ * 
+ * Tests quote lifetime configuration, countdown and expiry callback.
+ */
+
+import { renderHook, act } from '@testing-library/react';
+import { useQuoteExpiry, getQuoteTtlSeconds } from '../useQuoteExpiry';
+import chainConfig from '../../services/chainConfig';
+
+jest.mock('../../services/chainConfig');
+
+describe('useQuoteExpiry Hook', () => {
+    const CHAIN_ID = 8453;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        chainConfig.getBlockTime.mockReturnValue(2);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    describe('getQuoteTtlSeconds', () => {
+        test('should use seconds when no block count is set', () => {
+            expect(getQuoteTtlSeconds(CHAIN_ID, { seconds: 45, blocks: null })).toBe(45);
+        });
+
+        test('should convert blocks with the chain block time', () => {
+            expect(getQuoteTtlSeconds(CHAIN_ID, { seconds: 45, blocks: 10 })).toBe(20);
+            expect(chainConfig.getBlockTime).toHaveBeenCalledWith(CHAIN_ID);
+        });
+    });
+
+    describe('Countdown', () => {
+        test('should not count down without a quote', () => {
+            const { result } = renderHook(() => useQuoteExpiry({ chainId: CHAIN_ID, quotedAt: null }));
+
+            expect(result.current.secondsLeft).toBeNull();
+            expect(result.current.isExpired).toBe(false);
+        });
+
+        test('should count down and call onExpire once', () => {
+            const onExpire = jest.fn();
+            const quotedAt = Date.now();
+            const { result } = renderHook(() => useQuoteExpiry({
+                chainId: CHAIN_ID,
+                quotedAt,
+                onExpire,
+                ttlSeconds: 5,
+            }));
+
+            expect(result.current.secondsLeft).toBe(5);
+
+            act(() => {
+                jest.advanceTimersByTime(2000);
+            });
+            expect(result.current.secondsLeft).toBe(3);
+            expect(onExpire).not.toHaveBeenCalled();
+
+            act(() => {
+                jest.advanceTimersByTime(5000);
+            });
+            expect(result.current.isExpired).toBe(true);
+            expect(onExpire).toHaveBeenCalledTimes(1);
+        });
+
+        test('should restart the countdown for a new quote', () => {
+            const onExpire = jest.fn();
+            let quotedAt = Date.now();
+            const { result, rerender } = renderHook(() => useQuoteExpiry({
+                chainId: CHAIN_ID,
+                quotedAt,
+                onExpire,
+                ttlSeconds: 5,
+            }));
+
+            act(() => {
+                jest.advanceTimersByTime(6000);
+            });
+            expect(onExpire).toHaveBeenCalledTimes(1);
+
+            quotedAt = Date.now();
+            rerender();
+            expect(result.current.secondsLeft).toBe(5);
+
+            act(() => {
+                jest.advanceTimersByTime(6000);
+            });
+            expect(onExpire).toHaveBeenCalledTimes(2);
+        });
+
+        test('should not expire while disabled', () => {
+            const onExpire = jest.fn();
+            const quotedAt = Date.now();
+            renderHook(() => useQuoteExpiry({
+                chainId: CHAIN_ID,
+                quotedAt,
+                onExpire,
+                enabled: false,
+                ttlSeconds: 5,
+            }));
+
+            act(() => {
+                jest.advanceTimersByTime(10000);
+            });
+            expect(onExpire).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * React Hook for the Display Currency
+ *
+ * Tracks the preferred currency (PreferencesSettings) and its USD rate, and
+ * returns a formatter for USD values. Until the rate is known values are
+ * formatted in USD.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getPreferredCurrency, getFxRate, CURRENCY_CHANGE_EVENT, DEFAULT_CURRENCY } from '../services/fxRates';
+import { formatFiat } from '../utils/currencyFormat';
+
+/**
+ * Hook to format USD values in the preferred currency
+ * @returns {Object} { currency, rate, formatFiat(usdAmount, options) }
+ */
+export const useCurrency = () => {
+    const [currency, setCurrency] = useState(getPreferredCurrency);
+    const [rate, setRate] = useState(() => (currency === DEFAULT_CURRENCY ? 1 : null));
+
+    // Follow changes from settings in this tab and in others
+    useEffect(() => {
+        const handleChange = () => setCurrency(getPreferredCurrency());
+        window.addEventListener(CURRENCY_CHANGE_EVENT, handleChange);
+        window.addEventListener('storage', handleChange);
+        return () => {
+            window.removeEventListener(CURRENCY_CHANGE_EVENT, handleChange);
+            window.removeEventListener('storage', handleChange);
+        };
+    }, []);
+
+    useEffect(() => {
+        if (currency === DEFAULT_CURRENCY) {
+            setRate(1);
+            return undefined;
+        }
+
+        let cancelled = false;
+        setRate(null);
+        getFxRate(currency).then((fxRate) => {
+            if (!cancelled) setRate(fxRate);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [currency]);
+
+    const format = useCallback(
+        (usdAmount, options = {}) => formatFiat(usdAmount, { ...options, currency, rate }),
+        [currency, rate]
+    );
+
+    return { currency, rate, formatFiat: format };
+};
+
+export default useCurrency;
@@ -0,0 +1,56 @@
+/**
+ * React Hook for DCA Schedules
+ *
+ * Loads the user's DCA plans and polls for executions that are due, so the
+ * swap page can show them as pending actions. Each poll first reconciles
+ * submitted executions from their receipts.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getDcaPlans, getDueDcaExecutions, reconcileDcaExecutions } from '../services/dcaScheduler';
+
+export const DCA_POLL_INTERVAL = 30000; // 30 seconds
+
+/**
+ * Hook to track DCA plans for an address and chain
+ * @param {string} address - User address
+ * @param {number} chainId - Chain ID
+ * @param {Object} [options] - Options
+ * @param {Object} [options.publicClient] - Viem public client for reading receipts
+ * @param {number} [options.interval] - Poll interval in ms
+ * @returns {Object} { plans, dueExecutions, refresh }
+ */
+export const useDcaSchedule = (address, chainId, { publicClient = null, interval = DCA_POLL_INTERVAL } = {}) => {
+    const [plans, setPlans] = useState([]);
+    const [dueExecutions, setDueExecutions] = useState([]);
+
+    const refresh = useCallback(async () => {
+        if (!address || !chainId) {
+            setPlans([]);
+            setDueExecutions([]);
+            return;
+        }
+
+        try {
+            await reconcileDcaExecutions(address, chainId, { publicClient });
+        } catch (error) {
+            console.warn('Failed to reconcile DCA executions:', error);
+        }
+        setPlans(getDcaPlans(address, chainId));
+        setDueExecutions(getDueDcaExecutions(address, chainId));
+    }, [address, chainId, publicClient]);
+
+    useEffect(() => {
+        refresh();
+        const timer = setInterval(refresh, interval);
+        return () => clearInterval(timer);
+    }, [refresh, interval]);
+
+    return {
+        plans,
+        dueExecutions,
+        refresh,
+    };
+};
+
+export default useDcaSchedule;
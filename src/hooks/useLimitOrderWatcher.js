@@ -0,0 +1,63 @@
+/**
+ * React Hook for Limit Order Watching
+ *
+ * Periodically checks the user's open limit orders against current prices and
+ * surfaces the ones whose target price is reached so the UI can prompt execution.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { checkLimitOrders } from '../services/limitOrders';
+
+export const LIMIT_ORDER_POLL_INTERVAL = 30000; // 30 seconds
+
+/**
+ * Hook to watch limit orders for an address and chain
+ * @param {string} address - User address
+ * @param {number} chainId - Chain ID
+ * @param {Object} [options] - Options
+ * @param {Object} [options.publicClient] - Viem public client for on-chain quotes
+ * @param {number} [options.interval] - Poll interval in ms
+ * @returns {Object} { triggeredOrders, checking, check, dismiss }
+ */
+export const useLimitOrderWatcher = (address, chainId, { publicClient = null, interval = LIMIT_ORDER_POLL_INTERVAL } = {}) => {
+    const [triggeredOrders, setTriggeredOrders] = useState([]);
+    const [dismissedIds, setDismissedIds] = useState([]);
+    const [checking, setChecking] = useState(false);
+
+    const check = useCallback(async () => {
+        if (!address || !chainId) {
+            setTriggeredOrders([]);
+            return;
+        }
+
+        setChecking(true);
+        try {
+            const orders = await checkLimitOrders(address, chainId, { publicClient });
+            setTriggeredOrders(orders);
+        } catch (error) {
+            console.warn('Failed to check limit orders:', error);
+        } finally {
+            setChecking(false);
+        }
+    }, [address, chainId, publicClient]);
+
+    useEffect(() => {
+        check();
+        const timer = setInterval(check, interval);
+        return () => clearInterval(timer);
+    }, [check, interval]);
+
+    // Hide a prompt until the order triggers again (e.g. after an edit)
+    const dismiss = useCallback((order) => {
+        setDismissedIds(ids => [...ids, `${order.id}:${order.triggeredAt}`]);
+    }, []);
+
+    return {
+        triggeredOrders: triggeredOrders.filter(order => !dismissedIds.includes(`${order.id}:${order.triggeredAt}`)),
+        checking,
+        check,
+        dismiss,
+    };
+};
+
+export default useLimitOrderWatcher;
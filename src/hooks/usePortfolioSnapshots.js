@@ -0,0 +1,21 @@
+/**
+ * React Hook for Portfolio Snapshots
+ *
+ * Records portfolio snapshots for the connected wallet on a schedule while
+ * the component using it is mounted.
+ */
+
+import { useEffect } from 'react';
+import { startSnapshotSchedule, SNAPSHOT_INTERVAL } from '../services/portfolioSnapshots';
+
+/**
+ * Hook to record portfolio snapshots for an address
+ * @param {string} address - User address
+ * @param {Object} [options] - Options
+ * @param {number} [options.interval] - Snapshot interval in ms
+ */
+export const usePortfolioSnapshots = (address, { interval = SNAPSHOT_INTERVAL } = {}) => {
+    useEffect(() => startSnapshotSchedule(address, { interval }), [address, interval]);
+};
+
+export default usePortfolioSnapshots;
@@ -0,0 +1,85 @@
+/**
+ * React Hook for Quote Expiry
+ *
+ * Tracks how long a swap quote stays valid and fires a refresh when it expires.
+ * Quote lifetime is configurable in seconds or blocks:
+ * - REACT_APP_QUOTE_TTL_SECONDS (default 30)
+ * - REACT_APP_QUOTE_TTL_BLOCKS (overrides seconds, converted with the chain block time)
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import chainConfig from '../services/chainConfig';
+
+export const DEFAULT_QUOTE_TTL_SECONDS = Number(process.env.REACT_APP_QUOTE_TTL_SECONDS) || 30;
+export const DEFAULT_QUOTE_TTL_BLOCKS = Number(process.env.REACT_APP_QUOTE_TTL_BLOCKS) || null;
+
+/**
+ * Get quote lifetime in seconds for a chain
+ * @param {number} chainId - Chain ID
+ * @param {Object} [options] - TTL options
+ * @param {number} [options.seconds] - Lifetime in seconds
+ * @param {number} [options.blocks] - Lifetime in blocks (takes precedence over seconds)
+ * @returns {number} Lifetime in seconds
+ */
+export const getQuoteTtlSeconds = (chainId, { seconds = DEFAULT_QUOTE_TTL_SECONDS, blocks = DEFAULT_QUOTE_TTL_BLOCKS } = {}) => {
+    if (blocks) {
+        const blockTime = chainId ? chainConfig.getBlockTime(chainId) : 2;
+        return Math.max(1, Math.round(blocks * blockTime));
+    }
+    return seconds;
+};
+
+/**
+ * Hook to count down a quote's remaining lifetime
+ * @param {Object} params - Hook params
+ * @param {number} params.chainId - Chain ID
+ * @param {number|null} params.quotedAt - Timestamp (ms) the quote was fetched, null when no quote
+ * @param {Function} [params.onExpire] - Called once per quote when it expires
+ * @param {boolean} [params.enabled] - Pause the countdown (e.g. while a swap is in flight)
+ * @param {number} [params.ttlSeconds] - Lifetime in seconds
+ * @param {number} [params.ttlBlocks] - Lifetime in blocks
+ * @returns {Object} { secondsLeft, isExpired, ttl }
+ */
+export const useQuoteExpiry = ({ chainId, quotedAt, onExpire, enabled = true, ttlSeconds, ttlBlocks }) => {
+    const ttl = getQuoteTtlSeconds(chainId, {
+        seconds: ttlSeconds ?? DEFAULT_QUOTE_TTL_SECONDS,
+        blocks: ttlBlocks ?? DEFAULT_QUOTE_TTL_BLOCKS,
+    });
+    const [now, setNow] = useState(Date.now());
+    const expiredQuoteRef = useRef(null);
+    const onExpireRef = useRef(onExpire);
+
+    useEffect(() => {
+        onExpireRef.current = onExpire;
+    }, [onExpire]);
+
+    useEffect(() => {
+        if (!quotedAt || !enabled) return undefined;
+
+        setNow(Date.now());
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [quotedAt, enabled]);
+
+    const secondsLeft = quotedAt
+        ? Math.max(0, Math.ceil((quotedAt + ttl * 1000 - now) / 1000))
+        : null;
+    const isExpired = secondsLeft === 0;
+
+    useEffect(() => {
+        if (!isExpired || !enabled || expiredQuoteRef.current === quotedAt) return;
+
+        expiredQuoteRef.current = quotedAt;
+        if (onExpireRef.current) {
+            onExpireRef.current();
+        }
+    }, [isExpired, enabled, quotedAt]);
+
+    return {
+        secondsLeft,
+        isExpired,
+        ttl,
+    };
+};
+
+export default useQuoteExpiry;
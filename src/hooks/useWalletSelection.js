@@ -0,0 +1,46 @@
+/**
+ * React Hook for the Wallet Selector
+ *
+ * Keeps the wallet picked in a WalletSelector (all wallets, the connected one
+ * or a watched address) and resolves it to the addresses components should show.
+ */
+
+import { useState, useEffect, useMemo } from 'react';
+import { ALL_WALLETS, CONNECTED_WALLET } from '../components/portfolio/WalletSelector';
+import { isSameAddress } from '../services/watchedAddresses';
+import { useWatchedAddresses } from './useWatchedAddresses';
+
+/**
+ * Hook to select one or all wallets
+ * @param {string|null} connectedAddress - Connected wallet address
+ * @returns {Object} { wallets, addWallet, removeWallet, selectedWallet, setSelectedWallet, selectedAddresses }
+ */
+export const useWalletSelection = (connectedAddress) => {
+    const { wallets, addWallet, removeWallet } = useWatchedAddresses();
+    const [selectedWallet, setSelectedWallet] = useState(CONNECTED_WALLET); // 'all', 'connected' or a watched address
+
+    const selectedAddresses = useMemo(() => {
+        const watched = wallets.map(wallet => wallet.address);
+        if (selectedWallet === ALL_WALLETS) {
+            const own = connectedAddress ? [connectedAddress] : [];
+            return [...own, ...watched.filter(watchedAddress => !isSameAddress(watchedAddress, connectedAddress))];
+        }
+        if (selectedWallet === CONNECTED_WALLET) {
+            return connectedAddress ? [connectedAddress] : [];
+        }
+        return watched.filter(watchedAddress => watchedAddress === selectedWallet);
+    }, [wallets, selectedWallet, connectedAddress]);
+
+    // Fall back when the selection goes away (disconnect, removed wallet)
+    useEffect(() => {
+        if (selectedAddresses.length === 0 && wallets.length > 0) {
+            setSelectedWallet(ALL_WALLETS);
+        } else if (selectedAddresses.length === 0 && connectedAddress) {
+            setSelectedWallet(CONNECTED_WALLET);
+        }
+    }, [selectedAddresses, wallets, connectedAddress]);
+
+    return { wallets, addWallet, removeWallet, selectedWallet, setSelectedWallet, selectedAddresses };
+};
+
+export default useWalletSelection;
@@ -0,0 +1,43 @@
+/**
+ * React Hook for Watch-Only Wallets
+ *
+ * Tracks the watched addresses (watchedAddresses service) across components and
+ * tabs, and exposes the add, rename and remove actions.
+ */
+
+import { useState, useEffect } from 'react';
+import {
+    getWatchedAddresses,
+    addWatchedAddress,
+    updateWatchedAddressLabel,
+    removeWatchedAddress,
+    WATCHED_ADDRESSES_CHANGE_EVENT,
+} from '../services/watchedAddresses';
+
+/**
+ * Hook to read and manage watch-only wallets
+ * @returns {Object} { wallets, addWallet(address, label), renameWallet(address, label), removeWallet(address) }
+ */
+export const useWatchedAddresses = () => {
+    const [wallets, setWallets] = useState(getWatchedAddresses);
+
+    // Follow changes from this tab and from others
+    useEffect(() => {
+        const handleChange = () => setWallets(getWatchedAddresses());
+        window.addEventListener(WATCHED_ADDRESSES_CHANGE_EVENT, handleChange);
+        window.addEventListener('storage', handleChange);
+        return () => {
+            window.removeEventListener(WATCHED_ADDRESSES_CHANGE_EVENT, handleChange);
+            window.removeEventListener('storage', handleChange);
+        };
+    }, []);
+
+    return {
+        wallets,
+        addWallet: addWatchedAddress,
+        renameWallet: updateWatchedAddressLabel,
+        removeWallet: removeWatchedAddress,
+    };
+};
+
+export default useWatchedAddresses;
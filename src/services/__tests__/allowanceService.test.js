@@ -0,0 +1,107 @@
+/**
+ * Tests for Allowance Service
+ *
+ * Tests approval policies and reading allowances for Mango spenders.
+ */
+
+import { maxUint256 } from 'viem';
+import {
+    getApprovalPolicy,
+    setApprovalPolicy,
+    getApprovalAmount,
+    getAllowanceSpenders,
+    getAllowances,
+    buildRevokeRequest,
+    APPROVAL_POLICIES,
+    DEFAULT_BUFFER_PERCENT,
+} from '../allowanceService';
+import chainConfig from '../chainConfig';
+
+describe('Allowance Service', () => {
+    const CHAIN_ID = 8453;
+    const OWNER = '0x1234567890123456789012345678901234567890';
+    const ROUTER = '0x1111111111111111111111111111111111111111';
+    const MANAGER = '0x2222222222222222222222222222222222222222';
+    const USDC = { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 };
+    const MANGO = { symbol: 'MANGO', address: '0xC26171C7978D50fc0340D6F013C17e8693D7A4e4', decimals: 18 };
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(chainConfig, 'getContractAddress').mockImplementation((chainId, type) => ({
+            router: ROUTER,
+            manager: MANAGER,
+        }[type] || null));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Approval Policy', () => {
+        test('should default to exact approvals', () => {
+            expect(getApprovalPolicy()).toEqual({ policy: APPROVAL_POLICIES.EXACT, bufferPercent: DEFAULT_BUFFER_PERCENT });
+        });
+
+        test('should persist valid policies only', () => {
+            expect(setApprovalPolicy(APPROVAL_POLICIES.BUFFER, 25)).toBe(true);
+            expect(getApprovalPolicy()).toEqual({ policy: APPROVAL_POLICIES.BUFFER, bufferPercent: 25 });
+
+            expect(setApprovalPolicy('infinite')).toBe(false);
+            expect(setApprovalPolicy(APPROVAL_POLICIES.BUFFER, 0)).toBe(false);
+            expect(getApprovalPolicy().bufferPercent).toBe(25);
+        });
+
+        test('should size approvals by policy', () => {
+            expect(getApprovalAmount(1000n, { policy: APPROVAL_POLICIES.EXACT })).toBe(1000n);
+            expect(getApprovalAmount(1000n, { policy: APPROVAL_POLICIES.BUFFER, bufferPercent: 2.5 })).toBe(1025n);
+            expect(getApprovalAmount(1000n, { policy: APPROVAL_POLICIES.UNLIMITED })).toBe(maxUint256);
+        });
+
+        test('should use the stored policy by default', () => {
+            setApprovalPolicy(APPROVAL_POLICIES.UNLIMITED);
+            expect(getApprovalAmount(1000n)).toBe(maxUint256);
+        });
+    });
+
+    describe('Allowances', () => {
+        test('should merge spenders sharing an address', () => {
+            expect(getAllowanceSpenders(CHAIN_ID)).toEqual([
+                { address: ROUTER, labels: ['Router', 'Liquidity'] },
+                { address: MANAGER, labels: ['Staking'] },
+            ]);
+        });
+
+        test('should return non-zero allowances and skip failing tokens', async () => {
+            const BROKEN = { symbol: 'BROKEN', address: '0x3333333333333333333333333333333333333333', decimals: 18 };
+            const publicClient = {
+                readContract: jest.fn(async ({ address, args }) => {
+                    if (address === BROKEN.address) throw new Error('execution reverted');
+                    if (address === USDC.address && args[1] === ROUTER) return 5000000n;
+                    if (address === MANGO.address && args[1] === MANAGER) return maxUint256;
+                    return 0n;
+                }),
+            };
+
+            const allowances = await getAllowances({
+                publicClient,
+                chainId: CHAIN_ID,
+                owner: OWNER,
+                tokens: [USDC, MANGO, BROKEN, { symbol: 'ETH', address: 'native' }],
+            });
+
+            expect(publicClient.readContract).toHaveBeenCalledTimes(6);
+            expect(allowances).toEqual([
+                { token: USDC, spender: ROUTER, labels: ['Router', 'Liquidity'], allowance: 5000000n, isUnlimited: false },
+                { token: MANGO, spender: MANAGER, labels: ['Staking'], allowance: maxUint256, isUnlimited: true },
+            ]);
+        });
+
+        test('should build revoke requests as approve(spender, 0)', () => {
+            expect(buildRevokeRequest(USDC.address, ROUTER)).toMatchObject({
+                address: USDC.address,
+                functionName: 'approve',
+                args: [ROUTER, 0n],
+            });
+        });
+    });
+});
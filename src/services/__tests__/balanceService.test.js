@@ -0,0 +1,292 @@
+/**
+ * Tests for Balance Service
+ *
+ * Tests Multicall3 batching, merging of concurrent requests, block-based
+ * cache invalidation, decimals lookup and liquidity positions against a
+ * fake Multicall3 behind the mocked rpcProvider.
+ */
+
+import { parseAbi, decodeFunctionData, encodeFunctionResult, toHex } from 'viem';
+import {
+    MULTICALL3_ADDRESS,
+    NATIVE_TOKEN,
+    getBalances,
+    getTokenDecimals,
+    getWalletBalances,
+    getLiquidityPositions,
+    getStakedPositions,
+    getCombinedWalletBalances,
+    getCombinedLiquidityPositions,
+    invalidateBalances,
+    clearBalanceCache,
+} from '../balanceService';
+import rpcProvider from '../rpcProvider';
+import chainConfig from '../chainConfig';
+
+jest.mock('../rpcProvider');
+jest.mock('../chainConfig');
+
+describe('Balance Service', () => {
+    const CHAIN_ID = 8453;
+    const ACCOUNT = '0x1234567890123456789012345678901234567890';
+    const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+    const MANGO = '0xC26171C7978D50fc0340D6F013C17e8693D7A4e4';
+    const WETH = '0x4200000000000000000000000000000000000006';
+    const PAIR = '0x2222222222222222222222222222222222222222';
+    const FACTORY = '0x3333333333333333333333333333333333333333';
+    const STAKING = '0x4444444444444444444444444444444444444444';
+    const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+    const NOW = Date.UTC(2026, 0, 10, 12, 0, 0);
+
+    const abi = parseAbi([
+        'struct Call3 { address target; bool allowFailure; bytes callData; }',
+        'struct Result { bool success; bytes returnData; }',
+        'function aggregate3(Call3[] calls) payable returns (Result[] returnData)',
+        'function getEthBalance(address addr) view returns (uint256 balance)',
+        'function getBlockNumber() view returns (uint256 blockNumber)',
+        'function balanceOf(address account) external view returns (uint256)',
+        'function decimals() external view returns (uint8)',
+        'function getPair(address tokenA, address tokenB) external view returns (address pair)',
+        'function totalSupply() external view returns (uint256)',
+        'function token0() external view returns (address)',
+        'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+        'function getUserStakes(address user) external view returns (uint256[] stakeIds)',
+        'function getStakeInfo(uint256 stakeId) external view returns (address user, address token, uint256 amount, uint256 lockPeriod, uint256 stakedAt, uint256 unlockTime, uint256 rewards, bool isActive)',
+    ]);
+
+    let nowSpy;
+    let chain;
+
+    // Answers a single call the way the contracts on the fake chain would
+    const answerCall = ({ target, callData }) => {
+        const { functionName, args } = decodeFunctionData({ abi, data: callData });
+        const token = target.toLowerCase();
+        const values = {
+            getBlockNumber: () => chain.blockNumber,
+            getEthBalance: () => chain.nativeBalance,
+            balanceOf: () => chain.balances[token],
+            decimals: () => chain.decimals[token],
+            getPair: () => ([args[0], args[1]].map(a => a.toLowerCase()).sort().join() === [MANGO, WETH].map(a => a.toLowerCase()).sort().join()
+                ? PAIR
+                : '0x0000000000000000000000000000000000000000'),
+            totalSupply: () => 1000n,
+            token0: () => WETH,
+            getReserves: () => [500n, 2000n, 0],
+            getUserStakes: () => chain.stakeIds,
+            getStakeInfo: () => chain.stakes?.[Number(args[0])],
+        };
+        const result = values[functionName]?.();
+        if (result === undefined) return { success: false, returnData: '0x' };
+        return { success: true, returnData: encodeFunctionResult({ abi, functionName, result }) };
+    };
+
+    const ethCalls = () => rpcProvider.request.mock.calls.filter(([, request]) => request.method === 'eth_call');
+
+    beforeEach(() => {
+        clearBalanceCache();
+        nowSpy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        chain = {
+            blockNumber: 100n,
+            nativeBalance: 10n ** 18n,
+            balances: {
+                [USDC.toLowerCase()]: 5000000n,
+                [MANGO.toLowerCase()]: 0n,
+                [WETH.toLowerCase()]: 2n * 10n ** 18n,
+                [PAIR.toLowerCase()]: 100n,
+            },
+            decimals: { [USDC.toLowerCase()]: 6, [MANGO.toLowerCase()]: 18 },
+        };
+        chainConfig.getBlockTime.mockReturnValue(2);
+        chainConfig.getChain.mockReturnValue({ nativeCurrency: { symbol: 'ETH', decimals: 18 } });
+        chainConfig.getContractAddress.mockImplementation((chainId, type) => (type === 'factory' ? FACTORY : null));
+        rpcProvider.request.mockImplementation((chainId, request) => {
+            if (request.method === 'eth_blockNumber') {
+                return Promise.resolve({ result: toHex(chain.blockNumber) });
+            }
+            const { args: [calls] } = decodeFunctionData({ abi, data: request.params[0].data });
+            return Promise.resolve({
+                result: encodeFunctionResult({ abi, functionName: 'aggregate3', result: calls.map(answerCall) }),
+            });
+        });
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+    });
+
+    describe('getBalances', () => {
+        it('should read native and token balances in one multicall', async () => {
+            const balances = await getBalances(CHAIN_ID, ACCOUNT, [NATIVE_TOKEN, USDC]);
+
+            expect(balances).toEqual({ [NATIVE_TOKEN]: 10n ** 18n, [USDC.toLowerCase()]: 5000000n });
+            expect(ethCalls()).toHaveLength(1);
+            expect(ethCalls()[0][1].params[0].to).toBe(MULTICALL3_ADDRESS);
+        });
+
+        it('should merge concurrent requests into one multicall', async () => {
+            const [first, second] = await Promise.all([
+                getBalances(CHAIN_ID, ACCOUNT, [NATIVE_TOKEN, USDC]),
+                getBalances(CHAIN_ID, ACCOUNT, [USDC, WETH]),
+            ]);
+
+            expect(first[USDC.toLowerCase()]).toBe(5000000n);
+            expect(second[WETH.toLowerCase()]).toBe(2n * 10n ** 18n);
+            expect(second[NATIVE_TOKEN]).toBeUndefined();
+            expect(ethCalls()).toHaveLength(1);
+        });
+
+        it('should serve cached balances until a new block is seen', async () => {
+            await getBalances(CHAIN_ID, ACCOUNT, [USDC]);
+
+            // Within one block time nothing is requested
+            await getBalances(CHAIN_ID, ACCOUNT, [USDC]);
+            expect(rpcProvider.request).toHaveBeenCalledTimes(1);
+
+            // Later, same block: only the head is checked
+            nowSpy.mockReturnValue(NOW + 5000);
+            await getBalances(CHAIN_ID, ACCOUNT, [USDC]);
+            expect(ethCalls()).toHaveLength(1);
+            expect(rpcProvider.request).toHaveBeenCalledTimes(2);
+
+            // New block: balances are read again
+            nowSpy.mockReturnValue(NOW + 10000);
+            chain.blockNumber = 101n;
+            chain.balances[USDC.toLowerCase()] = 7000000n;
+            const balances = await getBalances(CHAIN_ID, ACCOUNT, [USDC]);
+            expect(balances[USDC.toLowerCase()]).toBe(7000000n);
+            expect(ethCalls()).toHaveLength(2);
+        });
+
+        it('should refetch after invalidation', async () => {
+            await getBalances(CHAIN_ID, ACCOUNT, [USDC]);
+            invalidateBalances(CHAIN_ID, ACCOUNT);
+            await getBalances(CHAIN_ID, ACCOUNT, [USDC]);
+
+            expect(ethCalls()).toHaveLength(2);
+        });
+
+        it('should leave out tokens whose read fails', async () => {
+            const unknown = '0x9999999999999999999999999999999999999999';
+
+            const balances = await getBalances(CHAIN_ID, ACCOUNT, [USDC, unknown]);
+
+            expect(Object.keys(balances)).toEqual([USDC.toLowerCase()]);
+        });
+    });
+
+    describe('getTokenDecimals', () => {
+        it('should read decimals once per token', async () => {
+            await expect(getTokenDecimals(CHAIN_ID, [USDC, MANGO])).resolves.toEqual({
+                [USDC.toLowerCase()]: 6,
+                [MANGO.toLowerCase()]: 18,
+            });
+            await getTokenDecimals(CHAIN_ID, [USDC]);
+
+            expect(ethCalls()).toHaveLength(1);
+        });
+    });
+
+    describe('getWalletBalances', () => {
+        it('should format non-zero balances with token decimals', async () => {
+            const result = await getWalletBalances(CHAIN_ID, ACCOUNT, [
+                { address: USDC, symbol: 'USDC', decimals: 6 },
+                { address: MANGO, symbol: 'MANGO', decimals: 18 },
+                { address: WETH, symbol: 'WETH' },
+            ]);
+
+            expect(result.native.formatted).toBe(1);
+            expect(result.tokens.map(({ token, formatted }) => [token.symbol, formatted])).toEqual([
+                ['USDC', 5],
+                ['WETH', 2],
+            ]);
+        });
+    });
+
+    describe('getLiquidityPositions', () => {
+        it('should return held pairs with reserves ordered by token0', async () => {
+            const tokens = [
+                { address: USDC, symbol: 'USDC', decimals: 6 },
+                { address: MANGO, symbol: 'MANGO', decimals: 0 },
+                { address: WETH, symbol: 'WETH', decimals: 0 },
+            ];
+
+            const positions = await getLiquidityPositions(CHAIN_ID, ACCOUNT, tokens);
+
+            expect(positions).toEqual([{
+                pairAddress: PAIR,
+                balance: 100n,
+                totalSupply: 1000n,
+                token0: tokens[2],
+                token1: tokens[1],
+                reserve0: 500n,
+                reserve1: 2000n,
+                // 10% of the reserves
+                amount0: 50,
+                amount1: 200,
+            }]);
+            // getPair lookups, pair balances, pair details
+            expect(ethCalls()).toHaveLength(3);
+
+            // Pair addresses are not looked up again
+            await getLiquidityPositions(CHAIN_ID, ACCOUNT, tokens);
+            expect(ethCalls()).toHaveLength(4);
+        });
+
+        it('should return nothing without a factory', async () => {
+            chainConfig.getContractAddress.mockReturnValue(null);
+
+            await expect(getLiquidityPositions(CHAIN_ID, ACCOUNT, [{ address: USDC }, { address: WETH }])).resolves.toEqual([]);
+            expect(rpcProvider.request).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('combined wallets', () => {
+        const OTHER = '0x9876543210987654321098765432109876543210';
+
+        it('should add up balances and positions of several wallets', async () => {
+            const tokens = [
+                { address: USDC, symbol: 'USDC', decimals: 6 },
+                { address: MANGO, symbol: 'MANGO', decimals: 0 },
+                { address: WETH, symbol: 'WETH', decimals: 0 },
+            ];
+
+            const balances = await getCombinedWalletBalances(CHAIN_ID, [ACCOUNT, OTHER], tokens);
+            const positions = await getCombinedLiquidityPositions(CHAIN_ID, [ACCOUNT, OTHER], tokens);
+
+            expect(balances.native.formatted).toBe(2);
+            expect(balances.tokens.find(({ token }) => token.symbol === 'USDC').formatted).toBe(10);
+            expect(positions).toHaveLength(1);
+            expect(positions[0].balance).toBe(200n);
+            expect(positions[0].amount0).toBe(100);
+        });
+    });
+
+    describe('getStakedPositions', () => {
+        it('should return active stakes in known tokens', async () => {
+            chainConfig.getContractAddress.mockImplementation((chainId, type) => (type === 'manager' ? STAKING : null));
+            const stake = (token, amount, isActive) => [ACCOUNT, token, amount, 0n, 0n, 0n, 10n ** 17n, isActive];
+            chain.stakeIds = [1n, 2n, 3n, 4n];
+            chain.stakes = {
+                1: stake(USDC, 5000000n, true),
+                2: stake(ZERO_ADDRESS, 10n ** 18n, true),
+                3: stake(USDC, 1000000n, false),
+                4: stake('0x9999999999999999999999999999999999999999', 10n ** 18n, true),
+            };
+
+            const positions = await getStakedPositions(CHAIN_ID, ACCOUNT, [{ address: USDC, symbol: 'USDC', decimals: 6 }]);
+
+            expect(positions.map(({ stakeId, token, amount }) => [stakeId, token.symbol, amount])).toEqual([
+                [1, 'USDC', 5],
+                [2, 'ETH', 1],
+            ]);
+            expect(positions[1].rewards).toBe(0.1);
+            // Stake IDs, then stake details
+            expect(ethCalls()).toHaveLength(2);
+        });
+
+        it('should return nothing without a staking contract', async () => {
+            await expect(getStakedPositions(CHAIN_ID, ACCOUNT, [])).resolves.toEqual([]);
+            expect(rpcProvider.request).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -274,6 +274,19 @@ describe('ChainConfigService', () => {
             const urls = chainConfig.getRpcUrls(1);
             expect(urls.length).toBeGreaterThanOrEqual(1);
         });
+
+        test('should list custom RPCs ahead of the defaults', () => {
+            const defaults = chainConfig.getRpcUrls(1);
+            localStorage.setItem('customRpcUrls', JSON.stringify({
+                1: ['https://my.rpc.com', defaults[0]],
+            }));
+
+            const urls = chainConfig.getRpcUrls(1);
+            localStorage.removeItem('customRpcUrls');
+
+            expect(urls).toEqual([...new Set(['https://my.rpc.com', ...defaults])]);
+            expect(chainConfig.getRpcUrls(1)).toEqual(defaults);
+        });
     });
 
     describe('getGasSettings(chainId)', () => {
@@ -0,0 +1,212 @@
+/**
+ * Tests for Cost Basis Service
+ *
+ * Tests ledger events from transaction history, event pricing, FIFO and
+ * average-cost PnL, liquidity and staking events and untracked holdings.
+ */
+
+import {
+    COST_BASIS_METHODS,
+    getCostBasisMethod,
+    setCostBasisMethod,
+    getAssetKey,
+    getLedgerEvents,
+    priceLedgerEvents,
+    computePnl,
+    getPortfolioPnl,
+} from '../costBasis';
+import { getPriceAt } from '../priceHistory';
+
+jest.mock('../priceHistory');
+
+describe('Cost Basis Service', () => {
+    const ADDRESS = '0x1234567890123456789012345678901234567890';
+    const CHAIN_ID = 8453;
+    const T0 = Date.UTC(2026, 0, 1);
+    const HOUR = 60 * 60 * 1000;
+
+    const ETH = getAssetKey(CHAIN_ID, 'ETH');
+    const USDC = getAssetKey(CHAIN_ID, 'USDC');
+    const MANGO = getAssetKey(CHAIN_ID, 'MANGO');
+
+    let hash = 0;
+    const swap = (sellSymbol, sellAmount, buySymbol, buyAmount, value, hours) => ({
+        type: 'swap',
+        chainId: CHAIN_ID,
+        timestamp: T0 + hours * HOUR,
+        txHash: `0x${++hash}`,
+        sell: { symbol: sellSymbol, amount: sellAmount },
+        buy: { symbol: buySymbol, amount: buyAmount },
+        value,
+    });
+
+    // Buys 1 ETH at 1000 and 1 ETH at 2000, then sells 1 ETH for 2500 USDC
+    const tradeEvents = () => [
+        swap('USDC', 1000, 'ETH', 1, 1000, 0),
+        swap('USDC', 2000, 'ETH', 1, 2000, 1),
+        swap('ETH', 1, 'USDC', 2500, 2500, 2),
+    ];
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('cost basis method', () => {
+        it('should default to FIFO and persist a valid choice', () => {
+            expect(getCostBasisMethod()).toBe(COST_BASIS_METHODS.FIFO);
+
+            expect(setCostBasisMethod(COST_BASIS_METHODS.AVERAGE)).toBe(true);
+            expect(getCostBasisMethod()).toBe(COST_BASIS_METHODS.AVERAGE);
+            expect(setCostBasisMethod('lifo')).toBe(false);
+        });
+    });
+
+    describe('getLedgerEvents', () => {
+        it('should normalize stored transactions oldest first', () => {
+            localStorage.setItem('swapHistory', JSON.stringify([
+                { txHash: '0x5', userAddress: ADDRESS, chainId: CHAIN_ID, type: 'claimRewards', tokenOutSymbol: 'MANGO', amountOut: '10', status: 'completed', timestamp: T0 + 5 * HOUR },
+                { txHash: '0x4', userAddress: ADDRESS, chainId: CHAIN_ID, type: 'unstake', tokenOutSymbol: 'MANGO', amountIn: '100', amountOut: '100', earlyUnstake: true, penaltyPercent: 10, status: 'completed', timestamp: T0 + 4 * HOUR },
+                { txHash: '0x3', userAddress: ADDRESS, chainId: CHAIN_ID, type: 'removeLiquidity', tokenIn: 'LP', tokenOut: 'USDC/ETH', amountIn: '1', amountOut: '1600/1', status: 'completed', timestamp: T0 + 3 * HOUR },
+                { txHash: '0x2', userAddress: ADDRESS, chainId: CHAIN_ID, type: 'stake', tokenInSymbol: 'MANGO', amountIn: '100', status: 'completed', timestamp: T0 + 2 * HOUR },
+                { txHash: '0x1', userAddress: ADDRESS, chainId: CHAIN_ID, type: 'addLiquidity', tokenIn: 'ETH', tokenOut: 'USDC', amountIn: '1', amountOut: '1500', status: 'completed', timestamp: T0 + HOUR },
+                { txHash: '0x0', userAddress: ADDRESS, chainId: CHAIN_ID, tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '0.5', expectedAmountOut: '0.51', status: 'completed', timestamp: T0 },
+                { txHash: '0xe', userAddress: ADDRESS, chainId: CHAIN_ID, tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: null, expectedAmountOut: '0.5', status: 'pending', timestamp: T0 },
+                { txHash: '0xf', userAddress: ADDRESS, chainId: CHAIN_ID, tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '0.5', status: 'failed', timestamp: T0 },
+            ]));
+
+            const events = getLedgerEvents(ADDRESS);
+
+            // Pending and failed swaps are left out
+            expect(events.map(event => event.type)).toEqual(['swap', 'addLiquidity', 'removeLiquidity', 'unstake', 'reward']);
+            expect(events[0].txHash).toBe('0x0');
+            expect(events[0].buy).toEqual({ symbol: 'ETH', amount: 0.5 });
+            expect(events[1].pair).toBe('ETH/USDC');
+            expect(events[2].pair).toBe('ETH/USDC');
+            expect(events[2].tokens).toEqual([{ symbol: 'USDC', amount: 1600 }, { symbol: 'ETH', amount: 1 }]);
+            expect(events[3].penalty).toBe(10);
+        });
+    });
+
+    describe('priceLedgerEvents', () => {
+        it('should value swaps by their stablecoin side or historical prices', async () => {
+            // USDC trading below its peg
+            getPriceAt.mockImplementation((symbol) => Promise.resolve({ ETH: 2000, USDC: 0.97 }[symbol] ?? null));
+
+            const [stable, priced, unpriced] = await priceLedgerEvents([
+                swap('USDC', 1000, 'ETH', 0.4, undefined, 0),
+                swap('MANGO', 100, 'ETH', 0.5, undefined, 1),
+                swap('MANGO', 1, 'XYZ', 1, undefined, 2),
+            ]);
+
+            expect(stable.value).toBeCloseTo(970);
+            expect(priced.value).toBe(1000);
+            expect(unpriced.value).toBeNull();
+            expect(getPriceAt).toHaveBeenCalledWith('USDC', T0);
+        });
+    });
+
+    describe('computePnl', () => {
+        it('should realize gains against the oldest lots with FIFO', () => {
+            const { assets } = computePnl(tradeEvents(), {
+                method: COST_BASIS_METHODS.FIFO,
+                holdings: { [ETH]: { amount: 1, price: 3000 } },
+            });
+
+            expect(assets[ETH].realizedPnl).toBe(1500);
+            expect(assets[ETH].costBasis).toBe(2000);
+            expect(assets[ETH].unrealizedPnl).toBe(1000);
+        });
+
+        it('should realize gains against the average cost', () => {
+            const { assets, totals } = computePnl(tradeEvents(), {
+                method: COST_BASIS_METHODS.AVERAGE,
+                holdings: { [ETH]: { amount: 1, price: 3000 } },
+            });
+
+            expect(assets[ETH].realizedPnl).toBe(1000);
+            expect(assets[ETH].averageCost).toBe(1500);
+            expect(assets[ETH].unrealizedPnl).toBe(1500);
+            expect(totals.realizedPnl).toBe(1000);
+        });
+
+        it('should leave holdings without a known basis out of PnL', () => {
+            const { assets, byChain } = computePnl(tradeEvents(), {
+                holdings: { [ETH]: { amount: 3, price: 3000 }, [MANGO]: { amount: 10, price: 1 } },
+            });
+
+            expect(assets[ETH].untrackedAmount).toBe(2);
+            expect(assets[ETH].unrealizedPnl).toBe(1000);
+            // Spending USDC that was never tracked realizes nothing
+            expect(assets[USDC].realizedPnl).toBe(0);
+            expect(assets[MANGO]).toEqual(expect.objectContaining({ untrackedAmount: 10, costBasis: 0, unrealizedPnl: 0 }));
+            expect(byChain[CHAIN_ID].unrealizedPnl).toBe(1000);
+        });
+
+        it('should carry the basis over through unpriced swaps', () => {
+            const { assets } = computePnl([
+                swap('USDC', 1000, 'ETH', 1, 1000, 0),
+                swap('ETH', 1, 'MANGO', 500, null, 1),
+            ], { holdings: { [MANGO]: { amount: 500, price: 3 } } });
+
+            expect(assets[ETH].realizedPnl).toBe(0);
+            expect(assets[MANGO].costBasis).toBe(1000);
+            expect(assets[MANGO].unrealizedPnl).toBe(500);
+        });
+
+        it('should move basis into liquidity positions and return capital first', () => {
+            const LP = getAssetKey(CHAIN_ID, 'USDC/ETH', 'lp');
+            const deposit = [
+                swap('USDC', 2000, 'ETH', 2, 2000, 0),
+                swap('ETH', 1, 'USDC', 1500, 1500, 1),
+                { type: 'addLiquidity', chainId: CHAIN_ID, timestamp: T0 + 2 * HOUR, pair: 'ETH/USDC', tokens: [{ symbol: 'ETH', amount: 1 }, { symbol: 'USDC', amount: 1500 }] },
+            ];
+
+            const held = computePnl(deposit, { holdings: { [LP]: { value: 3000 } } });
+            expect(held.assets[LP].costBasis).toBe(2500);
+            expect(held.assets[LP].unrealizedPnl).toBe(500);
+
+            const removed = computePnl([
+                ...deposit,
+                {
+                    type: 'removeLiquidity',
+                    chainId: CHAIN_ID,
+                    timestamp: T0 + 3 * HOUR,
+                    pair: 'ETH/USDC',
+                    tokens: [{ symbol: 'USDC', amount: 1600, value: 1600 }, { symbol: 'ETH', amount: 1, value: 1600 }],
+                },
+            ]);
+            expect(removed.assets[LP].realizedPnl).toBe(700);
+            // Returned tokens start a new basis at their market value
+            expect(removed.assets[ETH].trackedAmount).toBe(1);
+        });
+
+        it('should realize early unstake penalties and count rewards as income', () => {
+            const { assets, totals } = computePnl([
+                swap('USDC', 100, 'MANGO', 100, 100, 0),
+                { type: 'unstake', chainId: CHAIN_ID, timestamp: T0 + HOUR, symbol: 'MANGO', penalty: 10 },
+                { type: 'reward', chainId: CHAIN_ID, timestamp: T0 + 2 * HOUR, symbol: 'MANGO', amount: 5, value: 10 },
+            ], { holdings: { [MANGO]: { amount: 95, price: 1 } } });
+
+            expect(assets[MANGO].realizedPnl).toBe(-10);
+            expect(assets[MANGO].income).toBe(10);
+            expect(assets[MANGO].costBasis).toBe(100);
+            expect(totals.income).toBe(10);
+        });
+    });
+
+    describe('getPortfolioPnl', () => {
+        it('should use the saved method', async () => {
+            getPriceAt.mockImplementation((symbol) => Promise.resolve(symbol === 'USDC' ? 1 : null));
+            localStorage.setItem('swapHistory', JSON.stringify([
+                { txHash: '0x1', userAddress: ADDRESS, chainId: CHAIN_ID, tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '1', status: 'completed', timestamp: T0 },
+                { txHash: '0x2', userAddress: ADDRESS, chainId: CHAIN_ID, tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '2000', amountOut: '1', status: 'completed', timestamp: T0 + HOUR },
+                { txHash: '0x3', userAddress: ADDRESS, chainId: CHAIN_ID, tokenIn: 'ETH', tokenOut: 'USDC', amountIn: '1', amountOut: '2500', status: 'completed', timestamp: T0 + 2 * HOUR },
+            ]));
+            setCostBasisMethod(COST_BASIS_METHODS.AVERAGE);
+
+            const { assets } = await getPortfolioPnl(ADDRESS);
+
+            expect(assets[ETH].realizedPnl).toBe(1000);
+        });
+    });
+});
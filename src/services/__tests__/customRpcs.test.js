@@ -0,0 +1,101 @@
+/**
+ * Tests for Custom RPC Service
+ *
+ * Tests URL validation, the chain ID check before an endpoint is accepted,
+ * reordering, removal and the change event.
+ */
+
+import axios from 'axios';
+import {
+    CUSTOM_RPCS_CHANGE_EVENT,
+    normalizeRpcUrl,
+    getCustomRpcUrls,
+    addCustomRpcUrl,
+    moveCustomRpcUrl,
+    removeCustomRpcUrl,
+} from '../customRpcs';
+
+jest.mock('axios');
+
+describe('Custom RPC Service', () => {
+    const BASE_CHAIN_ID = 8453;
+    const RPC_URL = 'https://base.my-node.io';
+    const OTHER_URL = 'https://base.backup-node.io';
+
+    beforeEach(() => {
+        localStorage.clear();
+        // Every endpoint serves Base unless a test says otherwise
+        axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, result: '0x2105' } });
+    });
+
+    describe('normalizeRpcUrl', () => {
+        it('should accept http(s) URLs only', () => {
+            expect(normalizeRpcUrl(` ${RPC_URL}/ `)).toBe(RPC_URL);
+            expect(normalizeRpcUrl('wss://base.my-node.io')).toBeNull();
+            expect(normalizeRpcUrl('not a url')).toBeNull();
+        });
+    });
+
+    describe('addCustomRpcUrl', () => {
+        it('should store endpoints that serve the chain and notify listeners', async () => {
+            const listener = jest.fn();
+            window.addEventListener(CUSTOM_RPCS_CHANGE_EVENT, listener);
+
+            const result = await addCustomRpcUrl(BASE_CHAIN_ID, `${RPC_URL}/`);
+
+            window.removeEventListener(CUSTOM_RPCS_CHANGE_EVENT, listener);
+            expect(result).toEqual({ success: true, message: 'RPC added', url: RPC_URL });
+            expect(axios.post).toHaveBeenCalledWith(
+                RPC_URL,
+                expect.objectContaining({ method: 'eth_chainId' }),
+                expect.any(Object)
+            );
+            expect(getCustomRpcUrls(BASE_CHAIN_ID)).toEqual([RPC_URL]);
+            expect(listener).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject endpoints serving another chain', async () => {
+            axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, result: '0x1' } });
+
+            const result = await addCustomRpcUrl(BASE_CHAIN_ID, RPC_URL);
+
+            expect(result).toEqual(expect.objectContaining({
+                success: false,
+                message: 'This RPC serves chain 1, not 8453',
+            }));
+            expect(getCustomRpcUrls(BASE_CHAIN_ID)).toEqual([]);
+        });
+
+        it('should reject unreachable, invalid and duplicate endpoints', async () => {
+            await addCustomRpcUrl(BASE_CHAIN_ID, RPC_URL);
+            axios.post.mockClear();
+
+            expect((await addCustomRpcUrl(BASE_CHAIN_ID, 'ftp://base.my-node.io')).success).toBe(false);
+            expect((await addCustomRpcUrl(BASE_CHAIN_ID, RPC_URL)).message).toBe('This RPC is already added');
+            expect(axios.post).not.toHaveBeenCalled();
+
+            axios.post.mockRejectedValue(new Error('timeout of 5000ms exceeded'));
+            expect((await addCustomRpcUrl(BASE_CHAIN_ID, OTHER_URL)).message)
+                .toBe('Could not reach this RPC: timeout of 5000ms exceeded');
+            expect(getCustomRpcUrls(BASE_CHAIN_ID)).toEqual([RPC_URL]);
+        });
+    });
+
+    describe('moveCustomRpcUrl / removeCustomRpcUrl', () => {
+        it('should reorder and remove endpoints', async () => {
+            await addCustomRpcUrl(BASE_CHAIN_ID, RPC_URL);
+            await addCustomRpcUrl(BASE_CHAIN_ID, OTHER_URL);
+
+            expect(moveCustomRpcUrl(BASE_CHAIN_ID, OTHER_URL, -1)).toBe(true);
+            expect(moveCustomRpcUrl(BASE_CHAIN_ID, OTHER_URL, -1)).toBe(false);
+            expect(getCustomRpcUrls(BASE_CHAIN_ID)).toEqual([OTHER_URL, RPC_URL]);
+
+            expect(removeCustomRpcUrl(BASE_CHAIN_ID, OTHER_URL)).toBe(true);
+            expect(removeCustomRpcUrl(BASE_CHAIN_ID, OTHER_URL)).toBe(false);
+            expect(getCustomRpcUrls(BASE_CHAIN_ID)).toEqual([RPC_URL]);
+
+            removeCustomRpcUrl(BASE_CHAIN_ID, RPC_URL);
+            expect(JSON.parse(localStorage.getItem('customRpcUrls'))).toEqual({});
+        });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for DCA Scheduler Service
+ *
+ * Tests plan creation, due executions, fills, receipt reconciliation and
+ * average entry price.
+ */
+
+import {
+    createDcaPlan,
+    getDcaPlans,
+    getDcaPlan,
+    getDueDcaExecutions,
+    recordDcaExecution,
+    recordPendingDcaExecution,
+    reconcileDcaExecutions,
+    skipDcaExecution,
+    pauseDcaPlan,
+    resumeDcaPlan,
+    getDcaAverageEntryPrice,
+    DCA_PLAN_STATUS,
+} from '../dcaScheduler';
+import { saveSwapTransaction, getSwapHistory } from '../transactionHistory';
+
+describe('DCA Scheduler Service', () => {
+    const ADDRESS = '0x1234567890123456789012345678901234567890';
+    const CHAIN_ID = 8453;
+    const HOUR = 60 * 60 * 1000;
+    const USDC = { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 };
+    const MANGO = { symbol: 'MANGO', address: '0x1111111111111111111111111111111111111111', decimals: 18 };
+
+    const createPlan = (overrides = {}) => createDcaPlan({
+        userAddress: ADDRESS,
+        chainId: CHAIN_ID,
+        tokenIn: USDC,
+        tokenOut: MANGO,
+        amountPerExecution: '10',
+        interval: HOUR,
+        totalExecutions: 2,
+        maxSlippage: 1,
+        ...overrides,
+    });
+
+    let nowSpy;
+    let now;
+
+    beforeEach(() => {
+        localStorage.clear();
+        now = 1700000000000;
+        nowSpy = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+    });
+
+    describe('Plan Creation', () => {
+        test('should store a plan due immediately', () => {
+            const plan = createPlan();
+
+            expect(plan).toMatchObject({
+                status: DCA_PLAN_STATUS.ACTIVE,
+                executionsDone: 0,
+                totalExecutions: 2,
+                maxSlippage: 1,
+                nextExecutionAt: now,
+            });
+            expect(getDcaPlans(ADDRESS, CHAIN_ID)).toHaveLength(1);
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID).map(p => p.id)).toEqual([plan.id]);
+        });
+
+        test('should reject invalid plans', () => {
+            expect(createPlan({ totalExecutions: 0 })).toBeNull();
+            expect(createPlan({ maxSlippage: '' })).toBeNull();
+            expect(createPlan({ amountPerExecution: '0' })).toBeNull();
+        });
+    });
+
+    describe('Executions', () => {
+        test('should schedule the next execution after a fill and complete the plan', () => {
+            const plan = createPlan();
+
+            const afterFirst = recordDcaExecution(plan.id, '0xaaa');
+            expect(afterFirst.executionsDone).toBe(1);
+            expect(afterFirst.nextExecutionAt).toBe(now + HOUR);
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID)).toHaveLength(0);
+
+            now += HOUR;
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID)).toHaveLength(1);
+
+            const afterSecond = recordDcaExecution(plan.id, '0xbbb');
+            expect(afterSecond.status).toBe(DCA_PLAN_STATUS.COMPLETED);
+            expect(afterSecond.nextExecutionAt).toBeNull();
+        });
+
+        test('should not replay missed executions', () => {
+            const plan = createPlan({ totalExecutions: 10 });
+
+            now += 5 * HOUR;
+            const updated = skipDcaExecution(plan.id);
+
+            expect(updated.nextExecutionAt).toBe(now + HOUR);
+            expect(updated.skippedExecutions).toBe(1);
+        });
+
+        test('should hide paused plans until resumed', () => {
+            const plan = createPlan();
+
+            expect(pauseDcaPlan(plan.id)).toBe(true);
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID)).toHaveLength(0);
+
+            expect(resumeDcaPlan(plan.id)).toBe(true);
+            expect(getDcaPlan(plan.id).status).toBe(DCA_PLAN_STATUS.ACTIVE);
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID)).toHaveLength(1);
+        });
+    });
+
+    describe('Pending Executions', () => {
+        const publicClient = { getTransactionReceipt: jest.fn() };
+
+        test('should not offer a submitted execution again while it is pending', () => {
+            const plan = createPlan();
+
+            recordPendingDcaExecution(plan.id, '0xaaa');
+
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID)).toHaveLength(0);
+            expect(getDcaPlan(plan.id).executionsDone).toBe(0);
+        });
+
+        test('should record a confirmed execution from its receipt', async () => {
+            const plan = createPlan();
+            recordPendingDcaExecution(plan.id, '0xaaa');
+            publicClient.getTransactionReceipt.mockResolvedValue({ status: 'success', logs: [] });
+
+            const resolved = await reconcileDcaExecutions(ADDRESS, CHAIN_ID, { publicClient });
+
+            expect(resolved.map(p => p.id)).toEqual([plan.id]);
+            expect(getDcaPlan(plan.id)).toMatchObject({ executionsDone: 1, lastTxHash: '0xaaa', pendingTxHash: null });
+            expect(getSwapHistory(ADDRESS, CHAIN_ID)[0]).toMatchObject({ txHash: '0xaaa', dcaPlanId: plan.id, amountIn: '10', status: 'completed' });
+        });
+
+        test('should count an execution once when SwapButton already recorded it', async () => {
+            const plan = createPlan({ totalExecutions: 3 });
+            recordPendingDcaExecution(plan.id, '0xaaa');
+            recordDcaExecution(plan.id, '0xaaa');
+            recordDcaExecution(plan.id, '0xaaa');
+
+            expect(getDcaPlan(plan.id).executionsDone).toBe(1);
+            expect(await reconcileDcaExecutions(ADDRESS, CHAIN_ID, { publicClient })).toEqual([]);
+        });
+
+        test('should leave the execution due when the swap reverted', async () => {
+            const plan = createPlan();
+            recordPendingDcaExecution(plan.id, '0xaaa');
+            publicClient.getTransactionReceipt.mockResolvedValue({ status: 'reverted', logs: [] });
+
+            await reconcileDcaExecutions(ADDRESS, CHAIN_ID, { publicClient });
+
+            expect(getDcaPlan(plan.id)).toMatchObject({ executionsDone: 0, pendingTxHash: null });
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID)).toHaveLength(1);
+        });
+
+        test('should wait for the receipt and drop swaps that never get one', async () => {
+            const plan = createPlan();
+            recordPendingDcaExecution(plan.id, '0xaaa');
+            publicClient.getTransactionReceipt.mockRejectedValue(new Error('Transaction receipt not found'));
+
+            await reconcileDcaExecutions(ADDRESS, CHAIN_ID, { publicClient });
+            expect(getDcaPlan(plan.id).pendingTxHash).toBe('0xaaa');
+
+            now += 2 * HOUR;
+            await reconcileDcaExecutions(ADDRESS, CHAIN_ID, { publicClient });
+            expect(getDcaPlan(plan.id).pendingTxHash).toBeNull();
+            expect(getDueDcaExecutions(ADDRESS, CHAIN_ID)).toHaveLength(1);
+        });
+    });
+
+    describe('Average Entry Price', () => {
+        test('should average the amounts received by confirmed fills of the plan', () => {
+            const plan = createPlan();
+            saveSwapTransaction({ txHash: '0x1', userAddress: ADDRESS, chainId: CHAIN_ID, amountIn: '10', amountOut: '100', dcaPlanId: plan.id, status: 'completed' });
+            saveSwapTransaction({ txHash: '0x2', userAddress: ADDRESS, chainId: CHAIN_ID, amountIn: '10', amountOut: '50', expectedAmountOut: '60', dcaPlanId: plan.id, status: 'completed' });
+            saveSwapTransaction({ txHash: '0x4', userAddress: ADDRESS, chainId: CHAIN_ID, amountIn: '10', amountOut: null, expectedAmountOut: '70', dcaPlanId: plan.id, status: 'pending' });
+            saveSwapTransaction({ txHash: '0x3', userAddress: ADDRESS, chainId: CHAIN_ID, amountIn: '10', amountOut: '1', status: 'completed' });
+
+            const result = getDcaAverageEntryPrice(plan);
+
+            expect(result.fills).toBe(2);
+            expect(result.totalIn).toBe(20);
+            expect(result.totalOut).toBe(150);
+            expect(result.averagePrice).toBeCloseTo(20 / 150);
+        });
+
+        test('should return null average without fills', () => {
+            const plan = createPlan();
+            expect(getDcaAverageEntryPrice(plan).averagePrice).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Tests for Stablecoin Depeg Monitor
+ *
+ * Tests peg deviation, the configurable band and filtering of depegged stablecoins.
+ */
+
+import {
+    DEFAULT_DEPEG_BAND_PERCENT,
+    isStablecoin,
+    isValidDepegBand,
+    getDepegBand,
+    setDepegBand,
+    getPegDeviation,
+    checkStablecoin,
+    getDepeggedStablecoins,
+} from '../depegMonitor';
+import { getTokenPriceDetails } from '../priceOracle';
+
+// Mock dependencies
+jest.mock('../priceOracle');
+
+describe('Depeg Monitor', () => {
+    const PRICES = { USDC: 0.999, USDT: 0.97, DAI: 1.002 };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        getTokenPriceDetails.mockImplementation((symbol) => Promise.resolve(
+            PRICES[symbol] ? { price: PRICES[symbol], source: 'coingecko', confidence: 0.5 } : null
+        ));
+    });
+
+    it('should recognise stablecoins case-insensitively', () => {
+        expect(isStablecoin('usdc')).toBe(true);
+        expect(isStablecoin('ETH')).toBe(false);
+        expect(isStablecoin(undefined)).toBe(false);
+    });
+
+    it('should store a valid band and reject out-of-range values', () => {
+        expect(getDepegBand()).toBe(DEFAULT_DEPEG_BAND_PERCENT);
+        expect(setDepegBand('2.5')).toBe(true);
+        expect(getDepegBand()).toBe(2.5);
+        expect(setDepegBand(50)).toBe(false);
+        expect(setDepegBand('abc')).toBe(false);
+        expect(getDepegBand()).toBe(2.5);
+    });
+
+    it('should validate a band without saving it', () => {
+        expect(isValidDepegBand('2.5')).toBe(true);
+        expect(isValidDepegBand(50)).toBe(false);
+        expect(getDepegBand()).toBe(DEFAULT_DEPEG_BAND_PERCENT);
+    });
+
+    it('should report deviation from the peg in percent', () => {
+        expect(getPegDeviation(0.97)).toBeCloseTo(-3);
+        expect(getPegDeviation(1.01)).toBeCloseTo(1);
+    });
+
+    it('should flag a stablecoin outside the band', async () => {
+        const status = await checkStablecoin('USDT', { chainId: 1 });
+
+        expect(status).toEqual(expect.objectContaining({ symbol: 'USDT', price: 0.97, isDepegged: true }));
+        expect(getTokenPriceDetails).toHaveBeenCalledWith('USDT', { chainId: 1 });
+    });
+
+    it('should return only depegged stablecoins and ignore other tokens', async () => {
+        const depegged = await getDepeggedStablecoins(['ETH', 'USDC', 'USDT', 'usdt', 'BUSDT']);
+
+        expect(depegged.map(item => item.symbol)).toEqual(['USDT']);
+        expect(getTokenPriceDetails).not.toHaveBeenCalledWith('ETH', expect.anything());
+    });
+
+    it('should use a custom band', async () => {
+        const depegged = await getDepeggedStablecoins(undefined, { band: 5 });
+
+        expect(depegged).toEqual([]);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for FX Rates Service
+ *
+ * Tests the currency preference, rate caching and fallback, and the
+ * open.er-api provider.
+ */
+
+import axios from 'axios';
+import {
+    CURRENCY_CHANGE_EVENT,
+    getPreferredCurrency,
+    setPreferredCurrency,
+    getFxRates,
+    getFxRate,
+    convertFromUsd,
+    setFxRateProvider,
+    clearFxRateCache,
+    exchangeRateApiProvider,
+} from '../fxRates';
+
+describe('FX Rates Service', () => {
+    const NOW = Date.UTC(2026, 0, 10, 12, 0, 0);
+    const HOUR = 60 * 60 * 1000;
+
+    let nowSpy;
+    let provider;
+
+    beforeEach(() => {
+        localStorage.clear();
+        nowSpy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        provider = {
+            name: 'test',
+            fetchRates: jest.fn(() => Promise.resolve({ EUR: 0.9, GBP: 0.8, MXN: 17 })),
+        };
+        setFxRateProvider(provider);
+        clearFxRateCache();
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+        setFxRateProvider(null);
+    });
+
+    describe('preferred currency', () => {
+        it('should default to USD and ignore unsupported codes', () => {
+            expect(getPreferredCurrency()).toBe('USD');
+
+            localStorage.setItem('currency', 'XYZ');
+            expect(getPreferredCurrency()).toBe('USD');
+        });
+
+        it('should save the currency and notify listeners', () => {
+            const listener = jest.fn();
+            window.addEventListener(CURRENCY_CHANGE_EVENT, listener);
+
+            expect(setPreferredCurrency('EUR')).toBe(true);
+            expect(getPreferredCurrency()).toBe('EUR');
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(setPreferredCurrency('XYZ')).toBe(false);
+
+            window.removeEventListener(CURRENCY_CHANGE_EVENT, listener);
+        });
+    });
+
+    describe('getFxRate', () => {
+        it('should convert with the provider rate and serve repeats from cache', async () => {
+            await expect(getFxRate('EUR')).resolves.toBe(0.9);
+            await expect(convertFromUsd(100, 'MXN')).resolves.toBe(1700);
+
+            expect(provider.fetchRates).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not fetch rates for USD', async () => {
+            await expect(getFxRate('USD')).resolves.toBe(1);
+            expect(provider.fetchRates).not.toHaveBeenCalled();
+        });
+
+        it('should return null for currencies the provider does not quote', async () => {
+            await expect(getFxRate('JPY')).resolves.toBeNull();
+            await expect(convertFromUsd(100, 'JPY')).resolves.toBeNull();
+        });
+
+        it('should refetch once the cache expires', async () => {
+            await getFxRates();
+            nowSpy.mockReturnValue(NOW + 2 * HOUR);
+            provider.fetchRates.mockResolvedValue({ EUR: 0.95 });
+
+            await expect(getFxRate('EUR')).resolves.toBe(0.95);
+            expect(provider.fetchRates).toHaveBeenCalledTimes(2);
+        });
+
+        it('should fall back to the last stored rates when the provider fails', async () => {
+            await getFxRates();
+            // A new session starts from localStorage only
+            setFxRateProvider(provider);
+            nowSpy.mockReturnValue(NOW + 2 * HOUR);
+            provider.fetchRates.mockRejectedValue(new Error('Network Error'));
+
+            await expect(getFxRate('GBP')).resolves.toBe(0.8);
+        });
+
+        it('should share one request between concurrent callers', async () => {
+            await Promise.all([getFxRate('EUR'), getFxRate('GBP')]);
+
+            expect(provider.fetchRates).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('exchangeRateApiProvider', () => {
+        it('should return the USD rates', async () => {
+            axios.get.mockResolvedValue({ data: { result: 'success', rates: { USD: 1, EUR: 0.9 } } });
+
+            await expect(exchangeRateApiProvider.fetchRates()).resolves.toEqual({ USD: 1, EUR: 0.9 });
+            expect(axios.get).toHaveBeenCalledWith('https://open.er-api.com/v6/latest/USD', expect.any(Object));
+        });
+
+        it('should reject error responses', async () => {
+            axios.get.mockResolvedValue({ data: { result: 'error' } });
+
+            await expect(exchangeRateApiProvider.fetchRates()).rejects.toThrow('Invalid FX rate response');
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Tests for Limit Order Service
+ *
+ * Tests order persistence, editing, cancellation, expiry and target checks.
+ */
+
+import {
+    createLimitOrder,
+    getLimitOrders,
+    editLimitOrder,
+    cancelLimitOrder,
+    isTargetReached,
+    getLimitOrderPrice,
+    getLimitOrderMinAmountOut,
+    checkLimitOrders,
+    LIMIT_ORDER_STATUS,
+} from '../limitOrders';
+import { getTokenPrices } from '../priceOracle';
+import { getOnChainQuote } from '../onChainQuote';
+
+jest.mock('../priceOracle');
+jest.mock('../onChainQuote');
+
+describe('Limit Order Service', () => {
+    const ADDRESS = '0x1234567890123456789012345678901234567890';
+    const CHAIN_ID = 8453;
+    const MANGO = { symbol: 'MANGO', address: '0x1111111111111111111111111111111111111111', decimals: 18 };
+    const USDC = { symbol: 'USDC', address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', decimals: 6 };
+
+    const placeOrder = (overrides = {}) => createLimitOrder({
+        userAddress: ADDRESS,
+        chainId: CHAIN_ID,
+        tokenIn: MANGO,
+        tokenOut: USDC,
+        amountIn: '100',
+        targetPrice: 0.5,
+        expiresAt: Date.now() + 60000,
+        ...overrides,
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        localStorage.clear();
+        getTokenPrices.mockResolvedValue({});
+        getOnChainQuote.mockResolvedValue(null);
+    });
+
+    describe('Persistence', () => {
+        test('should store orders per address and chain', () => {
+            placeOrder();
+            placeOrder({ chainId: 56 });
+            placeOrder({ userAddress: '0x9999999999999999999999999999999999999999' });
+
+            const orders = getLimitOrders(ADDRESS, CHAIN_ID);
+            expect(orders).toHaveLength(1);
+            expect(orders[0]).toMatchObject({
+                status: LIMIT_ORDER_STATUS.OPEN,
+                amountIn: '100',
+                targetPrice: 0.5,
+                tokenIn: MANGO,
+            });
+        });
+
+        test('should reject invalid orders', () => {
+            expect(placeOrder({ targetPrice: 0 })).toBeNull();
+            expect(placeOrder({ amountIn: '' })).toBeNull();
+            expect(getLimitOrders()).toHaveLength(0);
+        });
+
+        test('should only prune closed orders when the store is full', () => {
+            const oldOrder = placeOrder();
+            const closed = Array.from({ length: 200 }, (_, i) => ({
+                ...oldOrder,
+                id: `closed_${i}`,
+                status: LIMIT_ORDER_STATUS.CANCELLED,
+                createdAt: oldOrder.createdAt + i + 1,
+            }));
+            localStorage.setItem('limitOrders', JSON.stringify([...closed, oldOrder]));
+
+            const newOrder = placeOrder();
+            const ids = getLimitOrders().map(order => order.id);
+
+            expect(ids).toHaveLength(200);
+            expect(ids).toEqual(expect.arrayContaining([oldOrder.id, newOrder.id, 'closed_199']));
+            expect(ids).not.toContain('closed_0');
+            expect(ids).not.toContain('closed_1');
+        });
+    });
+
+    describe('Edit and Cancel', () => {
+        test('should edit target price and expiry', () => {
+            const order = placeOrder();
+            const expiresAt = Date.now() + 120000;
+
+            const updated = editLimitOrder(order.id, { targetPrice: '0.75', expiresAt });
+
+            expect(updated.targetPrice).toBe(0.75);
+            expect(updated.expiresAt).toBe(expiresAt);
+        });
+
+        test('should not edit cancelled orders', () => {
+            const order = placeOrder();
+            expect(cancelLimitOrder(order.id)).toBe(true);
+
+            expect(getLimitOrders(ADDRESS)[0].status).toBe(LIMIT_ORDER_STATUS.CANCELLED);
+            expect(editLimitOrder(order.id, { targetPrice: 1 })).toBeNull();
+        });
+    });
+
+    describe('Price Checks', () => {
+        test('should reach target when market pays at least the target', () => {
+            const order = { targetPrice: 0.5 };
+            expect(isTargetReached(order, 0.5)).toBe(true);
+            expect(isTargetReached(order, 0.49)).toBe(false);
+        });
+
+        test('should price orders from on-chain quotes first', async () => {
+            getOnChainQuote.mockResolvedValue({ amountOut: '60000000' }); // 60 USDC for 100 MANGO
+            const order = placeOrder();
+
+            const result = await getLimitOrderPrice(order, { publicClient: {} });
+
+            expect(result).toEqual({ price: 0.6, source: 'on-chain' });
+            expect(getTokenPrices).not.toHaveBeenCalled();
+        });
+
+        test('should fall back to oracle prices', async () => {
+            getTokenPrices.mockResolvedValue({ MANGO: 0.4, USDC: 1 });
+            const order = placeOrder();
+
+            const result = await getLimitOrderPrice(order);
+
+            expect(result).toEqual({ price: 0.4, source: 'oracle' });
+            expect(getTokenPrices).toHaveBeenCalledWith(['MANGO', 'USDC'], { chainId: CHAIN_ID });
+        });
+
+        test('should require the target price from the swap output', () => {
+            const order = placeOrder();
+
+            // 100 MANGO at 0.5 USDC each
+            expect(getLimitOrderMinAmountOut(order)).toBe(50000000n);
+            expect(getLimitOrderMinAmountOut(order, '10')).toBe(5000000n);
+            expect(getLimitOrderMinAmountOut(order, '0')).toBeNull();
+        });
+
+        test('should trigger orders whose target is reached and expire stale ones', async () => {
+            getTokenPrices.mockResolvedValue({ MANGO: 0.6, USDC: 1 });
+            const hit = placeOrder();
+            const stale = placeOrder({ expiresAt: Date.now() - 1 });
+
+            const triggered = await checkLimitOrders(ADDRESS, CHAIN_ID);
+
+            expect(triggered.map(order => order.id)).toEqual([hit.id]);
+            expect(triggered[0].triggeredPrice).toBe(0.6);
+            const statuses = Object.fromEntries(getLimitOrders(ADDRESS).map(order => [order.id, order.status]));
+            expect(statuses[hit.id]).toBe(LIMIT_ORDER_STATUS.TRIGGERED);
+            expect(statuses[stale.id]).toBe(LIMIT_ORDER_STATUS.EXPIRED);
+        });
+
+        test('should re-open triggered orders whose price fell below the target', async () => {
+            getTokenPrices.mockResolvedValue({ MANGO: 0.6, USDC: 1 });
+            const order = placeOrder();
+            await checkLimitOrders(ADDRESS, CHAIN_ID);
+
+            getTokenPrices.mockResolvedValue({ MANGO: 0.4, USDC: 1 });
+            const triggered = await checkLimitOrders(ADDRESS, CHAIN_ID);
+
+            expect(triggered).toEqual([]);
+            expect(getLimitOrders(ADDRESS)[0]).toMatchObject({ id: order.id, status: LIMIT_ORDER_STATUS.OPEN, triggeredPrice: null });
+        });
+    });
+});
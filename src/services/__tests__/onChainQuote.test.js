@@ -0,0 +1,255 @@
+/**
+ * Tests for On-chain Quote Service
+ *
+ * Tests reserve math, fee deduction, and reserve/router quote selection
+ * for exact-input and exact-output (reverse) quotes.
+ */
+
+import {
+    getSwapFeeBasisPoints,
+    applySwapFee,
+    addSwapFee,
+    getAmountOutFromReserves,
+    getAmountInFromReserves,
+    calculateReservePriceImpact,
+    getOnChainQuote,
+    getOnChainReverseQuote,
+} from '../onChainQuote';
+import chainConfig from '../chainConfig';
+import { getPairAddress, getPoolReserves } from '../liquidityPool';
+
+// Mock dependencies
+jest.mock('../chainConfig');
+jest.mock('../liquidityPool');
+
+describe('On-chain Quote Service', () => {
+    const CHAIN_ID = 8453;
+    const MANGO = '0x1111111111111111111111111111111111111111';
+    const WETH = '0x4200000000000000000000000000000000000006';
+    const USDC = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+    const PAIR = '0x2222222222222222222222222222222222222222';
+    const FACTORY = '0x3333333333333333333333333333333333333333';
+    const ROUTER = '0x4444444444444444444444444444444444444444';
+
+    let publicClient;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        publicClient = { readContract: jest.fn() };
+        chainConfig.getContractAddress.mockImplementation((chainId, type) => {
+            if (type === 'factory') return FACTORY;
+            if (type === 'router') return ROUTER;
+            return null;
+        });
+    });
+
+    describe('Fee Deduction', () => {
+        test('should convert the 3% fee to basis points', () => {
+            expect(getSwapFeeBasisPoints()).toBe(300n);
+            expect(getSwapFeeBasisPoints('VIP')).toBe(150n);
+        });
+
+        test('should deduct the fee from the input amount', () => {
+            const { amountAfterFee, feeAmount } = applySwapFee(10000n);
+            expect(feeAmount).toBe(300n);
+            expect(amountAfterFee).toBe(9700n);
+        });
+
+        test('should add the fee back so the net amount is covered', () => {
+            const { amountIn, feeAmount } = addSwapFee(9700n);
+            expect(amountIn).toBe(10000n);
+            expect(feeAmount).toBe(300n);
+            expect(applySwapFee(addSwapFee(12345n).amountIn).amountAfterFee).toBeGreaterThanOrEqual(12345n);
+        });
+    });
+
+    describe('Reserve Math', () => {
+        test('should apply the constant product formula with 0.3% pair fee', () => {
+            // 1000 in against 1,000,000 / 1,000,000 reserves
+            expect(getAmountOutFromReserves(1000n, 1000000n, 1000000n)).toBe(996n);
+        });
+
+        test('should return 0 for empty reserves', () => {
+            expect(getAmountOutFromReserves(1000n, 0n, 1000000n)).toBe(0n);
+        });
+
+        test('should compute the input needed for an exact output', () => {
+            const amountIn = getAmountInFromReserves(996n, 1000000n, 1000000n);
+            expect(getAmountOutFromReserves(amountIn, 1000000n, 1000000n)).toBeGreaterThanOrEqual(996n);
+            expect(getAmountOutFromReserves(amountIn - 2n, 1000000n, 1000000n)).toBeLessThan(996n);
+            expect(getAmountInFromReserves(1000000n, 1000000n, 1000000n)).toBe(0n);
+        });
+
+        test('should calculate price impact against spot price', () => {
+            const impact = calculateReservePriceImpact(100000n, 90000n, 1000000n, 1000000n);
+            expect(impact).toBeCloseTo(10, 5);
+        });
+    });
+
+    describe('getOnChainQuote', () => {
+        test('should quote single-hop swaps from pair reserves', async () => {
+            getPairAddress.mockResolvedValue(PAIR);
+            getPoolReserves.mockResolvedValue({
+                reserve0: 1000000n,
+                reserve1: 2000000n,
+                token0: MANGO,
+                token1: USDC,
+            });
+
+            const quote = await getOnChainQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: 10000,
+            });
+
+            expect(getPairAddress).toHaveBeenCalledWith(publicClient, FACTORY, MANGO, USDC);
+            expect(quote.amountOut).toBe(getAmountOutFromReserves(9700n, 1000000n, 2000000n).toString());
+            expect(quote.fee).toBe('300');
+            expect(quote.isEstimate).toBe(true);
+            expect(quote.priceImpact).toBeGreaterThan(0);
+        });
+
+        test('should read reserves from the public DEX factory without a Mango factory', async () => {
+            chainConfig.getContractAddress.mockImplementation((chainId, type) => (type === 'router' ? ROUTER : null));
+            getPairAddress.mockResolvedValue(PAIR);
+            getPoolReserves.mockResolvedValue({
+                reserve0: 1000000n,
+                reserve1: 2000000n,
+                token0: MANGO,
+                token1: USDC,
+            });
+
+            const quote = await getOnChainQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: 10000,
+            });
+
+            expect(getPairAddress).toHaveBeenCalledWith(publicClient, '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', MANGO, USDC);
+            expect(quote.pairAddress).toBe(PAIR);
+            expect(publicClient.readContract).not.toHaveBeenCalled();
+        });
+
+        test('should use router getAmountsOut for multi-hop paths', async () => {
+            publicClient.readContract.mockResolvedValue([9700n, 5n, 12345n]);
+
+            const quote = await getOnChainQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: '10000',
+                path: [MANGO, WETH, USDC],
+            });
+
+            expect(getPairAddress).not.toHaveBeenCalled();
+            expect(publicClient.readContract).toHaveBeenCalledWith(expect.objectContaining({
+                address: ROUTER,
+                functionName: 'getAmountsOut',
+                args: [9700n, [MANGO, WETH, USDC]],
+            }));
+            expect(quote.amountOut).toBe('12345');
+            expect(quote.path).toEqual([MANGO, WETH, USDC]);
+        });
+
+        test('should fall back to router when no pair exists', async () => {
+            getPairAddress.mockResolvedValue(null);
+            publicClient.readContract.mockResolvedValue([9700n, 500n]);
+
+            const quote = await getOnChainQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: 10000n,
+            });
+
+            expect(quote.amountOut).toBe('500');
+        });
+
+        test('should return null when nothing can quote the pair', async () => {
+            getPairAddress.mockResolvedValue(null);
+            publicClient.readContract.mockRejectedValue(new Error('execution reverted'));
+
+            const quote = await getOnChainQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: 10000n,
+            });
+
+            expect(quote).toBeNull();
+        });
+
+        test('should return null without a public client', async () => {
+            const quote = await getOnChainQuote({ chainId: CHAIN_ID, tokenIn: MANGO, tokenOut: USDC, amountIn: 1n });
+            expect(quote).toBeNull();
+        });
+    });
+
+    describe('getOnChainReverseQuote', () => {
+        test('should reverse-quote single-hop swaps from pair reserves', async () => {
+            getPairAddress.mockResolvedValue(PAIR);
+            getPoolReserves.mockResolvedValue({
+                reserve0: 1000000n,
+                reserve1: 2000000n,
+                token0: MANGO,
+                token1: USDC,
+            });
+
+            const quote = await getOnChainReverseQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountOut: '5000',
+            });
+
+            const netAmountIn = getAmountInFromReserves(5000n, 1000000n, 2000000n);
+            expect(quote.amountIn).toBe(addSwapFee(netAmountIn).amountIn.toString());
+            expect(quote.amountOut).toBe('5000');
+            expect(quote.isEstimate).toBe(true);
+        });
+
+        test('should use router getAmountsIn for multi-hop paths', async () => {
+            publicClient.readContract.mockResolvedValue([9700n, 5n, 12345n]);
+
+            const quote = await getOnChainReverseQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountOut: 12345n,
+                path: [MANGO, WETH, USDC],
+            });
+
+            expect(publicClient.readContract).toHaveBeenCalledWith(expect.objectContaining({
+                address: ROUTER,
+                functionName: 'getAmountsIn',
+                args: [12345n, [MANGO, WETH, USDC]],
+            }));
+            expect(quote.amountIn).toBe('10000');
+            expect(quote.fee).toBe('300');
+        });
+
+        test('should return null when nothing can quote the pair', async () => {
+            getPairAddress.mockResolvedValue(null);
+            publicClient.readContract.mockRejectedValue(new Error('execution reverted'));
+
+            const quote = await getOnChainReverseQuote({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountOut: 10000n,
+            });
+
+            expect(quote).toBeNull();
+        });
+    });
+});
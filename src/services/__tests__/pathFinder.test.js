@@ -0,0 +1,228 @@
+/**
+ * Tests for Path Finder Service
+ *
+ * Tests route enumeration, route quoting and best route selection
+ * for exact-input and exact-output swaps.
+ */
+
+import {
+    findRoutes,
+    quoteRoute,
+    findBestRoute,
+    findBestRouteForOutput,
+    getHubTokens,
+    clearGraphCache,
+    MAX_HUB_TOKENS,
+} from '../pathFinder';
+import { getAmountOutFromReserves } from '../onChainQuote';
+import chainConfig from '../chainConfig';
+import { getPairAddress, getPoolReserves } from '../liquidityPool';
+import { getDefaultTokens, findTokenByAddress } from '../../config/tokenLists';
+
+// Mock dependencies
+jest.mock('../chainConfig');
+jest.mock('../liquidityPool');
+jest.mock('../../config/tokenLists');
+
+describe('Path Finder Service', () => {
+    const CHAIN_ID = 8453;
+    const MANGO = '0x1111111111111111111111111111111111111111';
+    const WETH = '0x4200000000000000000000000000000000000006';
+    const USDC = '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913';
+    const FACTORY = '0x3333333333333333333333333333333333333333';
+    const TOKENS = [
+        { address: MANGO, symbol: 'MANGO' },
+        { address: WETH, symbol: 'WETH' },
+        { address: USDC, symbol: 'USDC' },
+    ];
+
+    // MANGO/USDC is thin, MANGO/WETH and WETH/USDC are deep
+    const PAIRS = {
+        [`${MANGO}-${USDC}`]: { address: '0xa1', reserves: [1000n, 1000n] },
+        [`${MANGO}-${WETH}`]: { address: '0xa2', reserves: [10000000n, 10000000n] },
+        [`${WETH}-${USDC}`]: { address: '0xa3', reserves: [10000000n, 10000000n] },
+    };
+
+    const publicClient = { readContract: jest.fn() };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        clearGraphCache();
+
+        chainConfig.getContractAddress.mockReturnValue(FACTORY);
+        getDefaultTokens.mockReturnValue(TOKENS);
+        findTokenByAddress.mockImplementation((chainId, address) =>
+            TOKENS.find(token => token.address === address.toLowerCase())
+        );
+        getPairAddress.mockImplementation(async (client, factory, tokenA, tokenB) => {
+            const pair = PAIRS[`${tokenA}-${tokenB}`] || PAIRS[`${tokenB}-${tokenA}`];
+            return pair ? pair.address : null;
+        });
+        getPoolReserves.mockImplementation(async (client, pairAddress) => {
+            const [key, pair] = Object.entries(PAIRS).find(([, value]) => value.address === pairAddress);
+            const [token0, token1] = key.split('-');
+            return { token0, token1, reserve0: pair.reserves[0], reserve1: pair.reserves[1] };
+        });
+    });
+
+    describe('findRoutes', () => {
+        const edge = (to) => ({ to, reserveIn: 100n, reserveOut: 100n });
+        const graph = new Map([
+            [MANGO, [edge(USDC), edge(WETH)]],
+            [WETH, [edge(MANGO), edge(USDC)]],
+            [USDC, [edge(MANGO), edge(WETH)]],
+        ]);
+
+        test('should find direct and multi-hop routes', () => {
+            const routes = findRoutes(graph, MANGO, USDC);
+            const paths = routes.map(route => route.map(e => e.to));
+
+            expect(paths).toEqual([[USDC], [WETH, USDC]]);
+        });
+
+        test('should respect maxHops', () => {
+            expect(findRoutes(graph, MANGO, USDC, 1)).toHaveLength(1);
+        });
+
+        test('should return no routes for identical tokens', () => {
+            expect(findRoutes(graph, MANGO, MANGO)).toEqual([]);
+        });
+    });
+
+    describe('getHubTokens', () => {
+        test('should bound the hub tokens to the default list', () => {
+            const many = Array.from({ length: 10 }, (_, i) => ({
+                address: `0x${String(i + 1).repeat(40).slice(0, 40)}`,
+                symbol: `T${i}`,
+            }));
+            getDefaultTokens.mockReturnValue([...many, { address: 'ETH', symbol: 'ETH' }]);
+
+            const hubs = getHubTokens(CHAIN_ID);
+
+            expect(hubs).toHaveLength(MAX_HUB_TOKENS);
+            expect(hubs).not.toContain('eth');
+        });
+    });
+
+    describe('quoteRoute', () => {
+        test('should chain constant product quotes through each pair', () => {
+            const edges = [
+                { reserveIn: 1000000n, reserveOut: 2000000n },
+                { reserveIn: 3000000n, reserveOut: 1000000n },
+            ];
+            const firstHop = getAmountOutFromReserves(1000n, 1000000n, 2000000n);
+
+            expect(quoteRoute(edges, 1000n)).toBe(getAmountOutFromReserves(firstHop, 3000000n, 1000000n));
+        });
+    });
+
+    describe('findBestRoute', () => {
+        test('should route through WETH when the direct pair is thin', async () => {
+            const route = await findBestRoute({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: '10000',
+            });
+
+            expect(route.path).toEqual([MANGO, WETH, USDC]);
+            expect(route.symbols).toEqual(['MANGO', 'WETH', 'USDC']);
+            expect(route.hops).toBe(2);
+            expect(route.alternatives).toHaveLength(1);
+            expect(BigInt(route.amountOut)).toBeGreaterThan(BigInt(route.alternatives[0].amountOut));
+        });
+
+        test('should search the public DEX factory on chains without a Mango factory', async () => {
+            chainConfig.getContractAddress.mockReturnValue(null);
+
+            const route = await findBestRoute({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: '10000',
+            });
+
+            expect(getPairAddress).toHaveBeenCalledWith(publicClient, '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6', expect.any(String), expect.any(String));
+            expect(route.path).toEqual([MANGO, WETH, USDC]);
+        });
+
+        test('should return null when no pairs connect the tokens', async () => {
+            getPairAddress.mockResolvedValue(null);
+
+            const route = await findBestRoute({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountIn: '10000',
+            });
+
+            expect(route).toBeNull();
+        });
+
+        test('should look pair addresses up once per chain', async () => {
+            const params = { publicClient, chainId: CHAIN_ID, tokenIn: MANGO, tokenOut: USDC, amountIn: '10000' };
+
+            await findBestRoute(params);
+            const lookups = getPairAddress.mock.calls.length;
+            await findBestRoute(params);
+
+            expect(lookups).toBe(3);
+            expect(getPairAddress).toHaveBeenCalledTimes(lookups);
+            // Reserves are read again for each search
+            expect(getPoolReserves).toHaveBeenCalledTimes(6);
+        });
+
+        test('should return null without a public client', async () => {
+            const route = await findBestRoute({ chainId: CHAIN_ID, tokenIn: MANGO, tokenOut: USDC, amountIn: 1n });
+            expect(route).toBeNull();
+        });
+    });
+
+    describe('findBestRouteForOutput', () => {
+        test('should pick the route needing the lowest input', async () => {
+            const route = await findBestRouteForOutput({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountOut: '500',
+            });
+
+            expect(route.path).toEqual([MANGO, WETH, USDC]);
+            expect(route.amountOut).toBe('500');
+            expect(route.alternatives).toHaveLength(1);
+            expect(BigInt(route.amountIn)).toBeLessThan(BigInt(route.alternatives[0].amountIn));
+        });
+
+        test('should skip routes that cannot provide the output', async () => {
+            // The direct pair only holds 1000 USDC
+            const route = await findBestRouteForOutput({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountOut: '5000',
+            });
+
+            expect(route.path).toEqual([MANGO, WETH, USDC]);
+            expect(route.alternatives).toHaveLength(0);
+        });
+
+        test('should return null when no pairs connect the tokens', async () => {
+            getPairAddress.mockResolvedValue(null);
+
+            const route = await findBestRouteForOutput({
+                publicClient,
+                chainId: CHAIN_ID,
+                tokenIn: MANGO,
+                tokenOut: USDC,
+                amountOut: '5000',
+            });
+
+            expect(route).toBeNull();
+        });
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * Tests for Portfolio Snapshots Service
+ *
+ * Tests snapshot collection across chains, throttled recording, compaction,
+ * the chart series with gaps and the recording schedule.
+ */
+
+import { waitFor } from '@testing-library/react';
+import {
+    collectPortfolioSnapshot,
+    recordPortfolioSnapshot,
+    saveSnapshot,
+    getPortfolioSnapshots,
+    getPortfolioHistory,
+    compactSnapshots,
+    startSnapshotSchedule,
+    clearPortfolioSnapshots,
+    SNAPSHOT_INTERVAL,
+} from '../portfolioSnapshots';
+import chainConfig from '../chainConfig';
+import { getTokenPrices } from '../priceOracle';
+import { getWalletBalances, getLiquidityPositions, getStakedPositions } from '../balanceService';
+import { getAllTokens } from '../../config/tokenLists';
+
+jest.mock('../chainConfig');
+jest.mock('../priceOracle');
+jest.mock('../balanceService');
+jest.mock('../../config/tokenLists');
+
+describe('Portfolio Snapshots Service', () => {
+    const ADDRESS = '0x1234567890123456789012345678901234567890';
+    const DAY = 24 * 60 * 60 * 1000;
+    const NOW = Date.UTC(2026, 0, 10, 12, 0, 0);
+    const USDC = { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC', decimals: 6 };
+    const MANGO = { address: '0xC26171C7978D50fc0340D6F013C17e8693D7A4e4', symbol: 'MANGO', decimals: 18 };
+    const UNPRICED = { address: '0x9999999999999999999999999999999999999999', symbol: 'XYZ', decimals: 18 };
+
+    let nowSpy;
+
+    const snapshotAt = (timestamp, totalValue, assets = []) => ({
+        timestamp,
+        totalValue,
+        breakdown: { tokens: totalValue, lp: 0, staked: 0 },
+        assets,
+    });
+
+    beforeEach(async () => {
+        await clearPortfolioSnapshots();
+        nowSpy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        chainConfig.getAllChains.mockReturnValue([
+            { chainId: '8453', chainName: 'Base', type: 'EVM', nativeCurrency: { symbol: 'ETH', decimals: 18 } },
+            { chainId: '728126428', chainName: 'Tron', type: 'TRON' },
+        ]);
+        getAllTokens.mockReturnValue([USDC, MANGO, UNPRICED]);
+        getWalletBalances.mockResolvedValue({
+            native: { balance: 10n ** 18n, formatted: 1 },
+            tokens: [
+                { token: USDC, balance: 100000000n, formatted: 100 },
+                { token: UNPRICED, balance: 10n ** 18n, formatted: 1 },
+            ],
+        });
+        getLiquidityPositions.mockResolvedValue([
+            { token0: USDC, token1: MANGO, amount0: 50, amount1: 1000 },
+        ]);
+        getStakedPositions.mockResolvedValue([
+            { stakeId: 1, token: MANGO, amount: 2000, rewards: 10 },
+        ]);
+        getTokenPrices.mockResolvedValue({ ETH: 3000, USDC: 1, MANGO: 0.05 });
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+    });
+
+    describe('collectPortfolioSnapshot', () => {
+        it('should value tokens, LP positions and stakes on EVM chains', async () => {
+            const snapshot = await collectPortfolioSnapshot(ADDRESS);
+
+            expect(snapshot.timestamp).toBe(NOW);
+            expect(snapshot.breakdown).toEqual({ tokens: 3100, lp: 100, staked: 100 });
+            expect(snapshot.totalValue).toBe(3300);
+            expect(snapshot.assets).toContainEqual({ chainId: 8453, symbol: 'USDC/MANGO', type: 'lp', balance: 1050, value: 100 });
+            // Unpriced tokens are left out
+            expect(snapshot.assets.map(asset => asset.symbol)).not.toContain('XYZ');
+            expect(getWalletBalances).toHaveBeenCalledTimes(1);
+            expect(snapshot.missingChains).toEqual([]);
+        });
+
+        it('should keep the chains that were read and flag the ones that failed', async () => {
+            chainConfig.getAllChains.mockReturnValue([
+                { chainId: '8453', chainName: 'Base', type: 'EVM', nativeCurrency: { symbol: 'ETH', decimals: 18 } },
+                { chainId: '1', chainName: 'Ethereum', type: 'EVM', nativeCurrency: { symbol: 'ETH', decimals: 18 } },
+            ]);
+            getWalletBalances.mockImplementation(async (chainId) => {
+                if (chainId === 1) throw new Error('All RPCs failed');
+                return { native: { balance: 10n ** 18n, formatted: 1 }, tokens: [] };
+            });
+
+            const snapshot = await collectPortfolioSnapshot(ADDRESS);
+
+            expect(snapshot.missingChains).toEqual([1]);
+            expect(snapshot.assets.every(asset => asset.chainId === 8453)).toBe(true);
+            expect(snapshot.breakdown.tokens).toBe(3000);
+        });
+
+        it('should return null when no chain can be read', async () => {
+            getWalletBalances.mockRejectedValue(new Error('All RPCs failed'));
+
+            await expect(collectPortfolioSnapshot(ADDRESS)).resolves.toBeNull();
+        });
+    });
+
+    describe('recordPortfolioSnapshot', () => {
+        it('should store snapshots per address and reuse a recent one', async () => {
+            await recordPortfolioSnapshot(ADDRESS);
+            nowSpy.mockReturnValue(NOW + 60 * 1000);
+            await recordPortfolioSnapshot(ADDRESS.toUpperCase().replace('0X', '0x'));
+
+            expect(getWalletBalances).toHaveBeenCalledTimes(1);
+
+            nowSpy.mockReturnValue(NOW + 10 * 60 * 1000);
+            await recordPortfolioSnapshot(ADDRESS);
+
+            expect(await getPortfolioSnapshots(ADDRESS)).toHaveLength(2);
+            expect(await getPortfolioSnapshots('0xabcdefabcdefabcdefabcdefabcdefabcdefabcd')).toEqual([]);
+        });
+
+        it('should not store anything when collection fails', async () => {
+            getLiquidityPositions.mockRejectedValue(new Error('All RPCs failed'));
+
+            await expect(recordPortfolioSnapshot(ADDRESS)).resolves.toBeNull();
+            expect(await getPortfolioSnapshots(ADDRESS)).toEqual([]);
+        });
+    });
+
+    describe('compactSnapshots', () => {
+        it('should keep recent snapshots and one per older day', () => {
+            const snapshots = [
+                snapshotAt(NOW - 400 * DAY, 1),
+                snapshotAt(NOW - 10 * DAY, 2),
+                snapshotAt(NOW - 10 * DAY + 60 * 60 * 1000, 3),
+                snapshotAt(NOW - DAY, 4),
+                snapshotAt(NOW - DAY + 60 * 60 * 1000, 5),
+            ];
+
+            expect(compactSnapshots(snapshots, NOW).map(snapshot => snapshot.totalValue)).toEqual([3, 4, 5]);
+        });
+    });
+
+    describe('getPortfolioHistory', () => {
+        it('should return one point per day with gaps for days without snapshots', async () => {
+            await saveSnapshot(ADDRESS, snapshotAt(NOW - 5 * DAY, 1000));
+            await saveSnapshot(ADDRESS, snapshotAt(NOW - 2 * DAY, 1200));
+            await saveSnapshot(ADDRESS, snapshotAt(NOW - 2 * DAY + 60 * 60 * 1000, 1300));
+
+            const history = await getPortfolioHistory(ADDRESS, '7d');
+
+            expect(history).toHaveLength(7);
+            expect(history.map(point => point.value)).toEqual([null, 1000, null, null, 1300, null, null]);
+        });
+
+        it('should prefer a complete snapshot and mark buckets with only partial ones', async () => {
+            await saveSnapshot(ADDRESS, snapshotAt(NOW - 2 * DAY, 1200));
+            await saveSnapshot(ADDRESS, { ...snapshotAt(NOW - 2 * DAY + 60 * 60 * 1000, 400), missingChains: [1] });
+            await saveSnapshot(ADDRESS, { ...snapshotAt(NOW, 500), missingChains: [1] });
+
+            const history = await getPortfolioHistory(ADDRESS, '7d');
+            const lastPoints = history.slice(-3);
+
+            expect(lastPoints.map(point => point.value)).toEqual([1200, null, 500]);
+            expect(lastPoints.map(point => point.partial)).toEqual([false, false, true]);
+            // Chain 1 is what is missing, Base alone is complete
+            const baseHistory = await getPortfolioHistory(ADDRESS, '7d', { chainId: 8453 });
+            expect(baseHistory[baseHistory.length - 1].partial).toBe(false);
+        });
+
+        it('should count only the selected chain', async () => {
+            await saveSnapshot(ADDRESS, snapshotAt(NOW, 150, [
+                { chainId: 8453, symbol: 'ETH', type: 'token', balance: 1, value: 100 },
+                { chainId: 1, symbol: 'ETH', type: 'token', balance: 0.5, value: 50 },
+            ]));
+
+            const history = await getPortfolioHistory(ADDRESS, '7d', { chainId: 1 });
+
+            expect(history[history.length - 1].value).toBe(50);
+        });
+
+        it('should add up the wallets that have a snapshot and mark buckets missing some', async () => {
+            const OTHER = '0x9876543210987654321098765432109876543210';
+            await saveSnapshot(ADDRESS, snapshotAt(NOW - 2 * DAY, 1000));
+            await saveSnapshot(ADDRESS, snapshotAt(NOW, 1100));
+            await saveSnapshot(OTHER, snapshotAt(NOW, 500));
+
+            const history = await getPortfolioHistory([ADDRESS, OTHER], '7d');
+
+            expect(history.slice(-3).map(point => point.value)).toEqual([1000, null, 1600]);
+            expect(history.slice(-3).map(point => point.partial)).toEqual([true, false, false]);
+        });
+
+        it('should be empty without snapshots', async () => {
+            await expect(getPortfolioHistory(ADDRESS, 'all')).resolves.toEqual([]);
+        });
+    });
+
+    describe('startSnapshotSchedule', () => {
+        it('should record now and on every interval until stopped', async () => {
+            const stop = startSnapshotSchedule(ADDRESS, { interval: 20 });
+            await waitFor(() => expect(getWalletBalances).toHaveBeenCalledTimes(1));
+
+            nowSpy.mockReturnValue(NOW + SNAPSHOT_INTERVAL);
+            await waitFor(() => expect(getWalletBalances).toHaveBeenCalledTimes(2));
+
+            stop();
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(getWalletBalances).toHaveBeenCalledTimes(2);
+        });
+    });
+});
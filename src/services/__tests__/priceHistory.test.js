@@ -0,0 +1,186 @@
+/**
+ * Tests for Price History Service
+ *
+ * Tests candle aggregation, incremental series updates through a pluggable
+ * source, 24h change and the CoinGecko source.
+ */
+
+import axios from 'axios';
+import {
+    HISTORY_INTERVALS,
+    buildCandles,
+    mergePricePoints,
+    getPriceHistory,
+    getPairPriceHistory,
+    get24hChange,
+    getPriceAt,
+    setPriceHistorySource,
+    clearPriceHistory,
+    coinGeckoHistorySource,
+} from '../priceHistory';
+
+describe('Price History Service', () => {
+    const HOUR = HISTORY_INTERVALS.HOUR;
+    const NOW = Date.UTC(2026, 0, 10, 12, 0, 0);
+
+    let nowSpy;
+    let source;
+
+    // One point per hour, price rising by 1 each hour
+    const hourlyPoints = (from, to) => {
+        const points = [];
+        for (let timestamp = Math.ceil(from / HOUR) * HOUR; timestamp <= to; timestamp += HOUR) {
+            points.push({ timestamp, price: 100 + (timestamp - (NOW - 24 * HOUR)) / HOUR });
+        }
+        return points;
+    };
+
+    beforeEach(async () => {
+        jest.clearAllMocks();
+        nowSpy = jest.spyOn(Date, 'now').mockReturnValue(NOW);
+        source = {
+            name: 'test',
+            fetchHistory: jest.fn((symbol, { from, to }) => Promise.resolve(symbol === 'ETH' ? hourlyPoints(from, to) : null)),
+        };
+        setPriceHistorySource(source);
+        await clearPriceHistory();
+    });
+
+    afterEach(() => {
+        nowSpy.mockRestore();
+        setPriceHistorySource(null);
+    });
+
+    describe('buildCandles', () => {
+        it('should aggregate points into OHLC candles', () => {
+            const candles = buildCandles([
+                { timestamp: 0, price: 10 },
+                { timestamp: 10, price: 12 },
+                { timestamp: 20, price: 9 },
+                { timestamp: 100, price: 11 },
+            ], 100);
+
+            expect(candles).toEqual([
+                { timestamp: 0, open: 10, high: 12, low: 9, close: 9 },
+                { timestamp: 100, open: 11, high: 11, low: 11, close: 11 },
+            ]);
+        });
+    });
+
+    describe('mergePricePoints', () => {
+        it('should dedupe by timestamp, sort and drop old points', () => {
+            const merged = mergePricePoints(
+                [{ timestamp: 1, price: 1 }, { timestamp: 3, price: 3 }],
+                [{ timestamp: 3, price: 30 }, { timestamp: 2, price: 2 }],
+                2
+            );
+
+            expect(merged).toEqual([{ timestamp: 2, price: 2 }, { timestamp: 3, price: 30 }]);
+        });
+    });
+
+    describe('getPriceHistory', () => {
+        it('should fetch once and serve repeat requests from storage', async () => {
+            const first = await getPriceHistory('ETH', '1d');
+            const second = await getPriceHistory('eth', '1d');
+
+            expect(first.length).toBeGreaterThan(20);
+            expect(second).toEqual(first);
+            expect(source.fetchHistory).toHaveBeenCalledTimes(1);
+        });
+
+        it('should only fetch points after the newest stored one once stale', async () => {
+            await getPriceHistory('ETH', '1d');
+
+            nowSpy.mockReturnValue(NOW + 2 * HOUR);
+            await getPriceHistory('ETH', '1d');
+
+            expect(source.fetchHistory).toHaveBeenCalledTimes(2);
+            expect(source.fetchHistory).toHaveBeenLastCalledWith('ETH', { from: NOW, to: NOW + 2 * HOUR });
+        });
+
+        it('should share one fetch between concurrent callers', async () => {
+            await Promise.all([getPriceHistory('ETH', '7d'), getPriceHistory('ETH', '7d')]);
+
+            expect(source.fetchHistory).toHaveBeenCalledTimes(1);
+        });
+
+        it('should reject unknown ranges', async () => {
+            await expect(getPriceHistory('ETH', '5y')).rejects.toThrow('Unknown price history range');
+        });
+    });
+
+    describe('getPairPriceHistory', () => {
+        it('should divide the base series by the quote series per candle', async () => {
+            source.fetchHistory.mockImplementation((symbol, { from, to }) => Promise.resolve(
+                symbol === 'USDC' ? hourlyPoints(from, to).map(point => ({ ...point, price: 2 })) : hourlyPoints(from, to)
+            ));
+
+            const [usdCandles, pairCandles] = await Promise.all([getPriceHistory('ETH', '1d'), getPairPriceHistory('ETH', 'USDC', '1d')]);
+
+            expect(pairCandles).toHaveLength(usdCandles.length);
+            expect(pairCandles[0].close).toBe(usdCandles[0].close / 2);
+        });
+
+        it('should be empty when the quote token has no history', async () => {
+            await expect(getPairPriceHistory('ETH', 'MANGO', '1d')).resolves.toEqual([]);
+        });
+    });
+
+    describe('get24hChange', () => {
+        it('should compute the change over the last 24 hours', async () => {
+            const change = await get24hChange('ETH');
+
+            // 100 -> 124 over 24 hourly points
+            expect(change).toBeCloseTo(24);
+        });
+
+        it('should return null without history', async () => {
+            await expect(get24hChange('MANGO')).resolves.toBeNull();
+        });
+    });
+
+    describe('getPriceAt', () => {
+        it('should return the close of the candle containing the timestamp', async () => {
+            // Hourly candle starting 6 hours ago
+            await expect(getPriceAt('ETH', NOW - 5.5 * HOUR)).resolves.toBe(118);
+        });
+
+        it('should ask the source for moments beyond the stored history', async () => {
+            const DAY = 24 * HOUR;
+            const timestamp = NOW - 200 * DAY + 90 * 60 * 1000;
+            const day = Math.floor(timestamp / DAY) * DAY;
+            // Daily points only that far back
+            source.fetchHistory.mockImplementation((symbol, { from }) => Promise.resolve(symbol === 'ETH'
+                ? [{ timestamp: from, price: 90 }, { timestamp: from + DAY, price: 95 }, { timestamp: from + 2 * DAY, price: 99 }]
+                : null));
+
+            await expect(getPriceAt('ETH', timestamp)).resolves.toBe(95);
+            await expect(getPriceAt('ETH', timestamp + HOUR)).resolves.toBe(95);
+            await expect(getPriceAt('XYZ', timestamp)).resolves.toBeNull();
+
+            expect(source.fetchHistory).toHaveBeenCalledWith('ETH', { from: day - DAY, to: day + DAY });
+            // One fetch per token and day
+            expect(source.fetchHistory).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('coinGeckoHistorySource', () => {
+        it('should map market_chart prices to points', async () => {
+            axios.get.mockResolvedValue({ data: { prices: [[1000, 1.5], [2000, 1.6]] } });
+
+            const points = await coinGeckoHistorySource.fetchHistory('WETH', { from: 0, to: 2000 });
+
+            expect(points).toEqual([{ timestamp: 1000, price: 1.5 }, { timestamp: 2000, price: 1.6 }]);
+            expect(axios.get).toHaveBeenCalledWith(
+                'https://api.coingecko.com/api/v3/coins/ethereum/market_chart/range',
+                expect.objectContaining({ params: expect.objectContaining({ vs_currency: 'usd', from: 0, to: 2 }) })
+            );
+        });
+
+        it('should skip tokens without a CoinGecko listing', async () => {
+            await expect(coinGeckoHistorySource.fetchHistory('MANGO', { from: 0, to: 1 })).resolves.toBeNull();
+            expect(axios.get).not.toHaveBeenCalled();
+        });
+    });
+});
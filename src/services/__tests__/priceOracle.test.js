@@ -0,0 +1,269 @@
+/**
+ * Tests for Price Oracle Service
+ *
+ * Tests consensus and outlier flagging, the Chainlink and on-chain pair
+ * adapters (spot and TWAP), and the rpcProvider-backed contract reader.
+ */
+
+import axios from 'axios';
+import { parseAbi, encodeFunctionResult } from 'viem';
+import {
+    PRICE_SOURCES,
+    CONSENSUS_METHODS,
+    buildConsensus,
+    calculateTwap,
+    getCurrentCumulativePrices,
+    fetchChainlinkPrice,
+    fetchOnChainPrices,
+    createRpcReader,
+    getTokenPriceDetails,
+    clearPriceCache,
+} from '../priceOracle';
+import rpcProvider from '../rpcProvider';
+import chainConfig from '../chainConfig';
+import { getPairAddress } from '../liquidityPool';
+
+// Mock dependencies
+jest.mock('../rpcProvider');
+jest.mock('../chainConfig');
+jest.mock('../liquidityPool');
+
+describe('Price Oracle Service', () => {
+    const CHAIN_ID = 8453;
+    const MANGO = '0xC26171C7978D50fc0340D6F013C17e8693D7A4e4';
+    const PAIR = '0x2222222222222222222222222222222222222222';
+    const FACTORY = '0x3333333333333333333333333333333333333333';
+    const Q112 = 2n ** 112n;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        clearPriceCache();
+        chainConfig.getContractAddress.mockImplementation((chainId, type) => (type === 'factory' ? FACTORY : null));
+        chainConfig.getChain.mockReturnValue({ nativeCurrency: { symbol: 'ETH' } });
+        chainConfig.getBlockTime.mockReturnValue(2);
+    });
+
+    describe('buildConsensus', () => {
+        it('should flag sources far from the median as outliers', () => {
+            const result = buildConsensus([
+                { source: PRICE_SOURCES.COINGECKO, price: 100 },
+                { source: PRICE_SOURCES.CHAINLINK, price: 101 },
+                { source: PRICE_SOURCES.ONCHAIN_SPOT, price: 150 },
+            ]);
+
+            expect(result.price).toBe(100.5);
+            expect(result.source).toBe('consensus');
+            expect(result.outliers).toEqual([PRICE_SOURCES.ONCHAIN_SPOT]);
+            // Chainlink (3) + CoinGecko (2) of 6 total weight
+            expect(result.confidence).toBe(0.83);
+        });
+
+        it('should weight agreeing sources with the weighted method', () => {
+            const result = buildConsensus([
+                { source: PRICE_SOURCES.COINGECKO, price: 100 },
+                { source: PRICE_SOURCES.CHAINLINK, price: 102 },
+            ], { method: CONSENSUS_METHODS.WEIGHTED });
+
+            expect(result.price).toBeCloseTo(101.2);
+            expect(result.outliers).toEqual([]);
+            expect(result.confidence).toBe(1);
+        });
+
+        it('should report a single source with reduced confidence', () => {
+            const result = buildConsensus([
+                { source: PRICE_SOURCES.ONCHAIN_TWAP, price: 0.5 },
+                { source: PRICE_SOURCES.COINGECKO, price: null },
+            ]);
+
+            expect(result.price).toBe(0.5);
+            expect(result.source).toBe(PRICE_SOURCES.ONCHAIN_TWAP);
+            expect(result.confidence).toBe(0.5);
+        });
+
+        it('should return null without valid prices', () => {
+            expect(buildConsensus([{ source: PRICE_SOURCES.COINGECKO, price: null }])).toBeNull();
+        });
+    });
+
+    describe('TWAP math', () => {
+        it('should extend cumulative prices and average them over time', () => {
+            const state = {
+                reserve0: 1000n,
+                reserve1: 2000n,
+                blockTimestampLast: 1000,
+                price0Cumulative: 0n,
+                price1Cumulative: 0n,
+            };
+
+            const current = getCurrentCumulativePrices(state, 1100);
+
+            expect(current.price0Cumulative).toBe(2n * Q112 * 100n);
+            expect(calculateTwap(0n, current.price0Cumulative, 100)).toBe(2);
+            expect(calculateTwap(0n, current.price1Cumulative, 100)).toBe(0.5);
+        });
+    });
+
+    describe('fetchChainlinkPrice', () => {
+        const nowSeconds = () => BigInt(Math.floor(Date.now() / 1000));
+
+        it('should scale the aggregator answer by its decimals', async () => {
+            const reader = {
+                readContract: jest.fn(({ functionName }) => Promise.resolve(
+                    functionName === 'decimals' ? 8 : [1n, 300000000000n, 0n, nowSeconds(), 1n]
+                )),
+            };
+
+            await expect(fetchChainlinkPrice('WETH', CHAIN_ID, reader)).resolves.toBe(3000);
+        });
+
+        it('should ignore stale answers', async () => {
+            const reader = {
+                readContract: jest.fn(({ functionName }) => Promise.resolve(
+                    functionName === 'decimals' ? 8 : [1n, 300000000000n, 0n, nowSeconds() - 2n * 86400n, 1n]
+                )),
+            };
+
+            await expect(fetchChainlinkPrice('ETH', CHAIN_ID, reader)).resolves.toBeNull();
+        });
+
+        it('should return null for tokens without a feed', async () => {
+            const reader = { readContract: jest.fn() };
+
+            await expect(fetchChainlinkPrice('MANGO', CHAIN_ID, reader)).resolves.toBeNull();
+            expect(reader.readContract).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('fetchOnChainPrices', () => {
+        // Pair state per block: { [blockNumber]: { reserve0, reserve1, blockTimestampLast, price0Cumulative, price1Cumulative, timestamp } }
+        const createPairReader = (states, latest) => ({
+            readContract: jest.fn(({ functionName, blockNumber = latest }) => {
+                const state = states[blockNumber];
+                if (!state) return Promise.reject(new Error('missing trie node'));
+                switch (functionName) {
+                    case 'getReserves':
+                        return Promise.resolve([state.reserve0, state.reserve1, state.blockTimestampLast]);
+                    case 'token0':
+                        return Promise.resolve(MANGO);
+                    case 'price0CumulativeLast':
+                        return Promise.resolve(state.price0Cumulative);
+                    case 'price1CumulativeLast':
+                        return Promise.resolve(state.price1Cumulative);
+                    default:
+                        return Promise.reject(new Error(`Unexpected call ${functionName}`));
+                }
+            }),
+            getBlock: jest.fn(({ blockNumber = latest } = {}) => Promise.resolve({
+                number: blockNumber,
+                timestamp: BigInt(states[blockNumber]?.timestamp ?? 0),
+            })),
+        });
+
+        // 1000 MANGO (18 decimals) against 500 USDC (6 decimals)
+        const reserves = { reserve0: 1000n * 10n ** 18n, reserve1: 500n * 10n ** 6n };
+        const rawPrice0 = reserves.reserve1 * Q112 / reserves.reserve0;
+
+        it('should price MANGO from its USDC pair with a TWAP from the accumulators a window back', async () => {
+            getPairAddress.mockResolvedValue(PAIR);
+            axios.get.mockResolvedValue({ data: { 'usd-coin': { usd: 1 } } });
+            // 30 minutes of 2s blocks back from block 1000
+            const states = {
+                100n: { ...reserves, blockTimestampLast: 8200, price0Cumulative: 0n, price1Cumulative: 0n, timestamp: 8200 },
+                1000n: { ...reserves, blockTimestampLast: 9000, price0Cumulative: rawPrice0 * 800n, price1Cumulative: 0n, timestamp: 10000 },
+            };
+            const reader = createPairReader(states, 1000n);
+
+            const prices = await fetchOnChainPrices('MANGO', CHAIN_ID, reader);
+
+            expect(reader.getBlock).toHaveBeenCalledWith({ blockNumber: 100n });
+            expect(prices.spot).toBeCloseTo(0.5);
+            expect(prices.twap).toBeCloseTo(0.5);
+        });
+
+        it('should keep the spot price when the RPC has no past state', async () => {
+            getPairAddress.mockResolvedValue(PAIR);
+            axios.get.mockResolvedValue({ data: { 'usd-coin': { usd: 1 } } });
+            const states = {
+                1000n: { ...reserves, blockTimestampLast: 9000, price0Cumulative: 0n, price1Cumulative: 0n, timestamp: 10000 },
+            };
+
+            const prices = await fetchOnChainPrices('MANGO', CHAIN_ID, createPairReader(states, 1000n));
+
+            expect(prices.spot).toBeCloseTo(0.5);
+            expect(prices.twap).toBeNull();
+        });
+
+        it('should look pairs up in the public DEX factory without a Mango factory', async () => {
+            chainConfig.getContractAddress.mockReturnValue(null);
+            getPairAddress.mockResolvedValue(null);
+
+            await fetchOnChainPrices('MANGO', CHAIN_ID, createPairReader({}, 1000n));
+
+            expect(getPairAddress).toHaveBeenCalledWith(
+                expect.anything(),
+                '0x8909Dc15e40173Ff4699343b6eB8132c65e18eC6',
+                MANGO,
+                expect.any(String)
+            );
+        });
+
+        it('should return no prices without a pair', async () => {
+            getPairAddress.mockResolvedValue(null);
+
+            await expect(fetchOnChainPrices('MANGO', CHAIN_ID, createPairReader({}, 1000n))).resolves.toEqual({ spot: null, twap: null });
+        });
+    });
+
+    describe('createRpcReader', () => {
+        it('should send eth_call through rpcProvider and decode the result', async () => {
+            const abi = parseAbi(['function decimals() external view returns (uint8)']);
+            rpcProvider.request.mockResolvedValue({
+                result: encodeFunctionResult({ abi, functionName: 'decimals', result: 8 }),
+            });
+
+            const value = await createRpcReader(CHAIN_ID).readContract({ address: PAIR, abi, functionName: 'decimals' });
+
+            expect(value).toBe(8);
+            expect(rpcProvider.request).toHaveBeenCalledWith(CHAIN_ID, expect.objectContaining({
+                method: 'eth_call',
+                params: [expect.objectContaining({ to: PAIR }), 'latest'],
+            }));
+        });
+    });
+
+    describe('getTokenPriceDetails', () => {
+        it('should report CoinGecko as the source without a chain', async () => {
+            axios.get.mockResolvedValue({ data: { ethereum: { usd: 3000 } } });
+
+            const details = await getTokenPriceDetails('ETH');
+
+            expect(details.price).toBe(3000);
+            expect(details.source).toBe(PRICE_SOURCES.COINGECKO);
+            expect(details.confidence).toBe(0.5);
+        });
+
+        it('should price stablecoins from their sources instead of a fixed peg', async () => {
+            axios.get.mockResolvedValue({ data: { tether: { usd: 0.97 } } });
+
+            const details = await getTokenPriceDetails('USDT');
+
+            expect(details.price).toBe(0.97);
+            expect(details.source).toBe(PRICE_SOURCES.COINGECKO);
+        });
+
+        it('should fall back to the expired cached price when sources fail', async () => {
+            const now = Date.now();
+            const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+            axios.get.mockResolvedValue({ data: { ethereum: { usd: 3000 } } });
+            await getTokenPriceDetails('ETH');
+
+            nowSpy.mockReturnValue(now + 10 * 60 * 1000);
+            axios.get.mockRejectedValue(new Error('Network Error'));
+            const details = await getTokenPriceDetails('ETH');
+
+            expect(details.price).toBe(3000);
+            expect(details.isStale).toBe(true);
+            nowSpy.mockRestore();
+        });
+    });
+});
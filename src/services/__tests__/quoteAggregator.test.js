@@ -0,0 +1,260 @@
+/**
+ * Tests for QuoteAggregator Service
+ *
+ * Tests source registration, parallel fetching, normalization, ranking
+ * and per-block caching.
+ */
+
+import { QuoteAggregator, QUOTE_SOURCES } from '../quoteAggregator';
+import chainConfig from '../chainConfig';
+import rpcProvider from '../rpcProvider';
+import axios from 'axios';
+import { parseAbi, encodeFunctionResult } from 'viem';
+
+// Mock dependencies
+jest.mock('../chainConfig');
+jest.mock('../rpcProvider', () => ({
+    __esModule: true,
+    default: { request: jest.fn() },
+}));
+
+describe('QuoteAggregator Service', () => {
+    const BASE_CHAIN_ID = 8453;
+    const PARAMS = {
+        chainId: BASE_CHAIN_ID,
+        sellTokenAddress: '0x4200000000000000000000000000000000000006',
+        buyTokenAddress: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913',
+        amountToSell: 1e18,
+    };
+    let aggregator;
+    let blockNumber;
+
+    const createSource = (name, result) => ({
+        name,
+        supports: () => true,
+        getQuote: jest.fn(() => (result instanceof Error ? Promise.reject(result) : Promise.resolve(result))),
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        blockNumber = 100;
+
+        chainConfig.getContractAddress.mockReturnValue(null);
+        chainConfig.getBlockTime.mockReturnValue(2);
+        rpcProvider.request.mockImplementation(async (chainId, request) => {
+            if (request.method === 'eth_blockNumber') {
+                return { result: `0x${blockNumber.toString(16)}` };
+            }
+            throw new Error(`Unexpected method ${request.method}`);
+        });
+
+        aggregator = new QuoteAggregator();
+        aggregator.getSourceNames().forEach(name => aggregator.unregisterSource(name));
+    });
+
+    describe('Source Registration', () => {
+        test('should register built-in sources by default', () => {
+            const fresh = new QuoteAggregator();
+            expect(fresh.getSourceNames()).toEqual([
+                QUOTE_SOURCES.MANGO_API,
+                QUOTE_SOURCES.ON_CHAIN_ROUTER,
+                QUOTE_SOURCES.LAYERSWAP,
+                QUOTE_SOURCES.ON_CHAIN_ESTIMATE,
+            ]);
+        });
+
+        test('should reject sources without getQuote', () => {
+            expect(() => aggregator.registerSource({ name: 'broken' })).toThrow();
+        });
+
+        test('should skip sources that do not support params', async () => {
+            const source = createSource('unsupported', { amountOut: '1' });
+            source.supports = () => false;
+            aggregator.registerSource(source);
+
+            const result = await aggregator.getQuotes(PARAMS);
+
+            expect(source.getQuote).not.toHaveBeenCalled();
+            expect(result.best).toBeNull();
+        });
+    });
+
+    describe('Ranking and Normalization', () => {
+        test('should return the highest amountOut as best quote', async () => {
+            aggregator.registerSource(createSource('a', { amountOut: '1000', gas: 21000 }));
+            aggregator.registerSource(createSource('b', { amountOut: 2000n, priceImpact: '0.5' }));
+
+            const result = await aggregator.getQuotes(PARAMS);
+
+            expect(result.quotes).toHaveLength(2);
+            expect(result.best.source).toBe('b');
+            expect(result.best.amountOut).toBe('2000');
+            expect(result.best.priceImpact).toBe(0.5);
+            expect(result.quotes[1].gas).toBe('21000');
+            expect(result.blockNumber).toBe(100);
+        });
+
+        test('should break ties on lower price impact', async () => {
+            aggregator.registerSource(createSource('high', { amountOut: '1000', priceImpact: 2 }));
+            aggregator.registerSource(createSource('low', { amountOut: '1000', priceImpact: 1 }));
+
+            const best = await aggregator.getBestQuote(PARAMS);
+
+            expect(best.source).toBe('low');
+        });
+
+        test('should collect errors from failing sources', async () => {
+            aggregator.registerSource(createSource('ok', { amountOut: '1000' }));
+            aggregator.registerSource(createSource('down', new Error('API down')));
+            aggregator.registerSource(createSource('empty', { amountOut: '0' }));
+
+            const result = await aggregator.getQuotes(PARAMS);
+
+            expect(result.best.source).toBe('ok');
+            expect(result.errors).toEqual([
+                { source: 'down', message: 'API down' },
+                { source: 'empty', message: 'Invalid quote' },
+            ]);
+        });
+
+        test('should only query fallback sources when primary sources fail', async () => {
+            const fallback = { ...createSource('fallback', { amountOut: '900', isEstimate: true }), fallback: true, swapFee: 'deducted' };
+            aggregator.registerSource(createSource('down', new Error('API down')));
+            aggregator.registerSource(fallback);
+
+            const result = await aggregator.getQuotes(PARAMS, { publicClient: 'client' });
+
+            expect(fallback.getQuote).toHaveBeenCalledWith(PARAMS, expect.objectContaining({ publicClient: 'client' }));
+            expect(result.best.source).toBe('fallback');
+            expect(result.best.isEstimate).toBe(true);
+            expect(result.errors).toEqual([{ source: 'down', message: 'API down' }]);
+        });
+
+        test('should skip fallback sources when a primary source succeeds', async () => {
+            const fallback = { ...createSource('fallback', { amountOut: '5000' }), fallback: true };
+            aggregator.registerSource(createSource('ok', { amountOut: '1000' }));
+            aggregator.registerSource(fallback);
+
+            const result = await aggregator.getQuotes(PARAMS);
+
+            expect(fallback.getQuote).not.toHaveBeenCalled();
+            expect(result.best.source).toBe('ok');
+        });
+
+        test('should ask sources that do not deduct the Mango fee for the input after it', async () => {
+            const raw = createSource('raw', { amountOut: '1000' });
+            const deducted = { ...createSource('deducted', { amountOut: '990', fee: '5' }), swapFee: 'deducted' };
+            const bridge = { ...createSource('bridge', { amountOut: '980' }), swapFee: 'none' };
+            aggregator.registerSource(raw);
+            aggregator.registerSource(deducted);
+            aggregator.registerSource(bridge);
+
+            const result = await aggregator.getQuotes(PARAMS);
+
+            expect(raw.getQuote).toHaveBeenCalledWith({ ...PARAMS, amountToSell: '970000000000000000' }, expect.anything());
+            expect(deducted.getQuote).toHaveBeenCalledWith(PARAMS, expect.anything());
+            expect(bridge.getQuote).toHaveBeenCalledWith(PARAMS, expect.anything());
+            expect(result.quotes.find(quote => quote.source === 'raw').fee).toBe('30000000000000000');
+            expect(result.quotes.find(quote => quote.source === 'deducted').fee).toBe('5');
+        });
+
+        test('should return empty result for incomplete params', async () => {
+            const result = await aggregator.getQuotes({ chainId: BASE_CHAIN_ID });
+            expect(result).toEqual({ best: null, quotes: [], errors: [], blockNumber: null });
+        });
+    });
+
+    describe('Per-block Cache', () => {
+        test('should reuse quotes within the same block', async () => {
+            const source = createSource('a', { amountOut: '1000' });
+            aggregator.registerSource(source);
+
+            await aggregator.getQuotes(PARAMS);
+            await aggregator.getQuotes(PARAMS);
+
+            expect(source.getQuote).toHaveBeenCalledTimes(1);
+        });
+
+        test('should refetch quotes on a new block', async () => {
+            const source = createSource('a', { amountOut: '1000' });
+            aggregator.registerSource(source);
+
+            await aggregator.getQuotes(PARAMS);
+            blockNumber = 101;
+            await aggregator.getQuotes(PARAMS);
+
+            expect(source.getQuote).toHaveBeenCalledTimes(2);
+        });
+
+        test('should share in-flight requests between concurrent callers', async () => {
+            const source = createSource('a', { amountOut: '1000' });
+            aggregator.registerSource(source);
+
+            const [first, second] = await Promise.all([
+                aggregator.getQuotes(PARAMS),
+                aggregator.getQuotes(PARAMS),
+            ]);
+
+            expect(source.getQuote).toHaveBeenCalledTimes(1);
+            expect(first).toBe(second);
+        });
+
+        test('should estimate block from block time when RPC fails', async () => {
+            rpcProvider.request.mockRejectedValue(new Error('RPC down'));
+            const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(1700000001000);
+
+            const block = await aggregator.getBlockNumber(BASE_CHAIN_ID);
+
+            expect(block).toBe(850000000);
+            nowSpy.mockRestore();
+        });
+    });
+
+    describe('Built-in Sources', () => {
+        test('Mango API source should normalize buyAmount', async () => {
+            const fresh = new QuoteAggregator();
+            axios.get.mockResolvedValueOnce({ data: { buyAmount: '5000', estimatedGas: '150000' } });
+
+            const result = await fresh.getQuotes(PARAMS);
+
+            expect(axios.get).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+                params: expect.objectContaining({ amountToSell: '970000000000000000' }),
+            }));
+            expect(result.best.source).toBe(QUOTE_SOURCES.MANGO_API);
+            expect(result.best.amountOut).toBe('5000');
+            expect(result.best.gas).toBe('150000');
+        });
+
+        test('On-chain router source should skip params without an input amount', async () => {
+            const fresh = new QuoteAggregator();
+            const routerSource = fresh.sources.get(QUOTE_SOURCES.ON_CHAIN_ROUTER);
+            chainConfig.getContractAddress.mockReturnValue('0x3333333333333333333333333333333333333333');
+
+            expect(routerSource.supports({ ...PARAMS, amountToSell: null })).toBe(false);
+            expect(routerSource.supports({ ...PARAMS, amountToSell: 'abc' })).toBe(false);
+            expect(routerSource.supports(PARAMS)).toBe(true);
+        });
+
+        test('On-chain router source should not mark its quotes as estimates', async () => {
+            const fresh = new QuoteAggregator();
+            fresh.unregisterSource(QUOTE_SOURCES.MANGO_API);
+            chainConfig.getContractAddress.mockReturnValue('0x3333333333333333333333333333333333333333');
+            rpcProvider.request.mockImplementation(async (chainId, request) => {
+                if (request.method === 'eth_blockNumber') return { result: '0x64' };
+                return {
+                    result: encodeFunctionResult({
+                        abi: parseAbi(['function getAmountsOut(uint256 amountIn, address[] path) external view returns (uint256[] amounts)']),
+                        functionName: 'getAmountsOut',
+                        result: [970000000000000000n, 2500000000n],
+                    }),
+                };
+            });
+
+            const result = await fresh.getQuotes(PARAMS);
+
+            expect(result.best.source).toBe(QUOTE_SOURCES.ON_CHAIN_ROUTER);
+            expect(result.best.amountOut).toBe('2500000000');
+            expect(result.best.isEstimate).toBe(false);
+        });
+    });
+});
@@ -2,7 +2,8 @@
  * Tests for RPCProvider Service
  * 
  * Tests RPC fallback logic, RPC health tracking, rate limiting handling,
- * and connection pooling.
+ * connection pooling, batching, request coalescing, the response cache and
+ * quorum reads.
  */
 
 import { RPCProvider } from '../rpcProvider';
@@ -341,6 +342,252 @@ describe('RPCProvider Service', () => {
         }, 30000);
     });
 
+    describe('Batching and Coalescing', () => {
+        const call = (method, params = [], id = 1) => ({ jsonrpc: '2.0', method, params, id });
+
+        test('should send calls made in the same tick as one batch', async () => {
+            axios.post.mockImplementation((url, body) => Promise.resolve({
+                data: body.map(item => ({ jsonrpc: '2.0', id: item.id, result: `${item.method}-result` })),
+            }));
+
+            const [blockNumber, balance] = await Promise.all([
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber', [], 7)),
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_getBalance', ['0xabc', 'latest'], 7)),
+            ]);
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(axios.post.mock.calls[0][1]).toEqual([
+                expect.objectContaining({ method: 'eth_blockNumber', id: 1 }),
+                expect.objectContaining({ method: 'eth_getBalance', id: 2 }),
+            ]);
+            expect(blockNumber).toEqual({ jsonrpc: '2.0', id: 7, result: 'eth_blockNumber-result' });
+            expect(balance.result).toBe('eth_getBalance-result');
+        });
+
+        test('should coalesce identical in-flight requests', async () => {
+            axios.post.mockResolvedValue({ data: { jsonrpc: '2.0', id: 1, result: '0x123' } });
+
+            const results = await Promise.all([
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber')),
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber', [], 2)),
+            ]);
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(results.map(result => result.result)).toEqual(['0x123', '0x123']);
+            expect(rpcProvider.activeRequests.size).toBe(0);
+        });
+
+        test('should fall back to single requests for endpoints that reject batches', async () => {
+            axios.post.mockImplementation((url, body) => Promise.resolve({
+                data: Array.isArray(body)
+                    ? { jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Batch requests are not supported' } }
+                    : { jsonrpc: '2.0', id: body.id, result: body.method },
+            }));
+
+            const results = await Promise.all([
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber')),
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_chainId')),
+            ]);
+
+            expect(results.map(result => result.result)).toEqual(['eth_blockNumber', 'eth_chainId']);
+            expect(rpcProvider.batchUnsupported.has(MOCK_RPC_URLS[0])).toBe(true);
+
+            axios.post.mockClear();
+            await Promise.all([
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_gasPrice')),
+                rpcProvider.request(BASE_CHAIN_ID, call('eth_maxPriorityFeePerGas')),
+            ]);
+
+            expect(axios.post).toHaveBeenCalledTimes(2);
+            axios.post.mock.calls.forEach(([, body]) => expect(Array.isArray(body)).toBe(false));
+        });
+
+        test('should queue requests beyond maxConcurrentRequests', async () => {
+            rpcProvider.destroy();
+            rpcProvider = new RPCProvider({ maxConcurrentRequests: 2, batchRequests: false });
+
+            const pending = [];
+            axios.post.mockImplementation((url, body) => new Promise(resolve => {
+                pending.push(() => resolve({ data: { jsonrpc: '2.0', id: body.id, result: body.method } }));
+            }));
+            const flush = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+            const promises = ['eth_blockNumber', 'eth_chainId', 'eth_gasPrice'].map(method =>
+                rpcProvider.request(BASE_CHAIN_ID, call(method))
+            );
+            await flush();
+
+            expect(axios.post).toHaveBeenCalledTimes(2);
+            expect(rpcProvider.requestQueue).toHaveLength(1);
+
+            pending.shift()();
+            await flush();
+
+            expect(axios.post).toHaveBeenCalledTimes(3);
+            pending.forEach(resolve => resolve());
+
+            const results = await Promise.all(promises);
+            expect(results.map(result => result.result)).toEqual(['eth_blockNumber', 'eth_chainId', 'eth_gasPrice']);
+        });
+    });
+
+    describe('Response Cache', () => {
+        const call = (method, params = []) => ({ jsonrpc: '2.0', method, params, id: 1 });
+        const respondWith = (results) => axios.post.mockImplementation((url, body) => Promise.resolve({
+            data: { jsonrpc: '2.0', id: body.id, result: results[body.method] },
+        }));
+
+        beforeEach(() => {
+            chainConfig.getBlockTime.mockReturnValue(2);
+            chainConfig.getConfirmationsRequired.mockReturnValue(3);
+        });
+
+        test('should cache eth_chainId forever and count hits and misses', async () => {
+            respondWith({ eth_chainId: '0x2105' });
+
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_chainId'));
+            rpcProvider.destroy(); // no health checks while the clock jumps a day
+            jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+            const cached = await rpcProvider.request(BASE_CHAIN_ID, { ...call('eth_chainId'), id: 9 });
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(cached).toEqual({ jsonrpc: '2.0', id: 9, result: '0x2105' });
+            expect(rpcProvider.getCacheStats(BASE_CHAIN_ID)).toEqual({ hits: 1, misses: 1, hitRate: 0.5, entries: 1 });
+        });
+
+        test('should give eth_blockNumber a short TTL', async () => {
+            respondWith({ eth_blockNumber: '0x10' });
+
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber'));
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber'));
+            expect(axios.post).toHaveBeenCalledTimes(1);
+
+            jest.advanceTimersByTime(1001);
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber'));
+            expect(axios.post).toHaveBeenCalledTimes(2);
+        });
+
+        test('should key latest reads on the block number and drop them on new blocks', async () => {
+            const balance = call('eth_getBalance', ['0xabc', 'latest']);
+            const results = { eth_blockNumber: '0x10', eth_getBalance: '0x1' };
+            respondWith(results);
+
+            // Without a known block the read goes to the network every time
+            await rpcProvider.request(BASE_CHAIN_ID, balance);
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber'));
+            await rpcProvider.request(BASE_CHAIN_ID, balance);
+            const cached = await rpcProvider.request(BASE_CHAIN_ID, balance);
+            expect(axios.post).toHaveBeenCalledTimes(3);
+            expect(cached.result).toBe('0x1');
+
+            results.eth_blockNumber = '0x11';
+            results.eth_getBalance = '0x2';
+            jest.advanceTimersByTime(1001);
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber'));
+
+            // Only the new eth_blockNumber is left
+            expect(rpcProvider.getCacheStats(BASE_CHAIN_ID).entries).toBe(1);
+            expect((await rpcProvider.request(BASE_CHAIN_ID, balance)).result).toBe('0x2');
+        });
+
+        test('should cache receipts only once they are final', async () => {
+            const receipt = call('eth_getTransactionReceipt', ['0xhash']);
+            const results = { eth_blockNumber: '0x11', eth_getTransactionReceipt: null };
+            respondWith(results);
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber'));
+
+            // Pending, then included one block ago, then final with 3 confirmations
+            await rpcProvider.request(BASE_CHAIN_ID, receipt);
+            results.eth_getTransactionReceipt = { blockNumber: '0x10', status: '0x1' };
+            await rpcProvider.request(BASE_CHAIN_ID, receipt);
+            expect(rpcProvider.readResponseCache(BASE_CHAIN_ID, rpcProvider.getResponseCacheKey(BASE_CHAIN_ID, receipt))).toBeNull();
+
+            results.eth_blockNumber = '0x12';
+            jest.advanceTimersByTime(1001);
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_blockNumber'));
+            await rpcProvider.request(BASE_CHAIN_ID, receipt);
+            await rpcProvider.request(BASE_CHAIN_ID, receipt);
+
+            expect(axios.post).toHaveBeenCalledTimes(5);
+        });
+
+        test('should bypass the cache when asked', async () => {
+            respondWith({ eth_chainId: '0x2105' });
+
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_chainId'));
+            await rpcProvider.request(BASE_CHAIN_ID, call('eth_chainId'), { skipCache: true });
+
+            expect(axios.post).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Quorum Reads', () => {
+        const balanceRequest = {
+            jsonrpc: '2.0',
+            method: 'eth_getBalance',
+            params: ['0xabc', 'latest'],
+            id: 5,
+        };
+
+        // Each endpoint answers eth_getBalance with its own result
+        const respondPerEndpoint = (balances) => axios.post.mockImplementation((url, body) => {
+            if (body.method === 'eth_blockNumber') {
+                return Promise.resolve({ data: { jsonrpc: '2.0', id: body.id, result: '0x64' } });
+            }
+            const balance = balances[url];
+            return balance instanceof Error
+                ? Promise.reject(balance)
+                : Promise.resolve({ data: { jsonrpc: '2.0', id: body.id, result: balance } });
+        });
+        const balanceCalls = () => axios.post.mock.calls.filter(([, body]) => body.method === 'eth_getBalance');
+
+        test('should return the value when endpoints agree at the pinned block', async () => {
+            respondPerEndpoint({ [MOCK_RPC_URLS[0]]: '0x10', [MOCK_RPC_URLS[1]]: '0x10', [MOCK_RPC_URLS[2]]: '0x99' });
+
+            const response = await rpcProvider.request(BASE_CHAIN_ID, balanceRequest, { quorum: 2 });
+
+            expect(response).toEqual({ jsonrpc: '2.0', id: 5, result: '0x10' });
+            expect(balanceCalls().map(([url, body]) => [url, body.params[1]])).toEqual([
+                [MOCK_RPC_URLS[0], '0x64'],
+                [MOCK_RPC_URLS[1], '0x64'],
+            ]);
+        });
+
+        test('should refuse with an rpcMismatch error when endpoints disagree', async () => {
+            respondPerEndpoint({ [MOCK_RPC_URLS[0]]: '0x10', [MOCK_RPC_URLS[1]]: '0x11', [MOCK_RPC_URLS[2]]: '0x10' });
+
+            await expect(
+                rpcProvider.request(BASE_CHAIN_ID, balanceRequest, { quorum: 2 })
+            ).rejects.toMatchObject({
+                code: 'rpcMismatch',
+                blockNumber: '0x64',
+                answers: [
+                    { url: MOCK_RPC_URLS[0], result: '0x10' },
+                    { url: MOCK_RPC_URLS[1], result: '0x11' },
+                ],
+            });
+        });
+
+        test('should replace an endpoint that fails with the next one', async () => {
+            respondPerEndpoint({
+                [MOCK_RPC_URLS[0]]: '0x10',
+                [MOCK_RPC_URLS[1]]: Object.assign(new Error('header not found'), { code: 'ECONNABORTED' }),
+                [MOCK_RPC_URLS[2]]: '0x10',
+            });
+
+            const response = await rpcProvider.request(BASE_CHAIN_ID, balanceRequest, { quorum: 2 });
+
+            expect(response.result).toBe('0x10');
+            expect(balanceCalls()).toHaveLength(3);
+        });
+
+        test('should only allow reads that can be pinned to a block', async () => {
+            await expect(
+                rpcProvider.request(BASE_CHAIN_ID, { jsonrpc: '2.0', method: 'eth_sendRawTransaction', params: ['0x'], id: 1 }, { quorum: 2 })
+            ).rejects.toThrow('Quorum reads are not supported for eth_sendRawTransaction');
+        });
+    });
+
     describe('Health Check Interval', () => {
         // Note: Health check interval tests are skipped because they require
         // waiting 60+ seconds which is impractical for unit tests
@@ -402,6 +649,32 @@ describe('RPCProvider Service', () => {
             expect(fallbackOrder).toHaveLength(MOCK_RPC_URLS.length);
             expect(fallbackOrder).toContain(MOCK_RPC_URLS[0]);
         });
+
+        test('should try custom RPCs first unless they are failing', () => {
+            const CUSTOM_URL = 'https://my.rpc.com';
+            rpcProvider.initializeChain(BASE_CHAIN_ID);
+            rpcProvider.updateRpcHealth(BASE_CHAIN_ID, MOCK_RPC_URLS[0], true);
+
+            // Added after the chain was first tracked
+            localStorage.setItem('customRpcUrls', JSON.stringify({ [BASE_CHAIN_ID]: [CUSTOM_URL] }));
+            chainConfig.getRpcUrls.mockReturnValue([CUSTOM_URL, ...MOCK_RPC_URLS]);
+
+            try {
+                expect(rpcProvider.getRpcFallbackOrder(BASE_CHAIN_ID)[0]).toBe(CUSTOM_URL);
+                expect(rpcProvider.getRpcHealthStatus(BASE_CHAIN_ID)[CUSTOM_URL].status).toBe('unknown');
+
+                for (let i = 0; i < 3; i++) {
+                    rpcProvider.updateRpcHealth(BASE_CHAIN_ID, CUSTOM_URL, false);
+                }
+                expect(rpcProvider.getRpcFallbackOrder(BASE_CHAIN_ID)[0]).toBe(MOCK_RPC_URLS[0]);
+
+                // Removed again
+                chainConfig.getRpcUrls.mockReturnValue(MOCK_RPC_URLS);
+                expect(rpcProvider.getRpcHealthStatus(BASE_CHAIN_ID)[CUSTOM_URL]).toBeUndefined();
+            } finally {
+                localStorage.removeItem('customRpcUrls');
+            }
+        });
     });
 
     describe('Error Handling', () => {
@@ -462,6 +735,31 @@ describe('RPCProvider Service', () => {
                 rpcProvider.request(BASE_CHAIN_ID, rpcRequest)
             ).rejects.toThrow();
         });
+
+        test('should surface reverts with their code and data without failing over', async () => {
+            axios.post.mockResolvedValue({
+                data: {
+                    error: {
+                        code: 3,
+                        message: 'execution reverted',
+                        data: '0x08c379a0',
+                    },
+                },
+            });
+
+            const rpcRequest = {
+                jsonrpc: '2.0',
+                method: 'eth_call',
+                params: [{ to: '0xabc', data: '0x' }, 'latest'],
+                id: 1,
+            };
+
+            await expect(
+                rpcProvider.request(BASE_CHAIN_ID, rpcRequest)
+            ).rejects.toMatchObject({ code: 3, data: '0x08c379a0', message: 'execution reverted' });
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(rpcProvider.rpcHealth[BASE_CHAIN_ID][MOCK_RPC_URLS[0]].status).toBe('healthy');
+        });
     });
 
     describe('Helper Methods', () => {
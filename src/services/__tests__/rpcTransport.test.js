@@ -0,0 +1,95 @@
+/**
+ * Tests for RPC Transport
+ *
+ * Tests that viem requests are sent through rpcProvider, that JSON-RPC
+ * errors keep their code and data, and quorum clients.
+ */
+
+import { parseAbi } from 'viem';
+import { createRpcProviderTransport, createRpcTransports, createQuorumClient } from '../rpcTransport';
+import rpcProvider from '../rpcProvider';
+
+jest.mock('../rpcProvider', () => ({
+    __esModule: true,
+    default: {
+        request: jest.fn(),
+        getRpcUrls: jest.fn(),
+        config: { quorumSize: 2 },
+    },
+}));
+
+describe('RPC Transport', () => {
+    const BASE_CHAIN_ID = 8453;
+
+    beforeEach(() => {
+        rpcProvider.getRpcUrls.mockImplementation((chainId) => (chainId === BASE_CHAIN_ID ? ['https://rpc1.base.org'] : []));
+    });
+
+    describe('createRpcProviderTransport', () => {
+        it('should send requests through rpcProvider without retrying on top of it', async () => {
+            rpcProvider.request.mockResolvedValue({ jsonrpc: '2.0', id: 1, result: '0x10' });
+            const transport = createRpcProviderTransport(BASE_CHAIN_ID)({});
+
+            const result = await transport.request({ method: 'eth_blockNumber' });
+
+            expect(result).toBe('0x10');
+            expect(rpcProvider.request).toHaveBeenCalledWith(BASE_CHAIN_ID, expect.objectContaining({
+                jsonrpc: '2.0',
+                method: 'eth_blockNumber',
+                params: [],
+            }), {});
+            expect(transport.config).toEqual(expect.objectContaining({ key: 'rpcProvider', retryCount: 0 }));
+        });
+
+        it('should keep the revert code and data for viem', async () => {
+            rpcProvider.request.mockRejectedValue(
+                Object.assign(new Error('execution reverted'), { code: 3, data: '0x08c379a0' })
+            );
+            const transport = createRpcProviderTransport(BASE_CHAIN_ID)({});
+
+            const error = await transport.request({ method: 'eth_call', params: [{ to: '0xabc' }, 'latest'] })
+                .catch(err => err);
+
+            expect(error.walk(err => err.code === 3)).toEqual(expect.objectContaining({ data: '0x08c379a0' }));
+        });
+    });
+
+    describe('createQuorumClient', () => {
+        it('should ask rpcProvider for a quorum on contract reads', async () => {
+            rpcProvider.request.mockResolvedValue({
+                jsonrpc: '2.0',
+                id: 1,
+                result: '0x00000000000000000000000000000000000000000000000000000000000000fa',
+            });
+
+            const penalty = await createQuorumClient(BASE_CHAIN_ID, 3).readContract({
+                address: '0x1234567890123456789012345678901234567890',
+                abi: parseAbi(['function getEarlyUnstakePenalty(uint256 stakeId) view returns (uint256)']),
+                functionName: 'getEarlyUnstakePenalty',
+                args: [1n],
+            });
+
+            expect(penalty).toBe(250n);
+            expect(rpcProvider.request).toHaveBeenCalledWith(
+                BASE_CHAIN_ID,
+                expect.objectContaining({ method: 'eth_call' }),
+                { quorum: 3 }
+            );
+        });
+    });
+
+    describe('createRpcTransports', () => {
+        it('should create transports for EVM networks only', () => {
+            const transports = createRpcTransports([
+                { id: BASE_CHAIN_ID },
+                { id: 1 },
+                // Tron, numeric like the EVM chains
+                { id: 728126428 },
+            ]);
+
+            expect(Object.keys(transports)).toEqual(['1', String(BASE_CHAIN_ID)]);
+            expect(transports[BASE_CHAIN_ID]({}).config.key).toBe('rpcProvider');
+            expect(transports[1]({ chain: { rpcUrls: { default: { http: ['https://eth.example'] } } } }).config.type).toBe('http');
+        });
+    });
+});
@@ -0,0 +1,157 @@
+/**
+ * Tests for Swap Simulation Service
+ *
+ * Tests balance deltas, revert parsing and the preview built from a simulation.
+ */
+
+import {
+    getSwapAmounts,
+    formatBalanceDelta,
+    getRevertReason,
+    getReceivedAmount,
+    simulateSwap,
+} from '../swapSimulation';
+import { encodeAbiParameters, pad } from 'viem';
+import { getFeeBreakdown } from '../feeService';
+import { estimateGasCost } from '../../utils/gasEstimation';
+
+jest.mock('../feeService');
+jest.mock('../../utils/gasEstimation');
+
+describe('Swap Simulation Service', () => {
+    const CHAIN_ID = 8453;
+    const ACCOUNT = '0x1234567890123456789012345678901234567890';
+    const ETH = { symbol: 'ETH', decimals: 18 };
+    const USDC = { symbol: 'USDC', decimals: 6 };
+    const request = {
+        address: '0x1111111111111111111111111111111111111111',
+        abi: [],
+        functionName: 'swap',
+        args: [],
+        value: 1000000000000000000n,
+        gas: 3000000n,
+    };
+
+    let publicClient;
+
+    beforeEach(() => {
+        publicClient = {
+            getBlockNumber: jest.fn().mockResolvedValue(123n),
+            simulateContract: jest.fn().mockResolvedValue({ result: 2500000000n }),
+            estimateContractGas: jest.fn().mockResolvedValue(150000n),
+        };
+        getFeeBreakdown.mockResolvedValue({ total: 0.03, graphics: 0.01, corporation: 0.01, referral: 0.01, discount: 0 });
+        estimateGasCost.mockResolvedValue({ gasCost: 1500000000000n, gasCostFormatted: '0.0000015', nativeCurrency: 'ETH' });
+    });
+
+    describe('getSwapAmounts', () => {
+        test('should treat the result as output for Mango swaps', () => {
+            expect(getSwapAmounts('swap', 10n, { amountIn: 90n })).toEqual({ amountIn: 90n, amountOut: 10n });
+        });
+
+        test('should keep the known amounts for other results', () => {
+            expect(getSwapAmounts('approve', true, { amountIn: 90n })).toEqual({ amountIn: 90n, amountOut: null });
+        });
+    });
+
+    test('should format signed balance deltas', () => {
+        expect(formatBalanceDelta(-1500000n, USDC)).toBe('-1.5 USDC');
+        expect(formatBalanceDelta(2000000000000000000n, ETH)).toBe('+2 ETH');
+    });
+
+    test('should find the revert reason in viem errors', () => {
+        const reverted = { name: 'ContractFunctionRevertedError', reason: 'TransferHelper: TRANSFER_FROM_FAILED' };
+        const error = { shortMessage: 'Execution reverted', walk: (fn) => (fn(reverted) ? reverted : null) };
+        expect(getRevertReason(error)).toBe('TransferHelper: TRANSFER_FROM_FAILED');
+    });
+
+    describe('simulateSwap', () => {
+        test('should build a preview from a successful simulation', async () => {
+            const preview = await simulateSwap({
+                publicClient,
+                chainId: CHAIN_ID,
+                account: ACCOUNT,
+                request,
+                tokenIn: ETH,
+                tokenOut: USDC,
+                amountIn: request.value,
+            });
+
+            expect(publicClient.simulateContract).toHaveBeenCalledWith(expect.objectContaining({
+                functionName: 'swap',
+                account: ACCOUNT,
+                blockNumber: 123n,
+            }));
+            expect(publicClient.simulateContract.mock.calls[0][0]).not.toHaveProperty('gas');
+            expect(preview.success).toBe(true);
+            expect(preview.balanceDeltas.map(delta => delta.formatted)).toEqual(['-1 ETH', '+2,500 USDC']);
+            expect(getFeeBreakdown).toHaveBeenCalledWith(1, ACCOUNT, CHAIN_ID);
+            expect(estimateGasCost).toHaveBeenCalledWith(CHAIN_ID, 150000n, { publicClient });
+            expect(preview.gas.gasCostFormatted).toBe('0.0000015');
+        });
+
+        test('should return the parsed revert when the simulation fails', async () => {
+            publicClient.simulateContract.mockRejectedValue({
+                shortMessage: 'Execution reverted with reason: INSUFFICIENT_OUTPUT_AMOUNT',
+                reason: 'INSUFFICIENT_OUTPUT_AMOUNT',
+            });
+
+            const preview = await simulateSwap({
+                publicClient,
+                chainId: CHAIN_ID,
+                account: ACCOUNT,
+                request,
+                tokenIn: ETH,
+                tokenOut: USDC,
+            });
+
+            expect(preview.success).toBe(false);
+            expect(preview.error.revertReason).toBe('INSUFFICIENT_OUTPUT_AMOUNT');
+            expect(preview.error.errorType).toBe('executionReverted');
+            expect(publicClient.estimateContractGas).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('getReceivedAmount', () => {
+        const TRANSFER_TOPIC = '0xddf252ad1be2c89b69c2b068fc378daa952ba7f163c4a11628f55a4df523b3ef';
+        const USDC_ADDRESS = '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913';
+        const ROUTER = request.address;
+        const transferLog = (address, to, value) => ({
+            address,
+            topics: [TRANSFER_TOPIC, pad(ROUTER), pad(to)],
+            data: encodeAbiParameters([{ type: 'uint256' }], [value]),
+        });
+
+        test('should sum the token transfers to the account', async () => {
+            const receipt = {
+                logs: [
+                    transferLog(USDC_ADDRESS, ACCOUNT, 2400000000n),
+                    transferLog(USDC_ADDRESS, ROUTER, 100000000n),
+                    transferLog('0x4200000000000000000000000000000000000006', ACCOUNT, 5n),
+                ],
+            };
+
+            const received = await getReceivedAmount({
+                publicClient,
+                receipt,
+                account: ACCOUNT,
+                tokenOut: { ...USDC, address: USDC_ADDRESS },
+                isNative: false,
+            });
+
+            expect(received).toBe(2400000000n);
+        });
+
+        test('should add the gas paid back to the native balance change', async () => {
+            publicClient.getBalance = jest.fn()
+                .mockResolvedValueOnce(1000000000000000000n)
+                .mockResolvedValueOnce(1900000000000000000n);
+            const receipt = { logs: [], blockNumber: 124n, gasUsed: 100000n, effectiveGasPrice: 1000000000n };
+
+            const received = await getReceivedAmount({ publicClient, receipt, account: ACCOUNT, tokenOut: ETH, isNative: true });
+
+            expect(publicClient.getBalance).toHaveBeenCalledWith({ address: ACCOUNT, blockNumber: 123n });
+            expect(received).toBe(900100000000000000n);
+        });
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * Tests for Tax Report Service
+ *
+ * Tests tax events from transaction history and referral rewards, values at
+ * transaction time, the date range and the CSV profiles.
+ */
+
+import {
+    TAX_EVENT_TYPES,
+    getHistoryTaxEvents,
+    priceTaxEvents,
+    buildTaxReportCSV,
+    generateTaxReport,
+} from '../taxReport';
+import { getPriceAt } from '../priceHistory';
+import { rewardApi } from '../mangoApi';
+import chainConfig from '../chainConfig';
+
+jest.mock('../priceHistory');
+jest.mock('../chainConfig');
+jest.mock('../mangoApi', () => ({
+    rewardApi: { getRewardHistory: jest.fn() },
+}));
+
+describe('Tax Report Service', () => {
+    const ADDRESS = '0x1234567890123456789012345678901234567890';
+    const CHAIN_ID = 8453;
+    const T0 = Date.UTC(2026, 0, 15, 9, 30, 0);
+    const DAY = 24 * 60 * 60 * 1000;
+
+    const tx = (fields) => ({ userAddress: ADDRESS, chainId: CHAIN_ID, status: 'completed', ...fields });
+
+    const saveHistory = (history) => localStorage.setItem('swapHistory', JSON.stringify(history));
+
+    beforeEach(() => {
+        localStorage.clear();
+        chainConfig.getChain.mockReturnValue({ chainName: 'Base' });
+        getPriceAt.mockImplementation((symbol) => Promise.resolve({ ETH: 2000, MANGO: 0.05, USDC: 1 }[symbol] ?? null));
+        rewardApi.getRewardHistory.mockResolvedValue([]);
+    });
+
+    describe('getHistoryTaxEvents', () => {
+        it('should turn each transaction type into tax events', () => {
+            saveHistory([
+                tx({ txHash: '0x1', tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '0.5', timestamp: T0 }),
+                tx({ txHash: '0x2', type: 'addLiquidity', tokenIn: 'ETH', tokenOut: 'USDC', amountIn: '0.1', amountOut: '200', timestamp: T0 + 1 }),
+                tx({ txHash: '0x3', type: 'removeLiquidity', tokenIn: 'LP', tokenOut: 'ETH/USDC', amountIn: '1', amountOut: '0.1/210', timestamp: T0 + 2 }),
+                tx({ txHash: '0x4', type: 'unstake', tokenInSymbol: 'Staked', tokenOutSymbol: 'MANGO', amountIn: '100', amountOut: '100', earlyUnstake: true, penaltyPercent: 10, timestamp: T0 + 3 }),
+                tx({ txHash: '0x5', type: 'claimRewards', tokenOutSymbol: 'MANGO', amountOut: '5', timestamp: T0 + 4 }),
+                tx({ txHash: '0x6', type: 'claimAllRewards', tokenOutSymbol: 'Multiple', amountOut: '12', timestamp: T0 + 5 }),
+                tx({ txHash: '0x7', tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '0.5', status: 'failed', timestamp: T0 + 6 }),
+                tx({ txHash: '0x8', tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: null, expectedAmountOut: '0.5', status: 'pending', timestamp: T0 + 7 }),
+            ]);
+
+            const { events, skipped } = getHistoryTaxEvents(ADDRESS);
+            const byType = (type) => events.filter(event => event.type === type);
+
+            expect(byType(TAX_EVENT_TYPES.TRADE)).toEqual([expect.objectContaining({
+                sent: { symbol: 'USDC', amount: 1000 },
+                received: { symbol: 'ETH', amount: 0.5 },
+            })]);
+            expect(byType(TAX_EVENT_TYPES.LIQUIDITY_IN).map(event => event.sent)).toEqual([
+                { symbol: 'ETH', amount: 0.1 },
+                { symbol: 'USDC', amount: 200 },
+            ]);
+            expect(byType(TAX_EVENT_TYPES.LIQUIDITY_OUT)).toHaveLength(2);
+            expect(byType(TAX_EVENT_TYPES.UNSTAKE)[0]).toEqual(expect.objectContaining({
+                received: { symbol: 'MANGO', amount: 90 },
+                fee: { symbol: 'MANGO', amount: 10 },
+            }));
+            expect(byType(TAX_EVENT_TYPES.STAKING_REWARD)[0].received).toEqual({ symbol: 'MANGO', amount: 5 });
+            expect(skipped).toEqual([{ type: 'claimAllRewards', timestamp: T0 + 5, txHash: '0x6' }]);
+        });
+    });
+
+    describe('priceTaxEvents', () => {
+        it('should value events by their stablecoin side or historical prices', async () => {
+            // USDC trading below its peg
+            getPriceAt.mockImplementation((symbol) => Promise.resolve({ MANGO: 0.05, USDC: 0.97 }[symbol] ?? null));
+
+            const [stable, priced, unpriced] = await priceTaxEvents([
+                { type: TAX_EVENT_TYPES.TRADE, timestamp: T0, sent: { symbol: 'USDC', amount: 1000 }, received: { symbol: 'ETH', amount: 0.4 } },
+                { type: TAX_EVENT_TYPES.STAKING_REWARD, timestamp: T0, sent: null, received: { symbol: 'MANGO', amount: 100 } },
+                { type: TAX_EVENT_TYPES.STAKE, timestamp: T0, sent: { symbol: 'XYZ', amount: 1 }, received: null },
+            ]);
+
+            expect(stable.value).toBeCloseTo(970);
+            expect(priced.value).toBe(5);
+            expect(unpriced.value).toBeNull();
+            expect(getPriceAt).toHaveBeenCalledWith('MANGO', T0);
+        });
+    });
+
+    describe('buildTaxReportCSV', () => {
+        const events = [{
+            type: TAX_EVENT_TYPES.TRADE,
+            chainId: CHAIN_ID,
+            timestamp: T0,
+            txHash: '0xabc',
+            sent: { symbol: 'USDC', amount: 1000 },
+            received: { symbol: 'ETH', amount: 0.5 },
+            fee: null,
+            value: 1000,
+            description: 'Swap USDC to ETH',
+        }];
+
+        it('should write the Koinly universal format', () => {
+            const [header, row] = buildTaxReportCSV(events, 'koinly').split('\n');
+
+            expect(header).toBe('Date,Sent Amount,Sent Currency,Received Amount,Received Currency,Fee Amount,Fee Currency,Net Worth Amount,Net Worth Currency,Label,Description,TxHash');
+            expect(row).toBe('2026-01-15 09:30:00 UTC,1000,USDC,0.5,ETH,,,1000.00,USD,,Swap USDC to ETH,0xabc');
+        });
+
+        it('should map sides and types for CoinTracking and CoinLedger', () => {
+            const [, coinTracking] = buildTaxReportCSV(events, 'cointracking').split('\n');
+            const [, coinLedger] = buildTaxReportCSV(events, 'coinledger').split('\n');
+
+            expect(coinTracking).toBe('Trade,0.5,ETH,1000,USDC,,,Mango DeFi,Base,Swap USDC to ETH,2026-01-15 09:30:00,0xabc,1000.00,1000.00');
+            expect(coinLedger).toBe('01/15/2026 09:30:00,Mango DeFi,USDC,1000,ETH,0.5,,,Trade,Swap USDC to ETH,0xabc');
+        });
+
+        it('should leave staking transfers and unsupported types out of CoinTracking and CoinLedger', () => {
+            const base = { chainId: CHAIN_ID, timestamp: T0, txHash: '0xdef', fee: null, value: null };
+            const stakingEvents = [
+                { ...base, type: TAX_EVENT_TYPES.STAKE, sent: { symbol: 'MANGO', amount: 100 }, received: null, description: 'Stake MANGO' },
+                { ...base, type: TAX_EVENT_TYPES.UNSTAKE, sent: null, received: { symbol: 'MANGO', amount: 90 }, fee: { symbol: 'MANGO', amount: 10 }, value: 4.5, description: 'Early unstake MANGO (10% penalty)' },
+                { ...base, type: TAX_EVENT_TYPES.LIQUIDITY_IN, sent: { symbol: 'ETH', amount: 0.1 }, received: null, description: 'Add liquidity ETH/USDC' },
+            ];
+
+            const coinTracking = buildTaxReportCSV(stakingEvents, 'cointracking').split('\n').slice(1);
+            const coinLedger = buildTaxReportCSV(stakingEvents, 'coinledger').split('\n').slice(1);
+
+            expect(coinTracking).toEqual([
+                'Other Fee,,,10,MANGO,,,Mango DeFi,Base,Early unstake penalty MANGO,2026-01-15 09:30:00,0xdef,,0.50',
+                'Provide Liquidity,,,0.1,ETH,,,Mango DeFi,Base,Add liquidity ETH/USDC,2026-01-15 09:30:00,0xdef,,',
+            ]);
+            expect(coinLedger).toEqual([
+                '01/15/2026 09:30:00,Mango DeFi,MANGO,10,,,,,Investment Loss,Early unstake penalty MANGO,0xdef',
+            ]);
+        });
+
+        it('should quote values with separators and reject unknown formats', () => {
+            const csv = buildTaxReportCSV([{ ...events[0], description: 'Swap "A", B' }], 'generic');
+
+            expect(csv.split('\n')[1]).toContain('"Swap ""A"", B"');
+            expect(() => buildTaxReportCSV(events, 'unknown')).toThrow('Unknown tax report format');
+        });
+    });
+
+    describe('generateTaxReport', () => {
+        it('should include paid referral rewards within the date range', async () => {
+            saveHistory([
+                tx({ txHash: '0x1', tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '0.5', timestamp: T0 - 10 * DAY }),
+                tx({ txHash: '0x2', tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '500', amountOut: '0.25', timestamp: T0 }),
+                tx({ txHash: '0x3', type: 'claimFees', tokenIn: 'LP', tokenOut: 'ETH/USDC', amountOut: '3', timestamp: T0 - 10 * DAY }),
+            ]);
+            rewardApi.getRewardHistory.mockResolvedValue([
+                { chainId: CHAIN_ID, level: 1, amount: '20', status: 'completed', distributedAt: new Date(T0 + DAY).toISOString(), txHash: '0xr1' },
+                { chainId: CHAIN_ID, level: 2, amount: '5', status: 'pending', createdAt: new Date(T0 + DAY).toISOString() },
+            ]);
+
+            const report = await generateTaxReport(ADDRESS, { format: 'generic', from: T0 - DAY, to: T0 + 2 * DAY });
+            const rows = report.csv.split('\n').slice(1);
+
+            expect(report).toEqual(expect.objectContaining({ count: 2, skipped: 0, referralRewardsIncluded: true }));
+            expect(rows[0]).toContain('0x2');
+            expect(rows[1]).toContain('referralReward');
+            expect(rows[1]).toContain(',20,MANGO,');
+            expect(rows[1]).toContain(',1.00,');
+            expect(rewardApi.getRewardHistory).toHaveBeenCalledWith(ADDRESS, {
+                startDate: new Date(T0 - DAY).toISOString(),
+                endDate: new Date(T0 + 2 * DAY).toISOString(),
+            });
+        });
+
+        it('should still export history when referral rewards cannot be fetched', async () => {
+            saveHistory([tx({ txHash: '0x1', tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '0.5', timestamp: T0 })]);
+            rewardApi.getRewardHistory.mockRejectedValue(new Error('Network error'));
+
+            const report = await generateTaxReport(ADDRESS, { format: 'koinly' });
+
+            expect(report.count).toBe(1);
+            expect(report.referralRewardsIncluded).toBe(false);
+        });
+
+        it('should count events the format has no type for', async () => {
+            saveHistory([
+                tx({ txHash: '0x1', tokenIn: 'USDC', tokenOut: 'ETH', amountIn: '1000', amountOut: '0.5', timestamp: T0 }),
+                tx({ txHash: '0x2', type: 'addLiquidity', tokenIn: 'ETH', tokenOut: 'USDC', amountIn: '0.1', amountOut: '200', timestamp: T0 + 1 }),
+                tx({ txHash: '0x3', type: 'stake', tokenInSymbol: 'MANGO', amountIn: '100', timestamp: T0 + 2 }),
+            ]);
+
+            const report = await generateTaxReport(ADDRESS, { format: 'coinledger' });
+
+            expect(report).toEqual(expect.objectContaining({ count: 1, unsupported: 2 }));
+        });
+    });
+});
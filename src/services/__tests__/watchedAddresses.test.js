@@ -0,0 +1,92 @@
+/**
+ * Tests for Watched Addresses Service
+ *
+ * Tests address validation, adding, renaming and removing watch-only wallets
+ * and the change event.
+ */
+
+import { getAddress } from 'viem';
+import {
+    ADDRESS_TYPES,
+    WATCHED_ADDRESSES_CHANGE_EVENT,
+    getAddressType,
+    isSameAddress,
+    getWatchedAddresses,
+    addWatchedAddress,
+    updateWatchedAddressLabel,
+    removeWatchedAddress,
+    getEvmAddresses,
+} from '../watchedAddresses';
+
+describe('Watched Addresses Service', () => {
+    const EVM_ADDRESS = '0xd8da6bf26964af9d7eed9e10c2e2fb9d2d6a0e2c';
+    const CHECKSUMMED = getAddress(EVM_ADDRESS);
+    const TRON_ADDRESS = 'TLa2f6VPqDgRE67v1736s7bJ8Ray5wYjU7';
+
+    beforeEach(() => {
+        localStorage.clear();
+    });
+
+    describe('getAddressType', () => {
+        it('should detect EVM and Tron addresses', () => {
+            expect(getAddressType(EVM_ADDRESS)).toBe(ADDRESS_TYPES.EVM);
+            expect(getAddressType(TRON_ADDRESS)).toBe(ADDRESS_TYPES.TRON);
+            expect(getAddressType('0x1234')).toBeNull();
+            expect(getAddressType('not an address')).toBeNull();
+        });
+
+        it('should compare EVM addresses case-insensitively only', () => {
+            expect(isSameAddress(EVM_ADDRESS, CHECKSUMMED)).toBe(true);
+            expect(isSameAddress(TRON_ADDRESS, TRON_ADDRESS.toLowerCase())).toBe(false);
+        });
+    });
+
+    describe('addWatchedAddress', () => {
+        it('should store checksummed addresses with labels and notify listeners', () => {
+            const listener = jest.fn();
+            window.addEventListener(WATCHED_ADDRESSES_CHANGE_EVENT, listener);
+
+            const result = addWatchedAddress(` ${EVM_ADDRESS} `, 'Cold storage');
+            addWatchedAddress(TRON_ADDRESS);
+
+            window.removeEventListener(WATCHED_ADDRESSES_CHANGE_EVENT, listener);
+            expect(result.success).toBe(true);
+            expect(getWatchedAddresses()).toEqual([
+                expect.objectContaining({ address: CHECKSUMMED, label: 'Cold storage', type: ADDRESS_TYPES.EVM }),
+                expect.objectContaining({ address: TRON_ADDRESS, label: 'TLa2f6...YjU7', type: ADDRESS_TYPES.TRON }),
+            ]);
+            expect(listener).toHaveBeenCalledTimes(2);
+        });
+
+        it('should reject invalid and duplicate addresses', () => {
+            addWatchedAddress(EVM_ADDRESS);
+
+            expect(addWatchedAddress('0xnope').success).toBe(false);
+            expect(addWatchedAddress(CHECKSUMMED)).toEqual(expect.objectContaining({
+                success: false,
+                message: 'This address is already watched',
+            }));
+            expect(getWatchedAddresses()).toHaveLength(1);
+        });
+    });
+
+    describe('updateWatchedAddressLabel / removeWatchedAddress', () => {
+        it('should rename and remove wallets', () => {
+            addWatchedAddress(EVM_ADDRESS, 'Old');
+            addWatchedAddress(TRON_ADDRESS);
+
+            expect(updateWatchedAddressLabel(EVM_ADDRESS, 'Trading')).toBe(true);
+            expect(getWatchedAddresses()[0].label).toBe('Trading');
+
+            expect(removeWatchedAddress(CHECKSUMMED)).toBe(true);
+            expect(removeWatchedAddress(CHECKSUMMED)).toBe(false);
+            expect(getWatchedAddresses().map(wallet => wallet.address)).toEqual([TRON_ADDRESS]);
+        });
+    });
+
+    describe('getEvmAddresses', () => {
+        it('should keep only EVM addresses', () => {
+            expect(getEvmAddresses([EVM_ADDRESS, TRON_ADDRESS])).toEqual([EVM_ADDRESS]);
+        });
+    });
+});
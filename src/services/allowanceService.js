@@ -0,0 +1,196 @@
+/**
+ * Allowance Service
+ * Stores the user's approval policy and reads existing ERC-20 allowances.
+ *
+ * Policies:
+ * - exact: approve exactly the amount being spent
+ * - buffer: approve the amount plus a percentage, so small follow-up trades skip approval
+ * - unlimited: approve maxUint256 (one approval per token/spender, highest risk)
+ *
+ * ApproveButton and the staking/liquidity approve steps call getApprovalAmount,
+ * and the Allowances settings screen uses getAllowances to list and revoke approvals.
+ */
+
+import { parseAbi, maxUint256 } from 'viem';
+import chainConfig from './chainConfig';
+import { getAllTokens } from '../config/tokenLists';
+
+const STORAGE_KEY = 'approvalPolicy';
+
+export const APPROVAL_POLICIES = {
+    EXACT: 'exact',
+    BUFFER: 'buffer',
+    UNLIMITED: 'unlimited',
+};
+
+export const DEFAULT_BUFFER_PERCENT = 10;
+export const MAX_BUFFER_PERCENT = 1000;
+
+export const ALLOWANCE_ABI = parseAbi([
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+]);
+
+/**
+ * Get the stored approval policy
+ * @returns {Object} { policy, bufferPercent }
+ */
+export const getApprovalPolicy = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (saved && Object.values(APPROVAL_POLICIES).includes(saved.policy)) {
+            const bufferPercent = parseFloat(saved.bufferPercent);
+            return {
+                policy: saved.policy,
+                bufferPercent: bufferPercent > 0 ? bufferPercent : DEFAULT_BUFFER_PERCENT,
+            };
+        }
+    } catch (error) {
+        console.error('Error reading approval policy:', error);
+    }
+    return { policy: APPROVAL_POLICIES.EXACT, bufferPercent: DEFAULT_BUFFER_PERCENT };
+};
+
+/**
+ * Save the approval policy
+ * @param {string} policy - One of APPROVAL_POLICIES
+ * @param {number} [bufferPercent] - Buffer for the 'buffer' policy
+ * @returns {boolean} Success status
+ */
+export const setApprovalPolicy = (policy, bufferPercent = DEFAULT_BUFFER_PERCENT) => {
+    const buffer = parseFloat(bufferPercent);
+    if (!Object.values(APPROVAL_POLICIES).includes(policy)) return false;
+    if (!(buffer > 0) || buffer > MAX_BUFFER_PERCENT) return false;
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ policy, bufferPercent: buffer }));
+        return true;
+    } catch (error) {
+        console.error('Error saving approval policy:', error);
+        return false;
+    }
+};
+
+/**
+ * Get the amount to approve for a spend under a policy
+ * @param {bigint} requiredAmount - Amount that will be spent (wei)
+ * @param {Object} [settings] - { policy, bufferPercent }, defaults to the stored policy
+ * @returns {bigint} Amount to pass to approve()
+ */
+export const getApprovalAmount = (requiredAmount, settings = getApprovalPolicy()) => {
+    switch (settings.policy) {
+        case APPROVAL_POLICIES.UNLIMITED:
+            return maxUint256;
+        case APPROVAL_POLICIES.BUFFER: {
+            // Basis points keep fractional percentages (e.g. 2.5%) in bigint math
+            const bufferBps = BigInt(Math.round(settings.bufferPercent * 100));
+            const amount = requiredAmount + (requiredAmount * bufferBps) / 10000n;
+            return amount > maxUint256 ? maxUint256 : amount;
+        }
+        case APPROVAL_POLICIES.EXACT:
+        default:
+            return requiredAmount;
+    }
+};
+
+/**
+ * Check whether an allowance is effectively unlimited
+ * Many UIs approve 2^255 or similar rather than exactly maxUint256.
+ * @param {bigint} allowance - Allowance
+ * @returns {boolean}
+ */
+export const isUnlimitedAllowance = (allowance) => {
+    return allowance >= maxUint256 / 2n;
+};
+
+/**
+ * Get the Mango contracts that can hold allowances on a chain
+ * Contracts sharing an address (e.g. liquidity on the router) are merged.
+ * @param {number} chainId - Chain ID
+ * @returns {Array} [{ address, labels }]
+ */
+export const getAllowanceSpenders = (chainId) => {
+    const routerAddress = chainConfig.getContractAddress(chainId, 'router');
+    const candidates = [
+        { label: 'Router', address: routerAddress },
+        // Staking is handled by the manager contract
+        { label: 'Staking', address: chainConfig.getContractAddress(chainId, 'manager') },
+        // Liquidity is added through the router unless a dedicated contract is configured
+        { label: 'Liquidity', address: chainConfig.getContractAddress(chainId, 'liquidity') || routerAddress },
+    ];
+
+    const spenders = new Map();
+    candidates.forEach(({ label, address }) => {
+        if (!address) return;
+        const key = address.toLowerCase();
+        if (spenders.has(key)) {
+            spenders.get(key).labels.push(label);
+        } else {
+            spenders.set(key, { address, labels: [label] });
+        }
+    });
+
+    return Array.from(spenders.values());
+};
+
+/**
+ * Read allowances for every listed token against every Mango spender
+ * @param {Object} params - Params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.owner - Token owner
+ * @param {Array} [params.tokens] - Tokens to check, defaults to tokenLists for the chain
+ * @returns {Promise<Array>} Non-zero allowances [{ token, spender, labels, allowance, isUnlimited }]
+ */
+export const getAllowances = async ({ publicClient, chainId, owner, tokens = getAllTokens(chainId) }) => {
+    if (!publicClient || !chainId || !owner) return [];
+
+    const spenders = getAllowanceSpenders(chainId);
+    const erc20Tokens = tokens.filter(token => token.address && token.address !== 'native');
+
+    const checks = erc20Tokens.flatMap(token => spenders.map(spender => ({ token, spender })));
+    const results = await Promise.all(checks.map(async ({ token, spender }) => {
+        try {
+            const allowance = await publicClient.readContract({
+                address: token.address,
+                abi: ALLOWANCE_ABI,
+                functionName: 'allowance',
+                args: [owner, spender.address],
+            });
+            return { token, spender: spender.address, labels: spender.labels, allowance };
+        } catch (error) {
+            // Token not deployed on this chain or non-standard ERC-20
+            console.warn(`Failed to read ${token.symbol} allowance:`, error);
+            return null;
+        }
+    }));
+
+    return results
+        .filter(result => result && result.allowance > 0n)
+        .map(result => ({ ...result, isUnlimited: isUnlimitedAllowance(result.allowance) }));
+};
+
+/**
+ * Build the writeContract params revoking an allowance
+ * @param {string} tokenAddress - Token address
+ * @param {string} spender - Spender address
+ * @returns {Object} writeContract params
+ */
+export const buildRevokeRequest = (tokenAddress, spender) => ({
+    address: tokenAddress,
+    abi: ALLOWANCE_ABI,
+    functionName: 'approve',
+    args: [spender, 0n],
+});
+
+export default {
+    APPROVAL_POLICIES,
+    DEFAULT_BUFFER_PERCENT,
+    getApprovalPolicy,
+    setApprovalPolicy,
+    getApprovalAmount,
+    isUnlimitedAllowance,
+    getAllowanceSpenders,
+    getAllowances,
+    buildRevokeRequest,
+};
@@ -0,0 +1,588 @@
+/**
+ * Balance Service
+ * Batched wallet balance reads shared by the portfolio components.
+ *
+ * Reads go through Multicall3 (same address on every supported chain), so a
+ * chain's native and token balances come back in a single eth_call:
+ * - Requests for the same chain and account made within a short window are
+ *   merged into one multicall, so components loading together share it
+ * - Balances are cached until a newer block is seen; the chain head is checked
+ *   at most once per block time
+ * - Pair addresses and token decimals never change and are cached for the session
+ *
+ * Liquidity and staking positions are read the same way, a few multicalls per chain.
+ */
+
+import { parseAbi, encodeFunctionData, decodeFunctionResult, formatUnits } from 'viem';
+import rpcProvider from './rpcProvider';
+import chainConfig from './chainConfig';
+
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+// Key used for the chain's native currency
+export const NATIVE_TOKEN = 'native';
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Requests arriving within this window share one multicall
+const BATCH_WINDOW = 10; // ms
+
+// Keep calldata well under typical eth_call gas and payload limits
+const MAX_CALLS_PER_MULTICALL = 500;
+
+const MULTICALL3_ABI = parseAbi([
+    'struct Call3 { address target; bool allowFailure; bytes callData; }',
+    'struct Result { bool success; bytes returnData; }',
+    'function aggregate3(Call3[] calls) payable returns (Result[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)',
+    'function getBlockNumber() view returns (uint256 blockNumber)',
+]);
+
+const ERC20_ABI = parseAbi([
+    'function balanceOf(address account) external view returns (uint256)',
+    'function decimals() external view returns (uint8)',
+]);
+
+const FACTORY_ABI = parseAbi([
+    'function getPair(address tokenA, address tokenB) external view returns (address pair)',
+]);
+
+const PAIR_ABI = parseAbi([
+    'function totalSupply() external view returns (uint256)',
+    'function token0() external view returns (address)',
+    'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+]);
+
+const STAKING_ABI = parseAbi([
+    'function getUserStakes(address user) external view returns (uint256[] stakeIds)',
+    'function getStakeInfo(uint256 stakeId) external view returns (address user, address token, uint256 amount, uint256 lockPeriod, uint256 stakedAt, uint256 unlockTime, uint256 rewards, bool isActive)',
+]);
+
+// `${chainId}:${account}` -> { blockNumber, checkedAt, tokens: Set, balances: Map(token -> bigint) }
+// `tokens` includes tokens whose read failed, so they are not retried until the next block
+const balanceCache = new Map();
+
+// `${chainId}:${account}` -> { tokens: Set, promise } waiting for the batch window
+const pendingBatches = new Map();
+
+// `${chainId}:${account}` -> { tokens: Set, promise } sent and awaiting a response
+const inFlightBatches = new Map();
+
+// chainId -> { blockNumber, checkedAt, promise }
+const latestBlocks = new Map();
+
+// `${chainId}:${token}` -> decimals
+const decimalsCache = new Map();
+
+// `${chainId}:${tokenA}:${tokenB}` (sorted) -> pair address or null
+const pairCache = new Map();
+
+const normalizeToken = (token) => (token === NATIVE_TOKEN ? NATIVE_TOKEN : token.toLowerCase());
+
+const getBatchKey = (chainId, account) => `${chainId}:${account.toLowerCase()}`;
+
+const getBlockTimeMs = (chainId) => chainConfig.getBlockTime(chainId) * 1000;
+
+/**
+ * Run contract reads through Multicall3 aggregate3
+ * @param {number} chainId - Chain ID
+ * @param {Array} calls - [{ address, abi, functionName, args }]
+ * @returns {Promise<Array>} [{ success, result }] in call order; failed calls have result null
+ */
+export const multicall = async (chainId, calls) => {
+    const results = [];
+
+    for (let start = 0; start < calls.length; start += MAX_CALLS_PER_MULTICALL) {
+        const chunk = calls.slice(start, start + MAX_CALLS_PER_MULTICALL);
+        const data = encodeFunctionData({
+            abi: MULTICALL3_ABI,
+            functionName: 'aggregate3',
+            args: [chunk.map(({ address, abi, functionName, args = [] }) => ({
+                target: address,
+                allowFailure: true,
+                callData: encodeFunctionData({ abi, functionName, args }),
+            }))],
+        });
+
+        const response = await rpcProvider.request(chainId, {
+            jsonrpc: '2.0',
+            id: 1,
+            method: 'eth_call',
+            params: [{ to: MULTICALL3_ADDRESS, data }, 'latest'],
+        });
+        const returnData = decodeFunctionResult({ abi: MULTICALL3_ABI, functionName: 'aggregate3', data: response.result });
+
+        returnData.forEach(({ success, returnData: callData }, index) => {
+            if (!success || callData === '0x') {
+                results.push({ success: false, result: null });
+                return;
+            }
+            try {
+                const { abi, functionName } = chunk[index];
+                results.push({ success: true, result: decodeFunctionResult({ abi, functionName, data: callData }) });
+            } catch (error) {
+                results.push({ success: false, result: null });
+            }
+        });
+    }
+
+    return results;
+};
+
+/**
+ * Get the chain head, asking the node at most once per block time
+ * @param {number} chainId - Chain ID
+ * @returns {Promise<bigint>} Latest block number
+ */
+const getLatestBlockNumber = (chainId) => {
+    const latest = latestBlocks.get(chainId);
+    if (latest?.promise) return latest.promise;
+    if (latest && Date.now() - latest.checkedAt < getBlockTimeMs(chainId)) {
+        return Promise.resolve(latest.blockNumber);
+    }
+
+    const promise = rpcProvider.request(chainId, {
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'eth_blockNumber',
+        params: [],
+    })
+        .then((response) => {
+            const blockNumber = BigInt(response.result);
+            latestBlocks.set(chainId, { blockNumber, checkedAt: Date.now() });
+            return blockNumber;
+        })
+        .catch((error) => {
+            latestBlocks.delete(chainId);
+            throw error;
+        });
+    latestBlocks.set(chainId, { ...latest, promise });
+    return promise;
+};
+
+/**
+ * Record a block seen in a multicall result as the chain head
+ * @param {number} chainId - Chain ID
+ * @param {bigint} blockNumber - Block number
+ */
+const observeBlock = (chainId, blockNumber) => {
+    const latest = latestBlocks.get(chainId);
+    if (!latest?.promise && (!latest || blockNumber >= latest.blockNumber)) {
+        latestBlocks.set(chainId, { blockNumber, checkedAt: Date.now() });
+    }
+};
+
+/**
+ * Check whether a cached entry still reflects the chain head
+ * @param {number} chainId - Chain ID
+ * @param {Object} entry - Cache entry
+ * @returns {Promise<boolean>} True if no newer block has been seen
+ */
+const isEntryCurrent = async (chainId, entry) => {
+    if (Date.now() - entry.checkedAt < getBlockTimeMs(chainId)) return true;
+
+    try {
+        const latest = await getLatestBlockNumber(chainId);
+        if (latest > entry.blockNumber) return false;
+        entry.checkedAt = Date.now();
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Read balances for one account with a single multicall
+ * @param {number} chainId - Chain ID
+ * @param {string} account - Wallet address
+ * @param {Array<string>} tokens - Normalized token keys
+ * @returns {Promise<Map>} token -> bigint (tokens whose call failed are left out)
+ */
+const fetchBalances = async (chainId, account, tokens) => {
+    const calls = [
+        { address: MULTICALL3_ADDRESS, abi: MULTICALL3_ABI, functionName: 'getBlockNumber' },
+        ...tokens.map(token => (token === NATIVE_TOKEN
+            ? { address: MULTICALL3_ADDRESS, abi: MULTICALL3_ABI, functionName: 'getEthBalance', args: [account] }
+            : { address: token, abi: ERC20_ABI, functionName: 'balanceOf', args: [account] })),
+    ];
+    const [blockResult, ...balanceResults] = await multicall(chainId, calls);
+
+    const balances = new Map();
+    balanceResults.forEach(({ success, result }, index) => {
+        if (success) balances.set(tokens[index], result);
+    });
+
+    const key = getBatchKey(chainId, account);
+    const blockNumber = blockResult.success ? blockResult.result : 0n;
+    const cached = balanceCache.get(key);
+    // Results from the same block extend the entry; a newer block replaces it
+    const sameBlock = cached && cached.blockNumber === blockNumber;
+    const merged = sameBlock ? new Map([...cached.balances, ...balances]) : balances;
+    if (!cached || blockNumber >= cached.blockNumber) {
+        balanceCache.set(key, {
+            blockNumber,
+            checkedAt: Date.now(),
+            tokens: new Set(sameBlock ? [...cached.tokens, ...tokens] : tokens),
+            balances: merged,
+        });
+    }
+    if (blockResult.success) observeBlock(chainId, blockNumber);
+
+    return merged;
+};
+
+/**
+ * Add tokens to the pending batch for an account, starting one if needed
+ * @param {number} chainId - Chain ID
+ * @param {string} account - Wallet address
+ * @param {Array<string>} tokens - Normalized token keys
+ * @returns {Promise<Map>} Balances of the whole batch
+ */
+const queueBalances = (chainId, account, tokens) => {
+    const key = getBatchKey(chainId, account);
+    const pending = pendingBatches.get(key);
+    if (pending) {
+        tokens.forEach(token => pending.tokens.add(token));
+        return pending.promise;
+    }
+
+    const batch = { tokens: new Set(tokens) };
+    batch.promise = new Promise((resolve, reject) => {
+        setTimeout(() => {
+            pendingBatches.delete(key);
+            inFlightBatches.set(key, batch);
+            fetchBalances(chainId, account, Array.from(batch.tokens))
+                .then(resolve, reject)
+                .finally(() => {
+                    if (inFlightBatches.get(key) === batch) inFlightBatches.delete(key);
+                });
+        }, BATCH_WINDOW);
+    });
+    pendingBatches.set(key, batch);
+    return batch.promise;
+};
+
+/**
+ * Get balances of an account
+ * @param {number} chainId - Chain ID
+ * @param {string} account - Wallet address
+ * @param {Array<string>} tokens - Token addresses, or NATIVE_TOKEN for the native currency
+ * @returns {Promise<Object>} { [token]: bigint } keyed by lower-case address (or NATIVE_TOKEN);
+ *   tokens that could not be read are left out
+ */
+export const getBalances = async (chainId, account, tokens) => {
+    if (!account || !tokens?.length) return {};
+
+    const requested = Array.from(new Set(tokens.filter(Boolean).map(normalizeToken)));
+    const key = getBatchKey(chainId, account);
+    const pick = (balances) => requested.reduce((picked, token) => {
+        if (balances.has(token)) picked[token] = balances.get(token);
+        return picked;
+    }, {});
+
+    const cached = balanceCache.get(key);
+    if (cached && requested.every(token => cached.tokens.has(token)) && await isEntryCurrent(chainId, cached)) {
+        return pick(cached.balances);
+    }
+
+    const inFlight = inFlightBatches.get(key);
+    if (inFlight && requested.every(token => inFlight.tokens.has(token))) {
+        return pick(await inFlight.promise);
+    }
+
+    return pick(await queueBalances(chainId, account, requested));
+};
+
+/**
+ * Get ERC-20 decimals, reading only tokens not seen before
+ * @param {number} chainId - Chain ID
+ * @param {Array<string>} tokens - Token addresses
+ * @returns {Promise<Object>} { [lowerCaseAddress]: decimals } (unreadable tokens are left out)
+ */
+export const getTokenDecimals = async (chainId, tokens) => {
+    const addresses = Array.from(new Set(tokens.filter(Boolean).map(token => token.toLowerCase())));
+    const missing = addresses.filter(address => !decimalsCache.has(`${chainId}:${address}`));
+
+    if (missing.length > 0) {
+        const results = await multicall(chainId, missing.map(address => ({
+            address,
+            abi: ERC20_ABI,
+            functionName: 'decimals',
+        })));
+        results.forEach(({ success, result }, index) => {
+            if (success) decimalsCache.set(`${chainId}:${missing[index]}`, Number(result));
+        });
+    }
+
+    return addresses.reduce((decimals, address) => {
+        const cacheKey = `${chainId}:${address}`;
+        if (decimalsCache.has(cacheKey)) decimals[address] = decimalsCache.get(cacheKey);
+        return decimals;
+    }, {});
+};
+
+/**
+ * Get native and token balances of a wallet, formatted with each token's decimals
+ * @param {number} chainId - Chain ID
+ * @param {string} account - Wallet address
+ * @param {Array<Object>} tokens - Token list entries ({ address, symbol, decimals })
+ * @returns {Promise<Object>} { native: { balance, formatted } | null, tokens: [{ token, balance, formatted }] }
+ *   with only non-zero token balances
+ */
+export const getWalletBalances = async (chainId, account, tokens = []) => {
+    const erc20Tokens = tokens.filter(token => token.address && token.address !== NATIVE_TOKEN);
+    const unknownDecimals = erc20Tokens.filter(token => token.decimals === undefined).map(token => token.address);
+
+    const [balances, decimals] = await Promise.all([
+        getBalances(chainId, account, [NATIVE_TOKEN, ...erc20Tokens.map(token => token.address)]),
+        unknownDecimals.length > 0 ? getTokenDecimals(chainId, unknownDecimals) : {},
+    ]);
+
+    const nativeDecimals = chainConfig.getChain(chainId)?.nativeCurrency?.decimals || 18;
+    const native = balances[NATIVE_TOKEN] !== undefined
+        ? { balance: balances[NATIVE_TOKEN], formatted: parseFloat(formatUnits(balances[NATIVE_TOKEN], nativeDecimals)) }
+        : null;
+
+    const tokenBalances = erc20Tokens.reduce((result, token) => {
+        const address = token.address.toLowerCase();
+        const balance = balances[address];
+        if (!balance) return result;
+
+        const tokenDecimals = token.decimals ?? decimals[address] ?? 18;
+        result.push({ token, balance, formatted: parseFloat(formatUnits(balance, tokenDecimals)) });
+        return result;
+    }, []);
+
+    return { native, tokens: tokenBalances };
+};
+
+/**
+ * Look up factory pairs between every combination of tokens
+ * @param {number} chainId - Chain ID
+ * @param {string} factoryAddress - Factory address
+ * @param {Array<Object>} tokens - Token list entries
+ * @returns {Promise<Array>} [{ pairAddress, tokenA, tokenB }] for existing pairs
+ */
+const getPairs = async (chainId, factoryAddress, tokens) => {
+    const combinations = [];
+    for (let i = 0; i < tokens.length; i++) {
+        for (let j = i + 1; j < tokens.length; j++) {
+            const [tokenA, tokenB] = [tokens[i], tokens[j]];
+            const cacheKey = `${chainId}:${[tokenA.address.toLowerCase(), tokenB.address.toLowerCase()].sort().join(':')}`;
+            combinations.push({ tokenA, tokenB, cacheKey });
+        }
+    }
+
+    const missing = combinations.filter(({ cacheKey }) => !pairCache.has(cacheKey));
+    if (missing.length > 0) {
+        const results = await multicall(chainId, missing.map(({ tokenA, tokenB }) => ({
+            address: factoryAddress,
+            abi: FACTORY_ABI,
+            functionName: 'getPair',
+            args: [tokenA.address, tokenB.address],
+        })));
+        results.forEach(({ success, result }, index) => {
+            // Failed lookups are retried on the next load
+            if (success) {
+                pairCache.set(missing[index].cacheKey, result && result !== ZERO_ADDRESS ? result : null);
+            }
+        });
+    }
+
+    return combinations
+        .filter(({ cacheKey }) => pairCache.get(cacheKey))
+        .map(({ tokenA, tokenB, cacheKey }) => ({ pairAddress: pairCache.get(cacheKey), tokenA, tokenB }));
+};
+
+/**
+ * Get the wallet's liquidity positions between the given tokens
+ * @param {number} chainId - Chain ID
+ * @param {string} account - Wallet address
+ * @param {Array<Object>} tokens - Token list entries to pair up
+ * @returns {Promise<Array>} [{ pairAddress, balance, totalSupply, token0, token1, reserve0, reserve1, amount0, amount1 }]
+ *   for pairs the wallet holds, token0/token1 being the token list entries and amount0/amount1
+ *   the wallet's share of the reserves as numbers
+ */
+export const getLiquidityPositions = async (chainId, account, tokens) => {
+    const factoryAddress = chainConfig.getContractAddress(chainId, 'factory');
+    const erc20Tokens = tokens.filter(token => token.address && token.address !== NATIVE_TOKEN);
+    if (!factoryAddress || !account || erc20Tokens.length < 2) return [];
+
+    const pairs = await getPairs(chainId, factoryAddress, erc20Tokens);
+    if (pairs.length === 0) return [];
+
+    const balances = await getBalances(chainId, account, pairs.map(pair => pair.pairAddress));
+    const held = pairs.filter(pair => balances[pair.pairAddress.toLowerCase()] > 0n);
+    if (held.length === 0) return [];
+
+    const results = await multicall(chainId, held.flatMap(({ pairAddress }) => [
+        { address: pairAddress, abi: PAIR_ABI, functionName: 'totalSupply' },
+        { address: pairAddress, abi: PAIR_ABI, functionName: 'token0' },
+        { address: pairAddress, abi: PAIR_ABI, functionName: 'getReserves' },
+    ]));
+
+    return held.reduce((positions, pair, index) => {
+        const [totalSupply, token0, reserves] = results.slice(index * 3, index * 3 + 3);
+        if (!totalSupply.success || !token0.success || !reserves.success || !totalSupply.result) return positions;
+
+        const tokenAIsToken0 = token0.result.toLowerCase() === pair.tokenA.address.toLowerCase();
+        const position = {
+            pairAddress: pair.pairAddress,
+            balance: balances[pair.pairAddress.toLowerCase()],
+            totalSupply: totalSupply.result,
+            token0: tokenAIsToken0 ? pair.tokenA : pair.tokenB,
+            token1: tokenAIsToken0 ? pair.tokenB : pair.tokenA,
+            reserve0: reserves.result[0],
+            reserve1: reserves.result[1],
+        };
+        position.amount0 = parseFloat(formatUnits(position.reserve0 * position.balance / position.totalSupply, position.token0.decimals ?? 18));
+        position.amount1 = parseFloat(formatUnits(position.reserve1 * position.balance / position.totalSupply, position.token1.decimals ?? 18));
+        positions.push(position);
+        return positions;
+    }, []);
+};
+
+/**
+ * Get the wallet's active stakes in the chain's staking contract
+ * Stake IDs and their details are read in two multicalls.
+ * @param {number} chainId - Chain ID
+ * @param {string} account - Wallet address
+ * @param {Array<Object>} tokens - Token list entries used to resolve staked tokens
+ * @returns {Promise<Array>} [{ stakeId, token, amount, rewards }], token being the token list entry
+ *   (or the native currency) and amount/rewards numbers; stakes in unknown tokens are left out
+ */
+export const getStakedPositions = async (chainId, account, tokens = []) => {
+    const stakingAddress = chainConfig.getContractAddress(chainId, 'manager');
+    if (!stakingAddress || !account) return [];
+
+    const [stakeIds] = await multicall(chainId, [
+        { address: stakingAddress, abi: STAKING_ABI, functionName: 'getUserStakes', args: [account] },
+    ]);
+    if (!stakeIds.success || stakeIds.result.length === 0) return [];
+
+    const results = await multicall(chainId, stakeIds.result.map(stakeId => ({
+        address: stakingAddress,
+        abi: STAKING_ABI,
+        functionName: 'getStakeInfo',
+        args: [stakeId],
+    })));
+
+    const nativeCurrency = chainConfig.getChain(chainId)?.nativeCurrency;
+    return results.reduce((positions, { success, result }, index) => {
+        if (!success || !result[7]) return positions;
+
+        const [, tokenAddress, amount, , , , rewards] = result;
+        const token = tokenAddress === ZERO_ADDRESS
+            ? { address: NATIVE_TOKEN, symbol: nativeCurrency?.symbol || 'ETH', decimals: nativeCurrency?.decimals ?? 18 }
+            : tokens.find(entry => entry.address?.toLowerCase() === tokenAddress.toLowerCase());
+        if (!token) return positions;
+
+        positions.push({
+            stakeId: Number(stakeIds.result[index]),
+            token,
+            amount: parseFloat(formatUnits(amount, token.decimals ?? 18)),
+            rewards: parseFloat(formatUnits(rewards, token.decimals ?? 18)),
+        });
+        return positions;
+    }, []);
+};
+
+/**
+ * Get balances of several wallets added up, e.g. for a combined portfolio view
+ * Reads for the same chain are merged into the same multicalls.
+ * @param {number} chainId - Chain ID
+ * @param {Array<string>} accounts - Wallet addresses
+ * @param {Array<Object>} tokens - Token list entries ({ address, symbol, decimals })
+ * @returns {Promise<Object>} Same shape as getWalletBalances
+ */
+export const getCombinedWalletBalances = async (chainId, accounts, tokens = []) => {
+    const results = await Promise.all(accounts.map(account => getWalletBalances(chainId, account, tokens)));
+
+    let native = null;
+    const tokenTotals = new Map();
+    results.forEach((result) => {
+        if (result.native) {
+            native = native
+                ? { balance: native.balance + result.native.balance, formatted: native.formatted + result.native.formatted }
+                : { ...result.native };
+        }
+        result.tokens.forEach(({ token, balance, formatted }) => {
+            const key = token.address.toLowerCase();
+            const total = tokenTotals.get(key);
+            tokenTotals.set(key, total
+                ? { token, balance: total.balance + balance, formatted: total.formatted + formatted }
+                : { token, balance, formatted });
+        });
+    });
+
+    return { native, tokens: Array.from(tokenTotals.values()) };
+};
+
+/**
+ * Get liquidity positions of several wallets, one entry per pair
+ * @param {number} chainId - Chain ID
+ * @param {Array<string>} accounts - Wallet addresses
+ * @param {Array<Object>} tokens - Token list entries to pair up
+ * @returns {Promise<Array>} Same shape as getLiquidityPositions, balances and amounts added up
+ */
+export const getCombinedLiquidityPositions = async (chainId, accounts, tokens) => {
+    const results = await Promise.all(accounts.map(account => getLiquidityPositions(chainId, account, tokens)));
+
+    const byPair = new Map();
+    results.flat().forEach((position) => {
+        const key = position.pairAddress.toLowerCase();
+        const total = byPair.get(key);
+        byPair.set(key, total
+            ? {
+                ...total,
+                balance: total.balance + position.balance,
+                amount0: total.amount0 + position.amount0,
+                amount1: total.amount1 + position.amount1,
+            }
+            : position);
+    });
+
+    return Array.from(byPair.values());
+};
+
+/**
+ * Drop cached balances so the next read goes to the chain, e.g. after a transaction
+ * @param {number} [chainId] - Limit to one chain
+ * @param {string} [account] - Limit to one account
+ */
+export const invalidateBalances = (chainId = null, account = null) => {
+    Array.from(balanceCache.keys()).forEach((key) => {
+        const [keyChainId, keyAccount] = key.split(':');
+        if ((chainId === null || Number(keyChainId) === Number(chainId))
+            && (account === null || keyAccount === account.toLowerCase())) {
+            balanceCache.delete(key);
+        }
+    });
+};
+
+/**
+ * Clear all cached balances, block numbers, decimals and pairs
+ */
+export const clearBalanceCache = () => {
+    balanceCache.clear();
+    pendingBatches.clear();
+    inFlightBatches.clear();
+    latestBlocks.clear();
+    decimalsCache.clear();
+    pairCache.clear();
+};
+
+export default {
+    MULTICALL3_ADDRESS,
+    NATIVE_TOKEN,
+    multicall,
+    getBalances,
+    getTokenDecimals,
+    getWalletBalances,
+    getLiquidityPositions,
+    getStakedPositions,
+    getCombinedWalletBalances,
+    getCombinedLiquidityPositions,
+    invalidateBalances,
+    clearBalanceCache,
+};
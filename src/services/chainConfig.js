@@ -1,6 +1,7 @@
 // Import chains.json - now in src/ directory for Create React App compatibility
 // Path: src/services/ -> ../ -> src/ -> chains.json
 import chainsData from '../chains.json';
+import { getCustomRpcUrls } from './customRpcs';
 
 /**
  * Chain Configuration Service
@@ -209,16 +210,19 @@ class ChainConfigService {
 
   /**
    * Get RPC URLs for chain (with fallbacks)
+   * User-added endpoints (customRpcs) come first, then the env and chains.json ones.
    */
   getRpcUrls(chainId) {
     const chain = this.getChain(chainId);
     if (!chain) return [];
     
+    const customRpcs = getCustomRpcUrls(chainId);
     const envRpc = process.env[`REACT_APP_${this.getChainEnvName(chainId)}_RPC`];
-    if (envRpc) {
-      return [envRpc, ...(chain.rpcUrls || [])];
+    const defaultRpcs = envRpc ? [envRpc, ...(chain.rpcUrls || [])] : chain.rpcUrls || [];
+    if (customRpcs.length === 0) {
+      return defaultRpcs;
     }
-    return chain.rpcUrls || [];
+    return [...new Set([...customRpcs, ...defaultRpcs])];
   }
 
   /**
@@ -447,6 +451,7 @@ class ChainConfigService {
       unsupportedChain: `${chainName} is not supported.`,
       contractNotFound: `Contract not found on ${chainName}.`,
       gasEstimationFailed: `Gas estimation failed on ${chainName}.`,
+      rpcMismatch: `RPC endpoints on ${chainName} returned conflicting data.`,
     };
 
     return messages[errorType] || `Error on ${chainName}`;
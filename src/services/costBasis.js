@@ -0,0 +1,427 @@
+/**
+ * Cost Basis Service
+ * Tracks what the wallet paid for each asset and the resulting profit and loss,
+ * from the transactions kept by transactionHistory.
+ *
+ * - Swaps dispose of the input token and acquire the output at the trade's USD
+ *   value, from historical prices of the stablecoin side when there is one
+ *   (a depegged stablecoin is not worth $1) and of the other tokens otherwise
+ * - Adding liquidity moves the tokens' basis into the pair; removing liquidity
+ *   returns tokens at market value, which is set against the pair's basis first
+ *   (the recorded transactions do not carry LP token amounts)
+ * - Staking keeps the tokens owned, so only early-unstake penalties are
+ *   realized (as a loss); claimed rewards are income acquired at market value
+ *
+ * Only confirmed transactions count; pending ones may still fail or fill at a
+ * different amount than quoted.
+ *
+ * Basis is known only for tokens acquired through the app. Holdings beyond the
+ * tracked amount are reported as untracked and left out of PnL rather than
+ * given a guessed basis.
+ */
+
+import { getSwapHistory } from './transactionHistory';
+import { getPriceAt } from './priceHistory';
+import { isStablecoin } from './depegMonitor';
+
+export const COST_BASIS_METHODS = {
+    FIFO: 'fifo',
+    AVERAGE: 'average',
+};
+
+export const DEFAULT_COST_BASIS_METHOD = COST_BASIS_METHODS.FIFO;
+
+const METHOD_STORAGE_KEY = 'costBasisMethod';
+
+// Amounts below this are treated as fully disposed, absorbing float rounding
+const DUST = 1e-12;
+
+/**
+ * Get the user's cost basis method
+ * @returns {string} One of COST_BASIS_METHODS
+ */
+export const getCostBasisMethod = () => {
+    try {
+        const saved = localStorage.getItem(METHOD_STORAGE_KEY);
+        return Object.values(COST_BASIS_METHODS).includes(saved) ? saved : DEFAULT_COST_BASIS_METHOD;
+    } catch {
+        return DEFAULT_COST_BASIS_METHOD;
+    }
+};
+
+/**
+ * Set the user's cost basis method
+ * @param {string} method - One of COST_BASIS_METHODS
+ * @returns {boolean} True if saved
+ */
+export const setCostBasisMethod = (method) => {
+    if (!Object.values(COST_BASIS_METHODS).includes(method)) return false;
+
+    try {
+        localStorage.setItem(METHOD_STORAGE_KEY, method);
+        return true;
+    } catch (error) {
+        console.warn('Failed to save cost basis method:', error);
+        return false;
+    }
+};
+
+/**
+ * Normalize a pair name so both token orders map to one position
+ * @param {string} symbolA - First token symbol
+ * @param {string} symbolB - Second token symbol
+ * @returns {string} 'A/B' in sorted order
+ */
+const getPairName = (symbolA, symbolB) => [symbolA, symbolB].sort().join('/');
+
+/**
+ * Key of an asset in PnL results and holdings
+ * @param {number} chainId - Chain ID
+ * @param {string} symbol - Token symbol, or 'A/B' for a liquidity position
+ * @param {string} [type] - 'token' or 'lp'
+ * @returns {string} Asset key
+ */
+export const getAssetKey = (chainId, symbol, type = 'token') => {
+    if (type === 'lp') {
+        const [symbolA, symbolB] = symbol.split('/');
+        return `${Number(chainId)}:lp:${getPairName(symbolA, symbolB)}`;
+    }
+    return `${Number(chainId)}:${symbol}`;
+};
+
+const parseAmount = (value) => {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount > 0 ? amount : 0;
+};
+
+/**
+ * Turn stored transactions into ledger events, oldest first
+ * Unconfirmed transactions and types without a cost basis effect are skipped.
+ * @param {string} address - User address
+ * @param {number} [chainId] - Limit to one chain
+ * @returns {Array} [{ type, chainId, timestamp, txHash, ... }] where type is
+ *   'swap' ({ sell, buy }), 'addLiquidity' / 'removeLiquidity' ({ pair, tokens }),
+ *   'unstake' ({ symbol, penalty }) or 'reward' ({ symbol, amount })
+ */
+export const getLedgerEvents = (address, chainId = null) => {
+    if (!address) return [];
+
+    return getSwapHistory(address, chainId).reduce((events, tx) => {
+        if (tx.status !== 'completed') return events;
+
+        const base = {
+            chainId: Number(tx.chainId),
+            timestamp: new Date(tx.timestamp || tx.createdAt).getTime(),
+            txHash: tx.txHash,
+        };
+        const symbolIn = tx.tokenInSymbol || tx.tokenIn;
+        const symbolOut = tx.tokenOutSymbol || tx.tokenOut;
+
+        switch (tx.type || 'swap') {
+            case 'swap': {
+                const sell = { symbol: symbolIn, amount: parseAmount(tx.amountIn) };
+                const buy = { symbol: symbolOut, amount: parseAmount(tx.amountOut) };
+                if (sell.amount && buy.amount) {
+                    events.push({ ...base, type: 'swap', sell, buy });
+                }
+                break;
+            }
+            case 'addLiquidity': {
+                const tokens = [
+                    { symbol: symbolIn, amount: parseAmount(tx.amountIn) },
+                    { symbol: symbolOut, amount: parseAmount(tx.amountOut) },
+                ];
+                if (tokens.every(token => token.amount)) {
+                    events.push({ ...base, type: 'addLiquidity', pair: getPairName(symbolIn, symbolOut), tokens });
+                }
+                break;
+            }
+            case 'removeLiquidity': {
+                // tokenOut is 'A/B' and amountOut 'amountA/amountB'
+                const symbols = String(symbolOut || '').split('/');
+                const amounts = String(tx.amountOut || '').split('/').map(parseAmount);
+                if (symbols.length === 2 && amounts.length === 2 && amounts.every(Boolean)) {
+                    events.push({
+                        ...base,
+                        type: 'removeLiquidity',
+                        pair: getPairName(symbols[0], symbols[1]),
+                        tokens: symbols.map((symbol, index) => ({ symbol, amount: amounts[index] })),
+                    });
+                }
+                break;
+            }
+            case 'unstake': {
+                const penalty = tx.earlyUnstake ? parseAmount(tx.amountIn) * (parseFloat(tx.penaltyPercent) || 0) / 100 : 0;
+                if (penalty > 0) {
+                    events.push({ ...base, type: 'unstake', symbol: symbolOut, penalty });
+                }
+                break;
+            }
+            case 'claimRewards': {
+                const amount = parseAmount(tx.amountOut);
+                if (amount) {
+                    events.push({ ...base, type: 'reward', symbol: symbolOut, amount });
+                }
+                break;
+            }
+            default:
+                // Stakes keep the tokens owned; other types carry no usable amounts
+                break;
+        }
+        return events;
+    }, []).sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Attach USD values to ledger events
+ * @param {Array} events - Ledger events
+ * @param {Function} [priceAt] - (symbol, timestamp) => Promise<number|null>
+ * @returns {Promise<Array>} Events with `value` (swaps, rewards) or per-token `value` (liquidity), null when unknown
+ */
+export const priceLedgerEvents = async (events, priceAt = getPriceAt) => {
+    const valueOf = async ({ symbol, amount }, timestamp) => {
+        try {
+            const price = await priceAt(symbol, timestamp);
+            return price > 0 ? amount * price : null;
+        } catch {
+            return null;
+        }
+    };
+
+    return Promise.all(events.map(async (event) => {
+        switch (event.type) {
+            case 'swap': {
+                // Prefer the stablecoin side, then the token received, then the token sent
+                const stableSide = [event.sell, event.buy].find(side => isStablecoin(side.symbol));
+                const value = (stableSide ? await valueOf(stableSide, event.timestamp) : null)
+                    ?? (await valueOf(event.buy, event.timestamp))
+                    ?? (await valueOf(event.sell, event.timestamp));
+                return { ...event, value };
+            }
+            case 'removeLiquidity':
+                return {
+                    ...event,
+                    tokens: await Promise.all(event.tokens.map(async token => ({
+                        ...token,
+                        value: await valueOf(token, event.timestamp),
+                    }))),
+                };
+            case 'reward':
+                return { ...event, value: await valueOf(event, event.timestamp) };
+            default:
+                return event;
+        }
+    }));
+};
+
+/**
+ * Compute cost basis and PnL from priced ledger events
+ * @param {Array} events - Priced ledger events, oldest first
+ * @param {Object} [options] - Options
+ * @param {string} [options.method] - One of COST_BASIS_METHODS
+ * @param {Object} [options.holdings] - Current holdings by asset key: { amount, price } for tokens, { value } for LP
+ * @returns {Object} { assets: { [key]: assetPnl }, byChain: { [chainId]: totals }, totals }
+ *   where assetPnl is { key, chainId, symbol, type, trackedAmount, heldAmount, untrackedAmount,
+ *   costBasis, averageCost, currentValue, realizedPnl, unrealizedPnl, income }
+ */
+export const computePnl = (events, { method = DEFAULT_COST_BASIS_METHOD, holdings = {} } = {}) => {
+    const positions = new Map();
+
+    const getPosition = (chainId, symbol, type = 'token') => {
+        const key = getAssetKey(chainId, symbol, type);
+        if (!positions.has(key)) {
+            positions.set(key, { key, chainId, symbol, type, lots: [], cost: 0, realizedPnl: 0, income: 0 });
+        }
+        return positions.get(key);
+    };
+
+    // Add a lot; average cost keeps a single pooled lot
+    const acquire = (position, amount, cost) => {
+        if (method === COST_BASIS_METHODS.AVERAGE && position.lots.length > 0) {
+            position.lots[0].amount += amount;
+            position.lots[0].cost += cost;
+        } else {
+            position.lots.push({ amount, cost });
+        }
+    };
+
+    // Remove up to `amount` from the lots, oldest first; returns the basis and amount covered
+    const dispose = (position, amount) => {
+        let remaining = amount;
+        let basis = 0;
+        while (remaining > DUST && position.lots.length > 0) {
+            const lot = position.lots[0];
+            const used = Math.min(lot.amount, remaining);
+            const usedCost = lot.cost * (used / lot.amount);
+            basis += usedCost;
+            lot.amount -= used;
+            lot.cost -= usedCost;
+            remaining -= used;
+            if (lot.amount <= DUST) position.lots.shift();
+        }
+        return { basis, covered: amount - Math.max(remaining, 0) };
+    };
+
+    events.forEach((event) => {
+        switch (event.type) {
+            case 'swap': {
+                const sold = getPosition(event.chainId, event.sell.symbol);
+                const bought = getPosition(event.chainId, event.buy.symbol);
+                const { basis, covered } = dispose(sold, event.sell.amount);
+                const share = covered / event.sell.amount;
+                if (event.value !== null && event.value !== undefined) {
+                    // Gain only on the part with a known basis; the new tokens cost the trade value
+                    sold.realizedPnl += event.value * share - basis;
+                    acquire(bought, event.buy.amount, event.value);
+                } else if (covered > 0) {
+                    // Unpriced trade: the basis carries over to what was received
+                    acquire(bought, event.buy.amount * share, basis);
+                }
+                break;
+            }
+            case 'addLiquidity': {
+                const pair = getPosition(event.chainId, event.pair, 'lp');
+                event.tokens.forEach(token => {
+                    const { basis, covered } = dispose(getPosition(event.chainId, token.symbol), token.amount);
+                    pair.cost += basis;
+                    // Deposits of tokens with unknown basis leave the pair's basis unknown
+                    if (covered < token.amount - DUST) pair.untracked = true;
+                });
+                pair.deposited = true;
+                break;
+            }
+            case 'removeLiquidity': {
+                const pair = getPosition(event.chainId, event.pair, 'lp');
+                event.tokens.forEach(token => {
+                    if (token.value === null || token.value === undefined) return;
+                    acquire(getPosition(event.chainId, token.symbol), token.amount, token.value);
+                    // Return of capital first, anything beyond the pair's basis is a gain
+                    const returned = Math.min(pair.cost, token.value);
+                    pair.cost -= returned;
+                    if (pair.deposited && !pair.untracked) pair.realizedPnl += token.value - returned;
+                });
+                break;
+            }
+            case 'unstake': {
+                const position = getPosition(event.chainId, event.symbol);
+                position.realizedPnl -= dispose(position, event.penalty).basis;
+                break;
+            }
+            case 'reward': {
+                if (event.value === null || event.value === undefined) break;
+                const position = getPosition(event.chainId, event.symbol);
+                acquire(position, event.amount, event.value);
+                position.income += event.value;
+                break;
+            }
+            default:
+                break;
+        }
+    });
+
+    // Held assets without any tracked history still get an entry
+    Object.keys(holdings).forEach(key => {
+        if (positions.has(key)) return;
+        const [chainId, typeOrSymbol, pair] = key.split(':');
+        if (typeOrSymbol === 'lp') {
+            getPosition(Number(chainId), pair, 'lp');
+        } else {
+            getPosition(Number(chainId), typeOrSymbol);
+        }
+    });
+
+    const assets = {};
+    const byChain = {};
+    const totals = { costBasis: 0, currentValue: 0, realizedPnl: 0, unrealizedPnl: 0, income: 0 };
+
+    positions.forEach((position) => {
+        const holding = holdings[position.key] || {};
+        let result;
+
+        if (position.type === 'lp') {
+            const currentValue = holding.value || 0;
+            const tracked = position.deposited && !position.untracked && currentValue > 0;
+            result = {
+                trackedAmount: null,
+                heldAmount: null,
+                untrackedAmount: null,
+                costBasis: tracked ? position.cost : 0,
+                averageCost: null,
+                currentValue,
+                unrealizedPnl: tracked ? currentValue - position.cost : 0,
+            };
+        } else {
+            const trackedAmount = position.lots.reduce((total, lot) => total + lot.amount, 0);
+            const trackedCost = position.lots.reduce((total, lot) => total + lot.cost, 0);
+            const heldAmount = holding.amount || 0;
+            const price = holding.price || 0;
+            // Only held tokens with a known basis count towards unrealized PnL
+            const coveredAmount = Math.min(heldAmount, trackedAmount);
+            const costBasis = trackedAmount > 0 ? trackedCost * (coveredAmount / trackedAmount) : 0;
+            result = {
+                trackedAmount,
+                heldAmount,
+                untrackedAmount: Math.max(heldAmount - trackedAmount, 0),
+                costBasis,
+                averageCost: coveredAmount > 0 ? costBasis / coveredAmount : null,
+                currentValue: heldAmount * price,
+                unrealizedPnl: coveredAmount * price - costBasis,
+            };
+        }
+
+        assets[position.key] = {
+            key: position.key,
+            chainId: position.chainId,
+            symbol: position.symbol,
+            type: position.type,
+            ...result,
+            realizedPnl: position.realizedPnl,
+            income: position.income,
+        };
+
+        const chainTotals = byChain[position.chainId] || { costBasis: 0, realizedPnl: 0, unrealizedPnl: 0, income: 0 };
+        chainTotals.costBasis += result.costBasis;
+        chainTotals.realizedPnl += position.realizedPnl;
+        chainTotals.unrealizedPnl += result.unrealizedPnl;
+        chainTotals.income += position.income;
+        byChain[position.chainId] = chainTotals;
+
+        totals.costBasis += result.costBasis;
+        totals.currentValue += result.currentValue;
+        totals.realizedPnl += position.realizedPnl;
+        totals.unrealizedPnl += result.unrealizedPnl;
+        totals.income += position.income;
+    });
+
+    return { assets, byChain, totals };
+};
+
+/**
+ * Compute PnL for a wallet from its transaction history
+ * Several wallets are treated as one portfolio, their transactions merged in time order.
+ * @param {string|Array<string>} address - User address, or several
+ * @param {Object} [options] - Options
+ * @param {string} [options.method] - One of COST_BASIS_METHODS, the saved method by default
+ * @param {Object} [options.holdings] - Current holdings by asset key (see computePnl)
+ * @param {number} [options.chainId] - Limit to one chain
+ * @returns {Promise<Object>} Result of computePnl
+ */
+export const getPortfolioPnl = async (address, { method = getCostBasisMethod(), holdings = {}, chainId = null } = {}) => {
+    const ledger = [].concat(address)
+        .flatMap(wallet => getLedgerEvents(wallet, chainId))
+        .sort((x, y) => x.timestamp - y.timestamp);
+    const events = await priceLedgerEvents(ledger);
+    return computePnl(events, { method, holdings });
+};
+
+export default {
+    COST_BASIS_METHODS,
+    DEFAULT_COST_BASIS_METHOD,
+    getCostBasisMethod,
+    setCostBasisMethod,
+    getAssetKey,
+    getLedgerEvents,
+    priceLedgerEvents,
+    computePnl,
+    getPortfolioPnl,
+};
@@ -0,0 +1,177 @@
+/**
+ * Custom RPC Service
+ * Keeps the user's own RPC endpoints per chain in localStorage.
+ * chainConfig.getRpcUrls lists them ahead of the built-in ones, and RPCProvider
+ * tries them first while they are healthy.
+ *
+ * An endpoint is only accepted after it answers eth_chainId with the chain it
+ * was added for.
+ */
+
+import axios from 'axios';
+
+const STORAGE_KEY = 'customRpcUrls';
+const CHAIN_ID_TIMEOUT = 5000; // 5 seconds
+
+export const CUSTOM_RPCS_CHANGE_EVENT = 'customrpcschange';
+
+// Parsed storage, reused while the stored string is unchanged (getRpcUrls runs on every request)
+let cached = { raw: undefined, value: {} };
+
+/**
+ * Get the custom endpoints of every chain
+ * @returns {Object} { [chainId]: [url, ...] } in priority order
+ */
+export const getAllCustomRpcUrls = () => {
+    let raw = null;
+    try {
+        raw = localStorage.getItem(STORAGE_KEY);
+    } catch {
+        return {};
+    }
+    if (raw === cached.raw) return cached.value;
+
+    let value = {};
+    try {
+        const stored = JSON.parse(raw);
+        if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+            value = Object.fromEntries(
+                Object.entries(stored).filter(([, urls]) => Array.isArray(urls))
+            );
+        }
+    } catch {
+        value = {};
+    }
+    cached = { raw, value };
+    return value;
+};
+
+/**
+ * Get the custom endpoints of a chain
+ * @param {number} chainId - Chain ID
+ * @returns {string[]} URLs in priority order
+ */
+export const getCustomRpcUrls = (chainId) => getAllCustomRpcUrls()[chainId] || [];
+
+const saveCustomRpcUrls = (chainId, urls) => {
+    const all = { ...getAllCustomRpcUrls() };
+    if (urls.length > 0) {
+        all[chainId] = urls;
+    } else {
+        delete all[chainId];
+    }
+
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(all));
+    } catch (error) {
+        console.warn('Failed to save custom RPC endpoints:', error);
+        return false;
+    }
+    window.dispatchEvent(new CustomEvent(CUSTOM_RPCS_CHANGE_EVENT, { detail: { chainId, urls } }));
+    return true;
+};
+
+/**
+ * Normalize a user-entered RPC URL
+ * @param {string} url - URL as typed
+ * @returns {string|null} Trimmed http(s) URL without a trailing slash, or null when invalid
+ */
+export const normalizeRpcUrl = (url) => {
+    const trimmed = String(url || '').trim().replace(/\/+$/, '');
+    try {
+        const { protocol } = new URL(trimmed);
+        return protocol === 'https:' || protocol === 'http:' ? trimmed : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Ask an endpoint which chain it serves
+ * @param {string} url - RPC URL
+ * @returns {Promise<number>} Chain ID
+ */
+export const fetchRpcChainId = async (url) => {
+    const response = await axios.post(
+        url,
+        { jsonrpc: '2.0', method: 'eth_chainId', params: [], id: 1 },
+        { timeout: CHAIN_ID_TIMEOUT, headers: { 'Content-Type': 'application/json' } }
+    );
+    const chainId = parseInt(response.data?.result, 16);
+    if (!Number.isFinite(chainId)) {
+        throw new Error(response.data?.error?.message || 'Invalid eth_chainId response');
+    }
+    return chainId;
+};
+
+/**
+ * Add a custom endpoint after checking that it serves the chain
+ * @param {number} chainId - Chain ID
+ * @param {string} url - RPC URL
+ * @returns {Promise<Object>} { success, message, url }
+ */
+export const addCustomRpcUrl = async (chainId, url) => {
+    const normalized = normalizeRpcUrl(url);
+    if (!normalized) {
+        return { success: false, message: 'Enter a valid http(s) RPC URL', url: null };
+    }
+    if (getCustomRpcUrls(chainId).includes(normalized)) {
+        return { success: false, message: 'This RPC is already added', url: null };
+    }
+
+    let rpcChainId;
+    try {
+        rpcChainId = await fetchRpcChainId(normalized);
+    } catch (error) {
+        return { success: false, message: `Could not reach this RPC: ${error.message}`, url: null };
+    }
+    if (rpcChainId !== parseInt(chainId)) {
+        return { success: false, message: `This RPC serves chain ${rpcChainId}, not ${chainId}`, url: null };
+    }
+
+    // Read again: the list may have changed while the endpoint was checked
+    if (!saveCustomRpcUrls(chainId, [...getCustomRpcUrls(chainId).filter(existing => existing !== normalized), normalized])) {
+        return { success: false, message: 'Failed to save the RPC', url: null };
+    }
+    return { success: true, message: 'RPC added', url: normalized };
+};
+
+/**
+ * Move a custom endpoint up or down in priority
+ * @param {number} chainId - Chain ID
+ * @param {string} url - RPC URL
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {boolean} True if moved
+ */
+export const moveCustomRpcUrl = (chainId, url, offset) => {
+    const urls = [...getCustomRpcUrls(chainId)];
+    const index = urls.indexOf(url);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= urls.length) return false;
+
+    [urls[index], urls[target]] = [urls[target], urls[index]];
+    return saveCustomRpcUrls(chainId, urls);
+};
+
+/**
+ * Remove a custom endpoint
+ * @param {number} chainId - Chain ID
+ * @param {string} url - RPC URL
+ * @returns {boolean} True if removed
+ */
+export const removeCustomRpcUrl = (chainId, url) => {
+    const urls = getCustomRpcUrls(chainId);
+    if (!urls.includes(url)) return false;
+    return saveCustomRpcUrls(chainId, urls.filter(existing => existing !== url));
+};
+
+export default {
+    CUSTOM_RPCS_CHANGE_EVENT,
+    getAllCustomRpcUrls,
+    getCustomRpcUrls,
+    normalizeRpcUrl,
+    fetchRpcChainId,
+    addCustomRpcUrl,
+    moveCustomRpcUrl,
+    removeCustomRpcUrl,
+};
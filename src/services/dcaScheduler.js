@@ -0,0 +1,399 @@
+/**
+ * DCA Scheduler Service
+ * Manages dollar-cost-averaging (recurring buy) plans in localStorage.
+ * Plans don't execute on their own: each due execution is surfaced as a
+ * pending action, the user swaps it through SwapButton, and every fill is
+ * recorded in transactionHistory with the plan's dcaPlanId. A submitted swap
+ * is kept on the plan until its receipt is reconciled, so a fill counts even
+ * when the swap page is left before it confirms.
+ */
+
+import { formatUnits } from 'viem';
+import { getSwapHistory, saveSwapTransaction, updateSwapTransaction } from './transactionHistory';
+import { getReceivedAmount } from './swapSimulation';
+
+const STORAGE_KEY = 'dcaPlans';
+const PENDING_EXECUTION_TIMEOUT = 60 * 60 * 1000; // A swap without a receipt after an hour is treated as dropped
+
+export const DCA_PLAN_STATUS = {
+    ACTIVE: 'active',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+};
+
+// Interval presets offered in the DCA form
+export const DCA_INTERVAL_OPTIONS = [
+    { label: 'Hourly', value: 60 * 60 * 1000 },
+    { label: 'Daily', value: 24 * 60 * 60 * 1000 },
+    { label: 'Weekly', value: 7 * 24 * 60 * 60 * 1000 },
+    { label: 'Monthly', value: 30 * 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Read all plans from localStorage
+ * @returns {Array} All DCA plans
+ */
+const readPlans = () => {
+    try {
+        const plansJson = localStorage.getItem(STORAGE_KEY);
+        return plansJson ? JSON.parse(plansJson) : [];
+    } catch (error) {
+        console.error('Error reading DCA plans:', error);
+        return [];
+    }
+};
+
+/**
+ * Write all plans to localStorage
+ * @param {Array} plans - All DCA plans
+ * @returns {boolean} Success status
+ */
+const writePlans = (plans) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(plans));
+        return true;
+    } catch (error) {
+        console.error('Error saving DCA plans:', error);
+        return false;
+    }
+};
+
+/**
+ * Get DCA plans
+ * @param {string} address - Optional: filter by address
+ * @param {number} chainId - Optional: filter by chain
+ * @returns {Array} Plans, newest first
+ */
+export const getDcaPlans = (address = null, chainId = null) => {
+    let plans = readPlans();
+
+    if (address) {
+        plans = plans.filter(plan => plan.userAddress?.toLowerCase() === address.toLowerCase());
+    }
+
+    if (chainId) {
+        plans = plans.filter(plan => plan.chainId === chainId);
+    }
+
+    return plans.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Get a single plan
+ * @param {string} planId - Plan ID
+ * @returns {Object|null} Plan or null
+ */
+export const getDcaPlan = (planId) => {
+    return readPlans().find(plan => plan.id === planId) || null;
+};
+
+/**
+ * Create a DCA plan
+ * The first execution is due immediately.
+ * @param {Object} plan - Plan params
+ * @param {string} plan.userAddress - User address
+ * @param {number} plan.chainId - Chain ID
+ * @param {Object} plan.tokenIn - Token spent { symbol, address, decimals }
+ * @param {Object} plan.tokenOut - Token bought { symbol, address, decimals }
+ * @param {string} plan.amountPerExecution - Amount of tokenIn per execution
+ * @param {number} plan.interval - Interval between executions (ms)
+ * @param {number} plan.totalExecutions - Number of executions
+ * @param {number} plan.maxSlippage - Max slippage percentage per execution
+ * @returns {Object|null} Created plan or null if invalid
+ */
+export const createDcaPlan = ({ userAddress, chainId, tokenIn, tokenOut, amountPerExecution, interval, totalExecutions, maxSlippage }) => {
+    const executions = parseInt(totalExecutions, 10);
+    const slippage = parseFloat(maxSlippage);
+    if (!userAddress || !chainId || !tokenIn?.address || !tokenOut?.address) return null;
+    if (!(parseFloat(amountPerExecution) > 0) || !(interval > 0) || !(executions > 0) || !(slippage > 0)) return null;
+
+    const now = Date.now();
+    const plan = {
+        id: `dca_${now}_${Math.random().toString(36).slice(2, 8)}`,
+        userAddress,
+        chainId,
+        tokenIn: { symbol: tokenIn.symbol, address: tokenIn.address, decimals: tokenIn.decimals || 18 },
+        tokenOut: { symbol: tokenOut.symbol, address: tokenOut.address, decimals: tokenOut.decimals || 18 },
+        amountPerExecution: String(amountPerExecution),
+        interval,
+        totalExecutions: executions,
+        maxSlippage: slippage,
+        executionsDone: 0,
+        nextExecutionAt: now,
+        status: DCA_PLAN_STATUS.ACTIVE,
+        createdAt: now,
+    };
+
+    const plans = readPlans();
+    plans.unshift(plan);
+    return writePlans(plans) ? plan : null;
+};
+
+/**
+ * Update a DCA plan
+ * @param {string} planId - Plan ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated plan or null if not found
+ */
+export const updateDcaPlan = (planId, updates) => {
+    const plans = readPlans();
+    const index = plans.findIndex(plan => plan.id === planId);
+    if (index === -1) return null;
+
+    plans[index] = {
+        ...plans[index],
+        ...updates,
+        updatedAt: Date.now(),
+    };
+
+    return writePlans(plans) ? plans[index] : null;
+};
+
+/**
+ * Move a plan to its next execution slot
+ * Missed slots are not replayed: the next execution is one interval from now
+ * at the earliest, so a user returning after a week gets one buy, not seven.
+ * @param {Object} plan - DCA plan
+ * @param {Object} updates - Extra fields to store
+ * @returns {Object|null} Updated plan
+ */
+const advancePlan = (plan, updates = {}) => {
+    const now = Date.now();
+    const executionsDone = plan.executionsDone + 1;
+    const isComplete = executionsDone >= plan.totalExecutions;
+
+    return updateDcaPlan(plan.id, {
+        ...updates,
+        executionsDone,
+        nextExecutionAt: isComplete ? null : Math.max(plan.nextExecutionAt + plan.interval, now + plan.interval),
+        status: isComplete ? DCA_PLAN_STATUS.COMPLETED : plan.status,
+    });
+};
+
+/**
+ * Record a submitted execution for a plan, before it confirms
+ * The plan is not due again while the swap is pending.
+ * @param {string} planId - Plan ID
+ * @param {string} txHash - Swap transaction hash
+ * @returns {Object|null} Updated plan
+ */
+export const recordPendingDcaExecution = (planId, txHash) => {
+    const plan = getDcaPlan(planId);
+    if (!plan || plan.status !== DCA_PLAN_STATUS.ACTIVE) return null;
+    return updateDcaPlan(planId, { pendingTxHash: txHash, pendingSince: Date.now() });
+};
+
+/**
+ * Record a confirmed execution for a plan
+ * The swap itself is saved by SwapButton via saveSwapTransaction with dcaPlanId,
+ * or by reconcileDcaExecutions when the swap page was left before the receipt.
+ * Recording the same transaction twice counts it once.
+ * @param {string} planId - Plan ID
+ * @param {string} txHash - Swap transaction hash
+ * @returns {Object|null} Updated plan
+ */
+export const recordDcaExecution = (planId, txHash) => {
+    const plan = getDcaPlan(planId);
+    if (!plan || plan.status === DCA_PLAN_STATUS.CANCELLED || plan.status === DCA_PLAN_STATUS.COMPLETED) {
+        return null;
+    }
+    if (txHash && plan.lastTxHash === txHash) return plan;
+    return advancePlan(plan, { lastTxHash: txHash, lastExecutedAt: Date.now(), pendingTxHash: null, pendingSince: null });
+};
+
+/**
+ * Save the swap of a confirmed execution that SwapButton did not record
+ * @param {Object} plan - DCA plan
+ * @param {Object} receipt - Swap transaction receipt
+ * @param {Object} publicClient - Viem public client
+ */
+const saveExecutionSwap = async (plan, receipt, publicClient) => {
+    const recorded = getSwapHistory(plan.userAddress, plan.chainId).find(tx => tx.txHash === plan.pendingTxHash);
+    if (recorded?.status === 'completed') return;
+
+    const isNativeOut = plan.tokenOut.symbol === 'ETH' || plan.tokenOut.symbol === 'BNB';
+    const received = await getReceivedAmount({
+        publicClient,
+        receipt,
+        account: plan.userAddress,
+        tokenOut: plan.tokenOut,
+        isNative: isNativeOut,
+    });
+    saveSwapTransaction({
+        txHash: plan.pendingTxHash,
+        userAddress: plan.userAddress,
+        chainId: plan.chainId,
+        tokenIn: plan.tokenIn.symbol,
+        tokenOut: plan.tokenOut.symbol,
+        amountIn: plan.amountPerExecution,
+        amountOut: received !== null ? formatUnits(received, plan.tokenOut.decimals) : null,
+        dcaPlanId: plan.id,
+        status: 'completed',
+        timestamp: Date.now(),
+    });
+};
+
+/**
+ * Reconcile pending executions from their receipts
+ * Confirmed swaps are recorded as fills, reverted ones leave the execution due
+ * again, and swaps still without a receipt after PENDING_EXECUTION_TIMEOUT are
+ * treated as dropped.
+ * @param {string} address - User address
+ * @param {number} chainId - Chain ID
+ * @param {Object} options - Options
+ * @param {Object} options.publicClient - Viem public client
+ * @returns {Promise<Array>} Plans whose pending execution was resolved
+ */
+export const reconcileDcaExecutions = async (address, chainId, { publicClient = null } = {}) => {
+    if (!address || !publicClient) return [];
+
+    const resolved = [];
+    const pending = getDcaPlans(address, chainId).filter(plan => plan.pendingTxHash);
+    for (const plan of pending) {
+        let receipt = null;
+        try {
+            receipt = await publicClient.getTransactionReceipt({ hash: plan.pendingTxHash });
+        } catch (error) {
+            // Not mined yet
+        }
+
+        if (!receipt) {
+            if (Date.now() - plan.pendingSince > PENDING_EXECUTION_TIMEOUT) {
+                resolved.push(updateDcaPlan(plan.id, { pendingTxHash: null, pendingSince: null }));
+            }
+            continue;
+        }
+
+        if (receipt.status === 'success') {
+            try {
+                await saveExecutionSwap(plan, receipt, publicClient);
+            } catch (error) {
+                console.error('Failed to save DCA execution swap:', error);
+            }
+            resolved.push(recordDcaExecution(plan.id, plan.pendingTxHash));
+        } else {
+            updateSwapTransaction(plan.pendingTxHash, 'failed');
+            resolved.push(updateDcaPlan(plan.id, { pendingTxHash: null, pendingSince: null }));
+        }
+    }
+
+    return resolved.filter(Boolean);
+};
+
+/**
+ * Skip the current due execution (counts towards the total)
+ * @param {string} planId - Plan ID
+ * @returns {Object|null} Updated plan
+ */
+export const skipDcaExecution = (planId) => {
+    const plan = getDcaPlan(planId);
+    if (!plan || plan.status !== DCA_PLAN_STATUS.ACTIVE) return null;
+    return advancePlan(plan, { skippedExecutions: (plan.skippedExecutions || 0) + 1 });
+};
+
+/**
+ * Pause a plan
+ * @param {string} planId - Plan ID
+ * @returns {boolean} Success status
+ */
+export const pauseDcaPlan = (planId) => {
+    const plan = getDcaPlan(planId);
+    if (!plan || plan.status !== DCA_PLAN_STATUS.ACTIVE) return false;
+    return !!updateDcaPlan(planId, { status: DCA_PLAN_STATUS.PAUSED });
+};
+
+/**
+ * Resume a paused plan (next execution due immediately)
+ * @param {string} planId - Plan ID
+ * @returns {boolean} Success status
+ */
+export const resumeDcaPlan = (planId) => {
+    const plan = getDcaPlan(planId);
+    if (!plan || plan.status !== DCA_PLAN_STATUS.PAUSED) return false;
+    return !!updateDcaPlan(planId, { status: DCA_PLAN_STATUS.ACTIVE, nextExecutionAt: Date.now() });
+};
+
+/**
+ * Cancel a plan
+ * @param {string} planId - Plan ID
+ * @returns {boolean} Success status
+ */
+export const cancelDcaPlan = (planId) => {
+    return !!updateDcaPlan(planId, { status: DCA_PLAN_STATUS.CANCELLED, nextExecutionAt: null });
+};
+
+/**
+ * Get executions that are due now
+ * @param {string} address - User address
+ * @param {number} chainId - Chain ID
+ * @param {number} [now] - Current timestamp
+ * @returns {Array} Active plans whose next execution is due and not already submitted
+ */
+export const getDueDcaExecutions = (address, chainId, now = Date.now()) => {
+    if (!address) return [];
+    return getDcaPlans(address, chainId).filter(plan =>
+        plan.status === DCA_PLAN_STATUS.ACTIVE &&
+        !plan.pendingTxHash &&
+        plan.nextExecutionAt !== null &&
+        plan.nextExecutionAt <= now &&
+        plan.executionsDone < plan.totalExecutions
+    );
+};
+
+/**
+ * Get fills recorded for a plan in transactionHistory
+ * @param {Object} plan - DCA plan
+ * @returns {Array} Swap transactions with this dcaPlanId
+ */
+export const getDcaPlanFills = (plan) => {
+    return getSwapHistory(plan.userAddress, plan.chainId).filter(tx => tx.dcaPlanId === plan.id);
+};
+
+/**
+ * Average entry price of a plan
+ * Total tokenIn spent divided by total tokenOut received. Only confirmed
+ * fills count, priced with the amountOut read from their receipt.
+ * @param {Object} plan - DCA plan
+ * @returns {Object} { averagePrice, totalIn, totalOut, fills } (averagePrice null without fills)
+ */
+export const getDcaAverageEntryPrice = (plan) => {
+    const fills = getDcaPlanFills(plan).filter(tx => tx.status === 'completed');
+
+    let totalIn = 0;
+    let totalOut = 0;
+    fills.forEach(tx => {
+        const amountIn = parseFloat(tx.amountIn);
+        const amountOut = parseFloat(tx.amountOut);
+        if (amountIn > 0 && amountOut > 0) {
+            totalIn += amountIn;
+            totalOut += amountOut;
+        }
+    });
+
+    return {
+        averagePrice: totalOut > 0 ? totalIn / totalOut : null,
+        totalIn,
+        totalOut,
+        fills: fills.length,
+    };
+};
+
+export default {
+    DCA_PLAN_STATUS,
+    DCA_INTERVAL_OPTIONS,
+    getDcaPlans,
+    getDcaPlan,
+    createDcaPlan,
+    updateDcaPlan,
+    recordPendingDcaExecution,
+    recordDcaExecution,
+    reconcileDcaExecutions,
+    skipDcaExecution,
+    pauseDcaPlan,
+    resumeDcaPlan,
+    cancelDcaPlan,
+    getDueDcaExecutions,
+    getDcaPlanFills,
+    getDcaAverageEntryPrice,
+};
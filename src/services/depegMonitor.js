@@ -0,0 +1,129 @@
+/**
+ * Stablecoin Depeg Monitor
+ * Checks stablecoin prices from the price oracle against their $1 peg.
+ * A stablecoin whose price strays outside the configured band (percent) is
+ * reported as depegged, so swap, liquidity and portfolio screens can warn
+ * and swaps widen their slippage with getRecommendedSlippage.
+ */
+
+import { getTokenPriceDetails } from './priceOracle';
+
+const STORAGE_KEY = 'depegBand';
+
+export const STABLECOINS = ['USDC', 'USDT', 'BUSDT', 'DAI'];
+
+export const PEG_PRICE = 1;
+export const DEFAULT_DEPEG_BAND_PERCENT = 1;
+export const MIN_DEPEG_BAND_PERCENT = 0.1;
+export const MAX_DEPEG_BAND_PERCENT = 10;
+
+/**
+ * Check whether a token symbol is a monitored stablecoin
+ * @param {string} symbol - Token symbol
+ * @returns {boolean}
+ */
+export const isStablecoin = (symbol) => {
+    return !!symbol && STABLECOINS.includes(symbol.toUpperCase());
+};
+
+/**
+ * Get the depeg band
+ * @returns {number} Band in percent (1 = ±1% around $1)
+ */
+export const getDepegBand = () => {
+    const saved = parseFloat(localStorage.getItem(STORAGE_KEY));
+    if (saved >= MIN_DEPEG_BAND_PERCENT && saved <= MAX_DEPEG_BAND_PERCENT) {
+        return saved;
+    }
+    return DEFAULT_DEPEG_BAND_PERCENT;
+};
+
+/**
+ * Check whether a depeg band is within the allowed range
+ * @param {number|string} bandPercent - Band in percent
+ * @returns {boolean}
+ */
+export const isValidDepegBand = (bandPercent) => {
+    const band = parseFloat(bandPercent);
+    return band >= MIN_DEPEG_BAND_PERCENT && band <= MAX_DEPEG_BAND_PERCENT;
+};
+
+/**
+ * Save the depeg band
+ * @param {number} bandPercent - Band in percent
+ * @returns {boolean} Success status
+ */
+export const setDepegBand = (bandPercent) => {
+    if (!isValidDepegBand(bandPercent)) return false;
+    const band = parseFloat(bandPercent);
+
+    try {
+        localStorage.setItem(STORAGE_KEY, String(band));
+        return true;
+    } catch (error) {
+        console.error('Error saving depeg band:', error);
+        return false;
+    }
+};
+
+/**
+ * Get the deviation of a price from the peg
+ * @param {number} price - USD price
+ * @returns {number} Deviation in percent (negative below the peg)
+ */
+export const getPegDeviation = (price) => {
+    return ((price - PEG_PRICE) / PEG_PRICE) * 100;
+};
+
+/**
+ * Check a single stablecoin against its peg
+ * @param {string} symbol - Stablecoin symbol
+ * @param {Object} [options] - { chainId, band }
+ * @returns {Promise<Object|null>} { symbol, price, deviation, isDepegged, source, confidence } or null if unpriced
+ */
+export const checkStablecoin = async (symbol, { chainId = null, band = getDepegBand() } = {}) => {
+    const details = await getTokenPriceDetails(symbol, { chainId });
+    if (!details?.price) return null;
+
+    const deviation = getPegDeviation(details.price);
+    return {
+        symbol: symbol.toUpperCase(),
+        price: details.price,
+        deviation,
+        isDepegged: Math.abs(deviation) > band,
+        source: details.source,
+        confidence: details.confidence,
+    };
+};
+
+/**
+ * Check stablecoins and return the ones outside the band
+ * Non-stablecoin symbols are ignored, so a swap pair can be passed directly.
+ * @param {string[]} [symbols] - Symbols to check, defaults to all monitored stablecoins
+ * @param {Object} [options] - { chainId, band }
+ * @returns {Promise<Array>} Depegged stablecoins (see checkStablecoin)
+ */
+export const getDepeggedStablecoins = async (symbols = STABLECOINS, options = {}) => {
+    const stablecoins = [...new Set(symbols.filter(isStablecoin).map(symbol => symbol.toUpperCase()))];
+    const results = await Promise.all(stablecoins.map(async (symbol) => {
+        try {
+            return await checkStablecoin(symbol, options);
+        } catch (error) {
+            console.warn(`Failed to check ${symbol} peg:`, error);
+            return null;
+        }
+    }));
+    return results.filter(result => result?.isDepegged);
+};
+
+export default {
+    STABLECOINS,
+    DEFAULT_DEPEG_BAND_PERCENT,
+    isStablecoin,
+    isValidDepegBand,
+    getDepegBand,
+    setDepegBand,
+    getPegDeviation,
+    checkStablecoin,
+    getDepeggedStablecoins,
+};
@@ -80,9 +80,10 @@ export const getFeeBreakdown = async (amount, address, chainId) => {
  * Format fee for display
  * @param {Object} feeBreakdown - Fee breakdown object
  * @param {string} tokenSymbol - Token symbol
+ * @param {Function} [formatValue] - (tokenAmount) => fiat string; adds a `fiat` entry with the fee values
  * @returns {Object} Formatted fee strings
  */
-export const formatFeeForDisplay = (feeBreakdown, tokenSymbol) => {
+export const formatFeeForDisplay = (feeBreakdown, tokenSymbol, formatValue = null) => {
     return {
         total: `${feeBreakdown.total.toFixed(6)} ${tokenSymbol}`,
         graphics: `${feeBreakdown.graphics.toFixed(6)} ${tokenSymbol}`,
@@ -93,6 +94,14 @@ export const formatFeeForDisplay = (feeBreakdown, tokenSymbol) => {
             : null,
         tier: feeBreakdown.tier,
         multiplier: feeBreakdown.multiplier,
+        fiat: formatValue
+            ? {
+                total: formatValue(feeBreakdown.total),
+                graphics: formatValue(feeBreakdown.graphics),
+                corporation: formatValue(feeBreakdown.corporation),
+                referral: formatValue(feeBreakdown.referral),
+            }
+            : null,
     };
 };
 
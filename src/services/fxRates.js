@@ -0,0 +1,210 @@
+/**
+ * FX Rates Service
+ * Converts USD values into the user's display currency.
+ *
+ * Rates are fetched from a pluggable provider (open.er-api.com by default),
+ * cached for an hour and kept in localStorage so the last known rates can be
+ * used when the provider is unreachable.
+ *
+ * A provider is { name, fetchRates() } resolving to { [currencyCode]: unitsPerUsd }.
+ */
+
+import axios from 'axios';
+
+// Supported display currencies and the locale used to format them
+export const SUPPORTED_CURRENCIES = {
+    USD: { name: 'US Dollar', locale: 'en-US' },
+    EUR: { name: 'Euro', locale: 'de-DE' },
+    GBP: { name: 'British Pound', locale: 'en-GB' },
+    JPY: { name: 'Japanese Yen', locale: 'ja-JP' },
+    MXN: { name: 'Mexican Peso', locale: 'es-MX' },
+    CAD: { name: 'Canadian Dollar', locale: 'en-CA' },
+    AUD: { name: 'Australian Dollar', locale: 'en-AU' },
+    CHF: { name: 'Swiss Franc', locale: 'de-CH' },
+    BRL: { name: 'Brazilian Real', locale: 'pt-BR' },
+    INR: { name: 'Indian Rupee', locale: 'en-IN' },
+};
+
+export const DEFAULT_CURRENCY = 'USD';
+
+// Fired on window when the preferred currency changes
+export const CURRENCY_CHANGE_EVENT = 'currencychange';
+
+const CURRENCY_STORAGE_KEY = 'currency';
+const RATES_STORAGE_KEY = 'fxRates';
+const CACHE_DURATION = 60 * 60 * 1000; // 1 hour
+
+/**
+ * open.er-api.com latest USD rates (free, no API key)
+ */
+export const exchangeRateApiProvider = {
+    name: 'open.er-api',
+    fetchRates: async () => {
+        const response = await axios.get('https://open.er-api.com/v6/latest/USD', { timeout: 10000 });
+        if (response.data?.result !== 'success' || !response.data?.rates) {
+            throw new Error('Invalid FX rate response');
+        }
+        return response.data.rates;
+    },
+};
+
+let activeProvider = exchangeRateApiProvider;
+
+// { rates, fetchedAt, provider }
+let rateCache = null;
+let pendingFetch = null;
+
+/**
+ * Check whether a currency code is supported
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean} True if supported
+ */
+export const isSupportedCurrency = (currency) => Boolean(currency && SUPPORTED_CURRENCIES[currency]);
+
+/**
+ * Get the user's display currency
+ * @returns {string} ISO 4217 code, USD when unset or unsupported
+ */
+export const getPreferredCurrency = () => {
+    try {
+        const saved = localStorage.getItem(CURRENCY_STORAGE_KEY);
+        return isSupportedCurrency(saved) ? saved : DEFAULT_CURRENCY;
+    } catch {
+        return DEFAULT_CURRENCY;
+    }
+};
+
+/**
+ * Set the user's display currency and notify listeners
+ * @param {string} currency - ISO 4217 code
+ * @returns {boolean} True if saved
+ */
+export const setPreferredCurrency = (currency) => {
+    if (!isSupportedCurrency(currency)) return false;
+
+    try {
+        localStorage.setItem(CURRENCY_STORAGE_KEY, currency);
+    } catch (error) {
+        console.warn('Failed to save currency preference:', error);
+        return false;
+    }
+    window.dispatchEvent(new CustomEvent(CURRENCY_CHANGE_EVENT, { detail: { currency } }));
+    return true;
+};
+
+/**
+ * Load rates persisted by an earlier session
+ * @returns {Object|null} Cached entry for the active provider, or null
+ */
+const loadStoredRates = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(RATES_STORAGE_KEY));
+        return stored?.provider === activeProvider.name && stored.rates ? stored : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Fetch fresh rates from the provider, sharing one request between callers
+ * @returns {Promise<Object>} Cache entry
+ */
+const refreshRates = () => {
+    if (!pendingFetch) {
+        pendingFetch = activeProvider.fetchRates()
+            .then((rates) => {
+                rateCache = { rates: { ...rates, USD: 1 }, fetchedAt: Date.now(), provider: activeProvider.name };
+                try {
+                    localStorage.setItem(RATES_STORAGE_KEY, JSON.stringify(rateCache));
+                } catch (error) {
+                    console.warn('Failed to persist FX rates:', error);
+                }
+                return rateCache;
+            })
+            .finally(() => {
+                pendingFetch = null;
+            });
+    }
+    return pendingFetch;
+};
+
+/**
+ * Get USD exchange rates
+ * Falls back to the last known rates when the provider fails.
+ * @returns {Promise<Object>} { [currencyCode]: unitsPerUsd }, at least { USD: 1 }
+ */
+export const getFxRates = async () => {
+    if (!rateCache) {
+        rateCache = loadStoredRates();
+    }
+    if (rateCache && Date.now() - rateCache.fetchedAt < CACHE_DURATION) {
+        return rateCache.rates;
+    }
+
+    try {
+        return (await refreshRates()).rates;
+    } catch (error) {
+        console.warn(`Failed to fetch FX rates from ${activeProvider.name}:`, error.message);
+        return rateCache?.rates || { USD: 1 };
+    }
+};
+
+/**
+ * Get the rate from USD to a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {Promise<number|null>} Units of currency per USD, or null when unknown
+ */
+export const getFxRate = async (currency) => {
+    if (!currency || currency === DEFAULT_CURRENCY) return 1;
+
+    const rates = await getFxRates();
+    const rate = rates[currency];
+    return Number.isFinite(rate) && rate > 0 ? rate : null;
+};
+
+/**
+ * Convert a USD amount into a currency
+ * @param {number} amount - USD amount
+ * @param {string} currency - ISO 4217 code
+ * @returns {Promise<number|null>} Converted amount, or null when the rate is unknown
+ */
+export const convertFromUsd = async (amount, currency) => {
+    const rate = await getFxRate(currency);
+    return rate === null ? null : amount * rate;
+};
+
+/**
+ * Replace the rate provider
+ * Cached rates belong to the previous provider, so they are dropped.
+ * @param {Object|null} provider - { name, fetchRates }, or null for the default
+ */
+export const setFxRateProvider = (provider) => {
+    activeProvider = provider || exchangeRateApiProvider;
+    rateCache = null;
+    pendingFetch = null;
+};
+
+/**
+ * Clear cached rates
+ */
+export const clearFxRateCache = () => {
+    rateCache = null;
+    pendingFetch = null;
+    try {
+        localStorage.removeItem(RATES_STORAGE_KEY);
+    } catch {
+        // Storage unavailable; nothing persisted
+    }
+};
+
+export default {
+    SUPPORTED_CURRENCIES,
+    DEFAULT_CURRENCY,
+    getPreferredCurrency,
+    setPreferredCurrency,
+    getFxRates,
+    getFxRate,
+    convertFromUsd,
+    setFxRateProvider,
+    clearFxRateCache,
+};
@@ -0,0 +1,381 @@
+/**
+ * Limit Order Service
+ * Manages client-side limit orders in localStorage, per address and chain.
+ * Orders are not held by a contract: a watcher compares open orders against
+ * on-chain quotes (or priceOracle prices) and prompts the user to execute
+ * the swap once the target price is reached.
+ */
+
+import { parseUnits } from 'viem';
+import { getTokenPrices } from './priceOracle';
+import { getOnChainQuote } from './onChainQuote';
+import { findTokenBySymbol } from '../config/tokenLists';
+
+const STORAGE_KEY = 'limitOrders';
+const MAX_ORDERS = 200;
+
+export const LIMIT_ORDER_STATUS = {
+    OPEN: 'open',
+    TRIGGERED: 'triggered',
+    EXECUTED: 'executed',
+    CANCELLED: 'cancelled',
+    EXPIRED: 'expired',
+};
+
+// Expiry presets offered in the limit order form
+export const LIMIT_ORDER_EXPIRY_OPTIONS = [
+    { label: '1 hour', value: 60 * 60 * 1000 },
+    { label: '1 day', value: 24 * 60 * 60 * 1000 },
+    { label: '7 days', value: 7 * 24 * 60 * 60 * 1000 },
+    { label: '30 days', value: 30 * 24 * 60 * 60 * 1000 },
+];
+
+/**
+ * Read all orders from localStorage
+ * @returns {Array} All limit orders
+ */
+const readOrders = () => {
+    try {
+        const ordersJson = localStorage.getItem(STORAGE_KEY);
+        return ordersJson ? JSON.parse(ordersJson) : [];
+    } catch (error) {
+        console.error('Error reading limit orders:', error);
+        return [];
+    }
+};
+
+/**
+ * Drop the oldest closed orders beyond MAX_ORDERS
+ * Open and triggered orders are always kept.
+ * @param {Array} orders - All limit orders
+ * @returns {Array} Orders to keep, in their original order
+ */
+const pruneOrders = (orders) => {
+    if (orders.length <= MAX_ORDERS) return orders;
+
+    const isActive = (order) => order.status === LIMIT_ORDER_STATUS.OPEN || order.status === LIMIT_ORDER_STATUS.TRIGGERED;
+    const closed = orders
+        .filter(order => !isActive(order))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    const keptClosed = new Set(closed.slice(0, Math.max(0, MAX_ORDERS - (orders.length - closed.length))));
+
+    return orders.filter(order => isActive(order) || keptClosed.has(order));
+};
+
+/**
+ * Write all orders to localStorage
+ * @param {Array} orders - All limit orders
+ * @returns {boolean} Success status
+ */
+const writeOrders = (orders) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(pruneOrders(orders)));
+        return true;
+    } catch (error) {
+        console.error('Error saving limit orders:', error);
+        return false;
+    }
+};
+
+/**
+ * Pick the persisted token fields
+ * @param {Object} token - Token object
+ * @returns {Object} { symbol, address, decimals }
+ */
+const toOrderToken = (token) => ({
+    symbol: token.symbol,
+    address: token.address,
+    decimals: token.decimals || 18,
+});
+
+/**
+ * Get limit orders
+ * @param {string} address - Optional: filter by address
+ * @param {number} chainId - Optional: filter by chain
+ * @returns {Array} Orders, newest first
+ */
+export const getLimitOrders = (address = null, chainId = null) => {
+    let orders = readOrders();
+
+    if (address) {
+        orders = orders.filter(order => order.userAddress?.toLowerCase() === address.toLowerCase());
+    }
+
+    if (chainId) {
+        orders = orders.filter(order => order.chainId === chainId);
+    }
+
+    return orders.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+/**
+ * Create a limit order
+ * @param {Object} order - Order params
+ * @param {string} order.userAddress - User address
+ * @param {number} order.chainId - Chain ID
+ * @param {Object} order.tokenIn - Token to sell { symbol, address, decimals }
+ * @param {Object} order.tokenOut - Token to buy { symbol, address, decimals }
+ * @param {string} order.amountIn - Amount of tokenIn to sell
+ * @param {number} order.targetPrice - Minimum tokenOut received per tokenIn
+ * @param {number} order.expiresAt - Expiry timestamp (ms)
+ * @returns {Object|null} Created order or null if invalid
+ */
+export const createLimitOrder = ({ userAddress, chainId, tokenIn, tokenOut, amountIn, targetPrice, expiresAt }) => {
+    const price = parseFloat(targetPrice);
+    if (!userAddress || !chainId || !tokenIn?.address || !tokenOut?.address || !(parseFloat(amountIn) > 0) || !(price > 0)) {
+        return null;
+    }
+
+    const now = Date.now();
+    const order = {
+        id: `lo_${now}_${Math.random().toString(36).slice(2, 8)}`,
+        userAddress,
+        chainId,
+        tokenIn: toOrderToken(tokenIn),
+        tokenOut: toOrderToken(tokenOut),
+        amountIn: String(amountIn),
+        targetPrice: price,
+        expiresAt: expiresAt || now + LIMIT_ORDER_EXPIRY_OPTIONS[1].value,
+        status: LIMIT_ORDER_STATUS.OPEN,
+        createdAt: now,
+    };
+
+    const orders = readOrders();
+    orders.unshift(order);
+    return writeOrders(orders) ? order : null;
+};
+
+/**
+ * Update a limit order
+ * @param {string} id - Order ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object|null} Updated order or null if not found
+ */
+export const updateLimitOrder = (id, updates) => {
+    const orders = readOrders();
+    const index = orders.findIndex(order => order.id === id);
+    if (index === -1) return null;
+
+    orders[index] = {
+        ...orders[index],
+        ...updates,
+        updatedAt: Date.now(),
+    };
+
+    return writeOrders(orders) ? orders[index] : null;
+};
+
+/**
+ * Edit target price and/or expiry of an open order
+ * Editing a triggered order re-opens it against the new target.
+ * @param {string} id - Order ID
+ * @param {Object} changes - { targetPrice, expiresAt, amountIn }
+ * @returns {Object|null} Updated order or null if not editable
+ */
+export const editLimitOrder = (id, { targetPrice, expiresAt, amountIn } = {}) => {
+    const order = readOrders().find(item => item.id === id);
+    if (!order || ![LIMIT_ORDER_STATUS.OPEN, LIMIT_ORDER_STATUS.TRIGGERED].includes(order.status)) {
+        return null;
+    }
+
+    const updates = { status: LIMIT_ORDER_STATUS.OPEN, triggeredPrice: null, triggeredAt: null };
+    if (targetPrice !== undefined) {
+        const price = parseFloat(targetPrice);
+        if (!(price > 0)) return null;
+        updates.targetPrice = price;
+    }
+    if (amountIn !== undefined) {
+        if (!(parseFloat(amountIn) > 0)) return null;
+        updates.amountIn = String(amountIn);
+    }
+    if (expiresAt !== undefined) {
+        updates.expiresAt = expiresAt;
+    }
+
+    return updateLimitOrder(id, updates);
+};
+
+/**
+ * Cancel a limit order
+ * @param {string} id - Order ID
+ * @returns {boolean} Success status
+ */
+export const cancelLimitOrder = (id) => {
+    return !!updateLimitOrder(id, { status: LIMIT_ORDER_STATUS.CANCELLED });
+};
+
+/**
+ * Mark an order as executed (user accepted the execution prompt)
+ * @param {string} id - Order ID
+ * @returns {boolean} Success status
+ */
+export const markLimitOrderExecuted = (id) => {
+    return !!updateLimitOrder(id, { status: LIMIT_ORDER_STATUS.EXECUTED, executedAt: Date.now() });
+};
+
+/**
+ * Check whether an order's target price is reached
+ * Orders sell tokenIn, so the target is hit when the market pays at least the target.
+ * @param {Object} order - Limit order
+ * @param {number} currentPrice - tokenOut per tokenIn
+ * @returns {boolean} True if the order should execute
+ */
+export const isTargetReached = (order, currentPrice) => {
+    if (!order || !currentPrice || !(currentPrice > 0)) return false;
+    return currentPrice >= order.targetPrice;
+};
+
+/**
+ * Check whether an order has expired
+ * @param {Object} order - Limit order
+ * @param {number} [now] - Current timestamp
+ * @returns {boolean} True if expired
+ */
+export const isLimitOrderExpired = (order, now = Date.now()) => {
+    return !!order.expiresAt && order.expiresAt <= now;
+};
+
+/**
+ * Native tokens are quoted through their wrapped version (WETH, WBNB, ...)
+ * @param {number} chainId - Chain ID
+ * @param {Object} token - Order token
+ * @returns {string} Quotable token address
+ */
+const getQuoteAddress = (chainId, token) => {
+    if (token.address !== 'ETH' && token.symbol !== 'ETH' && token.symbol !== 'BNB') {
+        return token.address;
+    }
+    return findTokenBySymbol(chainId, `W${token.symbol}`)?.address || token.address;
+};
+
+/**
+ * Get the current execution price for an order
+ * Prefers an on-chain quote for the order size (includes fees and price impact),
+ * falling back to the priceOracle USD price ratio.
+ * @param {Object} order - Limit order
+ * @param {Object} [options] - Options
+ * @param {Object} [options.publicClient] - Viem public client
+ * @returns {Promise<Object|null>} { price, source } or null if unavailable
+ */
+export const getLimitOrderPrice = async (order, { publicClient = null } = {}) => {
+    if (publicClient) {
+        try {
+            const amountIn = parseUnits(order.amountIn, order.tokenIn.decimals);
+            const quote = await getOnChainQuote({
+                publicClient,
+                chainId: order.chainId,
+                tokenIn: getQuoteAddress(order.chainId, order.tokenIn),
+                tokenOut: getQuoteAddress(order.chainId, order.tokenOut),
+                amountIn,
+            });
+            if (quote?.amountOut) {
+                const amountOut = Number(quote.amountOut) / 10 ** order.tokenOut.decimals;
+                return { price: amountOut / parseFloat(order.amountIn), source: 'on-chain' };
+            }
+        } catch (error) {
+            console.warn('Failed to quote limit order on-chain:', error);
+        }
+    }
+
+    const prices = await getTokenPrices([order.tokenIn.symbol, order.tokenOut.symbol], { chainId: order.chainId });
+    const priceIn = prices[order.tokenIn.symbol];
+    const priceOut = prices[order.tokenOut.symbol];
+    if (!priceIn || !priceOut) return null;
+
+    return { price: priceIn / priceOut, source: 'oracle' };
+};
+
+/**
+ * Get the least tokenOut a swap may return to fill an order at its target price
+ * @param {Object} order - Limit order
+ * @param {string} [amountIn] - Amount of tokenIn swapped, defaults to the order's amount
+ * @returns {bigint|null} Minimum tokenOut in base units, or null for invalid amounts
+ */
+export const getLimitOrderMinAmountOut = (order, amountIn = order?.amountIn) => {
+    if (!order || !(parseFloat(amountIn) > 0) || !(order.targetPrice > 0)) return null;
+
+    const amountInUnits = parseUnits(String(amountIn), order.tokenIn.decimals);
+    const targetPrice = parseUnits(order.targetPrice.toFixed(18), 18);
+    // Round up so the swap never fills below the target
+    const scale = 10n ** BigInt(18 + order.tokenIn.decimals);
+    return (amountInUnits * targetPrice * 10n ** BigInt(order.tokenOut.decimals) + scale - 1n) / scale;
+};
+
+/**
+ * Check open orders for an address and chain
+ * Expires stale orders, marks orders whose target is reached as triggered and
+ * re-opens triggered orders whose price fell back below the target.
+ * @param {string} address - User address
+ * @param {number} chainId - Chain ID
+ * @param {Object} [options] - Options passed to getLimitOrderPrice
+ * @returns {Promise<Array>} Orders that are triggered and waiting for execution
+ */
+export const checkLimitOrders = async (address, chainId, options = {}) => {
+    if (!address || !chainId) return [];
+
+    const now = Date.now();
+    const orders = getLimitOrders(address, chainId).filter(order =>
+        order.status === LIMIT_ORDER_STATUS.OPEN || order.status === LIMIT_ORDER_STATUS.TRIGGERED
+    );
+
+    const triggered = [];
+    for (const order of orders) {
+        if (isLimitOrderExpired(order, now)) {
+            updateLimitOrder(order.id, { status: LIMIT_ORDER_STATUS.EXPIRED });
+            continue;
+        }
+
+        const current = await getLimitOrderPrice(order, options);
+
+        // Triggered orders are re-checked so one is only offered while its target holds
+        if (order.status === LIMIT_ORDER_STATUS.TRIGGERED) {
+            if (current && !isTargetReached(order, current.price)) {
+                updateLimitOrder(order.id, { status: LIMIT_ORDER_STATUS.OPEN, triggeredPrice: null, triggeredAt: null });
+            } else {
+                triggered.push(order);
+            }
+            continue;
+        }
+
+        if (current && isTargetReached(order, current.price)) {
+            triggered.push(updateLimitOrder(order.id, {
+                status: LIMIT_ORDER_STATUS.TRIGGERED,
+                triggeredPrice: current.price,
+                triggeredPriceSource: current.source,
+                triggeredAt: now,
+            }));
+        }
+    }
+
+    return triggered.filter(Boolean);
+};
+
+/**
+ * Clear limit orders
+ * @param {string} address - Optional: clear only for specific address
+ * @returns {boolean} Success status
+ */
+export const clearLimitOrders = (address = null) => {
+    if (!address) {
+        localStorage.removeItem(STORAGE_KEY);
+        return true;
+    }
+    return writeOrders(readOrders().filter(order => order.userAddress?.toLowerCase() !== address.toLowerCase()));
+};
+
+export default {
+    LIMIT_ORDER_STATUS,
+    LIMIT_ORDER_EXPIRY_OPTIONS,
+    getLimitOrders,
+    createLimitOrder,
+    updateLimitOrder,
+    editLimitOrder,
+    cancelLimitOrder,
+    markLimitOrderExecuted,
+    isTargetReached,
+    isLimitOrderExpired,
+    getLimitOrderPrice,
+    getLimitOrderMinAmountOut,
+    checkLimitOrders,
+    clearLimitOrders,
+};
@@ -4,6 +4,7 @@
  */
 
 import { parseAbi, formatUnits } from 'viem';
+import { isRpcMismatchError } from '../utils/chainErrors';
 
 // Standard Uniswap V2 Pair ABI
 const PAIR_ABI = parseAbi([
@@ -67,6 +68,7 @@ export const getPairAddress = async (publicClient, factoryAddress, tokenA, token
  * @param {Object} publicClient - Viem public client
  * @param {string} pairAddress - Pair contract address
  * @returns {Promise<Object|null>} Reserves { reserve0, reserve1, token0, token1 } or null
+ * @throws {Error} When read through a quorum client whose endpoints disagree
  */
 export const getPoolReserves = async (publicClient, pairAddress) => {
     if (!publicClient || !pairAddress) return null;
@@ -97,6 +99,8 @@ export const getPoolReserves = async (publicClient, pairAddress) => {
             token1,
         };
     } catch (error) {
+        // Callers reading through a quorum client must see disagreement
+        if (isRpcMismatchError(error)) throw error;
         console.warn('Failed to get pool reserves:', error);
         return null;
     }
@@ -120,6 +124,8 @@ export const getPoolTotalSupply = async (publicClient, pairAddress) => {
         
         return totalSupply;
     } catch (error) {
+        // Callers reading through a quorum client must see disagreement
+        if (isRpcMismatchError(error)) throw error;
         console.warn('Failed to get pool total supply:', error);
         return null;
     }
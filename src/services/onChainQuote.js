@@ -0,0 +1,395 @@
+/**
+ * On-chain Quote Service
+ * Computes swap quotes locally from pair reserves (Uniswap V2 style) or the
+ * router's getAmountsOut, so swaps can still be quoted when the quote API is down.
+ * Pairs come from the Mango factory or the chain's public DEX factory (config/pairFactories).
+ * Mango's swap fee (feeService) is deducted from the input before quoting.
+ * Reverse quotes (exact output) work the same way through getAmountsIn, with
+ * the fee added back on top of the required input.
+ */
+
+import { parseAbi } from 'viem';
+import chainConfig from './chainConfig';
+import { getPairAddress, getPoolReserves } from './liquidityPool';
+import { calculateSwapFee } from './feeService';
+import { getPairFactoryAddress } from '../config/pairFactories';
+
+export const ON_CHAIN_ESTIMATE_SOURCE = 'on-chain-estimate';
+
+// Uniswap V2 pairs charge 0.3% on input
+const PAIR_FEE_NUMERATOR = 997n;
+const PAIR_FEE_DENOMINATOR = 1000n;
+const BASIS_POINTS = 10000n;
+
+const ROUTER_ABI = parseAbi([
+    'function getAmountsOut(uint256 amountIn, address[] path) external view returns (uint256[] amounts)',
+    'function getAmountsIn(uint256 amountOut, address[] path) external view returns (uint256[] amounts)',
+]);
+
+/**
+ * Get Mango swap fee in basis points for a whitelist tier
+ * @param {string} tier - Whitelist tier
+ * @returns {bigint} Fee in basis points (300n = 3%)
+ */
+export const getSwapFeeBasisPoints = (tier = 'None') => {
+    const { total } = calculateSwapFee(1, tier);
+    return BigInt(Math.round(total * Number(BASIS_POINTS)));
+};
+
+/**
+ * Deduct the Mango swap fee from an input amount
+ * @param {bigint} amountIn - Input amount (smallest unit)
+ * @param {string} tier - Whitelist tier
+ * @returns {Object} { amountAfterFee, feeAmount }
+ */
+export const applySwapFee = (amountIn, tier = 'None') => {
+    const feeAmount = (amountIn * getSwapFeeBasisPoints(tier)) / BASIS_POINTS;
+    return {
+        amountAfterFee: amountIn - feeAmount,
+        feeAmount,
+    };
+};
+
+/**
+ * Add the Mango swap fee on top of a net input amount (inverse of applySwapFee)
+ * Rounds up so that applySwapFee(gross) still covers the net amount.
+ * @param {bigint} amountAfterFee - Input amount that must reach the pool
+ * @param {string} tier - Whitelist tier
+ * @returns {Object} { amountIn, feeAmount }
+ */
+export const addSwapFee = (amountAfterFee, tier = 'None') => {
+    const denominator = BASIS_POINTS - getSwapFeeBasisPoints(tier);
+    const amountIn = (amountAfterFee * BASIS_POINTS + denominator - 1n) / denominator;
+    return {
+        amountIn,
+        feeAmount: amountIn - amountAfterFee,
+    };
+};
+
+/**
+ * Constant product output amount (includes the 0.3% pair fee)
+ * @param {bigint} amountIn - Input amount
+ * @param {bigint} reserveIn - Reserve of input token
+ * @param {bigint} reserveOut - Reserve of output token
+ * @returns {bigint} Output amount
+ */
+export const getAmountOutFromReserves = (amountIn, reserveIn, reserveOut) => {
+    if (!amountIn || !reserveIn || !reserveOut || amountIn <= 0n || reserveIn <= 0n || reserveOut <= 0n) {
+        return 0n;
+    }
+
+    const amountInWithFee = amountIn * PAIR_FEE_NUMERATOR;
+    const numerator = amountInWithFee * reserveOut;
+    const denominator = reserveIn * PAIR_FEE_DENOMINATOR + amountInWithFee;
+    return numerator / denominator;
+};
+
+/**
+ * Constant product input amount required for an exact output (includes the 0.3% pair fee)
+ * @param {bigint} amountOut - Desired output amount
+ * @param {bigint} reserveIn - Reserve of input token
+ * @param {bigint} reserveOut - Reserve of output token
+ * @returns {bigint} Input amount, or 0n when the output exceeds the reserve
+ */
+export const getAmountInFromReserves = (amountOut, reserveIn, reserveOut) => {
+    if (!amountOut || !reserveIn || !reserveOut || amountOut <= 0n || reserveIn <= 0n || amountOut >= reserveOut) {
+        return 0n;
+    }
+
+    const numerator = reserveIn * amountOut * PAIR_FEE_DENOMINATOR;
+    const denominator = (reserveOut - amountOut) * PAIR_FEE_NUMERATOR;
+    return numerator / denominator + 1n;
+};
+
+/**
+ * Price impact of a trade against pair reserves
+ * Compares the execution price with the spot price before the trade.
+ * @param {bigint} amountIn - Input amount
+ * @param {bigint} amountOut - Output amount
+ * @param {bigint} reserveIn - Reserve of input token
+ * @param {bigint} reserveOut - Reserve of output token
+ * @returns {number} Price impact percentage
+ */
+export const calculateReservePriceImpact = (amountIn, amountOut, reserveIn, reserveOut) => {
+    if (!amountIn || !amountOut || !reserveIn || !reserveOut) return 0;
+
+    const spotPrice = Number(reserveOut) / Number(reserveIn);
+    const executionPrice = Number(amountOut) / Number(amountIn);
+    if (spotPrice === 0) return 0;
+
+    const impact = (1 - executionPrice / spotPrice) * 100;
+    return Math.max(0, impact);
+};
+
+/**
+ * Quote a single hop from pair reserves
+ * @param {Object} publicClient - Viem public client
+ * @param {string} factoryAddress - Factory contract address
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {bigint} amountIn - Input amount (after fee)
+ * @returns {Promise<Object|null>} { amountOut, priceImpact, pairAddress } or null
+ */
+export const quoteFromReserves = async (publicClient, factoryAddress, tokenIn, tokenOut, amountIn) => {
+    const pairAddress = await getPairAddress(publicClient, factoryAddress, tokenIn, tokenOut);
+    if (!pairAddress) return null;
+
+    const reserves = await getPoolReserves(publicClient, pairAddress);
+    if (!reserves) return null;
+
+    const isTokenInFirst = reserves.token0.toLowerCase() === tokenIn.toLowerCase();
+    const reserveIn = BigInt(isTokenInFirst ? reserves.reserve0 : reserves.reserve1);
+    const reserveOut = BigInt(isTokenInFirst ? reserves.reserve1 : reserves.reserve0);
+
+    const amountOut = getAmountOutFromReserves(amountIn, reserveIn, reserveOut);
+    if (amountOut === 0n) return null;
+
+    return {
+        amountOut,
+        priceImpact: calculateReservePriceImpact(amountIn, amountOut, reserveIn, reserveOut),
+        pairAddress,
+    };
+};
+
+/**
+ * Reverse-quote a single hop from pair reserves
+ * @param {Object} publicClient - Viem public client
+ * @param {string} factoryAddress - Factory contract address
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {bigint} amountOut - Desired output amount
+ * @returns {Promise<Object|null>} { amountIn, priceImpact, pairAddress } or null
+ */
+export const reverseQuoteFromReserves = async (publicClient, factoryAddress, tokenIn, tokenOut, amountOut) => {
+    const pairAddress = await getPairAddress(publicClient, factoryAddress, tokenIn, tokenOut);
+    if (!pairAddress) return null;
+
+    const reserves = await getPoolReserves(publicClient, pairAddress);
+    if (!reserves) return null;
+
+    const isTokenInFirst = reserves.token0.toLowerCase() === tokenIn.toLowerCase();
+    const reserveIn = BigInt(isTokenInFirst ? reserves.reserve0 : reserves.reserve1);
+    const reserveOut = BigInt(isTokenInFirst ? reserves.reserve1 : reserves.reserve0);
+
+    const amountIn = getAmountInFromReserves(amountOut, reserveIn, reserveOut);
+    if (amountIn === 0n) return null;
+
+    return {
+        amountIn,
+        priceImpact: calculateReservePriceImpact(amountIn, amountOut, reserveIn, reserveOut),
+        pairAddress,
+    };
+};
+
+/**
+ * Quote a path through the router's getAmountsOut
+ * @param {Object} publicClient - Viem public client
+ * @param {string} routerAddress - Router contract address
+ * @param {string[]} path - Token path
+ * @param {bigint} amountIn - Input amount (after fee)
+ * @returns {Promise<bigint|null>} Output amount or null
+ */
+export const quoteFromRouter = async (publicClient, routerAddress, path, amountIn) => {
+    if (!publicClient || !routerAddress || !path || path.length < 2) return null;
+
+    try {
+        const amounts = await publicClient.readContract({
+            address: routerAddress,
+            abi: ROUTER_ABI,
+            functionName: 'getAmountsOut',
+            args: [amountIn, path],
+        });
+        const amountOut = amounts[amounts.length - 1];
+        return amountOut > 0n ? amountOut : null;
+    } catch (error) {
+        console.warn('Failed to get router amounts out:', error);
+        return null;
+    }
+};
+
+/**
+ * Reverse-quote a path through the router's getAmountsIn
+ * @param {Object} publicClient - Viem public client
+ * @param {string} routerAddress - Router contract address
+ * @param {string[]} path - Token path
+ * @param {bigint} amountOut - Desired output amount
+ * @returns {Promise<bigint|null>} Required input amount or null
+ */
+export const reverseQuoteFromRouter = async (publicClient, routerAddress, path, amountOut) => {
+    if (!publicClient || !routerAddress || !path || path.length < 2) return null;
+
+    try {
+        const amounts = await publicClient.readContract({
+            address: routerAddress,
+            abi: ROUTER_ABI,
+            functionName: 'getAmountsIn',
+            args: [amountOut, path],
+        });
+        const amountIn = amounts[0];
+        return amountIn > 0n ? amountIn : null;
+    } catch (error) {
+        console.warn('Failed to get router amounts in:', error);
+        return null;
+    }
+};
+
+/**
+ * Get an on-chain quote estimate
+ * Single-hop swaps are priced from pair reserves; multi-hop paths (or pairs
+ * without a factory) go through the router's getAmountsOut.
+ * @param {Object} params - Quote params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenIn - Input token address
+ * @param {string} params.tokenOut - Output token address
+ * @param {bigint|string|number} params.amountIn - Input amount (smallest unit)
+ * @param {string[]} [params.path] - Explicit token path for multi-hop
+ * @param {string} [params.tier] - Whitelist tier for fee calculation
+ * @returns {Promise<Object|null>} Quote or null if not quotable
+ */
+export const getOnChainQuote = async ({ publicClient, chainId, tokenIn, tokenOut, amountIn, path = null, tier = 'None' }) => {
+    if (!publicClient || !chainId || !tokenIn || !tokenOut || !amountIn) return null;
+
+    try {
+        const grossAmountIn = typeof amountIn === 'number'
+            ? BigInt(Math.floor(amountIn))
+            : BigInt(String(amountIn).split('.')[0]);
+        if (grossAmountIn <= 0n) return null;
+
+        const { amountAfterFee, feeAmount } = applySwapFee(grossAmountIn, tier);
+        const route = path && path.length >= 2 ? path : [tokenIn, tokenOut];
+
+        const factoryAddress = getPairFactoryAddress(chainId);
+        if (route.length === 2 && factoryAddress) {
+            const reserveQuote = await quoteFromReserves(publicClient, factoryAddress, route[0], route[1], amountAfterFee);
+            if (reserveQuote) {
+                return {
+                    amountOut: reserveQuote.amountOut.toString(),
+                    priceImpact: reserveQuote.priceImpact,
+                    fee: feeAmount.toString(),
+                    gas: null,
+                    path: route,
+                    pairAddress: reserveQuote.pairAddress,
+                    isEstimate: true,
+                };
+            }
+        }
+
+        const routerAddress = chainConfig.getContractAddress(chainId, 'router');
+        const routerAmountOut = await quoteFromRouter(publicClient, routerAddress, route, amountAfterFee);
+        if (routerAmountOut === null) return null;
+
+        return {
+            amountOut: routerAmountOut.toString(),
+            priceImpact: null,
+            fee: feeAmount.toString(),
+            gas: null,
+            path: route,
+            isEstimate: true,
+        };
+    } catch (error) {
+        console.warn('Failed to get on-chain quote:', error);
+        return null;
+    }
+};
+
+/**
+ * Get an on-chain reverse quote (exact output)
+ * Returns the gross input, Mango fee included, needed to receive amountOut.
+ * @param {Object} params - Quote params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenIn - Input token address
+ * @param {string} params.tokenOut - Output token address
+ * @param {bigint|string|number} params.amountOut - Desired output amount (smallest unit)
+ * @param {string[]} [params.path] - Explicit token path for multi-hop
+ * @param {string} [params.tier] - Whitelist tier for fee calculation
+ * @returns {Promise<Object|null>} Quote or null if not quotable
+ */
+export const getOnChainReverseQuote = async ({ publicClient, chainId, tokenIn, tokenOut, amountOut, path = null, tier = 'None' }) => {
+    if (!publicClient || !chainId || !tokenIn || !tokenOut || !amountOut) return null;
+
+    try {
+        const targetAmountOut = typeof amountOut === 'number'
+            ? BigInt(Math.floor(amountOut))
+            : BigInt(String(amountOut).split('.')[0]);
+        if (targetAmountOut <= 0n) return null;
+
+        const route = path && path.length >= 2 ? path : [tokenIn, tokenOut];
+        let amountAfterFee = null;
+        let priceImpact = null;
+        let pairAddress;
+
+        const factoryAddress = getPairFactoryAddress(chainId);
+        if (route.length === 2 && factoryAddress) {
+            const reserveQuote = await reverseQuoteFromReserves(publicClient, factoryAddress, route[0], route[1], targetAmountOut);
+            if (reserveQuote) {
+                amountAfterFee = reserveQuote.amountIn;
+                priceImpact = reserveQuote.priceImpact;
+                pairAddress = reserveQuote.pairAddress;
+            }
+        }
+
+        if (amountAfterFee === null) {
+            const routerAddress = chainConfig.getContractAddress(chainId, 'router');
+            amountAfterFee = await reverseQuoteFromRouter(publicClient, routerAddress, route, targetAmountOut);
+            if (amountAfterFee === null) return null;
+        }
+
+        const { amountIn, feeAmount } = addSwapFee(amountAfterFee, tier);
+        return {
+            amountIn: amountIn.toString(),
+            amountOut: targetAmountOut.toString(),
+            priceImpact,
+            fee: feeAmount.toString(),
+            gas: null,
+            path: route,
+            ...(pairAddress ? { pairAddress } : {}),
+            isEstimate: true,
+        };
+    } catch (error) {
+        console.warn('Failed to get on-chain reverse quote:', error);
+        return null;
+    }
+};
+
+/**
+ * Quote aggregator source that only runs when no other source returns a quote
+ */
+export const onChainEstimateSource = {
+    name: ON_CHAIN_ESTIMATE_SOURCE,
+    fallback: true,
+    swapFee: 'deducted',
+    supports: (params) => !!params.sellTokenAddress && !!params.buyTokenAddress,
+    getQuote: async (params, { publicClient }) => {
+        const quote = await getOnChainQuote({
+            publicClient,
+            chainId: params.chainId,
+            tokenIn: params.sellTokenAddress,
+            tokenOut: params.buyTokenAddress,
+            amountIn: params.amountToSell,
+            path: params.path,
+            tier: params.tier,
+        });
+        if (!quote) {
+            throw new Error('No on-chain liquidity for pair');
+        }
+        return quote;
+    },
+};
+
+export default {
+    getSwapFeeBasisPoints,
+    applySwapFee,
+    addSwapFee,
+    getAmountOutFromReserves,
+    getAmountInFromReserves,
+    calculateReservePriceImpact,
+    quoteFromReserves,
+    quoteFromRouter,
+    reverseQuoteFromReserves,
+    reverseQuoteFromRouter,
+    getOnChainQuote,
+    getOnChainReverseQuote,
+    onChainEstimateSource,
+};
@@ -0,0 +1,359 @@
+/**
+ * Path Finder Service
+ * Builds a liquidity graph from factory pairs between the swap's tokens and a
+ * bounded set of hub tokens (the chain's default token list), then searches
+ * 1-3 hop routes (e.g. MANGO -> WETH -> USDC) for direct swaps and picks the
+ * one with the highest output (or, for exact-output swaps, the one needing
+ * the lowest input).
+ *
+ * Pair addresses are looked up once per chain; reserves are read for every
+ * search, and repeated reads within a block are served by rpcProvider's cache.
+ */
+
+import { getPairAddress, getPoolReserves } from './liquidityPool';
+import { applySwapFee, addSwapFee, getAmountOutFromReserves, getAmountInFromReserves } from './onChainQuote';
+import { getDefaultTokens, findTokenByAddress } from '../config/tokenLists';
+import { getPairFactoryAddress } from '../config/pairFactories';
+
+export const MAX_HOPS = 3;
+
+// Intermediate tokens a route may pass through, from the default token list
+export const MAX_HUB_TOKENS = 6;
+
+// Pair addresses per chain: Map<chainId, Map<pairKey, { pairAddress, timestamp }>>
+// Pairs never move, so found ones are kept; a missing pair is looked up again
+// after a while since a failed read looks the same as no pair.
+const pairCache = new Map();
+const MISSING_PAIR_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Build pair cache key (order independent)
+ * @param {string} tokenA - Token address (lowercase)
+ * @param {string} tokenB - Token address (lowercase)
+ * @returns {string} Cache key
+ */
+const getPairCacheKey = (tokenA, tokenB) => {
+    return tokenA < tokenB ? `${tokenA}:${tokenB}` : `${tokenB}:${tokenA}`;
+};
+
+/**
+ * Get the hub tokens routes may pass through
+ * @param {number} chainId - Chain ID
+ * @returns {string[]} Token addresses (lowercase), at most MAX_HUB_TOKENS
+ */
+export const getHubTokens = (chainId) => {
+    const addresses = getDefaultTokens(chainId)
+        .map(token => token.address?.toLowerCase())
+        .filter(address => address && address.startsWith('0x'));
+    return Array.from(new Set(addresses)).slice(0, MAX_HUB_TOKENS);
+};
+
+/**
+ * Look up a factory pair, once per chain
+ * @param {Object} publicClient - Viem public client
+ * @param {number} chainId - Chain ID
+ * @param {string} factoryAddress - Factory address
+ * @param {string} tokenA - Token address (lowercase)
+ * @param {string} tokenB - Token address (lowercase)
+ * @returns {Promise<string|null>} Pair address or null
+ */
+const findPair = async (publicClient, chainId, factoryAddress, tokenA, tokenB) => {
+    if (!pairCache.has(chainId)) {
+        pairCache.set(chainId, new Map());
+    }
+    const pairs = pairCache.get(chainId);
+    const key = getPairCacheKey(tokenA, tokenB);
+
+    const cached = pairs.get(key);
+    if (cached && (cached.pairAddress || Date.now() - cached.timestamp < MISSING_PAIR_TTL)) {
+        return cached.pairAddress;
+    }
+
+    const pairAddress = await getPairAddress(publicClient, factoryAddress, tokenA, tokenB);
+    pairs.set(key, { pairAddress, timestamp: Date.now() });
+    return pairAddress;
+};
+
+/**
+ * Add a directed edge to the graph
+ * @param {Map} graph - Adjacency map
+ * @param {string} from - Token address (lowercase)
+ * @param {Object} edge - Edge { to, pairAddress, reserveIn, reserveOut }
+ */
+const addEdge = (graph, from, edge) => {
+    if (!graph.has(from)) {
+        graph.set(from, []);
+    }
+    graph.get(from).push(edge);
+};
+
+/**
+ * Build the pair graph for a swap
+ * Pairs come from the Mango factory or the chain's public DEX factory
+ * (config/pairFactories). Covers the swap's own tokens and the chain's hub tokens. Every pair between
+ * them with non-empty reserves becomes two directed edges carrying the
+ * reserves in that direction.
+ * @param {Object} publicClient - Viem public client
+ * @param {number} chainId - Chain ID
+ * @param {string[]} [extraTokens] - Token addresses to include besides the hub tokens
+ * @returns {Promise<Map>} Adjacency map: tokenAddress -> [{ to, pairAddress, reserveIn, reserveOut }]
+ */
+export const buildPairGraph = async (publicClient, chainId, extraTokens = []) => {
+    const graph = new Map();
+    const factoryAddress = getPairFactoryAddress(chainId);
+    if (!publicClient || !factoryAddress) return graph;
+
+    const addresses = Array.from(new Set([
+        ...getHubTokens(chainId),
+        ...extraTokens.filter(Boolean).map(address => address.toLowerCase()),
+    ]));
+
+    const pairs = [];
+    for (let i = 0; i < addresses.length; i++) {
+        for (let j = i + 1; j < addresses.length; j++) {
+            pairs.push([addresses[i], addresses[j]]);
+        }
+    }
+
+    await Promise.all(pairs.map(async ([tokenA, tokenB]) => {
+        const pairAddress = await findPair(publicClient, chainId, factoryAddress, tokenA, tokenB);
+        if (!pairAddress) return;
+
+        const reserves = await getPoolReserves(publicClient, pairAddress);
+        if (!reserves || !reserves.reserve0 || !reserves.reserve1) return;
+
+        const isTokenAFirst = reserves.token0.toLowerCase() === tokenA;
+        const reserveA = BigInt(isTokenAFirst ? reserves.reserve0 : reserves.reserve1);
+        const reserveB = BigInt(isTokenAFirst ? reserves.reserve1 : reserves.reserve0);
+        if (reserveA === 0n || reserveB === 0n) return;
+
+        addEdge(graph, tokenA, { to: tokenB, pairAddress, reserveIn: reserveA, reserveOut: reserveB });
+        addEdge(graph, tokenB, { to: tokenA, pairAddress, reserveIn: reserveB, reserveOut: reserveA });
+    }));
+
+    return graph;
+};
+
+/**
+ * Enumerate simple routes between two tokens
+ * @param {Map} graph - Pair graph
+ * @param {string} tokenIn - Input token address
+ * @param {string} tokenOut - Output token address
+ * @param {number} [maxHops] - Maximum number of hops (pairs) per route
+ * @returns {Array<Object[]>} Routes as lists of edges
+ */
+export const findRoutes = (graph, tokenIn, tokenOut, maxHops = MAX_HOPS) => {
+    const start = tokenIn?.toLowerCase();
+    const end = tokenOut?.toLowerCase();
+    if (!start || !end || start === end) return [];
+
+    const routes = [];
+    const visited = new Set([start]);
+
+    const walk = (current, edges) => {
+        if (edges.length >= maxHops) return;
+
+        for (const edge of graph.get(current) || []) {
+            if (visited.has(edge.to)) continue;
+
+            const nextEdges = [...edges, edge];
+            if (edge.to === end) {
+                routes.push(nextEdges);
+                continue;
+            }
+
+            visited.add(edge.to);
+            walk(edge.to, nextEdges);
+            visited.delete(edge.to);
+        }
+    };
+
+    walk(start, []);
+    return routes;
+};
+
+/**
+ * Quote a route by chaining constant product swaps through its pairs
+ * @param {Object[]} edges - Route edges
+ * @param {bigint} amountIn - Input amount (after Mango fee)
+ * @returns {bigint} Output amount
+ */
+export const quoteRoute = (edges, amountIn) => {
+    return edges.reduce(
+        (amount, edge) => getAmountOutFromReserves(amount, edge.reserveIn, edge.reserveOut),
+        amountIn
+    );
+};
+
+/**
+ * Input needed for an exact output along a route, walking the hops backwards
+ * @param {Object[]} edges - Route edges
+ * @param {bigint} amountOut - Desired output amount
+ * @returns {bigint} Input amount (after Mango fee), 0n when a hop lacks liquidity
+ */
+export const quoteRouteIn = (edges, amountOut) => {
+    return edges.reduceRight(
+        (amount, edge) => (amount === 0n ? 0n : getAmountInFromReserves(amount, edge.reserveIn, edge.reserveOut)),
+        amountOut
+    );
+};
+
+/**
+ * Convert route edges to a token address path
+ * @param {string} tokenIn - Input token address
+ * @param {Object[]} edges - Route edges
+ * @returns {string[]} Token path
+ */
+export const edgesToPath = (tokenIn, edges) => {
+    return [tokenIn.toLowerCase(), ...edges.map(edge => edge.to)];
+};
+
+/**
+ * Map a token path to symbols for display (breadcrumbs)
+ * @param {number} chainId - Chain ID
+ * @param {string[]} path - Token address path
+ * @returns {string[]} Token symbols (shortened address when unknown)
+ */
+export const formatRoute = (chainId, path) => {
+    if (!path) return [];
+    return path.map(address => {
+        const token = findTokenByAddress(chainId, address);
+        return token?.symbol || `${address.slice(0, 6)}...${address.slice(-4)}`;
+    });
+};
+
+/**
+ * Find the best 1-3 hop route for a direct swap
+ * @param {Object} params - Route params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenIn - Input token address (wrapped for native)
+ * @param {string} params.tokenOut - Output token address (wrapped for native)
+ * @param {bigint|string|number} params.amountIn - Input amount (smallest unit)
+ * @param {number} [params.maxHops] - Maximum hops
+ * @param {string} [params.tier] - Whitelist tier for fee calculation
+ * @returns {Promise<Object|null>} { path, symbols, amountOut, hops, alternatives } or null
+ */
+export const findBestRoute = async ({ publicClient, chainId, tokenIn, tokenOut, amountIn, maxHops = MAX_HOPS, tier = 'None' }) => {
+    if (!publicClient || !chainId || !tokenIn || !tokenOut || !amountIn) return null;
+
+    try {
+        const grossAmountIn = typeof amountIn === 'number'
+            ? BigInt(Math.floor(amountIn))
+            : BigInt(String(amountIn).split('.')[0]);
+        if (grossAmountIn <= 0n) return null;
+
+        const { amountAfterFee } = applySwapFee(grossAmountIn, tier);
+        const graph = await buildPairGraph(publicClient, chainId, [tokenIn, tokenOut]);
+        const routes = findRoutes(graph, tokenIn, tokenOut, maxHops);
+        if (routes.length === 0) return null;
+
+        const quoted = routes
+            .map(edges => {
+                const path = edgesToPath(tokenIn, edges);
+                return {
+                    path,
+                    symbols: formatRoute(chainId, path),
+                    amountOut: quoteRoute(edges, amountAfterFee),
+                    hops: edges.length,
+                };
+            })
+            .filter(route => route.amountOut > 0n)
+            .sort((a, b) => {
+                if (a.amountOut !== b.amountOut) return a.amountOut > b.amountOut ? -1 : 1;
+                return a.hops - b.hops; // Prefer fewer hops on ties (less gas)
+            });
+
+        if (quoted.length === 0) return null;
+
+        const [best, ...alternatives] = quoted.map(route => ({
+            ...route,
+            amountOut: route.amountOut.toString(),
+        }));
+
+        return { ...best, alternatives };
+    } catch (error) {
+        console.warn('Failed to find best route:', error);
+        return null;
+    }
+};
+
+/**
+ * Find the route needing the lowest input for an exact output
+ * @param {Object} params - Route params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.tokenIn - Input token address (wrapped for native)
+ * @param {string} params.tokenOut - Output token address (wrapped for native)
+ * @param {bigint|string|number} params.amountOut - Desired output amount (smallest unit)
+ * @param {number} [params.maxHops] - Maximum hops
+ * @param {string} [params.tier] - Whitelist tier for fee calculation
+ * @returns {Promise<Object|null>} { path, symbols, amountIn, amountOut, hops, alternatives } or null
+ */
+export const findBestRouteForOutput = async ({ publicClient, chainId, tokenIn, tokenOut, amountOut, maxHops = MAX_HOPS, tier = 'None' }) => {
+    if (!publicClient || !chainId || !tokenIn || !tokenOut || !amountOut) return null;
+
+    try {
+        const targetAmountOut = typeof amountOut === 'number'
+            ? BigInt(Math.floor(amountOut))
+            : BigInt(String(amountOut).split('.')[0]);
+        if (targetAmountOut <= 0n) return null;
+
+        const graph = await buildPairGraph(publicClient, chainId, [tokenIn, tokenOut]);
+        const routes = findRoutes(graph, tokenIn, tokenOut, maxHops);
+        if (routes.length === 0) return null;
+
+        const quoted = routes
+            .map(edges => {
+                const path = edgesToPath(tokenIn, edges);
+                const netAmountIn = quoteRouteIn(edges, targetAmountOut);
+                return {
+                    path,
+                    symbols: formatRoute(chainId, path),
+                    // Gross input: the Mango fee is taken before the first hop
+                    amountIn: netAmountIn > 0n ? addSwapFee(netAmountIn, tier).amountIn : 0n,
+                    hops: edges.length,
+                };
+            })
+            .filter(route => route.amountIn > 0n)
+            .sort((a, b) => {
+                if (a.amountIn !== b.amountIn) return a.amountIn < b.amountIn ? -1 : 1;
+                return a.hops - b.hops;
+            });
+
+        if (quoted.length === 0) return null;
+
+        const [best, ...alternatives] = quoted.map(route => ({
+            ...route,
+            amountIn: route.amountIn.toString(),
+            amountOut: targetAmountOut.toString(),
+        }));
+
+        return { ...best, alternatives };
+    } catch (error) {
+        console.warn('Failed to find best route for output:', error);
+        return null;
+    }
+};
+
+/**
+ * Clear the pair address cache
+ */
+export const clearGraphCache = () => {
+    pairCache.clear();
+};
+
+export default {
+    MAX_HOPS,
+    MAX_HUB_TOKENS,
+    getHubTokens,
+    buildPairGraph,
+    findRoutes,
+    quoteRoute,
+    quoteRouteIn,
+    edgesToPath,
+    formatRoute,
+    findBestRoute,
+    findBestRouteForOutput,
+    clearGraphCache,
+};
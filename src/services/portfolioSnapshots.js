@@ -0,0 +1,429 @@
+/**
+ * Portfolio Snapshots Service
+ * Records the wallet's total portfolio value and per-asset breakdown over time
+ * so the portfolio chart can show real history.
+ *
+ * A snapshot is taken when the portfolio is loaded and on a schedule while the
+ * app is open. Snapshots are stored per address in IndexedDB; without
+ * IndexedDB (private browsing, tests) they are kept in memory for the session.
+ * Recent snapshots are kept as taken, older ones are thinned to one per day.
+ *
+ * Snapshot: { timestamp, totalValue, breakdown: { tokens, lp, staked },
+ *             assets: [{ chainId, symbol, type, balance, value }], missingChains }
+ *
+ * missingChains lists the chains that could not be read; such a snapshot is
+ * partial and the chart prefers a complete one from the same bucket.
+ */
+
+import chainConfig from './chainConfig';
+import { getTokenPrices } from './priceOracle';
+import { getWalletBalances, getLiquidityPositions, getStakedPositions } from './balanceService';
+import { getAllTokens } from '../config/tokenLists';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const WEEK = 7 * DAY;
+
+// How often the schedule takes a snapshot while the app is open
+export const SNAPSHOT_INTERVAL = 15 * MINUTE;
+
+// Loads closer together than this reuse the last snapshot
+const MIN_SNAPSHOT_INTERVAL = 5 * MINUTE;
+
+// Snapshots newer than this are kept as taken, older ones one per day
+const DETAIL_RETENTION = 7 * DAY;
+const MAX_SNAPSHOT_AGE = 365 * DAY;
+
+// Chart range -> time span and bucket size; 'all' starts at the first snapshot
+export const SNAPSHOT_RANGES = {
+    '7d': { duration: 7 * DAY, bucketSize: DAY },
+    '30d': { duration: 30 * DAY, bucketSize: DAY },
+    'all': { duration: null, bucketSize: DAY },
+};
+
+// Longer 'all' spans switch to weekly buckets
+const MAX_DAILY_BUCKETS = 90;
+
+// Same token limits as the portfolio components, so balance reads are shared
+const MAX_TOKENS_PER_CHAIN = 30;
+const MAX_LP_TOKENS_PER_CHAIN = 10;
+
+const DB_NAME = 'mango-portfolio-snapshots';
+const DB_VERSION = 1;
+const STORE_NAME = 'snapshots';
+
+// Session copy of stored snapshots: address -> { key, snapshots }
+const memorySnapshots = new Map();
+
+// In-flight recordings per address, so concurrent callers share one
+const pendingRecords = new Map();
+
+let dbPromise = null;
+
+/**
+ * Open the snapshot database
+ * @returns {Promise<IDBDatabase|null>} Database or null when IndexedDB is unavailable
+ */
+const openDatabase = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Failed to open portfolio snapshot database:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('IndexedDB unavailable for portfolio snapshots:', error);
+                resolve(null);
+            }
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Run a request against the snapshot store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Request result, or null when IndexedDB is unavailable or fails
+ */
+const runStoreRequest = async (mode, operation) => {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+        try {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => {
+                console.warn('Portfolio snapshot storage request failed:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('Portfolio snapshot storage request failed:', error);
+            resolve(null);
+        }
+    });
+};
+
+/**
+ * Load the stored snapshots of an address
+ * @param {string} key - Lowercase address
+ * @returns {Promise<Array>} Snapshots sorted by timestamp
+ */
+const loadSnapshots = async (key) => {
+    if (!memorySnapshots.has(key)) {
+        const stored = await runStoreRequest('readonly', store => store.get(key));
+        memorySnapshots.set(key, stored || { key, snapshots: [] });
+    }
+    return memorySnapshots.get(key).snapshots;
+};
+
+/**
+ * Thin out old snapshots: keep recent ones, the last one of each older day, nothing past the max age
+ * @param {Array} snapshots - Snapshots sorted by timestamp
+ * @param {number} now - Current time (ms)
+ * @returns {Array} Snapshots sorted by timestamp
+ */
+export const compactSnapshots = (snapshots, now = Date.now()) => {
+    const detailCutoff = now - DETAIL_RETENTION;
+    const daily = new Map();
+    const recent = [];
+    snapshots.forEach(snapshot => {
+        if (snapshot.timestamp < now - MAX_SNAPSHOT_AGE) return;
+        if (snapshot.timestamp >= detailCutoff) {
+            recent.push(snapshot);
+        } else {
+            daily.set(Math.floor(snapshot.timestamp / DAY), snapshot);
+        }
+    });
+    return [...daily.values(), ...recent];
+};
+
+/**
+ * Store a snapshot for an address
+ * @param {string} address - Wallet address
+ * @param {Object} snapshot - Snapshot
+ * @returns {Promise<Object>} The stored snapshot
+ */
+export const saveSnapshot = async (address, snapshot) => {
+    const key = address.toLowerCase();
+    const existing = await loadSnapshots(key);
+    const snapshots = compactSnapshots(
+        [...existing.filter(entry => entry.timestamp !== snapshot.timestamp), snapshot]
+            .sort((a, b) => a.timestamp - b.timestamp)
+    );
+
+    const entry = { key, snapshots };
+    memorySnapshots.set(key, entry);
+    await runStoreRequest('readwrite', store => store.put(entry));
+    return snapshot;
+};
+
+/**
+ * Get the stored snapshots of an address
+ * @param {string} address - Wallet address
+ * @param {Object} [options] - Options
+ * @param {number} [options.from] - Earliest timestamp (ms)
+ * @param {number} [options.to] - Latest timestamp (ms)
+ * @returns {Promise<Array>} Snapshots sorted by timestamp
+ */
+export const getPortfolioSnapshots = async (address, { from = 0, to = Infinity } = {}) => {
+    if (!address) return [];
+
+    const snapshots = await loadSnapshots(address.toLowerCase());
+    return snapshots.filter(snapshot => snapshot.timestamp >= from && snapshot.timestamp <= to);
+};
+
+/**
+ * Value the wallet's holdings on every EVM chain
+ * Assets without a price are left out of the totals, chains that fail are
+ * listed in missingChains.
+ * @param {string} address - Wallet address
+ * @returns {Promise<Object|null>} Snapshot, or null if no chain could be read
+ */
+export const collectPortfolioSnapshot = async (address) => {
+    const chains = (chainConfig.getAllChains() || []).filter(chain => chain.type === 'EVM');
+    const assets = [];
+    const missingChains = [];
+
+    await Promise.all(chains.map(async (chain) => {
+        const chainId = parseInt(chain.chainId);
+        try {
+            const tokens = getAllTokens(chainId);
+            const [walletBalances, lpPositions, stakes] = await Promise.all([
+                getWalletBalances(chainId, address, tokens.slice(0, MAX_TOKENS_PER_CHAIN)),
+                getLiquidityPositions(chainId, address, tokens.slice(0, MAX_LP_TOKENS_PER_CHAIN)),
+                getStakedPositions(chainId, address, tokens),
+            ]);
+
+            const nativeSymbol = chain.nativeCurrency?.symbol || 'ETH';
+            const symbols = new Set([
+                nativeSymbol,
+                ...walletBalances.tokens.map(({ token }) => token.symbol),
+                ...lpPositions.flatMap(({ token0, token1 }) => [token0.symbol, token1.symbol]),
+                ...stakes.map(({ token }) => token.symbol),
+            ]);
+            const prices = await getTokenPrices(Array.from(symbols), { chainId });
+            // Unpriced symbols give NaN values and are skipped
+            const priceOf = symbol => (prices[symbol] > 0 ? prices[symbol] : NaN);
+            const addAsset = (symbol, type, balance, value) => {
+                if (Number.isFinite(value)) {
+                    assets.push({ chainId, symbol, type, balance, value });
+                }
+            };
+
+            if (walletBalances.native) {
+                addAsset(nativeSymbol, 'token', walletBalances.native.formatted, walletBalances.native.formatted * priceOf(nativeSymbol));
+            }
+            walletBalances.tokens.forEach(({ token, formatted }) => {
+                addAsset(token.symbol, 'token', formatted, formatted * priceOf(token.symbol));
+            });
+            lpPositions.forEach(({ token0, token1, amount0, amount1 }) => {
+                addAsset(`${token0.symbol}/${token1.symbol}`, 'lp', amount0 + amount1,
+                    amount0 * priceOf(token0.symbol) + amount1 * priceOf(token1.symbol));
+            });
+            stakes.forEach(({ token, amount }) => {
+                addAsset(token.symbol, 'staked', amount, amount * priceOf(token.symbol));
+            });
+        } catch (error) {
+            console.warn(`Failed to read portfolio on ${chain.chainName} for snapshot:`, error);
+            missingChains.push(chainId);
+        }
+    }));
+
+    if (chains.length > 0 && missingChains.length === chains.length) return null;
+
+    const breakdown = { tokens: 0, lp: 0, staked: 0 };
+    const breakdownKeys = { token: 'tokens', lp: 'lp', staked: 'staked' };
+    assets.forEach(({ type, value }) => {
+        breakdown[breakdownKeys[type]] += value;
+    });
+
+    return {
+        timestamp: Date.now(),
+        totalValue: breakdown.tokens + breakdown.lp + breakdown.staked,
+        breakdown,
+        assets,
+        missingChains: missingChains.sort((a, b) => a - b),
+    };
+};
+
+/**
+ * Take and store a snapshot of the wallet's portfolio
+ * @param {string} address - Wallet address
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.force] - Record even if the last snapshot is recent
+ * @returns {Promise<Object|null>} The new or recent snapshot, or null if the portfolio could not be read
+ */
+export const recordPortfolioSnapshot = async (address, { force = false } = {}) => {
+    if (!address) return null;
+
+    const key = address.toLowerCase();
+    if (pendingRecords.has(key)) return pendingRecords.get(key);
+
+    const record = (async () => {
+        const snapshots = await loadSnapshots(key);
+        const last = snapshots[snapshots.length - 1];
+        if (!force && last && Date.now() - last.timestamp < MIN_SNAPSHOT_INTERVAL) {
+            return last;
+        }
+
+        const snapshot = await collectPortfolioSnapshot(address);
+        return snapshot ? saveSnapshot(address, snapshot) : null;
+    })().finally(() => {
+        pendingRecords.delete(key);
+    });
+
+    pendingRecords.set(key, record);
+    return record;
+};
+
+/**
+ * Record snapshots for an address now and then on an interval
+ * @param {string} address - Wallet address
+ * @param {Object} [options] - Options
+ * @param {number} [options.interval] - Interval in ms
+ * @returns {Function} Stops the schedule
+ */
+export const startSnapshotSchedule = (address, { interval = SNAPSHOT_INTERVAL } = {}) => {
+    if (!address) return () => {};
+
+    const take = () => recordPortfolioSnapshot(address).catch(error => {
+        console.warn('Failed to record portfolio snapshot:', error);
+    });
+    take();
+    const timer = setInterval(take, interval);
+    return () => clearInterval(timer);
+};
+
+/**
+ * Turn snapshots into one chart point per bucket
+ * Each point uses the last complete snapshot in its bucket, or the last partial
+ * one if none is complete; buckets without a snapshot have a null value.
+ * @param {Array} snapshots - Snapshots sorted by timestamp
+ * @param {Object} options - Options
+ * @param {number} options.from - Start timestamp (ms)
+ * @param {number} options.to - End timestamp (ms)
+ * @param {number} options.bucketSize - Bucket size (ms)
+ * @param {Function} [options.valueOf] - (snapshot) => value, the total value by default
+ * @param {Function} [options.isPartial] - (snapshot) => boolean, any missing chain by default
+ * @returns {Array} [{ timestamp, value, partial }], timestamp being the bucket start
+ */
+export const buildSnapshotSeries = (snapshots, {
+    from,
+    to,
+    bucketSize,
+    valueOf = snapshot => snapshot.totalValue,
+    isPartial = snapshot => (snapshot.missingChains?.length || 0) > 0,
+}) => {
+    const lastInBucket = new Map();
+    snapshots.forEach(snapshot => {
+        const bucket = Math.floor(snapshot.timestamp / bucketSize) * bucketSize;
+        const current = lastInBucket.get(bucket);
+        if (!current || !isPartial(snapshot) || isPartial(current)) {
+            lastInBucket.set(bucket, snapshot);
+        }
+    });
+
+    const points = [];
+    for (let bucket = Math.floor(from / bucketSize) * bucketSize; bucket <= to; bucket += bucketSize) {
+        const snapshot = lastInBucket.get(bucket);
+        points.push({
+            timestamp: bucket,
+            value: snapshot ? valueOf(snapshot) : null,
+            partial: snapshot ? isPartial(snapshot) : false,
+        });
+    }
+    return points;
+};
+
+/**
+ * Get the portfolio value series for a chart range
+ * With several addresses the values of the wallets with a snapshot in a bucket
+ * are added up; the bucket is partial when some wallets have none, and a gap
+ * when none has one.
+ * @param {string|Array<string>} address - Wallet address, or several
+ * @param {string} range - '7d', '30d' or 'all'
+ * @param {Object} [options] - Options
+ * @param {number} [options.chainId] - Only count assets on this chain
+ * @returns {Promise<Array>} [{ timestamp, value, partial }] with null values for gaps, empty without snapshots
+ */
+export const getPortfolioHistory = async (address, range = '7d', { chainId = null } = {}) => {
+    const config = SNAPSHOT_RANGES[range] || SNAPSHOT_RANGES['7d'];
+    const to = Date.now();
+    const storedByAddress = await Promise.all([].concat(address).map(wallet => getPortfolioSnapshots(wallet, { to })));
+    const stored = storedByAddress.flat();
+    if (stored.length === 0) return [];
+
+    let { bucketSize } = config;
+    let from;
+    if (config.duration) {
+        // Whole buckets ending with the current one
+        from = Math.floor(to / bucketSize) * bucketSize - (config.duration / bucketSize - 1) * bucketSize;
+    } else {
+        from = Math.min(...stored.map(snapshot => snapshot.timestamp));
+        if (to - from > MAX_DAILY_BUCKETS * DAY) bucketSize = WEEK;
+    }
+
+    if (!stored.some(snapshot => snapshot.timestamp >= from)) return [];
+
+    const valueOf = chainId
+        ? snapshot => snapshot.assets
+            .filter(asset => asset.chainId === Number(chainId))
+            .reduce((total, asset) => total + asset.value, 0)
+        : undefined;
+    const isPartial = chainId
+        ? snapshot => (snapshot.missingChains || []).includes(Number(chainId))
+        : undefined;
+    const series = storedByAddress.map(snapshots => buildSnapshotSeries(
+        snapshots.filter(snapshot => snapshot.timestamp >= from),
+        { from, to, bucketSize, valueOf, isPartial }
+    ));
+    return series[0].map((point, index) => {
+        const recorded = series.map(points => points[index]).filter(bucket => bucket.value !== null);
+        return {
+            timestamp: point.timestamp,
+            value: recorded.length > 0 ? recorded.reduce((total, bucket) => total + bucket.value, 0) : null,
+            partial: recorded.length > 0
+                && (recorded.length < series.length || recorded.some(bucket => bucket.partial)),
+        };
+    });
+};
+
+/**
+ * Delete stored snapshots
+ * @param {string} [address] - Limit to one address
+ */
+export const clearPortfolioSnapshots = async (address = null) => {
+    pendingRecords.clear();
+    if (address) {
+        const key = address.toLowerCase();
+        memorySnapshots.delete(key);
+        await runStoreRequest('readwrite', store => store.delete(key));
+    } else {
+        memorySnapshots.clear();
+        await runStoreRequest('readwrite', store => store.clear());
+    }
+};
+
+export default {
+    SNAPSHOT_INTERVAL,
+    SNAPSHOT_RANGES,
+    collectPortfolioSnapshot,
+    recordPortfolioSnapshot,
+    saveSnapshot,
+    getPortfolioSnapshots,
+    getPortfolioHistory,
+    buildSnapshotSeries,
+    startSnapshotSchedule,
+    clearPortfolioSnapshots,
+};
@@ -0,0 +1,418 @@
+/**
+ * Price History Service
+ * Fetches historical USD prices per token from a pluggable source (CoinGecko by
+ * default), stores them in IndexedDB and aggregates them into OHLC candles.
+ *
+ * Stored series are updated incrementally: once a range is covered only the
+ * points since the last stored one are fetched. Without IndexedDB (private
+ * browsing, tests) series are kept in memory for the session.
+ *
+ * A source is { name, fetchHistory(symbol, { from, to }) } resolving to
+ * [{ timestamp, price }] (ms, USD), or null when it has no data for the token.
+ */
+
+import axios from 'axios';
+import { getCoinGeckoId } from './priceOracle';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const HISTORY_INTERVALS = {
+    FIVE_MINUTES: 5 * MINUTE,
+    HOUR,
+    FOUR_HOURS: 4 * HOUR,
+    DAY,
+};
+
+// Range -> time span and default candle size
+export const PRICE_HISTORY_RANGES = {
+    '1h': { duration: HOUR, bucketSize: HISTORY_INTERVALS.FIVE_MINUTES },
+    '1d': { duration: DAY, bucketSize: HISTORY_INTERVALS.HOUR },
+    '7d': { duration: 7 * DAY, bucketSize: HISTORY_INTERVALS.FOUR_HOURS },
+    '30d': { duration: 30 * DAY, bucketSize: HISTORY_INTERVALS.DAY },
+    '90d': { duration: 90 * DAY, bucketSize: HISTORY_INTERVALS.DAY },
+};
+
+// Points older than the longest range are dropped
+const MAX_HISTORY_AGE = 90 * DAY;
+
+// Stored series newer than this are served without asking the source
+const REFRESH_INTERVAL = 5 * MINUTE;
+
+const DB_NAME = 'mango-price-history';
+const DB_VERSION = 1;
+const STORE_NAME = 'series';
+
+/**
+ * CoinGecko market_chart/range source
+ * CoinGecko picks the resolution from the span: 5-minute under a day, hourly up to 90 days.
+ */
+export const coinGeckoHistorySource = {
+    name: 'coingecko',
+    fetchHistory: async (symbol, { from, to }) => {
+        const coingeckoId = getCoinGeckoId(symbol);
+        if (!coingeckoId) return null;
+
+        const response = await axios.get(
+            `https://api.coingecko.com/api/v3/coins/${coingeckoId}/market_chart/range`,
+            {
+                params: {
+                    vs_currency: 'usd',
+                    from: Math.floor(from / 1000),
+                    to: Math.ceil(to / 1000),
+                },
+                timeout: 10000,
+            }
+        );
+
+        return (response.data?.prices || []).map(([timestamp, price]) => ({ timestamp, price }));
+    },
+};
+
+let activeSource = coinGeckoHistorySource;
+
+// Session copy of stored series: `${source}:${SYMBOL}` -> series
+const memorySeries = new Map();
+
+// In-flight syncs per series key, so concurrent callers share one fetch
+const pendingSyncs = new Map();
+
+// Points around days older than the stored history: `${source}:${SYMBOL}:${day}` -> Promise<points>
+const pastDayPoints = new Map();
+
+let dbPromise = null;
+
+/**
+ * Open the price history database
+ * @returns {Promise<IDBDatabase|null>} Database or null when IndexedDB is unavailable
+ */
+const openDatabase = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            try {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('Failed to open price history database:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('IndexedDB unavailable for price history:', error);
+                resolve(null);
+            }
+        });
+    }
+    return dbPromise;
+};
+
+/**
+ * Run a request against the series store
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} operation - (store) => IDBRequest
+ * @returns {Promise<*>} Request result, or null when IndexedDB is unavailable or fails
+ */
+const runStoreRequest = async (mode, operation) => {
+    const db = await openDatabase();
+    if (!db) return null;
+
+    return new Promise((resolve) => {
+        try {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => {
+                console.warn('Price history storage request failed:', request.error);
+                resolve(null);
+            };
+        } catch (error) {
+            console.warn('Price history storage request failed:', error);
+            resolve(null);
+        }
+    });
+};
+
+const getSeriesKey = (symbol) => `${activeSource.name}:${symbol.toUpperCase()}`;
+
+/**
+ * Load a stored series
+ * @param {string} key - Series key
+ * @returns {Promise<Object|null>} { key, points, coveredFrom, updatedAt } or null
+ */
+const loadSeries = async (key) => {
+    if (memorySeries.has(key)) return memorySeries.get(key);
+
+    const stored = await runStoreRequest('readonly', store => store.get(key));
+    if (stored) {
+        memorySeries.set(key, stored);
+    }
+    return stored;
+};
+
+/**
+ * Save a series
+ * @param {Object} series - Series
+ */
+const saveSeries = async (series) => {
+    memorySeries.set(series.key, series);
+    await runStoreRequest('readwrite', store => store.put(series));
+};
+
+/**
+ * Merge new points into a series, newest value winning for duplicate timestamps
+ * @param {Array} existing - Stored points
+ * @param {Array} incoming - Fetched points
+ * @param {number} cutoff - Drop points older than this timestamp
+ * @returns {Array} Points sorted by timestamp
+ */
+export const mergePricePoints = (existing, incoming, cutoff = 0) => {
+    const byTimestamp = new Map();
+    [...existing, ...incoming].forEach(point => {
+        if (point.timestamp >= cutoff && Number.isFinite(point.price)) {
+            byTimestamp.set(point.timestamp, point);
+        }
+    });
+    return Array.from(byTimestamp.values()).sort((a, b) => a.timestamp - b.timestamp);
+};
+
+/**
+ * Aggregate price points into OHLC candles
+ * @param {Array} points - [{ timestamp, price }] sorted by timestamp
+ * @param {number} bucketSize - Candle size (ms)
+ * @returns {Array} [{ timestamp, open, high, low, close }], timestamp being the candle start
+ */
+export const buildCandles = (points, bucketSize) => {
+    const candles = [];
+    points.forEach(({ timestamp, price }) => {
+        const bucket = Math.floor(timestamp / bucketSize) * bucketSize;
+        const last = candles[candles.length - 1];
+        if (last && last.timestamp === bucket) {
+            last.high = Math.max(last.high, price);
+            last.low = Math.min(last.low, price);
+            last.close = price;
+        } else {
+            candles.push({ timestamp: bucket, open: price, high: price, low: price, close: price });
+        }
+    });
+    return candles;
+};
+
+/**
+ * Make sure the stored series covers `from` until now, fetching only what is missing
+ * @param {string} symbol - Token symbol
+ * @param {number} from - Start of the needed span (ms)
+ * @returns {Promise<Object>} Series { key, points, coveredFrom, updatedAt }
+ */
+const syncSeries = async (symbol, from) => {
+    const key = getSeriesKey(symbol);
+    const now = Date.now();
+    const series = await loadSeries(key) || { key, points: [], coveredFrom: null, updatedAt: 0 };
+
+    const isCovered = series.coveredFrom !== null && series.coveredFrom <= from;
+    if (isCovered && now - series.updatedAt < REFRESH_INTERVAL) {
+        return series;
+    }
+
+    // Covered spans only need the points after the newest stored one
+    const lastPoint = series.points[series.points.length - 1];
+    const fetchFrom = isCovered && lastPoint ? lastPoint.timestamp : from;
+
+    let fetched;
+    try {
+        fetched = await activeSource.fetchHistory(symbol, { from: fetchFrom, to: now });
+    } catch (error) {
+        console.warn(`Failed to fetch price history for ${symbol}:`, error.message);
+        return series;
+    }
+    if (!fetched) return series;
+
+    // The requested start is candle-aligned and may sit just before the age limit
+    const cutoff = Math.min(now - MAX_HISTORY_AGE, from);
+    const updated = {
+        key,
+        points: mergePricePoints(series.points, fetched, cutoff),
+        coveredFrom: Math.max(cutoff, isCovered ? series.coveredFrom : from),
+        updatedAt: now,
+    };
+    await saveSeries(updated);
+    return updated;
+};
+
+/**
+ * Sync a series once per key at a time
+ * @param {string} symbol - Token symbol
+ * @param {number} from - Start of the needed span (ms)
+ * @returns {Promise<Object>} Series
+ */
+const getSeries = (symbol, from) => {
+    const pendingKey = `${getSeriesKey(symbol)}:${from}`;
+    if (!pendingSyncs.has(pendingKey)) {
+        pendingSyncs.set(pendingKey, syncSeries(symbol, from).finally(() => pendingSyncs.delete(pendingKey)));
+    }
+    return pendingSyncs.get(pendingKey);
+};
+
+/**
+ * Get price history for a token
+ * @param {string} symbol - Token symbol
+ * @param {string} [range] - One of PRICE_HISTORY_RANGES ('1h', '1d', '7d', '30d', '90d')
+ * @param {Object} [options] - { bucketSize } to override the range's candle size (ms)
+ * @returns {Promise<Array>} OHLC candles [{ timestamp, open, high, low, close }], oldest first
+ */
+export const getPriceHistory = async (symbol, range = '7d', { bucketSize } = {}) => {
+    const rangeConfig = PRICE_HISTORY_RANGES[range];
+    if (!rangeConfig) {
+        throw new Error(`Unknown price history range: ${range}`);
+    }
+    if (!symbol) return [];
+
+    const to = Date.now();
+    // Align the start to the candle size so repeated calls share a fetch
+    const size = bucketSize || rangeConfig.bucketSize;
+    const from = Math.floor((to - rangeConfig.duration) / size) * size;
+
+    const series = await getSeries(symbol, from);
+    const points = series.points.filter(point => point.timestamp >= from);
+    return buildCandles(points, size);
+};
+
+/**
+ * Get price history of one token quoted in another, e.g. MANGO in ETH
+ * Candles are built from both USD series; buckets missing from either side are skipped.
+ * @param {string} baseSymbol - Token being priced
+ * @param {string} quoteSymbol - Token the price is expressed in
+ * @param {string} [range] - One of PRICE_HISTORY_RANGES
+ * @returns {Promise<Array>} OHLC candles [{ timestamp, open, high, low, close }], oldest first
+ */
+export const getPairPriceHistory = async (baseSymbol, quoteSymbol, range = '7d') => {
+    const [baseCandles, quoteCandles] = await Promise.all([
+        getPriceHistory(baseSymbol, range),
+        getPriceHistory(quoteSymbol, range),
+    ]);
+    const quoteByTimestamp = new Map(quoteCandles.map(candle => [candle.timestamp, candle]));
+
+    return baseCandles.reduce((candles, candle) => {
+        const quote = quoteByTimestamp.get(candle.timestamp);
+        if (!quote || !quote.open || !quote.close) return candles;
+
+        const open = candle.open / quote.open;
+        const close = candle.close / quote.close;
+        // The two series' extremes need not coincide, so high/low are the widest the ratio could have been
+        candles.push({
+            timestamp: candle.timestamp,
+            open,
+            high: Math.max(open, close, quote.low ? candle.high / quote.low : 0),
+            low: Math.min(open, close, quote.high ? candle.low / quote.high : Infinity),
+            close,
+        });
+        return candles;
+    }, []);
+};
+
+/**
+ * Get the percentage price change over a range
+ * @param {string} symbol - Token symbol
+ * @param {string} [range] - One of PRICE_HISTORY_RANGES
+ * @returns {Promise<number|null>} Change in percent, or null without enough history
+ */
+export const getPriceChange = async (symbol, range = '1d') => {
+    const candles = await getPriceHistory(symbol, range);
+    if (candles.length < 2) return null;
+
+    const first = candles[0].open;
+    const last = candles[candles.length - 1].close;
+    if (!first) return null;
+    return ((last - first) / first) * 100;
+};
+
+/**
+ * Fetch the source's points around a day older than the stored history
+ * Sources only keep daily points that far back, so the span starts a day early.
+ * @param {string} symbol - Token symbol
+ * @param {number} day - Start of the UTC day (ms)
+ * @returns {Promise<Array>} [{ timestamp, price }], empty when the source has none
+ */
+const getPastDayPoints = (symbol, day) => {
+    const key = `${getSeriesKey(symbol)}:${day}`;
+    if (!pastDayPoints.has(key)) {
+        pastDayPoints.set(key, activeSource.fetchHistory(symbol, { from: day - DAY, to: day + DAY })
+            .then(points => points || [])
+            .catch((error) => {
+                console.warn(`Failed to fetch past prices for ${symbol}:`, error.message);
+                pastDayPoints.delete(key);
+                return [];
+            }));
+    }
+    return pastDayPoints.get(key);
+};
+
+/**
+ * Get a token's USD price at a past moment
+ * Uses the candle containing the timestamp from the shortest range that reaches back to it;
+ * older moments are asked from the source directly.
+ * @param {string} symbol - Token symbol
+ * @param {number} timestamp - Time (ms)
+ * @returns {Promise<number|null>} Close of that candle or the last earlier source point, null without data
+ */
+export const getPriceAt = async (symbol, timestamp) => {
+    if (!symbol) return null;
+
+    const age = Date.now() - timestamp;
+    const range = ['1d', '7d', '30d', '90d'].find(key => PRICE_HISTORY_RANGES[key].duration >= age);
+    if (!range) {
+        const points = await getPastDayPoints(symbol, Math.floor(timestamp / DAY) * DAY);
+        const before = points.filter(point => point.timestamp <= timestamp);
+        return before.length > 0
+            ? before.reduce((latest, point) => (point.timestamp > latest.timestamp ? point : latest)).price
+            : null;
+    }
+
+    const candles = await getPriceHistory(symbol, range);
+    for (let i = candles.length - 1; i >= 0; i--) {
+        if (candles[i].timestamp <= timestamp) return candles[i].close;
+    }
+    return null;
+};
+
+/**
+ * Get the 24h price change
+ * @param {string} symbol - Token symbol
+ * @returns {Promise<number|null>} Change in percent, or null without enough history
+ */
+export const get24hChange = (symbol) => getPriceChange(symbol, '1d');
+
+/**
+ * Replace the history source
+ * Series are keyed by source name, so data from different sources never mixes.
+ * @param {Object|null} source - { name, fetchHistory }, or null for CoinGecko
+ */
+export const setPriceHistorySource = (source) => {
+    activeSource = source || coinGeckoHistorySource;
+};
+
+/**
+ * Clear stored price history
+ */
+export const clearPriceHistory = async () => {
+    memorySeries.clear();
+    pendingSyncs.clear();
+    pastDayPoints.clear();
+    await runStoreRequest('readwrite', store => store.clear());
+};
+
+export default {
+    PRICE_HISTORY_RANGES,
+    HISTORY_INTERVALS,
+    getPriceHistory,
+    getPairPriceHistory,
+    getPriceChange,
+    getPriceAt,
+    get24hChange,
+    setPriceHistorySource,
+    clearPriceHistory,
+    buildCandles,
+};
@@ -1,9 +1,27 @@
 /**
  * Price Oracle Service
- * Fetches token prices from CoinGecko API with caching and fallback mechanisms
+ * Combines several price sources into one USD price per token:
+ * - coingecko: CoinGecko simple price API
+ * - chainlink: Chainlink aggregator latestRoundData, read through rpcProvider
+ * - onchain-spot: current reserves of the token's pair against a stablecoin or wrapped native token
+ * - onchain-twap: time-weighted average from the same pair's price0/1CumulativeLast,
+ *   read now and at a block one TWAP_WINDOW back
+ *
+ * Pairs come from the Mango factory when one is configured, otherwise from the
+ * chain's public Uniswap V2 style factory (see config/pairFactories).
+ *
+ * Source prices are combined by median (default) or weighted mean. Sources too far
+ * from the consensus are flagged as outliers and left out of the final price.
+ * Every price reports the source(s) it came from and a 0-1 confidence score.
  */
 
 import axios from 'axios';
+import { parseAbi, encodeFunctionData, decodeFunctionResult } from 'viem';
+import rpcProvider from './rpcProvider';
+import chainConfig from './chainConfig';
+import { getPairAddress } from './liquidityPool';
+import { findTokenBySymbol } from '../config/tokenLists';
+import { getPairFactoryAddress } from '../config/pairFactories';
 
 // Token symbol to CoinGecko ID mapping
 const TOKEN_COINGECKO_MAP = {
@@ -16,39 +34,149 @@ const TOKEN_COINGECKO_MAP = {
     'BUSDT': 'tether',
     'DAI': 'dai',
     'WBTC': 'wrapped-bitcoin',
-    'MANGO': null, // Custom token - will need custom price source
+    'MANGO': null, // No CoinGecko listing - priced from on-chain pairs
 };
 
+// Wrapped native tokens are priced as the native token
+const PRICE_ALIASES = {
+    'WETH': 'ETH',
+    'WBNB': 'BNB',
+    'WMATIC': 'MATIC',
+    'WAVAX': 'AVAX',
+};
+
+// Chainlink USD aggregators per chain: { chainId: { symbol: aggregatorAddress } }
+const CHAINLINK_FEEDS = {
+    1: {
+        'ETH': '0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419',
+        'WBTC': '0xF4030086522a5bEEa4988F8cA5B36dbC97BeE88c',
+        'USDC': '0x8fFfFfd4AfB6115b954Bd326cbe7B4BA576818f6',
+        'USDT': '0x3E7d1eAB13ad0104d2750B8863b489D65364e32D',
+        'DAI': '0xAed0c38402a5d19df6E4c03F4E2DceD6e29c1ee9',
+    },
+    56: {
+        'BNB': '0x0567F2323251f0Aab15c8dFb1967E4e8A7D59aDb',
+    },
+    8453: {
+        'ETH': '0x71041dddad3595F9CEd3DcCFBe3D1F4b0a16Bb70',
+        'USDC': '0x7e860098F58bBFC8648a4311b374B1D669a2bc6B',
+    },
+    42161: {
+        'ETH': '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612',
+        'USDC': '0x50834F3163758fcC1Df9973b6e91f0F0F0434aD3',
+    },
+};
+
+// Tokens a pair can be priced against, in order of preference
+const STABLE_QUOTE_SYMBOLS = ['USDC', 'USDT', 'DAI'];
+
+export const PRICE_SOURCES = {
+    COINGECKO: 'coingecko',
+    CHAINLINK: 'chainlink',
+    ONCHAIN_SPOT: 'onchain-spot',
+    ONCHAIN_TWAP: 'onchain-twap',
+};
+
+export const CONSENSUS_METHODS = {
+    MEDIAN: 'median',
+    WEIGHTED: 'weighted',
+};
+
+// Relative trust per source for weighted consensus; spot reserves are the easiest to move
+const SOURCE_WEIGHTS = {
+    [PRICE_SOURCES.CHAINLINK]: 3,
+    [PRICE_SOURCES.COINGECKO]: 2,
+    [PRICE_SOURCES.ONCHAIN_TWAP]: 2,
+    [PRICE_SOURCES.ONCHAIN_SPOT]: 1,
+};
+
+// Sources further than this from the consensus are outliers (5%)
+export const OUTLIER_THRESHOLD = 0.05;
+
+// Chainlink answers older than this are ignored (stablecoin feeds update daily)
+const CHAINLINK_MAX_AGE = 24 * 60 * 60; // seconds
+
+// TWAP window, the earlier accumulator read is taken this far back
+const TWAP_WINDOW = 30 * 60; // seconds
+
+const Q112 = 2n ** 112n;
+const UINT256 = 2n ** 256n;
+
+const CHAINLINK_ABI = parseAbi([
+    'function decimals() external view returns (uint8)',
+    'function latestRoundData() external view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+]);
+
+const PAIR_ORACLE_ABI = parseAbi([
+    'function getReserves() external view returns (uint112 reserve0, uint112 reserve1, uint32 blockTimestampLast)',
+    'function token0() external view returns (address)',
+    'function price0CumulativeLast() external view returns (uint256)',
+    'function price1CumulativeLast() external view returns (uint256)',
+]);
+
 // Cache for prices (5 minute TTL)
 const priceCache = new Map();
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 /**
- * Get token price from CoinGecko
- * @param {string} symbol - Token symbol (e.g., 'ETH', 'USDC')
- * @returns {Promise<number|null>} Token price in USD or null if unavailable
+ * Create a readContract-compatible reader that sends eth_call through rpcProvider
+ * so oracle reads get its RPC fallback and health tracking.
+ * Reads default to the latest block; pass blockNumber to read past state.
+ * @param {number} chainId - Chain ID
+ * @returns {Object} { readContract, getBlock }
  */
-export const getTokenPrice = async (symbol) => {
-    // Check cache first
-    const cacheKey = symbol.toUpperCase();
-    const cached = priceCache.get(cacheKey);
-    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-        return cached.price;
-    }
+export const createRpcReader = (chainId) => {
+    const toBlockTag = (blockNumber) => (blockNumber === undefined ? 'latest' : `0x${blockNumber.toString(16)}`);
 
-    // Handle stablecoins
-    if (['USDC', 'USDT', 'BUSDT', 'DAI'].includes(cacheKey)) {
-        const price = 1.0;
-        priceCache.set(cacheKey, { price, timestamp: Date.now() });
-        return price;
-    }
+    return {
+        readContract: async ({ address, abi, functionName, args = [], blockNumber }) => {
+            const response = await rpcProvider.request(chainId, {
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'eth_call',
+                params: [{ to: address, data: encodeFunctionData({ abi, functionName, args }) }, toBlockTag(blockNumber)],
+            });
+            return decodeFunctionResult({ abi, functionName, data: response.result });
+        },
+        getBlock: async ({ blockNumber } = {}) => {
+            const response = await rpcProvider.request(chainId, {
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'eth_getBlockByNumber',
+                params: [toBlockTag(blockNumber), false],
+            });
+            return { number: BigInt(response.result.number), timestamp: BigInt(response.result.timestamp) };
+        },
+    };
+};
 
-    // Get CoinGecko ID
-    const coingeckoId = TOKEN_COINGECKO_MAP[cacheKey];
-    if (!coingeckoId) {
-        console.warn(`No CoinGecko mapping for token: ${symbol}`);
-        return null;
-    }
+/**
+ * Get the symbol a token is priced as (WETH -> ETH)
+ * @param {string} symbol - Token symbol
+ * @returns {string} Upper-case price symbol
+ */
+const getPriceSymbol = (symbol) => {
+    const upper = symbol.toUpperCase();
+    return PRICE_ALIASES[upper] || upper;
+};
+
+/**
+ * Get the CoinGecko ID for a token
+ * @param {string} symbol - Token symbol
+ * @returns {string|null} CoinGecko ID or null if not listed
+ */
+export const getCoinGeckoId = (symbol) => {
+    return TOKEN_COINGECKO_MAP[getPriceSymbol(symbol)] || null;
+};
+
+/**
+ * Fetch a price from CoinGecko
+ * @param {string} symbol - Token symbol
+ * @returns {Promise<number|null>} USD price or null
+ */
+export const fetchCoinGeckoPrice = async (symbol) => {
+    const coingeckoId = getCoinGeckoId(symbol);
+    if (!coingeckoId) return null;
 
     try {
         const response = await axios.get(
@@ -61,34 +189,348 @@ export const getTokenPrice = async (symbol) => {
                 timeout: 5000,
             }
         );
+        return response.data[coingeckoId]?.usd || null;
+    } catch (error) {
+        console.warn(`Failed to fetch CoinGecko price for ${symbol}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Fetch a price from a Chainlink USD aggregator
+ * @param {string} symbol - Token symbol
+ * @param {number} chainId - Chain ID
+ * @param {Object} [reader] - Contract reader, defaults to rpcProvider
+ * @returns {Promise<number|null>} USD price or null if no fresh answer
+ */
+export const fetchChainlinkPrice = async (symbol, chainId, reader = createRpcReader(chainId)) => {
+    const feedAddress = CHAINLINK_FEEDS[chainId]?.[getPriceSymbol(symbol)];
+    if (!feedAddress) return null;
 
-        const price = response.data[coingeckoId]?.usd;
-        if (price) {
-            priceCache.set(cacheKey, { price, timestamp: Date.now() });
-            return price;
+    try {
+        const [decimals, roundData] = await Promise.all([
+            reader.readContract({ address: feedAddress, abi: CHAINLINK_ABI, functionName: 'decimals' }),
+            reader.readContract({ address: feedAddress, abi: CHAINLINK_ABI, functionName: 'latestRoundData' }),
+        ]);
+
+        const answer = roundData[1];
+        const updatedAt = Number(roundData[3]);
+        if (answer <= 0n) return null;
+        if (Date.now() / 1000 - updatedAt > CHAINLINK_MAX_AGE) {
+            console.warn(`Chainlink ${symbol} feed on chain ${chainId} is stale`);
+            return null;
         }
 
+        return Number(answer) / 10 ** Number(decimals);
+    } catch (error) {
+        console.warn(`Failed to read Chainlink price for ${symbol}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Extend a pair's cumulative prices to a timestamp (as Uniswap V2's oracle library does)
+ * @param {Object} state - { reserve0, reserve1, blockTimestampLast, price0Cumulative, price1Cumulative }
+ * @param {number} timestamp - Current block timestamp (seconds)
+ * @returns {Object} { price0Cumulative, price1Cumulative }
+ */
+export const getCurrentCumulativePrices = (state, timestamp) => {
+    let { price0Cumulative, price1Cumulative } = state;
+    const elapsed = BigInt(Math.max(0, timestamp - state.blockTimestampLast));
+    if (elapsed > 0n && state.reserve0 > 0n && state.reserve1 > 0n) {
+        price0Cumulative = (price0Cumulative + (state.reserve1 * Q112 / state.reserve0) * elapsed) % UINT256;
+        price1Cumulative = (price1Cumulative + (state.reserve0 * Q112 / state.reserve1) * elapsed) % UINT256;
+    }
+    return { price0Cumulative, price1Cumulative };
+};
+
+/**
+ * Average price between two cumulative observations
+ * Cumulative prices are UQ112x112 and may overflow, so the difference is taken mod 2^256.
+ * @param {bigint} cumulativeStart - Earlier cumulative price
+ * @param {bigint} cumulativeEnd - Later cumulative price
+ * @param {number} elapsed - Seconds between the observations
+ * @returns {number} Average raw price (quote units per base unit)
+ */
+export const calculateTwap = (cumulativeStart, cumulativeEnd, elapsed) => {
+    if (elapsed <= 0) return 0;
+    const difference = ((cumulativeEnd - cumulativeStart) % UINT256 + UINT256) % UINT256;
+    return Number((difference * 10n ** 18n) / (BigInt(elapsed) * Q112)) / 1e18;
+};
+
+/**
+ * Read a pair's reserves and cumulative prices at a block
+ * Cumulative prices are extended to the block's timestamp.
+ * @param {Object} reader - Contract reader
+ * @param {string} pairAddress - Pair address
+ * @param {Object} block - { number, timestamp } (number undefined for latest)
+ * @returns {Promise<Object>} { reserve0, reserve1, timestamp, price0Cumulative, price1Cumulative }
+ */
+const readPairState = async (reader, pairAddress, block) => {
+    const read = (functionName) => reader.readContract({
+        address: pairAddress,
+        abi: PAIR_ORACLE_ABI,
+        functionName,
+        ...(block.number !== undefined ? { blockNumber: block.number } : {}),
+    });
+    const [reserves, price0CumulativeLast, price1CumulativeLast] = await Promise.all([
+        read('getReserves'),
+        read('price0CumulativeLast'),
+        read('price1CumulativeLast'),
+    ]);
+
+    const [reserve0, reserve1, blockTimestampLast] = reserves;
+    const timestamp = Number(block.timestamp);
+    return {
+        reserve0,
+        reserve1,
+        timestamp,
+        ...getCurrentCumulativePrices({
+            reserve0,
+            reserve1,
+            blockTimestampLast: Number(blockTimestampLast),
+            price0Cumulative: price0CumulativeLast,
+            price1Cumulative: price1CumulativeLast,
+        }, timestamp),
+    };
+};
+
+/**
+ * Read the pair's state one TWAP_WINDOW before a block
+ * Needs an RPC that serves past state; returns null when it doesn't.
+ * @param {Object} reader - Contract reader
+ * @param {number} chainId - Chain ID
+ * @param {string} pairAddress - Pair address
+ * @param {Object} latestBlock - { number, timestamp }
+ * @returns {Promise<Object|null>} Pair state (see readPairState) or null
+ */
+const readPastPairState = async (reader, chainId, pairAddress, latestBlock) => {
+    if (latestBlock.number === undefined) return null;
+
+    try {
+        const blocksBack = BigInt(Math.ceil(TWAP_WINDOW / chainConfig.getBlockTime(chainId)));
+        if (latestBlock.number <= blocksBack) return null;
+        const pastBlock = await reader.getBlock({ blockNumber: latestBlock.number - blocksBack });
+        return await readPairState(reader, pairAddress, pastBlock);
+    } catch (error) {
+        console.warn(`Failed to read past state of pair ${pairAddress} for TWAP:`, error.message);
         return null;
+    }
+};
+
+/**
+ * Find the pair used to price a token on-chain
+ * Prefers stablecoin pairs, then the wrapped native token. Looks in the Mango
+ * factory when configured, otherwise in the chain's public DEX factory.
+ * @param {Object} reader - Contract reader
+ * @param {number} chainId - Chain ID
+ * @param {Object} token - Token { symbol, address, decimals }
+ * @returns {Promise<Object|null>} { pairAddress, quoteToken } or null
+ */
+const findPricingPair = async (reader, chainId, token) => {
+    const factoryAddress = getPairFactoryAddress(chainId);
+    if (!factoryAddress) return null;
+
+    const nativeSymbol = chainConfig.getChain(chainId)?.nativeCurrency?.symbol;
+    const quoteSymbols = [...STABLE_QUOTE_SYMBOLS, nativeSymbol ? `W${nativeSymbol}` : null];
+
+    for (const quoteSymbol of quoteSymbols) {
+        const quoteToken = quoteSymbol ? findTokenBySymbol(chainId, quoteSymbol) : null;
+        if (!quoteToken || quoteToken.address.toLowerCase() === token.address.toLowerCase()) continue;
+
+        const pairAddress = await getPairAddress(reader, factoryAddress, token.address, quoteToken.address);
+        if (pairAddress) {
+            return { pairAddress, quoteToken };
+        }
+    }
+    return null;
+};
+
+/**
+ * Fetch spot and TWAP prices for a token from its on-chain pair
+ * The pair price is converted to USD with the quote token's own oracle price.
+ * @param {string} symbol - Token symbol
+ * @param {number} chainId - Chain ID
+ * @param {Object} [reader] - Contract reader, defaults to rpcProvider
+ * @returns {Promise<Object>} { spot, twap } USD prices (null when unavailable)
+ */
+export const fetchOnChainPrices = async (symbol, chainId, reader = createRpcReader(chainId)) => {
+    const empty = { spot: null, twap: null };
+    const upper = symbol.toUpperCase();
+    let token = findTokenBySymbol(chainId, upper);
+    if (!token && upper === 'MANGO') {
+        const mangoAddress = chainConfig.getContractAddress(chainId, 'token');
+        token = mangoAddress ? { symbol: 'MANGO', address: mangoAddress, decimals: 18 } : null;
+    }
+    if (!token?.address || token.address === 'native') return empty;
+
+    try {
+        const pair = await findPricingPair(reader, chainId, token);
+        if (!pair) return empty;
+
+        const { pairAddress, quoteToken } = pair;
+        const [token0, block] = await Promise.all([
+            reader.readContract({ address: pairAddress, abi: PAIR_ORACLE_ABI, functionName: 'token0' }),
+            reader.getBlock(),
+        ]);
+        const current = await readPairState(reader, pairAddress, block);
+
+        const { reserve0, reserve1 } = current;
+        if (reserve0 === 0n || reserve1 === 0n) return empty;
+
+        const quoteUsd = await getTokenPrice(quoteToken.symbol, { chainId, includeOnChain: false });
+        if (!quoteUsd) return empty;
+
+        const isToken0 = token0.toLowerCase() === token.address.toLowerCase();
+        const decimalsAdjustment = 10 ** ((token.decimals || 18) - (quoteToken.decimals || 18));
+        const reserveToken = isToken0 ? reserve0 : reserve1;
+        const reserveQuote = isToken0 ? reserve1 : reserve0;
+        const spot = (Number(reserveQuote) / Number(reserveToken)) * decimalsAdjustment * quoteUsd;
+
+        const previous = await readPastPairState(reader, chainId, pairAddress, block);
+
+        let twap = null;
+        if (previous) {
+            const elapsed = current.timestamp - previous.timestamp;
+            const rawTwap = isToken0
+                ? calculateTwap(previous.price0Cumulative, current.price0Cumulative, elapsed)
+                : calculateTwap(previous.price1Cumulative, current.price1Cumulative, elapsed);
+            twap = rawTwap > 0 ? rawTwap * decimalsAdjustment * quoteUsd : null;
+        }
+
+        return { spot, twap };
     } catch (error) {
-        console.warn(`Failed to fetch price for ${symbol}:`, error.message);
-        // Return cached price if available, even if expired
-        if (cached) {
-            return cached.price;
+        console.warn(`Failed to read on-chain price for ${symbol}:`, error.message);
+        return empty;
+    }
+};
+
+/**
+ * Median of a list of numbers
+ * @param {number[]} values - Values
+ * @returns {number} Median
+ */
+const getMedian = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+};
+
+/**
+ * Combine source prices into one price
+ * @param {Array} quotes - [{ source, price }]
+ * @param {Object} [options] - { method, outlierThreshold }
+ * @returns {Object|null} { price, source, confidence, sources, outliers } or null if no valid quotes
+ */
+export const buildConsensus = (quotes, { method = CONSENSUS_METHODS.MEDIAN, outlierThreshold = OUTLIER_THRESHOLD } = {}) => {
+    const valid = quotes.filter(quote => quote && Number.isFinite(quote.price) && quote.price > 0);
+    if (valid.length === 0) return null;
+
+    const median = getMedian(valid.map(quote => quote.price));
+    const sources = valid.map(quote => {
+        const deviation = Math.abs(quote.price - median) / median;
+        return {
+            source: quote.source,
+            price: quote.price,
+            weight: SOURCE_WEIGHTS[quote.source] || 1,
+            deviation,
+            isOutlier: deviation > outlierThreshold,
+        };
+    });
+
+    // Two disagreeing sources are both outliers of their midpoint, fall back to the median
+    const agreeing = sources.filter(item => !item.isOutlier);
+    let price = median;
+    if (agreeing.length > 0) {
+        if (method === CONSENSUS_METHODS.WEIGHTED) {
+            const totalWeight = agreeing.reduce((sum, item) => sum + item.weight, 0);
+            price = agreeing.reduce((sum, item) => sum + item.price * item.weight, 0) / totalWeight;
+        } else {
+            price = getMedian(agreeing.map(item => item.price));
         }
-        return null;
     }
+
+    // Share of the source weight that agrees, reduced while fewer than two sources agree
+    const totalWeight = sources.reduce((sum, item) => sum + item.weight, 0);
+    const agreeingWeight = agreeing.reduce((sum, item) => sum + item.weight, 0);
+    const confidence = (agreeingWeight / totalWeight) * Math.min(1, agreeing.length / 2);
+
+    return {
+        price,
+        source: agreeing.length === 1 ? agreeing[0].source : 'consensus',
+        confidence: Math.round(confidence * 100) / 100,
+        sources,
+        outliers: sources.filter(item => item.isOutlier).map(item => item.source),
+    };
+};
+
+/**
+ * Get a token price with its sources and confidence
+ * @param {string} symbol - Token symbol (e.g., 'ETH', 'MANGO')
+ * @param {Object} [options] - Options
+ * @param {number} [options.chainId] - Chain for Chainlink and on-chain pair sources
+ * @param {string} [options.method] - One of CONSENSUS_METHODS
+ * @param {boolean} [options.includeOnChain] - Include pair reserve sources (default true)
+ * @returns {Promise<Object|null>} { symbol, price, source, confidence, sources, outliers, timestamp } or null
+ */
+export const getTokenPriceDetails = async (symbol, { chainId = null, method = CONSENSUS_METHODS.MEDIAN, includeOnChain = true } = {}) => {
+    const upper = symbol.toUpperCase();
+    const cacheKey = `${upper}:${chainId || 'any'}:${method}:${includeOnChain ? 'all' : 'offchain'}`;
+    const cached = priceCache.get(cacheKey);
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached;
+    }
+
+    const [coingecko, chainlink, onChain] = await Promise.all([
+        fetchCoinGeckoPrice(upper),
+        chainId ? fetchChainlinkPrice(upper, chainId) : null,
+        chainId && includeOnChain ? fetchOnChainPrices(upper, chainId) : { spot: null, twap: null },
+    ]);
+
+    const consensus = buildConsensus([
+        { source: PRICE_SOURCES.COINGECKO, price: coingecko },
+        { source: PRICE_SOURCES.CHAINLINK, price: chainlink },
+        { source: PRICE_SOURCES.ONCHAIN_SPOT, price: onChain.spot },
+        { source: PRICE_SOURCES.ONCHAIN_TWAP, price: onChain.twap },
+    ], { method });
+
+    if (!consensus) {
+        console.warn(`No price source available for token: ${symbol}`);
+        // Return cached price if available, even if expired
+        return cached ? { ...cached, isStale: true } : null;
+    }
+
+    if (consensus.outliers.length > 0) {
+        console.warn(`Outlier price sources for ${upper}:`, consensus.outliers.join(', '));
+    }
+
+    const details = { symbol: upper, ...consensus, timestamp: Date.now() };
+    priceCache.set(cacheKey, details);
+    return details;
+};
+
+/**
+ * Get token price in USD
+ * @param {string} symbol - Token symbol (e.g., 'ETH', 'USDC')
+ * @param {Object} [options] - See getTokenPriceDetails
+ * @returns {Promise<number|null>} Token price in USD or null if unavailable
+ */
+export const getTokenPrice = async (symbol, options = {}) => {
+    const details = await getTokenPriceDetails(symbol, options);
+    return details ? details.price : null;
 };
 
 /**
  * Get multiple token prices at once
  * @param {string[]} symbols - Array of token symbols
+ * @param {Object} [options] - See getTokenPriceDetails
  * @returns {Promise<Object>} Object mapping symbol to price
  */
-export const getTokenPrices = async (symbols) => {
+export const getTokenPrices = async (symbols, options = {}) => {
     const prices = {};
     await Promise.all(
         symbols.map(async (symbol) => {
-            const price = await getTokenPrice(symbol);
+            const price = await getTokenPrice(symbol, options);
             if (price !== null) {
                 prices[symbol] = price;
             }
@@ -107,12 +549,12 @@ export const getTokenPrices = async (symbols) => {
  */
 export const calculatePriceImpact = (amountIn, amountOut, priceIn, priceOut) => {
     if (!amountIn || !amountOut || !priceIn || !priceOut) return 0;
-    
+
     const valueIn = amountIn * priceIn;
     const valueOut = amountOut * priceOut;
-    
+
     if (valueIn === 0) return 0;
-    
+
     const impact = ((valueIn - valueOut) / valueIn) * 100;
     return Math.max(0, impact); // Ensure non-negative
 };
@@ -125,9 +567,12 @@ export const clearPriceCache = () => {
 };
 
 export default {
+    PRICE_SOURCES,
+    CONSENSUS_METHODS,
     getTokenPrice,
     getTokenPrices,
+    getTokenPriceDetails,
+    buildConsensus,
     calculatePriceImpact,
     clearPriceCache,
 };
-
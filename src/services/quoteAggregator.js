@@ -0,0 +1,557 @@
+/**
+ * Quote Aggregator Service
+ *
+ * Collects swap quotes from every registered quote source in parallel,
+ * normalizes them to a single shape, ranks them and caches the result per block.
+ * Sources can be registered or removed at runtime (Mango API, on-chain router,
+ * LayerSwap, ...).
+ *
+ * Quotes are compared net of the Mango swap fee, which the router takes from the
+ * input before swapping: sources that don't deduct it themselves are asked to
+ * quote the input after the fee.
+ */
+
+import axios from 'axios';
+import { parseAbi, encodeFunctionData, decodeFunctionResult, isAddress, parseUnits } from 'viem';
+import chainConfig from './chainConfig';
+import rpcProvider from './rpcProvider';
+import { layerSwapApi } from './mangoApi';
+import { onChainEstimateSource, applySwapFee, ON_CHAIN_ESTIMATE_SOURCE } from './onChainQuote';
+
+/**
+ * Built-in quote source identifiers
+ */
+const QUOTE_SOURCES = {
+    MANGO_API: 'mango-api',
+    ON_CHAIN_ROUTER: 'on-chain-router',
+    LAYERSWAP: 'layerswap',
+    ON_CHAIN_ESTIMATE: ON_CHAIN_ESTIMATE_SOURCE,
+};
+
+/**
+ * Human readable labels for quote sources
+ */
+const QUOTE_SOURCE_LABELS = {
+    [QUOTE_SOURCES.MANGO_API]: 'Mango API',
+    [QUOTE_SOURCES.ON_CHAIN_ROUTER]: 'On-chain router',
+    [QUOTE_SOURCES.LAYERSWAP]: 'LayerSwap',
+    [QUOTE_SOURCES.ON_CHAIN_ESTIMATE]: 'On-chain estimate',
+};
+
+/**
+ * Default configuration
+ */
+const DEFAULT_CONFIG = {
+    sourceTimeout: 8000, // 8 seconds per source
+    maxCacheEntries: 100,
+};
+
+const MANGO_QUOTE_API_URL = process.env.REACT_APP_MANGO_QUOTE_API_URL ||
+    'https://38654yedpe.execute-api.ca-central-1.amazonaws.com';
+
+// Uniswap V2 style router quote function
+const ROUTER_QUOTE_ABI = parseAbi([
+    'function getAmountsOut(uint256 amountIn, address[] path) external view returns (uint256[] amounts)',
+]);
+
+/**
+ * Convert an amount (number, numeric string or bigint) to bigint
+ * @param {number|string|bigint} amount - Amount in smallest unit
+ * @returns {bigint|null} Amount as bigint or null if invalid
+ */
+const toBigIntAmount = (amount) => {
+    if (amount === null || amount === undefined || amount === '') return null;
+    if (typeof amount === 'bigint') return amount;
+
+    try {
+        if (typeof amount === 'number') {
+            if (!isFinite(amount) || amount < 0) return null;
+            return BigInt(Math.floor(amount));
+        }
+        // Strip any fractional part left over from float math
+        return BigInt(String(amount).split('.')[0]);
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Mango API quote source (AWS amountOut endpoint)
+ * Quotes the pair itself, so it is queried with the input after the Mango swap fee.
+ */
+const mangoApiSource = {
+    name: QUOTE_SOURCES.MANGO_API,
+    supports: (params) => !!params.sellTokenAddress && !!params.buyTokenAddress,
+    getQuote: async (params, { timeout }) => {
+        const response = await axios.get(`${MANGO_QUOTE_API_URL}/amountOut`, {
+            params: {
+                chainId: params.chainId,
+                sellTokenAddress: params.sellTokenAddress,
+                buyTokenAddress: params.buyTokenAddress,
+                amountToSell: params.amountToSell,
+            },
+            timeout,
+        });
+
+        const data = response.data;
+        if (!data?.buyAmount) {
+            throw new Error('Mango API returned no buyAmount');
+        }
+
+        return {
+            amountOut: data.buyAmount,
+            priceImpact: data.estimatedPriceImpact ?? data.priceImpact ?? null,
+            gas: data.estimatedGas ?? data.gas ?? null,
+            fee: data.fee ?? null,
+            raw: data,
+        };
+    },
+};
+
+/**
+ * On-chain router quote source (getAmountsOut through rpcProvider)
+ */
+const onChainRouterSource = {
+    name: QUOTE_SOURCES.ON_CHAIN_ROUTER,
+    swapFee: 'deducted',
+    supports: (params) => {
+        return isAddress(params.sellTokenAddress || '') &&
+            isAddress(params.buyTokenAddress || '') &&
+            !!toBigIntAmount(params.amountToSell) &&
+            !!chainConfig.getContractAddress(params.chainId, 'router');
+    },
+    getQuote: async (params, { timeout }) => {
+        const routerAddress = chainConfig.getContractAddress(params.chainId, 'router');
+        const path = params.path || [params.sellTokenAddress, params.buyTokenAddress];
+        const amountIn = toBigIntAmount(params.amountToSell);
+        if (!amountIn) {
+            throw new Error('On-chain router quote needs an input amount');
+        }
+        // The Mango router takes its fee from the input before swapping
+        const { amountAfterFee, feeAmount } = applySwapFee(amountIn, params.tier);
+
+        const data = encodeFunctionData({
+            abi: ROUTER_QUOTE_ABI,
+            functionName: 'getAmountsOut',
+            args: [amountAfterFee, path],
+        });
+
+        const response = await rpcProvider.request(
+            params.chainId,
+            {
+                jsonrpc: '2.0',
+                method: 'eth_call',
+                params: [{ to: routerAddress, data }, 'latest'],
+                id: 1,
+            },
+            { timeout }
+        );
+
+        const amounts = decodeFunctionResult({
+            abi: ROUTER_QUOTE_ABI,
+            functionName: 'getAmountsOut',
+            data: response.result,
+        });
+
+        return {
+            amountOut: amounts[amounts.length - 1].toString(),
+            priceImpact: null,
+            gas: null,
+            fee: feeAmount.toString(),
+            path,
+            raw: amounts.map(a => a.toString()),
+        };
+    },
+};
+
+/**
+ * LayerSwap quote source (cross-chain estimates only)
+ */
+const layerSwapSource = {
+    name: QUOTE_SOURCES.LAYERSWAP,
+    swapFee: 'none', // Bridged through LayerSwap, not the Mango router
+    supports: (params) => !!params.destChainId && params.destChainId !== params.chainId,
+    getQuote: async (params) => {
+        const sourceChain = chainConfig.getChain(params.chainId);
+        const destChain = chainConfig.getChain(params.destChainId);
+
+        const estimate = await layerSwapApi.getEstimate({
+            source: sourceChain?.chainName?.toLowerCase() || `chain-${params.chainId}`,
+            destination: destChain?.chainName?.toLowerCase() || `chain-${params.destChainId}`,
+            amount: params.amountIn,
+        });
+
+        const receiveAmount = estimate?.receiveAmount ?? estimate?.receive_amount;
+        if (receiveAmount === undefined || receiveAmount === null) {
+            throw new Error('LayerSwap estimate returned no receive amount');
+        }
+
+        return {
+            amountOut: parseUnits(String(receiveAmount), params.buyTokenDecimals || 18).toString(),
+            priceImpact: null,
+            gas: null,
+            fee: estimate.fee ?? null,
+            estimatedTime: estimate.estimatedTime ?? null,
+            raw: estimate,
+        };
+    },
+};
+
+/**
+ * Quote Aggregator Class
+ */
+class QuoteAggregator {
+    constructor(config = {}) {
+        this.config = { ...DEFAULT_CONFIG, ...config };
+
+        // Registered quote sources
+        // Structure: Map<name, { name, supports(params), getQuote(params, context), fallback, swapFee }>
+        // Fallback sources only run when no primary source returned a quote
+        this.sources = new Map();
+
+        // Quote cache per block
+        // Structure: Map<key, { blockNumber, result }>
+        this.quoteCache = new Map();
+
+        // In-flight quote requests, shared between concurrent callers
+        this.pendingQuotes = new Map();
+
+        this.registerSource(mangoApiSource);
+        this.registerSource(onChainRouterSource);
+        this.registerSource(layerSwapSource);
+        this.registerSource(onChainEstimateSource);
+    }
+
+    /**
+     * Register a quote source
+     * @param {Object} source - Quote source
+     * @param {string} source.name - Unique source name
+     * @param {Function} source.getQuote - async (params, context) => partial quote
+     * @param {Function} [source.supports] - (params) => boolean
+     * @param {boolean} [source.fallback] - Only query when primary sources return nothing
+     * @param {string} [source.swapFee] - 'deducted' when the source takes the Mango swap fee
+     *   from the input itself, 'none' when its route isn't charged the fee. Otherwise the
+     *   source is asked to quote the input after the fee.
+     */
+    registerSource(source) {
+        if (!source?.name || typeof source.getQuote !== 'function') {
+            throw new Error('Quote source must have a name and a getQuote function');
+        }
+        this.sources.set(source.name, source);
+        this.clearCache();
+    }
+
+    /**
+     * Remove a quote source
+     * @param {string} name - Source name
+     */
+    unregisterSource(name) {
+        this.sources.delete(name);
+        this.clearCache();
+    }
+
+    /**
+     * Get registered source names
+     * @returns {string[]} Source names
+     */
+    getSourceNames() {
+        return Array.from(this.sources.keys());
+    }
+
+    /**
+     * Get current block number for cache keying.
+     * Falls back to a block estimate derived from the chain block time.
+     * @param {number} chainId - Chain ID
+     * @returns {Promise<number>} Block number
+     */
+    async getBlockNumber(chainId) {
+        try {
+            const response = await rpcProvider.request(chainId, {
+                jsonrpc: '2.0',
+                method: 'eth_blockNumber',
+                params: [],
+                id: 1,
+            }, { retryAttempts: 1 });
+            return parseInt(response.result, 16);
+        } catch (error) {
+            const blockTime = chainConfig.getBlockTime(chainId) * 1000;
+            return Math.floor(Date.now() / blockTime);
+        }
+    }
+
+    /**
+     * Build cache key for quote params
+     * @param {Object} params - Quote params
+     * @returns {string} Cache key
+     */
+    getCacheKey(params) {
+        return [
+            params.chainId,
+            params.destChainId || params.chainId,
+            (params.sellTokenAddress || '').toLowerCase(),
+            (params.buyTokenAddress || '').toLowerCase(),
+            String(toBigIntAmount(params.amountToSell) ?? params.amountIn ?? ''),
+        ].join(':');
+    }
+
+    /**
+     * Normalize a source result to the common quote shape
+     * @param {string} source - Source name
+     * @param {Object} result - Partial quote returned by the source
+     * @param {number} blockNumber - Block the quote was fetched at
+     * @returns {Object|null} Normalized quote or null if invalid
+     */
+    normalizeQuote(source, result, blockNumber) {
+        const amountOut = toBigIntAmount(result?.amountOut);
+        if (amountOut === null || amountOut === 0n) return null;
+
+        return {
+            ...result,
+            source,
+            sourceLabel: QUOTE_SOURCE_LABELS[source] || source,
+            amountOut: amountOut.toString(),
+            priceImpact: result.priceImpact !== null && result.priceImpact !== undefined
+                ? parseFloat(result.priceImpact)
+                : null,
+            gas: result.gas !== null && result.gas !== undefined ? String(result.gas) : null,
+            fee: result.fee !== null && result.fee !== undefined ? String(result.fee) : null,
+            isEstimate: !!result.isEstimate,
+            blockNumber,
+            timestamp: Date.now(),
+        };
+    }
+
+    /**
+     * Rank quotes, best first.
+     * Highest amountOut wins; ties go to lower price impact, then lower gas.
+     * @param {Object[]} quotes - Normalized quotes
+     * @returns {Object[]} Sorted quotes
+     */
+    rankQuotes(quotes) {
+        return [...quotes].sort((a, b) => {
+            const aOut = BigInt(a.amountOut);
+            const bOut = BigInt(b.amountOut);
+            if (aOut !== bOut) return aOut > bOut ? -1 : 1;
+
+            const aImpact = a.priceImpact ?? Infinity;
+            const bImpact = b.priceImpact ?? Infinity;
+            if (aImpact !== bImpact) return aImpact - bImpact;
+
+            const aGas = a.gas !== null ? Number(a.gas) : Infinity;
+            const bGas = b.gas !== null ? Number(b.gas) : Infinity;
+            return aGas - bGas;
+        });
+    }
+
+    /**
+     * Params to query a source with
+     * Takes the Mango swap fee from the input for sources that quote the raw pair,
+     * so every source's amountOut is what the swap would actually return.
+     * @param {Object} source - Quote source
+     * @param {Object} params - Quote params
+     * @returns {Object} { params, feeAmount } - feeAmount is null when the fee wasn't taken here
+     */
+    getSourceParams(source, params) {
+        const amountIn = toBigIntAmount(params.amountToSell);
+        if (source.swapFee === 'deducted' || source.swapFee === 'none' || !amountIn) {
+            return { params, feeAmount: null };
+        }
+
+        const { amountAfterFee, feeAmount } = applySwapFee(amountIn, params.tier);
+        return {
+            params: { ...params, amountToSell: amountAfterFee.toString() },
+            feeAmount,
+        };
+    }
+
+    /**
+     * Run a single source with a timeout
+     * @param {Object} source - Quote source
+     * @param {Object} params - Quote params
+     * @param {Object} [context] - Extra context passed to the source (e.g. publicClient)
+     * @returns {Promise<Object>} Partial quote
+     */
+    async runSource(source, params, context = {}) {
+        const timeout = this.config.sourceTimeout;
+        let timer;
+
+        try {
+            return await Promise.race([
+                source.getQuote(params, { ...context, timeout }),
+                new Promise((_, reject) => {
+                    timer = setTimeout(
+                        () => reject(new Error(`Quote source ${source.name} timed out`)),
+                        timeout
+                    );
+                }),
+            ]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Fetch quotes from all supporting sources
+     * @param {Object} params - Quote params
+     * @param {number} params.chainId - Chain ID
+     * @param {string} params.sellTokenAddress - Token in address
+     * @param {string} params.buyTokenAddress - Token out address
+     * @param {number|string|bigint} params.amountToSell - Amount in (smallest unit)
+     * @param {number} [params.destChainId] - Destination chain ID (cross-chain sources)
+     * @param {string} [params.amountIn] - Human readable amount in (cross-chain sources)
+     * @param {number} [params.buyTokenDecimals] - Decimals of token out
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.skipCache] - Ignore cached quotes
+     * @param {Object} [options.publicClient] - Viem public client for on-chain estimates
+     * @returns {Promise<Object>} { best, quotes, errors, blockNumber }
+     */
+    async getQuotes(params, options = {}) {
+        if (!params?.chainId || !params.sellTokenAddress || !params.buyTokenAddress) {
+            return { best: null, quotes: [], errors: [], blockNumber: null };
+        }
+
+        const blockNumber = await this.getBlockNumber(params.chainId);
+        const cacheKey = this.getCacheKey(params);
+
+        if (!options.skipCache) {
+            const cached = this.quoteCache.get(cacheKey);
+            if (cached && cached.blockNumber === blockNumber) {
+                return cached.result;
+            }
+        }
+
+        const pendingKey = `${cacheKey}@${blockNumber}`;
+        if (this.pendingQuotes.has(pendingKey)) {
+            return this.pendingQuotes.get(pendingKey);
+        }
+
+        const pending = this.fetchQuotes(params, blockNumber, { publicClient: options.publicClient })
+            .then(result => {
+                this.setCache(cacheKey, blockNumber, result);
+                return result;
+            })
+            .finally(() => {
+                this.pendingQuotes.delete(pendingKey);
+            });
+
+        this.pendingQuotes.set(pendingKey, pending);
+        return pending;
+    }
+
+    /**
+     * Query a set of sources in parallel
+     * @param {Object[]} sources - Quote sources
+     * @param {Object} params - Quote params
+     * @param {number} blockNumber - Current block number
+     * @param {Object} context - Source context
+     * @returns {Promise<Object>} { quotes, errors }
+     */
+    async querySources(sources, params, blockNumber, context) {
+        const requests = sources.map(source => this.getSourceParams(source, params));
+        const results = await Promise.allSettled(
+            sources.map((source, index) => this.runSource(source, requests[index].params, context))
+        );
+
+        const quotes = [];
+        const errors = [];
+
+        results.forEach((result, index) => {
+            const sourceName = sources[index].name;
+            if (result.status === 'fulfilled') {
+                const { feeAmount } = requests[index];
+                const value = feeAmount !== null && (result.value?.fee === null || result.value?.fee === undefined)
+                    ? { ...result.value, fee: feeAmount.toString() }
+                    : result.value;
+                const quote = this.normalizeQuote(sourceName, value, blockNumber);
+                if (quote) {
+                    quotes.push(quote);
+                } else {
+                    errors.push({ source: sourceName, message: 'Invalid quote' });
+                }
+            } else {
+                errors.push({ source: sourceName, message: result.reason?.message || 'Quote failed' });
+            }
+        });
+
+        return { quotes, errors };
+    }
+
+    /**
+     * Query every supporting source in parallel, then fallback sources if needed
+     * @param {Object} params - Quote params
+     * @param {number} blockNumber - Current block number
+     * @param {Object} [context] - Source context
+     * @returns {Promise<Object>} { best, quotes, errors, blockNumber }
+     */
+    async fetchQuotes(params, blockNumber, context = {}) {
+        const sources = Array.from(this.sources.values()).filter(source => {
+            try {
+                return source.supports ? source.supports(params) : true;
+            } catch (error) {
+                return false;
+            }
+        });
+
+        const primary = await this.querySources(
+            sources.filter(source => !source.fallback), params, blockNumber, context
+        );
+        let { quotes, errors } = primary;
+
+        if (quotes.length === 0) {
+            const fallback = await this.querySources(
+                sources.filter(source => source.fallback), params, blockNumber, context
+            );
+            quotes = fallback.quotes;
+            errors = [...errors, ...fallback.errors];
+        }
+
+        const ranked = this.rankQuotes(quotes);
+
+        return {
+            best: ranked[0] || null,
+            quotes: ranked,
+            errors,
+            blockNumber,
+        };
+    }
+
+    /**
+     * Get the best quote only
+     * @param {Object} params - Quote params (see getQuotes)
+     * @param {Object} [options] - Options (see getQuotes)
+     * @returns {Promise<Object|null>} Best normalized quote or null
+     */
+    async getBestQuote(params, options = {}) {
+        const { best } = await this.getQuotes(params, options);
+        return best;
+    }
+
+    /**
+     * Store a result in the per-block cache, evicting the oldest entries
+     * @param {string} key - Cache key
+     * @param {number} blockNumber - Block number
+     * @param {Object} result - Quote result
+     */
+    setCache(key, blockNumber, result) {
+        this.quoteCache.delete(key);
+        this.quoteCache.set(key, { blockNumber, result });
+
+        while (this.quoteCache.size > this.config.maxCacheEntries) {
+            const oldestKey = this.quoteCache.keys().next().value;
+            this.quoteCache.delete(oldestKey);
+        }
+    }
+
+    /**
+     * Clear cached quotes
+     */
+    clearCache() {
+        this.quoteCache.clear();
+    }
+}
+
+// Create singleton instance
+const quoteAggregator = new QuoteAggregator();
+
+export default quoteAggregator;
+export { QuoteAggregator, QUOTE_SOURCES, QUOTE_SOURCE_LABELS, toBigIntAmount };
@@ -4,10 +4,23 @@
  * Implements RPC fallback mechanism with health tracking, caching, and rate limiting.
  * Provides automatic failover when RPC endpoints fail.
  * Uses ChainConfigService for RPC endpoint configuration.
+ *
+ * Calls made in the same tick are sent as one JSON-RPC batch per endpoint,
+ * identical in-flight calls share one response, and HTTP requests are queued so
+ * no more than maxConcurrentRequests are open at once.
+ *
+ * Responses are cached per method (see CACHE_POLICIES): reads at the latest
+ * block are keyed on the block number last seen from eth_blockNumber and
+ * dropped when a newer block shows up.
+ *
+ * Reads that move money can ask for a quorum: the same call is sent to several
+ * endpoints at one block and refused with an rpcMismatch error if they disagree.
  */
 
 import axios from 'axios';
 import chainConfig from './chainConfig';
+import { ERROR_TYPES } from '../utils/chainErrors';
+import { getCustomRpcUrls } from './customRpcs';
 
 /**
  * RPC Health Status
@@ -29,8 +42,112 @@ const DEFAULT_CONFIG = {
     healthCheckInterval: 60000, // 1 minute
     rateLimitCooldown: 300000, // 5 minutes
     maxConcurrentRequests: 5,
+    batchRequests: true,
+    maxBatchSize: 10,
+    responseCache: true,
+    blockNumberCacheTtl: 1000, // 1 second
+    maxCacheEntries: 500, // per chain
+    quorumSize: 2,
 };
 
+/**
+ * How long a cached response stays valid
+ */
+const CACHE_STRATEGIES = {
+    FOREVER: 'forever', // never changes for a chain
+    FINALIZED: 'finalized', // cached once it has the chain's required confirmations
+    BLOCK: 'block', // keyed on the block it was read at
+    TTL: 'ttl', // short time to live
+};
+
+/**
+ * Cache strategy per RPC method; other methods are never cached
+ */
+const CACHE_POLICIES = {
+    eth_chainId: CACHE_STRATEGIES.FOREVER,
+    eth_getTransactionReceipt: CACHE_STRATEGIES.FINALIZED,
+    eth_call: CACHE_STRATEGIES.BLOCK,
+    eth_getBalance: CACHE_STRATEGIES.BLOCK,
+    eth_blockNumber: CACHE_STRATEGIES.TTL,
+};
+
+/**
+ * Health entry for an endpoint nothing is known about yet
+ * @returns {Object} Initial health
+ */
+const createInitialHealth = () => ({
+    status: RPC_STATUS.UNKNOWN,
+    lastChecked: null,
+    failureCount: 0,
+    successCount: 0,
+    lastSuccess: null,
+    rateLimitedUntil: null,
+    responseTime: null,
+});
+
+/**
+ * Position of the block param for methods that can be read with a quorum
+ */
+const QUORUM_BLOCK_PARAM_INDEX = {
+    eth_call: 1,
+    eth_getBalance: 1,
+    eth_getCode: 1,
+    eth_getTransactionCount: 1,
+    eth_getStorageAt: 2,
+};
+
+/**
+ * HTTP statuses endpoints answer with when they do not accept batch bodies
+ */
+const BATCH_REJECTION_STATUSES = [400, 405, 413, 501];
+
+/**
+ * Key identical calls share while one is in flight
+ * @param {number} chainId - Chain ID
+ * @param {Object} rpcRequest - RPC request object
+ * @returns {string|null} Key, or null when the params cannot be serialized
+ */
+const getCoalesceKey = (chainId, rpcRequest) => {
+    try {
+        return `${chainId}:${rpcRequest.method}:${JSON.stringify(rpcRequest.params ?? [])}`;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Check whether a JSON-RPC error means the endpoint is rate limiting us
+ * @param {Object} error - JSON-RPC error object
+ * @returns {boolean} True if rate limited
+ */
+const isRateLimitRpcError = (error) => (
+    error?.code === -32005 ||
+    error?.message?.includes('rate limit') ||
+    error?.message?.includes('too many requests')
+);
+
+/**
+ * Check whether a JSON-RPC error is the call's own outcome (a revert), which
+ * every endpoint would answer the same way
+ * @param {Object} error - JSON-RPC error object
+ * @returns {boolean} True if the call reverted
+ */
+const isExecutionRpcError = (error) => (
+    error?.code === 3 ||
+    /revert/i.test(error?.message || '')
+);
+
+/**
+ * Turn a JSON-RPC error object into an Error that keeps its code and data,
+ * so callers such as viem can decode reverts
+ * @param {Object} error - JSON-RPC error object
+ * @returns {Error} Error with code and data
+ */
+const toRpcError = (error) => Object.assign(
+    new Error(error.message || 'RPC error'),
+    { code: error.code, data: error.data }
+);
+
 /**
  * RPC Provider Class
  */
@@ -46,8 +163,27 @@ class RPCProvider {
         // Structure: { chainId: [url1, url2, ...] } - ordered by success rate
         this.rpcCache = {};
         
-        // Active requests tracking
+        // In-flight requests, keyed by chain, method and params for coalescing
         this.activeRequests = new Map();
+
+        // Calls waiting for the end of the tick to be batched: url -> { calls, timeout }
+        this.pendingBatches = new Map();
+
+        // Endpoints that rejected a batch body and get single requests from then on
+        this.batchUnsupported = new Set();
+
+        // HTTP requests waiting for a free slot under maxConcurrentRequests
+        this.requestQueue = [];
+        this.openRequests = 0;
+
+        // Response cache per chain: { chainId: Map(key -> { response, expiresAt, atLatestBlock }) }
+        this.responseCache = {};
+
+        // Cache hits and misses per chain: { chainId: { hits, misses } }
+        this.cacheStats = {};
+
+        // Highest block number seen per chain: { chainId: number }
+        this.latestBlocks = {};
         
         // Rate limit tracking
         this.rateLimitMap = new Map(); // url -> timestamp when rate limit expires
@@ -77,6 +213,7 @@ class RPCProvider {
 
     /**
      * Initialize health tracking for a chain
+     * Already tracked chains pick up custom endpoints added or removed since.
      * @param {number} chainId - Chain ID
      */
     initializeChain(chainId) {
@@ -85,20 +222,38 @@ class RPCProvider {
             this.rpcHealth[chainId] = {};
             
             urls.forEach(url => {
-                this.rpcHealth[chainId][url] = {
-                    status: RPC_STATUS.UNKNOWN,
-                    lastChecked: null,
-                    failureCount: 0,
-                    successCount: 0,
-                    lastSuccess: null,
-                    rateLimitedUntil: null,
-                    responseTime: null,
-                };
+                this.rpcHealth[chainId][url] = createInitialHealth();
             });
             
             // Initialize cache with all URLs
             this.rpcCache[chainId] = [...urls];
+            return;
         }
+        
+        this.syncChainUrls(chainId);
+    }
+
+    /**
+     * Track endpoints that joined the chain's URL list and forget removed ones
+     * @param {number} chainId - Chain ID
+     */
+    syncChainUrls(chainId) {
+        const urls = this.getRpcUrls(chainId) || [];
+        const health = this.rpcHealth[chainId];
+        const tracked = Object.keys(health);
+        if (urls.length === tracked.length && urls.every(url => health[url])) return;
+        
+        urls.forEach(url => {
+            if (!health[url]) {
+                health[url] = createInitialHealth();
+            }
+        });
+        tracked.forEach(url => {
+            if (!urls.includes(url)) {
+                delete health[url];
+            }
+        });
+        this.rpcCache[chainId] = [...urls];
     }
 
     /**
@@ -183,9 +338,16 @@ class RPCProvider {
         const healthyRpcs = this.getHealthyRpcs(chainId);
         const allRpcs = this.getRpcUrls(chainId);
         
+        // The user's own RPCs go first, in their order, unless failing or rate limited
+        const customRpcs = getCustomRpcUrls(chainId).filter(url =>
+            allRpcs.includes(url) &&
+            this.rpcHealth[chainId][url]?.status !== RPC_STATUS.UNHEALTHY &&
+            !this.isRateLimited(url)
+        );
+        
         // Return healthy RPCs first, then others
         const unhealthyRpcs = allRpcs.filter(url => !healthyRpcs.includes(url));
-        return [...healthyRpcs, ...unhealthyRpcs];
+        return [...new Set([...customRpcs, ...healthyRpcs, ...unhealthyRpcs])];
     }
 
     /**
@@ -310,13 +472,428 @@ class RPCProvider {
     }
 
     /**
-     * Make RPC request with fallback and retry logic
+     * Run an HTTP request once fewer than maxConcurrentRequests are open
+     * @param {Function} task - Returns a promise for the request
+     * @returns {Promise<*>} Result of the task
+     */
+    schedule(task) {
+        return new Promise((resolve, reject) => {
+            this.requestQueue.push({ task, resolve, reject });
+            this.drainQueue();
+        });
+    }
+
+    /**
+     * Start queued HTTP requests while slots are free
+     */
+    drainQueue() {
+        while (this.openRequests < this.config.maxConcurrentRequests && this.requestQueue.length > 0) {
+            const { task, resolve, reject } = this.requestQueue.shift();
+            this.openRequests++;
+            Promise.resolve()
+                .then(task)
+                .then(resolve, reject)
+                .finally(() => {
+                    this.openRequests--;
+                    this.drainQueue();
+                });
+        }
+    }
+
+    /**
+     * POST a JSON-RPC body to an endpoint
+     * @param {string} url - RPC URL
+     * @param {Object|Object[]} body - Single call or batch
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<Object>} { data, responseTime }
+     */
+    async post(url, body, timeout) {
+        const startTime = Date.now();
+        const response = await axios.post(url, body, {
+            timeout,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+        });
+        return { data: response.data, responseTime: Date.now() - startTime };
+    }
+
+    /**
+     * Send one call to an endpoint, batched with the other calls of this tick
+     * @param {string} url - RPC URL
+     * @param {Object} rpcRequest - RPC request object
+     * @param {number} timeout - Timeout in milliseconds
+     * @returns {Promise<Object>} { data, responseTime } for this call
+     */
+    send(url, rpcRequest, timeout) {
+        if (!this.config.batchRequests || this.batchUnsupported.has(url)) {
+            return this.schedule(() => this.post(url, rpcRequest, timeout));
+        }
+
+        return new Promise((resolve, reject) => {
+            let batch = this.pendingBatches.get(url);
+            if (!batch) {
+                batch = { calls: [], timeout: 0 };
+                this.pendingBatches.set(url, batch);
+                Promise.resolve().then(() => this.flushBatch(url));
+            }
+            batch.calls.push({ rpcRequest, resolve, reject });
+            batch.timeout = Math.max(batch.timeout, timeout);
+        });
+    }
+
+    /**
+     * Send the calls collected for an endpoint in chunks of maxBatchSize
+     * @param {string} url - RPC URL
+     */
+    flushBatch(url) {
+        const batch = this.pendingBatches.get(url);
+        this.pendingBatches.delete(url);
+        if (!batch) return;
+
+        for (let i = 0; i < batch.calls.length; i += this.config.maxBatchSize) {
+            this.sendBatch(url, batch.calls.slice(i, i + this.config.maxBatchSize), batch.timeout);
+        }
+    }
+
+    /**
+     * Send calls as single requests
+     * @param {string} url - RPC URL
+     * @param {Object[]} calls - Pending calls { rpcRequest, resolve, reject }
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    sendSingly(url, calls, timeout) {
+        calls.forEach(call => {
+            this.schedule(() => this.post(url, call.rpcRequest, timeout)).then(call.resolve, call.reject);
+        });
+    }
+
+    /**
+     * Send calls as one JSON-RPC batch and hand each call its own response.
+     * Endpoints that reject the batch are remembered and get single requests.
+     * @param {string} url - RPC URL
+     * @param {Object[]} calls - Pending calls { rpcRequest, resolve, reject }
+     * @param {number} timeout - Timeout in milliseconds
+     */
+    async sendBatch(url, calls, timeout) {
+        if (calls.length === 1) {
+            this.sendSingly(url, calls, timeout);
+            return;
+        }
+
+        // Batch ids are positions so responses can be matched whatever ids the callers used
+        const body = calls.map((call, index) => ({ ...call.rpcRequest, jsonrpc: '2.0', id: index + 1 }));
+
+        let response;
+        try {
+            response = await this.schedule(() => this.post(url, body, timeout));
+        } catch (error) {
+            if (BATCH_REJECTION_STATUSES.includes(error.response?.status)) {
+                this.batchUnsupported.add(url);
+                this.sendSingly(url, calls, timeout);
+                return;
+            }
+            calls.forEach(call => call.reject(error));
+            return;
+        }
+
+        if (!Array.isArray(response.data)) {
+            // A rate limit answer applies to every call; anything else means no batch support
+            if (isRateLimitRpcError(response.data?.error)) {
+                calls.forEach(call => call.resolve(response));
+                return;
+            }
+            this.batchUnsupported.add(url);
+            this.sendSingly(url, calls, timeout);
+            return;
+        }
+
+        const responsesById = new Map(response.data.map(item => [item?.id, item]));
+        const missing = [];
+        calls.forEach((call, index) => {
+            const item = responsesById.get(index + 1);
+            if (!item) {
+                missing.push(call);
+                return;
+            }
+            call.resolve({
+                data: { ...item, id: call.rpcRequest.id },
+                responseTime: response.responseTime,
+            });
+        });
+        if (missing.length > 0) {
+            this.sendSingly(url, missing, timeout);
+        }
+    }
+
+    /**
+     * Get the response cache key for a request
+     * @param {number} chainId - Chain ID
+     * @param {Object} rpcRequest - RPC request object
+     * @returns {string|null} Key, or null when the response cannot be cached
+     */
+    getResponseCacheKey(chainId, rpcRequest) {
+        const strategy = CACHE_POLICIES[rpcRequest.method];
+        if (!strategy || !this.config.responseCache) return null;
+
+        const key = getCoalesceKey(chainId, rpcRequest);
+        if (!key || strategy !== CACHE_STRATEGIES.BLOCK) return key;
+
+        // eth_call and eth_getBalance take the block as their second param
+        const blockTag = rpcRequest.params?.[1] ?? 'latest';
+        if (blockTag === 'latest') {
+            const latestBlock = this.latestBlocks[chainId];
+            return latestBlock === undefined ? null : `${key}@${latestBlock}`;
+        }
+        return /^0x[0-9a-f]+$/i.test(blockTag) ? key : null;
+    }
+
+    /**
+     * Read a cached response
+     * @param {number} chainId - Chain ID
+     * @param {string} key - Response cache key
+     * @returns {Object|null} Cached response or null
+     */
+    readResponseCache(chainId, key) {
+        const entry = this.responseCache[chainId]?.get(key);
+        if (!entry) return null;
+
+        if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+            this.responseCache[chainId].delete(key);
+            return null;
+        }
+        return entry.response;
+    }
+
+    /**
+     * Track the chain head and drop reads cached at an older latest block
+     * @param {number} chainId - Chain ID
+     * @param {number} blockNumber - Block number from eth_blockNumber
+     */
+    observeBlockNumber(chainId, blockNumber) {
+        if (!Number.isFinite(blockNumber) || blockNumber <= (this.latestBlocks[chainId] ?? -1)) return;
+        this.latestBlocks[chainId] = blockNumber;
+
+        const cache = this.responseCache[chainId];
+        if (!cache) return;
+        cache.forEach((entry, key) => {
+            if (entry.atLatestBlock) cache.delete(key);
+        });
+    }
+
+    /**
+     * Store a response according to its method's cache policy
+     * @param {number} chainId - Chain ID
+     * @param {Object} rpcRequest - RPC request object
+     * @param {string|null} key - Response cache key
+     * @param {Object} response - RPC response
+     */
+    cacheResponse(chainId, rpcRequest, key, response) {
+        if (rpcRequest.method === 'eth_blockNumber') {
+            this.observeBlockNumber(chainId, parseInt(response?.result, 16));
+        }
+        if (!key || response?.result === undefined) return;
+
+        const entry = { response, expiresAt: null, atLatestBlock: false };
+        switch (CACHE_POLICIES[rpcRequest.method]) {
+            case CACHE_STRATEGIES.FINALIZED: {
+                // Pending transactions have no receipt yet and recent ones can still be reorged
+                const receiptBlock = parseInt(response.result?.blockNumber, 16);
+                const latestBlock = this.latestBlocks[chainId];
+                if (!Number.isFinite(receiptBlock) || latestBlock === undefined ||
+                    latestBlock - receiptBlock + 1 < chainConfig.getConfirmationsRequired(chainId)) {
+                    return;
+                }
+                break;
+            }
+            case CACHE_STRATEGIES.BLOCK:
+                if ((rpcRequest.params?.[1] ?? 'latest') === 'latest') {
+                    // Also expire after a block time in case nobody polls eth_blockNumber
+                    entry.atLatestBlock = true;
+                    entry.expiresAt = Date.now() + chainConfig.getBlockTime(chainId) * 1000;
+                }
+                break;
+            case CACHE_STRATEGIES.TTL:
+                entry.expiresAt = Date.now() + this.config.blockNumberCacheTtl;
+                break;
+            default:
+                break;
+        }
+
+        if (!this.responseCache[chainId]) {
+            this.responseCache[chainId] = new Map();
+        }
+        const cache = this.responseCache[chainId];
+        cache.delete(key);
+        cache.set(key, entry);
+        if (cache.size > this.config.maxCacheEntries) {
+            cache.delete(cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Count a cache lookup for a cacheable method
+     * @param {number} chainId - Chain ID
+     * @param {boolean} hit - Whether the response came from the cache
+     */
+    recordCacheLookup(chainId, hit) {
+        if (!this.cacheStats[chainId]) {
+            this.cacheStats[chainId] = { hits: 0, misses: 0 };
+        }
+        this.cacheStats[chainId][hit ? 'hits' : 'misses']++;
+    }
+
+    /**
+     * Make RPC request with fallback and retry logic.
+     * Cacheable methods are answered from the response cache when possible, and
+     * identical calls (same chain, method and params) made while one is in
+     * flight share its response.
+     * @param {number} chainId - Chain ID
+     * @param {Object} rpcRequest - RPC request object
+     * @param {Object} [options] - Request options
+     * @param {boolean} [options.skipCache] - Always ask the network
+     * @param {number} [options.quorum] - Endpoints that must agree, see quorumRequest
+     * @returns {Promise<Object>} RPC response
+     */
+    request(chainId, rpcRequest, options = {}) {
+        if (options.quorum > 1) {
+            return this.quorumRequest(chainId, rpcRequest, options);
+        }
+
+        const cacheKey = this.getResponseCacheKey(chainId, rpcRequest);
+        if (CACHE_POLICIES[rpcRequest.method] && this.config.responseCache) {
+            const cached = cacheKey && !options.skipCache ? this.readResponseCache(chainId, cacheKey) : null;
+            this.recordCacheLookup(chainId, Boolean(cached));
+            if (cached) {
+                return Promise.resolve({ ...cached, id: rpcRequest.id });
+            }
+        }
+
+        const execute = () => this.executeRequest(chainId, rpcRequest, options)
+            .then(response => {
+                this.cacheResponse(chainId, rpcRequest, cacheKey, response);
+                return response;
+            });
+
+        const key = getCoalesceKey(chainId, rpcRequest);
+        if (!key) {
+            return execute();
+        }
+
+        const active = this.activeRequests.get(key);
+        if (active) return active;
+
+        const promise = execute().finally(() => this.activeRequests.delete(key));
+        this.activeRequests.set(key, promise);
+        return promise;
+    }
+
+    /**
+     * Send a read to several endpoints at the same block and only return the
+     * result when they all agree. An endpoint that errors (e.g. one lagging
+     * behind the pinned block) is replaced by the next one in fallback order.
+     * Chains with fewer endpoints than the quorum use all they have.
+     * @param {number} chainId - Chain ID
+     * @param {Object} rpcRequest - RPC request object, one of QUORUM_BLOCK_PARAM_INDEX's methods
+     * @param {Object} [options] - Request options
+     * @param {number} [options.quorum] - Endpoints that must agree, config.quorumSize by default
+     * @returns {Promise<Object>} RPC response
+     * @throws {Error} With code ERROR_TYPES.RPC_MISMATCH, blockNumber and answers when endpoints disagree
+     */
+    async quorumRequest(chainId, rpcRequest, options = {}) {
+        const blockParamIndex = QUORUM_BLOCK_PARAM_INDEX[rpcRequest.method];
+        if (blockParamIndex === undefined) {
+            throw new Error(`Quorum reads are not supported for ${rpcRequest.method}`);
+        }
+
+        this.initializeChain(chainId);
+        const {
+            quorum = this.config.quorumSize,
+            timeout = this.getTimeout(chainId),
+        } = options;
+
+        const urls = this.getRpcFallbackOrder(chainId).filter(url => !this.isRateLimited(url));
+        const needed = Math.min(quorum, urls.length);
+        if (needed === 0) {
+            throw new Error(`No RPC endpoints available for chain ${chainId}`);
+        }
+
+        // Pin the latest block so every endpoint answers for the same state
+        const params = [...(rpcRequest.params || [])];
+        if ((params[blockParamIndex] ?? 'latest') === 'latest') {
+            const { result } = await this.request(chainId, {
+                jsonrpc: '2.0',
+                id: 1,
+                method: 'eth_blockNumber',
+                params: [],
+            }, { skipCache: true });
+            params[blockParamIndex] = result;
+        }
+        const pinnedRequest = { ...rpcRequest, params };
+
+        const answers = [];
+        const remaining = [...urls];
+        const askNextEndpoint = async () => {
+            while (remaining.length > 0) {
+                const url = remaining.shift();
+                try {
+                    const { data, responseTime } = await this.send(url, pinnedRequest, timeout);
+                    if (data?.error && !isExecutionRpcError(data.error)) {
+                        if (isRateLimitRpcError(data.error)) {
+                            this.markRateLimited(url);
+                        } else {
+                            this.updateRpcHealth(chainId, url, false);
+                        }
+                        continue;
+                    }
+                    this.updateRpcHealth(chainId, url, true, responseTime);
+                    answers.push({ url, data });
+                    return;
+                } catch (error) {
+                    if (error.response?.status === 429 || error.response?.status === 403) {
+                        this.markRateLimited(url);
+                    } else {
+                        this.updateRpcHealth(chainId, url, false);
+                    }
+                }
+            }
+        };
+        await Promise.all(Array.from({ length: needed }, askNextEndpoint));
+
+        if (answers.length < needed) {
+            throw new Error(`Only ${answers.length} of ${needed} RPC endpoints answered for chain ${chainId}`);
+        }
+
+        // Reverts count as answers too, compared by code and revert data
+        const fingerprint = ({ data }) => JSON.stringify(
+            data.error ? { error: [data.error.code, data.error.data] } : data.result
+        );
+        const [first] = answers;
+        if (answers.some(answer => fingerprint(answer) !== fingerprint(first))) {
+            throw Object.assign(
+                new Error(`RPC endpoints disagree on ${rpcRequest.method} for chain ${chainId} at block ${params[blockParamIndex]}`),
+                {
+                    code: ERROR_TYPES.RPC_MISMATCH,
+                    blockNumber: params[blockParamIndex],
+                    answers: answers.map(({ url, data }) => ({ url, result: data.error || data.result })),
+                }
+            );
+        }
+
+        if (first.data.error) {
+            throw toRpcError(first.data.error);
+        }
+        return { ...first.data, id: rpcRequest.id };
+    }
+
+    /**
+     * Send a request through each endpoint in fallback order, with retries
      * @param {number} chainId - Chain ID
      * @param {Object} rpcRequest - RPC request object
      * @param {Object} [options] - Request options
      * @returns {Promise<Object>} RPC response
      */
-    async request(chainId, rpcRequest, options = {}) {
+    async executeRequest(chainId, rpcRequest, options = {}) {
         this.initializeChain(chainId);
         
         // Get chain-specific timeout and retry settings from ChainConfigService
@@ -335,6 +912,7 @@ class RPCProvider {
         }
         
         let lastError = null;
+        let executionError = null;
         
         // Try each RPC URL
         for (const url of rpcUrls) {
@@ -352,42 +930,35 @@ class RPCProvider {
                         await new Promise(resolve => setTimeout(resolve, delay));
                     }
                     
-                    const startTime = Date.now();
-                    const response = await axios.post(
-                        url,
-                        rpcRequest,
-                        {
-                            timeout,
-                            headers: {
-                                'Content-Type': 'application/json',
-                            },
-                        }
-                    );
-                    
-                    const responseTime = Date.now() - startTime;
+                    const { data, responseTime } = await this.send(url, rpcRequest, timeout);
                     
                     // Check for RPC errors in response
-                    if (response.data?.error) {
-                        const error = response.data.error;
+                    if (data?.error) {
+                        const error = data.error;
                         
                         // Check for rate limit errors
-                        if (error.code === -32005 || 
-                            error.message?.includes('rate limit') ||
-                            error.message?.includes('too many requests')) {
+                        if (isRateLimitRpcError(error)) {
                             this.markRateLimited(url);
                             lastError = new Error(error.message || 'Rate limited');
                             break; // Try next RPC
                         }
                         
+                        // Reverts are answers, not endpoint failures
+                        if (isExecutionRpcError(error)) {
+                            this.updateRpcHealth(chainId, url, true, responseTime);
+                            executionError = toRpcError(error);
+                            break;
+                        }
+                        
                         // Other RPC errors
-                        lastError = new Error(error.message || 'RPC error');
+                        lastError = toRpcError(error);
                         this.updateRpcHealth(chainId, url, false);
                         break; // Try next RPC
                     }
                     
                     // Success
                     this.updateRpcHealth(chainId, url, true, responseTime);
-                    return response.data;
+                    return data;
                     
                 } catch (error) {
                     lastError = error;
@@ -415,9 +986,16 @@ class RPCProvider {
                     }
                 }
             }
+            
+            if (executionError) {
+                throw executionError;
+            }
         }
         
-        // All RPCs failed
+        // All RPCs failed; keep the JSON-RPC error code when the last endpoint sent one
+        if (Number.isInteger(lastError?.code)) {
+            throw lastError;
+        }
         throw new Error(
             lastError?.message || 
             `All RPC endpoints failed for chain ${chainId}`
@@ -515,15 +1093,7 @@ class RPCProvider {
         if (this.rpcHealth[chainId]) {
             const urls = Object.keys(this.rpcHealth[chainId]);
             urls.forEach(url => {
-                this.rpcHealth[chainId][url] = {
-                    status: RPC_STATUS.UNKNOWN,
-                    lastChecked: null,
-                    failureCount: 0,
-                    successCount: 0,
-                    lastSuccess: null,
-                    rateLimitedUntil: null,
-                    responseTime: null,
-                };
+                this.rpcHealth[chainId][url] = createInitialHealth();
             });
         }
         
@@ -567,6 +1137,35 @@ class RPCProvider {
         };
     }
 
+    /**
+     * Get response cache statistics for a chain
+     * @param {number} chainId - Chain ID
+     * @returns {Object} { hits, misses, hitRate, entries }
+     */
+    getCacheStats(chainId) {
+        const { hits, misses } = this.cacheStats[chainId] || { hits: 0, misses: 0 };
+        return {
+            hits,
+            misses,
+            hitRate: hits + misses > 0 ? hits / (hits + misses) : 0,
+            entries: this.responseCache[chainId]?.size || 0,
+        };
+    }
+
+    /**
+     * Drop cached responses and cache statistics for a chain, or all chains
+     * @param {number} [chainId] - Chain ID
+     */
+    clearResponseCache(chainId = null) {
+        if (chainId === null) {
+            this.responseCache = {};
+            this.cacheStats = {};
+            return;
+        }
+        delete this.responseCache[chainId];
+        delete this.cacheStats[chainId];
+    }
+
     /**
      * Cleanup - stop health checks
      */
@@ -582,5 +1181,5 @@ class RPCProvider {
 const rpcProvider = new RPCProvider();
 
 export default rpcProvider;
-export { RPCProvider, RPC_STATUS };
+export { RPCProvider, RPC_STATUS, CACHE_STRATEGIES, CACHE_POLICIES };
 
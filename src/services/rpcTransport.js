@@ -0,0 +1,82 @@
+/**
+ * RPC Transport
+ *
+ * viem transports that send JSON-RPC calls through rpcProvider, so wagmi and
+ * every public client get its failover, rate limit cooldowns, retries, health
+ * scoring, batching and response cache. Wallet actions still go through the
+ * connected wallet.
+ *
+ * createQuorumClient gives a public client whose reads need several endpoints
+ * to agree (RPCProvider.quorumRequest), for values that move money: the pool
+ * reserves behind remove-liquidity minimums and early-unstake penalties.
+ * Allowance and pre-swap balance reads are out of scope and use the regular
+ * transport; a wrong value there adds an approval or shows a wrong preview,
+ * while the transaction itself is still bounded by the contract's checks.
+ */
+
+import { createPublicClient, custom, http } from 'viem';
+import rpcProvider from './rpcProvider';
+
+// AppKit lists Tron with a numeric chain ID, but it is not an EVM chain
+const TRON_CHAIN_ID = 728126428;
+
+let nextRequestId = 1;
+
+/**
+ * Create a viem transport for one chain backed by rpcProvider.request
+ * @param {number} chainId - Chain ID
+ * @param {Object} [requestOptions] - Options passed to every rpcProvider.request
+ * @returns {Function} viem transport
+ */
+export const createRpcProviderTransport = (chainId, requestOptions = {}) => custom(
+    {
+        request: async ({ method, params }) => {
+            const response = await rpcProvider.request(chainId, {
+                jsonrpc: '2.0',
+                id: nextRequestId++,
+                method,
+                params: params ?? [],
+            }, requestOptions);
+            return response.result;
+        },
+    },
+    {
+        key: 'rpcProvider',
+        name: 'RPC Provider',
+        // rpcProvider already retries and fails over
+        retryCount: 0,
+    }
+);
+
+/**
+ * Create wagmi transports for the given networks
+ * Chains without RPC URLs in ChainConfigService keep viem's default http transport.
+ * @param {Array} networks - AppKit networks
+ * @returns {Object} { [chainId]: transport } for the EVM networks
+ */
+export const createRpcTransports = (networks) => networks.reduce((transports, network) => {
+    // Tron's RPCs do not speak Ethereum JSON-RPC, so wagmi gets no transport for it
+    if (Number(network.id) === TRON_CHAIN_ID || network.chainNamespace === 'tron') return transports;
+
+    transports[network.id] = rpcProvider.getRpcUrls(network.id).length > 0
+        ? createRpcProviderTransport(network.id)
+        : http();
+    return transports;
+}, {});
+
+/**
+ * Create a public client whose reads must agree across several RPC endpoints.
+ * Reads throw an rpcMismatch error (see isRpcMismatchError) on disagreement.
+ * @param {number} chainId - Chain ID
+ * @param {number} [quorum] - Endpoints that must agree, RPCProvider's quorumSize by default
+ * @returns {Object} viem public client for contract reads
+ */
+export const createQuorumClient = (chainId, quorum = rpcProvider.config.quorumSize) => createPublicClient({
+    transport: createRpcProviderTransport(chainId, { quorum }),
+});
+
+export default {
+    createRpcProviderTransport,
+    createRpcTransports,
+    createQuorumClient,
+};
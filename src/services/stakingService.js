@@ -9,6 +9,7 @@
 
 import { parseAbi } from 'viem';
 import chainConfig from './chainConfig';
+import { isRpcMismatchError } from '../utils/chainErrors';
 
 // Standard staking contract ABI (common functions)
 const STAKING_ABI = parseAbi([
@@ -500,6 +501,7 @@ export const calculateUnlockProgress = (stakedDate, unlockDate) => {
  * @param {string} stakingAddress - Staking contract address
  * @param {number} stakeId - Stake ID
  * @returns {Promise<number>} Penalty percentage (0-100)
+ * @throws {Error} When read through a quorum client whose endpoints disagree
  */
 export const getEarlyUnstakePenalty = async (publicClient, stakingAddress, stakeId) => {
     if (!publicClient || !stakingAddress) {
@@ -515,6 +517,8 @@ export const getEarlyUnstakePenalty = async (publicClient, stakingAddress, stake
         });
         return Number(penalty) / 100; // Convert from basis points to percentage
     } catch (error) {
+        // A disagreeing quorum must stop the unstake, not fall back to a guess
+        if (isRpcMismatchError(error)) throw error;
         console.warn('Failed to fetch early unstake penalty:', error);
         // Default penalty: 2-5% depending on how early
         return 2.5;
@@ -0,0 +1,195 @@
+/**
+ * Swap Simulation Service
+ * Simulates a swap with publicClient.simulateContract (eth_call) against the
+ * current block before it is sent, so doomed swaps (missing allowance, tax
+ * tokens, slippage) revert in the preview instead of on-chain.
+ * The preview combines the simulated balance deltas, the Mango fee split
+ * from feeService and the gas cost from estimateGasCost.
+ * Once a swap confirms, getReceivedAmount reads what actually arrived from its receipt.
+ */
+
+import { formatUnits, parseAbi, parseEventLogs } from 'viem';
+import { getFeeBreakdown } from './feeService';
+import { estimateGasCost } from '../utils/gasEstimation';
+import { parseError } from '../utils/chainErrors';
+
+/**
+ * Extract the revert reason from a viem error
+ * Viem wraps reverts as ContractFunctionExecutionError -> ContractFunctionRevertedError.
+ * @param {Error} error - Simulation error
+ * @returns {string|null} Revert reason
+ */
+export const getRevertReason = (error) => {
+    const reverted = typeof error?.walk === 'function'
+        ? error.walk(err => err?.name === 'ContractFunctionRevertedError')
+        : null;
+    return reverted?.reason || reverted?.data?.errorName || error?.reason || error?.shortMessage || null;
+};
+
+/**
+ * Turn a simulation error into chainErrors' parsed format
+ * @param {Error} error - Simulation error
+ * @param {number} chainId - Chain ID
+ * @returns {Object} Parsed error (see chainErrors.parseError)
+ */
+export const parseSimulationError = (error, chainId) => {
+    const reason = getRevertReason(error);
+    return parseError({
+        message: error?.shortMessage || error?.message || 'Simulation failed',
+        reason,
+        code: error?.code,
+    }, chainId);
+};
+
+/**
+ * Work out the amounts moved by a swap from the simulated return value
+ * The Mango router's swap() returns the output received.
+ * @param {string} functionName - Router function
+ * @param {*} result - Simulated return value
+ * @param {Object} expected - { amountIn, amountOut } known from the request
+ * @returns {Object} { amountIn, amountOut } as bigint (null when unknown)
+ */
+export const getSwapAmounts = (functionName, result, { amountIn = null, amountOut = null } = {}) => {
+    if (functionName !== 'swap' || typeof result !== 'bigint') {
+        return { amountIn, amountOut };
+    }
+    return { amountIn, amountOut: result };
+};
+
+/**
+ * Format a raw balance delta for display
+ * @param {bigint} amount - Raw amount (negative for tokens leaving the wallet)
+ * @param {Object} token - Token { symbol, decimals }
+ * @returns {string} e.g. "-1.5 USDC"
+ */
+export const formatBalanceDelta = (amount, token) => {
+    const sign = amount < 0n ? '-' : '+';
+    const absolute = amount < 0n ? -amount : amount;
+    const value = parseFloat(formatUnits(absolute, token?.decimals || 18));
+    return `${sign}${value.toLocaleString('en-US', { maximumFractionDigits: 6 })} ${token?.symbol || ''}`.trim();
+};
+
+const erc20TransferAbi = parseAbi(['event Transfer(address indexed from, address indexed to, uint256 value)']);
+
+/**
+ * Read the amount a confirmed swap actually delivered to the account
+ * Tokens: sum of the tokenOut Transfer logs to the account.
+ * Native coin: balance change over the swap's block plus the gas it paid
+ * (assumes no other transaction of the account in that block).
+ * @param {Object} params - Params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {Object} params.receipt - Transaction receipt
+ * @param {string} params.account - Recipient address
+ * @param {Object} params.tokenOut - Token bought { address }
+ * @param {boolean} params.isNative - Whether the native coin was bought
+ * @returns {Promise<bigint|null>} Raw amount received, null when it can't be read
+ */
+export const getReceivedAmount = async ({ publicClient, receipt, account, tokenOut, isNative }) => {
+    if (!receipt || !account) return null;
+
+    if (!isNative) {
+        if (!tokenOut?.address) return null;
+        const transfers = parseEventLogs({ abi: erc20TransferAbi, eventName: 'Transfer', logs: receipt.logs || [] });
+        const received = transfers.filter(log =>
+            log.address.toLowerCase() === tokenOut.address.toLowerCase() &&
+            log.args.to.toLowerCase() === account.toLowerCase()
+        );
+        return received.length > 0 ? received.reduce((sum, log) => sum + log.args.value, 0n) : null;
+    }
+
+    if (!publicClient || receipt.blockNumber === undefined || receipt.blockNumber === null) return null;
+    try {
+        const [before, after] = await Promise.all([
+            publicClient.getBalance({ address: account, blockNumber: receipt.blockNumber - 1n }),
+            publicClient.getBalance({ address: account, blockNumber: receipt.blockNumber }),
+        ]);
+        const gasPaid = (receipt.gasUsed || 0n) * (receipt.effectiveGasPrice || 0n);
+        const received = after - before + gasPaid;
+        return received > 0n ? received : null;
+    } catch (error) {
+        console.warn('Failed to read native amount received:', error);
+        return null;
+    }
+};
+
+/**
+ * Simulate a swap and build its preview
+ * @param {Object} params - Simulation params
+ * @param {Object} params.publicClient - Viem public client
+ * @param {number} params.chainId - Chain ID
+ * @param {string} params.account - Sender address
+ * @param {Object} params.request - writeContract params { address, abi, functionName, args, value }
+ * @param {Object} params.tokenIn - Token sold { symbol, decimals }
+ * @param {Object} params.tokenOut - Token bought { symbol, decimals }
+ * @param {bigint} [params.amountIn] - Raw input amount when not returned by the call
+ * @param {bigint} [params.amountOut] - Raw output amount when not returned by the call
+ * @returns {Promise<Object>} { success, blockNumber, balanceDeltas, fee, gas, error }
+ */
+export const simulateSwap = async ({ publicClient, chainId, account, request, tokenIn, tokenOut, amountIn = null, amountOut = null }) => {
+    // The preview estimates gas itself, a fixed gas limit would mask out-of-gas reverts
+    const { gas, ...callRequest } = request;
+
+    let blockNumber = null;
+    try {
+        blockNumber = await publicClient.getBlockNumber();
+    } catch (error) {
+        console.warn('Failed to get block number for simulation, using latest:', error);
+    }
+
+    let result;
+    try {
+        const simulation = await publicClient.simulateContract({
+            ...callRequest,
+            account,
+            ...(blockNumber !== null ? { blockNumber } : {}),
+        });
+        result = simulation.result;
+    } catch (error) {
+        console.warn('Swap simulation reverted:', error);
+        return {
+            success: false,
+            blockNumber,
+            error: parseSimulationError(error, chainId),
+        };
+    }
+
+    const amounts = getSwapAmounts(callRequest.functionName, result, { amountIn, amountOut });
+    const balanceDeltas = [];
+    if (amounts.amountIn !== null) {
+        balanceDeltas.push({ token: tokenIn, amount: -amounts.amountIn, formatted: formatBalanceDelta(-amounts.amountIn, tokenIn) });
+    }
+    if (amounts.amountOut !== null) {
+        balanceDeltas.push({ token: tokenOut, amount: amounts.amountOut, formatted: formatBalanceDelta(amounts.amountOut, tokenOut) });
+    }
+
+    // The Mango fee is taken from the input
+    const fee = amounts.amountIn !== null
+        ? await getFeeBreakdown(parseFloat(formatUnits(amounts.amountIn, tokenIn?.decimals || 18)), account, chainId)
+        : null;
+
+    let gasPreview = null;
+    try {
+        const gasLimit = await publicClient.estimateContractGas({ ...callRequest, account });
+        gasPreview = await estimateGasCost(chainId, gasLimit, { publicClient });
+    } catch (error) {
+        console.warn('Failed to estimate swap gas for preview:', error);
+    }
+
+    return {
+        success: true,
+        blockNumber,
+        balanceDeltas,
+        fee,
+        gas: gasPreview,
+        error: null,
+    };
+};
+
+export default {
+    getRevertReason,
+    parseSimulationError,
+    getSwapAmounts,
+    formatBalanceDelta,
+    getReceivedAmount,
+    simulateSwap,
+};
@@ -0,0 +1,452 @@
+/**
+ * Tax Report Service
+ * Builds tax report CSVs from the transactions kept by transactionHistory and
+ * the referral rewards paid out by the backend.
+ *
+ * - Swaps are trades; adding and removing liquidity gives one row per token
+ *   (the recorded transactions do not carry LP token amounts)
+ * - Staking and unstaking move tokens into and out of the staking contract;
+ *   an early-unstake penalty is reported as the unstake row's fee. Formats
+ *   that would import these as transfers out of the portfolio leave them out
+ *   and report only the penalty
+ * - Claimed staking rewards and referral rewards are income
+ *
+ * Only confirmed transactions are reported. Values are in USD at transaction
+ * time, from historical prices of the stablecoin side when there is one and
+ * of the other tokens otherwise. Claims that do not record a single
+ * token amount cannot be reported and are counted as skipped.
+ */
+
+import { getSwapHistory } from './transactionHistory';
+import { getPriceAt } from './priceHistory';
+import { isStablecoin } from './depegMonitor';
+import { rewardApi } from './mangoApi';
+import chainConfig from './chainConfig';
+
+export const TAX_EVENT_TYPES = {
+    TRADE: 'trade',
+    LIQUIDITY_IN: 'liquidityIn',
+    LIQUIDITY_OUT: 'liquidityOut',
+    STAKE: 'stake',
+    UNSTAKE: 'unstake',
+    STAKING_REWARD: 'stakingReward',
+    REFERRAL_REWARD: 'referralReward',
+};
+
+// Referral rewards are paid in MANGO unless the backend says otherwise
+const REFERRAL_REWARD_SYMBOL = 'MANGO';
+const PAID_REFERRAL_STATUSES = ['completed', 'claimed'];
+const PLATFORM = 'Mango DeFi';
+
+const parseAmount = (value) => {
+    const amount = parseFloat(value);
+    return Number.isFinite(amount) && amount > 0 ? amount : 0;
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Date parts in UTC, so reports do not depend on the browser's time zone
+const utcParts = (timestamp) => {
+    const date = new Date(timestamp);
+    return {
+        year: date.getUTCFullYear(),
+        month: pad(date.getUTCMonth() + 1),
+        day: pad(date.getUTCDate()),
+        time: `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`,
+    };
+};
+
+const formatAmount = (side) => (side ? String(side.amount) : '');
+const formatSymbol = (side) => (side ? side.symbol : '');
+const formatValue = (value) => (value === null || value === undefined ? '' : value.toFixed(2));
+const getChainName = (chainId) => chainConfig.getChain(chainId)?.chainName || `Chain ${chainId}`;
+
+/**
+ * CSV profiles, one per tax tool import format
+ * Each profile has a label, the header row and a function turning a priced
+ * tax event into the row's cells. Profiles with `labels` only import the event
+ * types listed there; see getProfileEvents for the rest.
+ */
+export const TAX_REPORT_FORMATS = {
+    generic: {
+        label: 'Generic CSV',
+        headers: ['Date (UTC)', 'Type', 'Chain', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency', 'Value (USD)', 'Tx Hash', 'Description'],
+        toRow: (event) => [
+            new Date(event.timestamp).toISOString(),
+            event.type,
+            getChainName(event.chainId),
+            formatAmount(event.sent),
+            formatSymbol(event.sent),
+            formatAmount(event.received),
+            formatSymbol(event.received),
+            formatAmount(event.fee),
+            formatSymbol(event.fee),
+            formatValue(event.value),
+            event.txHash,
+            event.description,
+        ],
+    },
+    koinly: {
+        label: 'Koinly',
+        headers: ['Date', 'Sent Amount', 'Sent Currency', 'Received Amount', 'Received Currency', 'Fee Amount', 'Fee Currency', 'Net Worth Amount', 'Net Worth Currency', 'Label', 'Description', 'TxHash'],
+        labels: {
+            [TAX_EVENT_TYPES.TRADE]: '',
+            [TAX_EVENT_TYPES.LIQUIDITY_IN]: 'liquidity in',
+            [TAX_EVENT_TYPES.LIQUIDITY_OUT]: 'liquidity out',
+            [TAX_EVENT_TYPES.STAKE]: 'stake',
+            [TAX_EVENT_TYPES.UNSTAKE]: 'unstake',
+            [TAX_EVENT_TYPES.STAKING_REWARD]: 'reward',
+            [TAX_EVENT_TYPES.REFERRAL_REWARD]: 'income',
+        },
+        toRow(event) {
+            const { year, month, day, time } = utcParts(event.timestamp);
+            return [
+                `${year}-${month}-${day} ${time} UTC`,
+                formatAmount(event.sent),
+                formatSymbol(event.sent),
+                formatAmount(event.received),
+                formatSymbol(event.received),
+                formatAmount(event.fee),
+                formatSymbol(event.fee),
+                formatValue(event.value),
+                event.value === null ? '' : 'USD',
+                this.labels[event.type],
+                event.description,
+                event.txHash,
+            ];
+        },
+    },
+    cointracking: {
+        label: 'CoinTracking',
+        headers: ['Type', 'Buy Amount', 'Buy Currency', 'Sell Amount', 'Sell Currency', 'Fee', 'Fee Currency', 'Exchange', 'Trade-Group', 'Comment', 'Date', 'Tx-ID', 'Buy Value in Account Currency', 'Sell Value in Account Currency'],
+        // Deposit and Withdrawal are transfers out of and into the portfolio, so staking has no type
+        labels: {
+            [TAX_EVENT_TYPES.TRADE]: 'Trade',
+            [TAX_EVENT_TYPES.LIQUIDITY_IN]: 'Provide Liquidity',
+            [TAX_EVENT_TYPES.LIQUIDITY_OUT]: 'Remove Liquidity',
+            [TAX_EVENT_TYPES.STAKING_REWARD]: 'Staking',
+            [TAX_EVENT_TYPES.REFERRAL_REWARD]: 'Reward / Bonus',
+        },
+        penaltyLabel: 'Other Fee',
+        toRow(event) {
+            const { year, month, day, time } = utcParts(event.timestamp);
+            // Values assume a USD account currency
+            return [
+                event.label || this.labels[event.type],
+                formatAmount(event.received),
+                formatSymbol(event.received),
+                formatAmount(event.sent),
+                formatSymbol(event.sent),
+                formatAmount(event.fee),
+                formatSymbol(event.fee),
+                PLATFORM,
+                getChainName(event.chainId),
+                event.description,
+                `${year}-${month}-${day} ${time}`,
+                event.txHash,
+                event.received ? formatValue(event.value) : '',
+                event.sent ? formatValue(event.value) : '',
+            ];
+        },
+    },
+    coinledger: {
+        label: 'CoinLedger',
+        headers: ['Date (UTC)', 'Platform (Optional)', 'Asset Sent', 'Amount Sent', 'Asset Received', 'Amount Received', 'Fee Currency (Optional)', 'Fee Amount (Optional)', 'Type', 'Description (Optional)', 'TxHash (Optional)'],
+        // Deposit and Withdrawal are transfers; liquidity would need LP token trades,
+        // which the recorded transactions cannot give
+        labels: {
+            [TAX_EVENT_TYPES.TRADE]: 'Trade',
+            [TAX_EVENT_TYPES.STAKING_REWARD]: 'Staking',
+            [TAX_EVENT_TYPES.REFERRAL_REWARD]: 'Income',
+        },
+        penaltyLabel: 'Investment Loss',
+        toRow(event) {
+            const { year, month, day, time } = utcParts(event.timestamp);
+            return [
+                `${month}/${day}/${year} ${time}`,
+                PLATFORM,
+                formatSymbol(event.sent),
+                formatAmount(event.sent),
+                formatSymbol(event.received),
+                formatAmount(event.received),
+                formatSymbol(event.fee),
+                formatAmount(event.fee),
+                event.label || this.labels[event.type],
+                event.description,
+                event.txHash,
+            ];
+        },
+    },
+};
+
+export const DEFAULT_TAX_REPORT_FORMAT = 'generic';
+
+// Staked tokens stay owned, so formats without staking types leave these out
+const STAKING_TRANSFERS = [TAX_EVENT_TYPES.STAKE, TAX_EVENT_TYPES.UNSTAKE];
+
+/**
+ * Events as a format imports them
+ * Types the profile has no label for are left out. An early-unstake penalty is
+ * then reported on its own as tokens sent, under the profile's penaltyLabel.
+ * @param {Object} profile - Entry of TAX_REPORT_FORMATS
+ * @param {Array} events - Priced tax events
+ * @returns {Object} { events, unsupported } where unsupported counts left out
+ *   events other than staking transfers
+ */
+const getProfileEvents = (profile, events) => events.reduce((result, event) => {
+    if (!profile.labels || profile.labels[event.type] !== undefined) {
+        result.events.push(event);
+    } else if (event.type === TAX_EVENT_TYPES.UNSTAKE && event.fee && profile.penaltyLabel) {
+        const share = event.received?.amount ? event.fee.amount / event.received.amount : null;
+        result.events.push({
+            ...event,
+            label: profile.penaltyLabel,
+            sent: event.fee,
+            received: null,
+            fee: null,
+            value: event.value === null || event.value === undefined || share === null ? null : event.value * share,
+            description: `Early unstake penalty ${event.fee.symbol}`,
+        });
+    } else if (!STAKING_TRANSFERS.includes(event.type)) {
+        result.unsupported += 1;
+    }
+    return result;
+}, { events: [], unsupported: 0 });
+
+/**
+ * Turn stored transactions into tax events
+ * Only confirmed transactions are included.
+ * @param {string} address - User address
+ * @returns {Object} { events, skipped } where events are
+ *   { type, chainId, timestamp, txHash, sent, received, fee, description } with
+ *   sent / received / fee as { symbol, amount } or null, and skipped lists claims without
+ *   usable amounts as { type, timestamp, txHash }
+ */
+export const getHistoryTaxEvents = (address) => {
+    if (!address) return { events: [], skipped: [] };
+
+    const skipped = [];
+    const events = getSwapHistory(address).reduce((result, tx) => {
+        if (tx.status !== 'completed') return result;
+
+        const base = {
+            chainId: Number(tx.chainId),
+            timestamp: new Date(tx.timestamp || tx.createdAt).getTime(),
+            txHash: tx.txHash || '',
+            sent: null,
+            received: null,
+            fee: null,
+        };
+        const symbolIn = tx.tokenInSymbol || tx.tokenIn;
+        const symbolOut = tx.tokenOutSymbol || tx.tokenOut;
+
+        switch (tx.type || 'swap') {
+            case 'swap': {
+                const sent = { symbol: symbolIn, amount: parseAmount(tx.amountIn) };
+                const received = { symbol: symbolOut, amount: parseAmount(tx.amountOut) };
+                if (sent.amount && received.amount) {
+                    result.push({ ...base, type: TAX_EVENT_TYPES.TRADE, sent, received, description: `Swap ${symbolIn} to ${symbolOut}` });
+                }
+                break;
+            }
+            case 'addLiquidity': {
+                const description = `Add liquidity ${symbolIn}/${symbolOut}`;
+                [[symbolIn, tx.amountIn], [symbolOut, tx.amountOut]].forEach(([symbol, amount]) => {
+                    if (parseAmount(amount)) {
+                        result.push({ ...base, type: TAX_EVENT_TYPES.LIQUIDITY_IN, sent: { symbol, amount: parseAmount(amount) }, description });
+                    }
+                });
+                break;
+            }
+            case 'removeLiquidity': {
+                // tokenOut is 'A/B' and amountOut 'amountA/amountB'
+                const symbols = String(symbolOut || '').split('/');
+                const amounts = String(tx.amountOut || '').split('/').map(parseAmount);
+                const description = `Remove liquidity ${symbolOut}`;
+                symbols.forEach((symbol, index) => {
+                    if (symbols.length === 2 && amounts[index]) {
+                        result.push({ ...base, type: TAX_EVENT_TYPES.LIQUIDITY_OUT, received: { symbol, amount: amounts[index] }, description });
+                    }
+                });
+                break;
+            }
+            case 'stake': {
+                const amount = parseAmount(tx.amountIn);
+                if (amount) {
+                    result.push({ ...base, type: TAX_EVENT_TYPES.STAKE, sent: { symbol: symbolIn, amount }, description: `Stake ${symbolIn}` });
+                }
+                break;
+            }
+            case 'unstake': {
+                const amount = parseAmount(tx.amountIn);
+                const penalty = tx.earlyUnstake ? amount * (parseFloat(tx.penaltyPercent) || 0) / 100 : 0;
+                if (amount) {
+                    result.push({
+                        ...base,
+                        type: TAX_EVENT_TYPES.UNSTAKE,
+                        received: { symbol: symbolOut, amount: amount - penalty },
+                        fee: penalty > 0 ? { symbol: symbolOut, amount: penalty } : null,
+                        description: penalty > 0 ? `Early unstake ${symbolOut} (${tx.penaltyPercent}% penalty)` : `Unstake ${symbolOut}`,
+                    });
+                }
+                break;
+            }
+            case 'claimRewards': {
+                const amount = parseAmount(tx.amountOut);
+                if (amount) {
+                    result.push({ ...base, type: TAX_EVENT_TYPES.STAKING_REWARD, received: { symbol: symbolOut, amount }, description: `Staking reward ${symbolOut}` });
+                } else {
+                    skipped.push({ type: tx.type, timestamp: base.timestamp, txHash: base.txHash });
+                }
+                break;
+            }
+            case 'claimAllRewards':
+            case 'claimFees':
+                // Recorded as a total across tokens, not a token amount
+                skipped.push({ type: tx.type, timestamp: base.timestamp, txHash: base.txHash });
+                break;
+            default:
+                break;
+        }
+        return result;
+    }, []);
+
+    return { events, skipped };
+};
+
+/**
+ * Fetch paid referral rewards as tax events
+ * @param {string} address - User address
+ * @param {Object} [range] - { from, to } timestamps in ms
+ * @returns {Promise<Array>} Tax events of type referralReward
+ */
+export const getReferralTaxEvents = async (address, { from = null, to = null } = {}) => {
+    const filters = {};
+    if (from !== null) filters.startDate = new Date(from).toISOString();
+    if (to !== null) filters.endDate = new Date(to).toISOString();
+
+    const history = (await rewardApi.getRewardHistory(address, filters)) || [];
+    return history.reduce((events, reward) => {
+        const amount = parseAmount(reward.amount);
+        if (!amount || !PAID_REFERRAL_STATUSES.includes(reward.status)) return events;
+
+        const symbol = reward.tokenSymbol || REFERRAL_REWARD_SYMBOL;
+        events.push({
+            type: TAX_EVENT_TYPES.REFERRAL_REWARD,
+            chainId: Number(reward.chainId),
+            timestamp: new Date(reward.distributedAt || reward.createdAt).getTime(),
+            txHash: reward.txHash || '',
+            sent: null,
+            received: { symbol, amount },
+            fee: null,
+            description: reward.level ? `Referral reward (level ${reward.level})` : 'Referral reward',
+        });
+        return events;
+    }, []);
+};
+
+/**
+ * Attach USD values at transaction time to tax events
+ * @param {Array} events - Tax events
+ * @param {Function} [priceAt] - (symbol, timestamp) => Promise<number|null>
+ * @returns {Promise<Array>} Events with `value`, null when no price is known
+ */
+export const priceTaxEvents = async (events, priceAt = getPriceAt) => {
+    const valueOf = async (side, timestamp) => {
+        if (!side) return null;
+        try {
+            const price = await priceAt(side.symbol, timestamp);
+            return price > 0 ? side.amount * price : null;
+        } catch {
+            return null;
+        }
+    };
+
+    return Promise.all(events.map(async (event) => {
+        // Prefer the stablecoin side, then what was received, then what was sent
+        const stableSide = [event.sent, event.received].find(side => side && isStablecoin(side.symbol));
+        const value = (stableSide ? await valueOf(stableSide, event.timestamp) : null)
+            ?? (await valueOf(event.received, event.timestamp))
+            ?? (await valueOf(event.sent, event.timestamp));
+        return { ...event, value };
+    }));
+};
+
+// Quote values containing separators, quotes or line breaks
+const escapeCSV = (value) => {
+    if (value === null || value === undefined) return '';
+    const stringValue = String(value);
+    if (/[",\r\n]/.test(stringValue)) {
+        return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+};
+
+/**
+ * Render priced tax events as CSV
+ * @param {Array} events - Priced tax events
+ * @param {string} [format] - Key of TAX_REPORT_FORMATS
+ * @returns {string} CSV string with a header row
+ */
+export const buildTaxReportCSV = (events, format = DEFAULT_TAX_REPORT_FORMAT) => {
+    const profile = TAX_REPORT_FORMATS[format];
+    if (!profile) {
+        throw new Error(`Unknown tax report format: ${format}`);
+    }
+
+    return [
+        profile.headers,
+        ...getProfileEvents(profile, events).events.map(event => profile.toRow(event)),
+    ].map(row => row.map(escapeCSV).join(',')).join('\n');
+};
+
+/**
+ * Build a tax report for a wallet
+ * Referral rewards are included when the rewards API can be reached.
+ * @param {string} address - User address
+ * @param {Object} [options] - Options
+ * @param {string} [options.format] - Key of TAX_REPORT_FORMATS
+ * @param {number} [options.from] - Start of the range (ms, inclusive)
+ * @param {number} [options.to] - End of the range (ms, inclusive)
+ * @returns {Promise<Object>} { csv, count, skipped, unsupported, referralRewardsIncluded }
+ *   where unsupported counts events the format has no type for
+ */
+export const generateTaxReport = async (address, { format = DEFAULT_TAX_REPORT_FORMAT, from = null, to = null } = {}) => {
+    const inRange = (event) => (from === null || event.timestamp >= from) && (to === null || event.timestamp <= to);
+
+    const history = getHistoryTaxEvents(address);
+    let referralEvents = [];
+    let referralRewardsIncluded = true;
+    try {
+        referralEvents = await getReferralTaxEvents(address, { from, to });
+    } catch (error) {
+        console.warn('Failed to fetch referral rewards for tax report:', error);
+        referralRewardsIncluded = false;
+    }
+
+    const events = [...history.events, ...referralEvents]
+        .filter(inRange)
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const priced = await priceTaxEvents(events);
+    const csv = buildTaxReportCSV(priced, format);
+    const exported = getProfileEvents(TAX_REPORT_FORMATS[format], priced);
+
+    return {
+        csv,
+        count: exported.events.length,
+        skipped: history.skipped.filter(inRange).length,
+        unsupported: exported.unsupported,
+        referralRewardsIncluded,
+    };
+};
+
+export default {
+    TAX_EVENT_TYPES,
+    TAX_REPORT_FORMATS,
+    DEFAULT_TAX_REPORT_FORMAT,
+    getHistoryTaxEvents,
+    getReferralTaxEvents,
+    priceTaxEvents,
+    buildTaxReportCSV,
+    generateTaxReport,
+};
@@ -8,7 +8,7 @@ const MAX_HISTORY_ITEMS = 1000; // Keep last 1000 transactions
 
 /**
  * Get swap history from localStorage
- * @param {string} address - Optional: filter by address
+ * @param {string|Array<string>} address - Optional: filter by address, or by any of several
  * @param {number} chainId - Optional: filter by chain
  * @returns {Array} Array of swap transactions
  */
@@ -22,8 +22,9 @@ export const getSwapHistory = (address = null, chainId = null) => {
         let filtered = history;
         
         if (address) {
+            const addresses = [].concat(address).map(wallet => wallet.toLowerCase());
             filtered = filtered.filter(tx => 
-                tx.userAddress?.toLowerCase() === address.toLowerCase()
+                addresses.includes(tx.userAddress?.toLowerCase())
             );
         }
         
@@ -43,6 +44,39 @@ export const getSwapHistory = (address = null, chainId = null) => {
     }
 };
 
+/**
+ * Get past swaps between two tokens, in either direction, with the price each executed at
+ * @param {string} address - User address
+ * @param {number} chainId - Chain ID
+ * @param {string} baseSymbol - Token being priced
+ * @param {string} quoteSymbol - Token the price is expressed in
+ * @returns {Array} [{ txHash, timestamp, side, price }] newest first; side is 'sell' when base was paid
+ */
+export const getPairSwaps = (address, chainId, baseSymbol, quoteSymbol) => {
+    if (!address || !baseSymbol || !quoteSymbol) return [];
+
+    return getSwapHistory(address, chainId).reduce((swaps, tx) => {
+        if ((tx.type && tx.type !== 'swap') || tx.status === 'failed') return swaps;
+
+        const isSell = tx.tokenIn === baseSymbol && tx.tokenOut === quoteSymbol;
+        const isBuy = tx.tokenIn === quoteSymbol && tx.tokenOut === baseSymbol;
+        if (!isSell && !isBuy) return swaps;
+
+        // Pending swaps only carry the quoted output
+        const amountIn = parseFloat(tx.amountIn);
+        const amountOut = parseFloat(tx.amountOut ?? tx.expectedAmountOut);
+        if (!(amountIn > 0) || !(amountOut > 0)) return swaps;
+
+        swaps.push({
+            txHash: tx.txHash,
+            timestamp: new Date(tx.timestamp || tx.createdAt).getTime(),
+            side: isSell ? 'sell' : 'buy',
+            price: isSell ? amountOut / amountIn : amountIn / amountOut,
+        });
+        return swaps;
+    }, []);
+};
+
 /**
  * Save transaction to history (supports swaps, liquidity, staking, etc.)
  * @param {Object} transaction - Transaction object
@@ -408,6 +442,7 @@ const parseCSVLine = (line) => {
 
 export default {
     getSwapHistory,
+    getPairSwaps,
     saveSwapTransaction,
     updateSwapTransaction,
     clearSwapHistory,
@@ -0,0 +1,147 @@
+/**
+ * Watched Addresses Service
+ * Keeps the user's watch-only wallets in localStorage so the portfolio can show
+ * addresses other than the connected one.
+ *
+ * EVM addresses are stored checksummed and compared case-insensitively; Tron
+ * addresses are base58 and compared as-is. The portfolio reads balances on EVM
+ * chains only, so Tron addresses contribute their recorded history.
+ */
+
+import { isAddress, getAddress } from 'viem';
+
+const STORAGE_KEY = 'watchedAddresses';
+const MAX_LABEL_LENGTH = 32;
+
+export const WATCHED_ADDRESSES_CHANGE_EVENT = 'watchedaddresseschange';
+
+export const ADDRESS_TYPES = {
+    EVM: 'evm',
+    TRON: 'tron',
+};
+
+/**
+ * Detect the kind of address
+ * @param {string} address - Address to check
+ * @returns {string|null} One of ADDRESS_TYPES, or null when invalid
+ */
+export const getAddressType = (address) => {
+    if (!address || typeof address !== 'string') return null;
+    if (isAddress(address, { strict: false })) return ADDRESS_TYPES.EVM;
+    if (/^T[1-9A-HJ-NP-Za-km-z]{33}$/.test(address)) return ADDRESS_TYPES.TRON;
+    return null;
+};
+
+/**
+ * Compare two addresses of any supported type
+ * @param {string} a - First address
+ * @param {string} b - Second address
+ * @returns {boolean} True if they are the same wallet
+ */
+export const isSameAddress = (a, b) => {
+    if (!a || !b) return false;
+    return getAddressType(a) === ADDRESS_TYPES.EVM ? a.toLowerCase() === b.toLowerCase() : a === b;
+};
+
+/**
+ * Get the watch-only wallets
+ * @returns {Array} [{ address, label, type, addedAt }] in the order they were added
+ */
+export const getWatchedAddresses = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter(wallet => getAddressType(wallet?.address)) : [];
+    } catch {
+        return [];
+    }
+};
+
+const saveWatchedAddresses = (wallets) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(wallets));
+    } catch (error) {
+        console.warn('Failed to save watched addresses:', error);
+        return false;
+    }
+    window.dispatchEvent(new CustomEvent(WATCHED_ADDRESSES_CHANGE_EVENT, { detail: { wallets } }));
+    return true;
+};
+
+const normalizeLabel = (label, address) => {
+    const trimmed = String(label || '').trim().slice(0, MAX_LABEL_LENGTH);
+    return trimmed || `${address.slice(0, 6)}...${address.slice(-4)}`;
+};
+
+/**
+ * Add a watch-only wallet
+ * @param {string} address - EVM or Tron address
+ * @param {string} [label] - Display name, the shortened address by default
+ * @returns {Object} { success, message, wallet }
+ */
+export const addWatchedAddress = (address, label = '') => {
+    const trimmed = String(address || '').trim();
+    const type = getAddressType(trimmed);
+    if (!type) {
+        return { success: false, message: 'Enter a valid EVM (0x...) or Tron (T...) address', wallet: null };
+    }
+
+    const normalized = type === ADDRESS_TYPES.EVM ? getAddress(trimmed) : trimmed;
+    const wallets = getWatchedAddresses();
+    if (wallets.some(wallet => isSameAddress(wallet.address, normalized))) {
+        return { success: false, message: 'This address is already watched', wallet: null };
+    }
+
+    const wallet = { address: normalized, label: normalizeLabel(label, normalized), type, addedAt: Date.now() };
+    if (!saveWatchedAddresses([...wallets, wallet])) {
+        return { success: false, message: 'Failed to save the address', wallet: null };
+    }
+    return { success: true, message: `Watching ${wallet.label}`, wallet };
+};
+
+/**
+ * Rename a watch-only wallet
+ * @param {string} address - Watched address
+ * @param {string} label - New display name
+ * @returns {boolean} True if saved
+ */
+export const updateWatchedAddressLabel = (address, label) => {
+    const wallets = getWatchedAddresses();
+    const index = wallets.findIndex(wallet => isSameAddress(wallet.address, address));
+    if (index === -1) return false;
+
+    wallets[index] = { ...wallets[index], label: normalizeLabel(label, wallets[index].address) };
+    return saveWatchedAddresses(wallets);
+};
+
+/**
+ * Stop watching a wallet
+ * @param {string} address - Watched address
+ * @returns {boolean} True if removed
+ */
+export const removeWatchedAddress = (address) => {
+    const wallets = getWatchedAddresses();
+    const remaining = wallets.filter(wallet => !isSameAddress(wallet.address, address));
+    if (remaining.length === wallets.length) return false;
+    return saveWatchedAddresses(remaining);
+};
+
+/**
+ * Keep the addresses the portfolio can read balances for
+ * @param {Array<string>} addresses - Addresses of any supported type
+ * @returns {Array<string>} EVM addresses
+ */
+export const getEvmAddresses = (addresses) => (
+    (addresses || []).filter(address => getAddressType(address) === ADDRESS_TYPES.EVM)
+);
+
+export default {
+    ADDRESS_TYPES,
+    WATCHED_ADDRESSES_CHANGE_EVENT,
+    getAddressType,
+    isSameAddress,
+    getWatchedAddresses,
+    addWatchedAddress,
+    updateWatchedAddressLabel,
+    removeWatchedAddress,
+    getEvmAddresses,
+};
@@ -15,6 +15,7 @@ import {
     getRetryDelay,
     getMaxRetries,
     handleErrorWithRecovery,
+    isRpcMismatchError,
     ERROR_TYPES,
     ERROR_SEVERITY,
 } from '../chainErrors';
@@ -50,6 +51,20 @@ describe('chainErrors Utility', () => {
             expect(parsed.errorType).toBe(ERROR_TYPES.EXECUTION_REVERTED);
         });
 
+        test('should detect RPC mismatches wrapped by other errors', () => {
+            const mismatch = Object.assign(new Error('RPC endpoints disagree on eth_call for chain 8453 at block 0x64'), {
+                code: ERROR_TYPES.RPC_MISMATCH,
+            });
+            const wrapped = { message: 'The contract function "getReserves" reverted. Network: Base', cause: { cause: mismatch } };
+            const parsed = parseError(wrapped, 8453);
+
+            expect(isRpcMismatchError(wrapped)).toBe(true);
+            expect(isRpcMismatchError({ message: 'network error' })).toBe(false);
+            expect(parsed.errorType).toBe(ERROR_TYPES.RPC_MISMATCH);
+            expect(parsed.severity).toBe(ERROR_SEVERITY.CRITICAL);
+            expect(getRecoveryStrategy(ERROR_TYPES.RPC_MISMATCH).retry).toBe(false);
+        });
+
         test('should map EVM revert patterns', () => {
             const error = { message: 'insufficient funds for transfer' };
             const parsed = parseError(error, 8453);
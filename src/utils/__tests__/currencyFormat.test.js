@@ -0,0 +1,47 @@
+/**
+ * Tests for Currency Formatting Utilities
+ */
+
+import { formatFiat, getCurrencyDigits } from '../currencyFormat';
+
+describe('Currency Formatting Utilities', () => {
+    describe('formatFiat', () => {
+        it('should format USD by default', () => {
+            expect(formatFiat(1234.5, { minimumFractionDigits: 2, maximumFractionDigits: 2 })).toBe('$1,234.50');
+        });
+
+        it('should convert and use the currency locale', () => {
+            const formatted = formatFiat(1000, { currency: 'EUR', rate: 0.9, minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+            expect(formatted.replace(/\s/g, ' ')).toBe('900,00 €');
+        });
+
+        it('should keep yen whole at cents precision', () => {
+            expect(formatFiat(10, { currency: 'JPY', rate: 150.4, minimumFractionDigits: 2, maximumFractionDigits: 2 })).toBe('￥1,504');
+        });
+
+        it('should allow extra precision for small prices', () => {
+            expect(formatFiat(0.000123, { maximumFractionDigits: 6 })).toBe('$0.000123');
+        });
+
+        it('should fall back to USD without a rate', () => {
+            expect(formatFiat(5, { currency: 'GBP', rate: null, minimumFractionDigits: 2, maximumFractionDigits: 2 })).toBe('$5.00');
+        });
+
+        it('should support compact notation', () => {
+            expect(formatFiat(2500000, { compact: true, maximumFractionDigits: 2 })).toBe('$2.5M');
+        });
+
+        it('should return an empty string for non-numeric input', () => {
+            expect(formatFiat(undefined)).toBe('');
+            expect(formatFiat('abc')).toBe('');
+        });
+    });
+
+    describe('getCurrencyDigits', () => {
+        it('should return the minor units of a currency', () => {
+            expect(getCurrencyDigits('EUR')).toBe(2);
+            expect(getCurrencyDigits('JPY')).toBe(0);
+        });
+    });
+});
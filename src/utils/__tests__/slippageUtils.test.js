@@ -0,0 +1,54 @@
+/**
+ * Tests for Slippage Utility Functions
+ *
+ * Tests min-out / max-in bounds and price movement checks.
+ */
+
+import {
+    convertPercentageToBasisPoints,
+    calculateMinAmountOut,
+    calculateMaxAmountIn,
+    hasPriceMovedBeyondSlippage,
+} from '../slippageUtils';
+
+describe('Slippage Utils', () => {
+    test('should convert percentages to basis points', () => {
+        expect(convertPercentageToBasisPoints(0.5)).toBe(50n);
+        expect(convertPercentageToBasisPoints(2.5)).toBe(250n);
+    });
+
+    test('should calculate the minimum amount out', () => {
+        expect(calculateMinAmountOut(1000n, 50n)).toBe(995n);
+        expect(calculateMinAmountOut(1000n, 100n)).toBe(990n);
+    });
+
+    test('should calculate the maximum amount in as the inverse of min amount out', () => {
+        expect(calculateMaxAmountIn(995n, 50n)).toBe(1000n);
+        expect(calculateMaxAmountIn(990n, 100n)).toBe(1000n);
+        // Rounds up so the bound never undershoots
+        expect(calculateMaxAmountIn(1000n, 50n)).toBe(1006n);
+        expect(calculateMinAmountOut(calculateMaxAmountIn(123456n, 75n), 75n)).toBeGreaterThanOrEqual(123456n);
+    });
+
+    test('should reject invalid max amount in parameters', () => {
+        expect(() => calculateMaxAmountIn(1000, 50n)).toThrow('Both parameters must be BigInt');
+        expect(() => calculateMaxAmountIn(1000n, 10000n)).toThrow();
+    });
+
+    test('should only flag adverse price moves', () => {
+        expect(hasPriceMovedBeyondSlippage(1000n, 996n, 50n)).toBe(false);
+        expect(hasPriceMovedBeyondSlippage(1000n, 990n, 50n)).toBe(true);
+        expect(hasPriceMovedBeyondSlippage(1000n, 1100n, 50n)).toBe(false);
+    });
+
+    test('should treat the minimum amount out itself as within slippage', () => {
+        expect(hasPriceMovedBeyondSlippage(1000n, 995n, 50n)).toBe(false);
+        expect(hasPriceMovedBeyondSlippage(1000n, 994n, 50n)).toBe(true);
+        expect(hasPriceMovedBeyondSlippage(1000n, 1000n, 0n)).toBe(false);
+        expect(hasPriceMovedBeyondSlippage(1000n, 999n, 0n)).toBe(true);
+    });
+
+    test('should reject a non-BigInt re-quote', () => {
+        expect(() => hasPriceMovedBeyondSlippage(1000n, 990, 50n)).toThrow('New amount out must be BigInt');
+    });
+});
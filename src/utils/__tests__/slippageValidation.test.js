@@ -0,0 +1,38 @@
+/**
+ * Tests for Slippage Validation Utilities
+ *
+ * Tests the recommended slippage for price impact and stablecoin depegs.
+ */
+
+import { getRecommendedSlippage } from '../slippageValidation';
+import chainConfig from '../../services/chainConfig';
+
+// Mock dependencies
+jest.mock('../../services/chainConfig');
+
+describe('slippageValidation', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        chainConfig.getSlippageTolerance.mockReturnValue({ min: 0.1, default: 0.5, max: 5.0 });
+    });
+
+    describe('getRecommendedSlippage', () => {
+        it('should return the chain default without price impact', () => {
+            expect(getRecommendedSlippage(1)).toBe(0.5);
+        });
+
+        it('should widen for high price impact', () => {
+            expect(getRecommendedSlippage(1, 2)).toBe(0.75);
+            expect(getRecommendedSlippage(1, 4)).toBe(1);
+        });
+
+        it('should leave room for a depegged stablecoin deviation', () => {
+            expect(getRecommendedSlippage(1, 0, [{ symbol: 'USDT', deviation: -0.2 }])).toBe(1);
+            expect(getRecommendedSlippage(1, 0, [{ symbol: 'USDT', deviation: -3 }])).toBe(3.5);
+        });
+
+        it('should not exceed the chain maximum', () => {
+            expect(getRecommendedSlippage(1, 4, [{ symbol: 'USDC', deviation: 12 }])).toBe(5);
+        });
+    });
+});
@@ -29,6 +29,7 @@ export const ERROR_TYPES = {
     GAS_PRICE_TOO_LOW: 'gasPriceTooLow',
     EXECUTION_REVERTED: 'executionReverted',
     INSUFFICIENT_FUNDS: 'insufficientFunds',
+    RPC_MISMATCH: 'rpcMismatch',
 };
 
 /**
@@ -54,6 +55,8 @@ const EVM_ERROR_CODES = {
     '-32602': ERROR_TYPES.RPC_ERROR, // Invalid params
     '-32603': ERROR_TYPES.RPC_ERROR, // Internal error
     '-32700': ERROR_TYPES.RPC_ERROR, // Parse error
+    // RPCProvider quorum reads whose endpoints disagreed
+    [ERROR_TYPES.RPC_MISMATCH]: ERROR_TYPES.RPC_MISMATCH,
 };
 
 /**
@@ -170,8 +173,36 @@ const RECOVERY_STRATEGIES = {
         maxRetries: 1,
         action: 'Nonce error detected. The transaction will be retried.',
     },
+    [ERROR_TYPES.RPC_MISMATCH]: {
+        retry: false,
+        action: 'RPC endpoints returned different values, so nothing was sent. Try again later or switch to a different RPC.',
+    },
+};
+
+/**
+ * Find an error in a chain of causes (viem wraps RPC errors several levels deep)
+ * @param {Error|Object} error - Error object
+ * @param {Function} predicate - Test for each error in the chain
+ * @returns {Error|Object|null} First matching error or null
+ */
+const findErrorCause = (error, predicate) => {
+    let current = error;
+    for (let depth = 0; current && depth < 10; depth++) {
+        if (predicate(current)) return current;
+        current = current.cause;
+    }
+    return null;
 };
 
+/**
+ * Check if an error comes from a quorum read whose RPC endpoints disagreed
+ * @param {Error|Object} error - Error object
+ * @returns {boolean} True if the endpoints disagreed
+ */
+export const isRpcMismatchError = (error) => (
+    findErrorCause(error, cause => cause?.code === ERROR_TYPES.RPC_MISMATCH) !== null
+);
+
 /**
  * Parse error and extract error type
  * @param {Error|Object} error - Error object
@@ -252,6 +283,11 @@ export const parseError = (error, chainId = null) => {
             errorType = ERROR_TYPES.TIMEOUT;
         }
         
+        // Endpoint disagreement wins over whatever text a wrapping error has
+        if (isRpcMismatchError(error)) {
+            errorType = ERROR_TYPES.RPC_MISMATCH;
+        }
+        
     } else if (chainType === 'TRON') {
         // Tron error parsing
         const lowerMessage = errorMessage.toLowerCase();
@@ -290,7 +326,7 @@ export const parseError = (error, chainId = null) => {
         severity = ERROR_SEVERITY.MEDIUM;
     } else if ([ERROR_TYPES.NETWORK_ERROR, ERROR_TYPES.RPC_ERROR, ERROR_TYPES.TRANSACTION_FAILED].includes(errorType)) {
         severity = ERROR_SEVERITY.HIGH;
-    } else if ([ERROR_TYPES.EXECUTION_REVERTED, ERROR_TYPES.CONTRACT_NOT_FOUND].includes(errorType)) {
+    } else if ([ERROR_TYPES.EXECUTION_REVERTED, ERROR_TYPES.CONTRACT_NOT_FOUND, ERROR_TYPES.RPC_MISMATCH].includes(errorType)) {
         severity = ERROR_SEVERITY.CRITICAL;
     }
     
@@ -506,6 +542,7 @@ const getErrorTitle = (errorType, chain = null) => {
         [ERROR_TYPES.RATE_LIMITED]: `Rate Limited on ${chainName}`,
         [ERROR_TYPES.GAS_ESTIMATION_FAILED]: `Gas Estimation Failed on ${chainName}`,
         [ERROR_TYPES.EXECUTION_REVERTED]: `Transaction Reverted on ${chainName}`,
+        [ERROR_TYPES.RPC_MISMATCH]: `RPC Mismatch on ${chainName}`,
     };
     
     return titles[errorType] || `Error on ${chainName}`;
@@ -585,6 +622,7 @@ export default {
     getErrorLogs,
     clearErrorLogs,
     handleErrorWithRecovery,
+    isRpcMismatchError,
     ERROR_TYPES,
     ERROR_SEVERITY,
 };
@@ -0,0 +1,78 @@
+/**
+ * Currency Formatting Utilities
+ * Formats USD values in the user's display currency (see services/fxRates)
+ */
+
+import { SUPPORTED_CURRENCIES, DEFAULT_CURRENCY } from '../services/fxRates';
+
+/**
+ * Get the locale used to format a currency
+ * @param {string} currency - ISO 4217 code
+ * @returns {string} BCP 47 locale
+ */
+export const getCurrencyLocale = (currency) => SUPPORTED_CURRENCIES[currency]?.locale || SUPPORTED_CURRENCIES[DEFAULT_CURRENCY].locale;
+
+/**
+ * Get the number of minor units a currency is normally shown with (2 for EUR, 0 for JPY)
+ * @param {string} currency - ISO 4217 code
+ * @returns {number} Fraction digits
+ */
+export const getCurrencyDigits = (currency) => new Intl.NumberFormat(getCurrencyLocale(currency), {
+    style: 'currency',
+    currency,
+}).resolvedOptions().maximumFractionDigits;
+
+/**
+ * Format a USD amount in a display currency
+ * Without a rate the amount is shown in USD rather than mislabelled.
+ * @param {number} usdAmount - Amount in USD
+ * @param {Object} [options]
+ * @param {string} [options.currency] - ISO 4217 code (default USD)
+ * @param {number|null} [options.rate] - Units of currency per USD
+ * @param {boolean} [options.compact] - Short form, e.g. "$1.2M"
+ * @param {number} [options.minimumFractionDigits]
+ * @param {number} [options.maximumFractionDigits] - Values up to 2 are capped at the currency's own digits
+ * @returns {string} Formatted amount, empty for non-numeric input
+ */
+export const formatFiat = (usdAmount, {
+    currency = DEFAULT_CURRENCY,
+    rate = 1,
+    compact = false,
+    minimumFractionDigits,
+    maximumFractionDigits,
+} = {}) => {
+    const amount = Number(usdAmount);
+    if (!Number.isFinite(amount)) return '';
+
+    const hasRate = currency === DEFAULT_CURRENCY || (Number.isFinite(rate) && rate > 0);
+    const displayCurrency = hasRate ? currency : DEFAULT_CURRENCY;
+    const currencyDigits = getCurrencyDigits(displayCurrency);
+
+    const formatOptions = { style: 'currency', currency: displayCurrency };
+    if (compact) {
+        formatOptions.notation = 'compact';
+        formatOptions.minimumFractionDigits = 0;
+    }
+    // Cents precision means "the currency's minor unit", so yen stays whole
+    if (maximumFractionDigits !== undefined) {
+        formatOptions.maximumFractionDigits = maximumFractionDigits <= 2
+            ? Math.min(maximumFractionDigits, currencyDigits)
+            : maximumFractionDigits;
+    }
+    if (minimumFractionDigits !== undefined) {
+        formatOptions.minimumFractionDigits = Math.min(
+            minimumFractionDigits,
+            currencyDigits,
+            formatOptions.maximumFractionDigits ?? currencyDigits
+        );
+    }
+
+    const value = displayCurrency === DEFAULT_CURRENCY ? amount : amount * rate;
+    return new Intl.NumberFormat(getCurrencyLocale(displayCurrency), formatOptions).format(value);
+};
+
+export default {
+    formatFiat,
+    getCurrencyLocale,
+    getCurrencyDigits,
+};
@@ -67,6 +67,53 @@ export function calculateMinAmountOut(expectedAmountOut, slippageToleranceBasisP
     return (expectedAmountOut * (BASIS_POINTS - slippageToleranceBasisPoints)) / BASIS_POINTS;
 }
 
+/**
+ * Calculate maximum amount in for an exact-output swap (inverse of calculateMinAmountOut)
+ * Formula: maxAmountIn = expectedAmountIn / (1 - slippageTolerance / 10000), rounded up
+ * 
+ * @param {bigint} expectedAmountIn - Expected input amount
+ * @param {bigint} slippageToleranceBasisPoints - Slippage tolerance in basis points
+ * @returns {bigint} Maximum amount in
+ * 
+ * @example
+ * calculateMaxAmountIn(995n, 50n) // Returns 1000n (0.5% slippage)
+ * calculateMaxAmountIn(990n, 100n) // Returns 1000n (1% slippage)
+ */
+export function calculateMaxAmountIn(expectedAmountIn, slippageToleranceBasisPoints) {
+    if (typeof expectedAmountIn !== 'bigint' || typeof slippageToleranceBasisPoints !== 'bigint') {
+        throw new Error('Both parameters must be BigInt');
+    }
+    
+    const BASIS_POINTS = 10000n;
+    if (slippageToleranceBasisPoints >= BASIS_POINTS) {
+        throw new Error('Slippage tolerance must be below 10000 basis points');
+    }
+    // maxAmountIn = ceil(expectedAmountIn * BASIS_POINTS / (BASIS_POINTS - slippageTolerance))
+    const denominator = BASIS_POINTS - slippageToleranceBasisPoints;
+    return (expectedAmountIn * BASIS_POINTS + denominator - 1n) / denominator;
+}
+
+/**
+ * Check whether a re-quoted output has moved beyond the slippage tolerance
+ * Only adverse moves count: a better price never needs to be re-accepted.
+ * 
+ * @param {bigint} quotedAmountOut - Output amount the user saw
+ * @param {bigint} newAmountOut - Freshly quoted output amount
+ * @param {bigint} slippageToleranceBasisPoints - Slippage tolerance in basis points
+ * @returns {boolean} True if the new output is below the quoted minimum amount out
+ * 
+ * @example
+ * hasPriceMovedBeyondSlippage(1000n, 996n, 50n) // Returns false (within 0.5%)
+ * hasPriceMovedBeyondSlippage(1000n, 990n, 50n) // Returns true (1% worse)
+ */
+export function hasPriceMovedBeyondSlippage(quotedAmountOut, newAmountOut, slippageToleranceBasisPoints) {
+    if (typeof newAmountOut !== 'bigint') {
+        throw new Error('New amount out must be BigInt');
+    }
+    
+    return newAmountOut < calculateMinAmountOut(quotedAmountOut, slippageToleranceBasisPoints);
+}
+
 /**
  * Get slippage tolerance in basis points from ChainConfigService
  * @param {number} chainId - Chain ID
@@ -122,6 +169,8 @@ export default {
     convertPercentageToBasisPoints,
     convertBasisPointsToPercentage,
     calculateMinAmountOut,
+    calculateMaxAmountIn,
+    hasPriceMovedBeyondSlippage,
     getSlippageToleranceInBasisPoints,
     validateSlippageTolerance,
 };
@@ -11,6 +11,7 @@ const SLIPPAGE_WARNING_THRESHOLD = 1.0; // 1% - show warning
 const SLIPPAGE_DANGER_THRESHOLD = 3.0; // 3% - show danger warning
 const PRICE_IMPACT_WARNING_THRESHOLD = 1.0; // 1% price impact
 const PRICE_IMPACT_DANGER_THRESHOLD = 3.0; // 3% price impact
+const DEPEG_SLIPPAGE_MULTIPLIER = 2; // widen recommendations while a stablecoin is off peg
 
 /**
  * Validate slippage tolerance
@@ -141,22 +142,30 @@ export const getSlippageWarning = (slippagePercent, chainId) => {
  * Get recommended slippage tolerance
  * @param {number} chainId - Chain ID
  * @param {number} priceImpact - Optional: price impact percentage
+ * @param {Array} depeggedStablecoins - Optional: depegged stablecoins in the trade (see depegMonitor)
  * @returns {number} Recommended slippage percentage
  */
-export const getRecommendedSlippage = (chainId, priceImpact = 0) => {
+export const getRecommendedSlippage = (chainId, priceImpact = 0, depeggedStablecoins = []) => {
     const slippageSettings = chainConfig.getSlippageTolerance(chainId);
     const defaultSlippage = slippageSettings?.default || 0.5;
+    const maxSlippage = slippageSettings?.max || 5.0;
+    
+    let recommended = defaultSlippage;
     
     // If price impact is high, recommend higher slippage
     if (priceImpact > PRICE_IMPACT_DANGER_THRESHOLD) {
-        return Math.min(defaultSlippage * 2, slippageSettings?.max || 5.0);
+        recommended = defaultSlippage * 2;
+    } else if (priceImpact > PRICE_IMPACT_WARNING_THRESHOLD) {
+        recommended = defaultSlippage * 1.5;
     }
     
-    if (priceImpact > PRICE_IMPACT_WARNING_THRESHOLD) {
-        return Math.min(defaultSlippage * 1.5, slippageSettings?.max || 5.0);
+    // A depegged stablecoin moves fast, leave room for at least its current deviation
+    if (depeggedStablecoins.length > 0) {
+        const largestDeviation = Math.max(...depeggedStablecoins.map(item => Math.abs(item.deviation)));
+        recommended = Math.max(recommended * DEPEG_SLIPPAGE_MULTIPLIER, recommended + largestDeviation);
     }
     
-    return defaultSlippage;
+    return Math.min(recommended, maxSlippage);
 };
 
 export default {